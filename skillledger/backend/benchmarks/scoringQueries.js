@@ -0,0 +1,171 @@
+/**
+ * Scoring Query Benchmark
+ * Counts the database commands a credibility recalculation issues as
+ * users gain skills, and fails when the count changes with the number of
+ * skills (see utils/skillScoring). Seeds its own data into a throwaway
+ * database and drops it afterwards.
+ *
+ *   BENCHMARK_MONGODB_URI=mongodb://localhost:27017/skillledger-benchmark npm run benchmark
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+const Endorsement = require('../models/Endorsement');
+const { recalculateScores, updateAllSkillScores } = require('../utils/skillScoring');
+
+const BENCHMARK_DEFAULTS = {
+  uri: process.env.BENCHMARK_MONGODB_URI || 'mongodb://localhost:27017/skillledger-benchmark',
+  skillCounts: [1, 5, 20, 50],
+  usersPerRun: 50,
+  endorsementsPerSkill: 2
+};
+
+// Commands that aren't part of the work being measured
+const IGNORED_COMMANDS = ['hello', 'isMaster', 'ping', 'endSessions', 'buildInfo', 'saslStart', 'saslContinue'];
+
+let commandCount = 0;
+
+/**
+ * Run fn and count the database commands it issues
+ * @param {Function} fn - async () => any
+ * @returns {Promise<Object>} { commands, ms }
+ */
+async function measure(fn) {
+  commandCount = 0;
+  const started = Date.now();
+  await fn();
+  return { commands: commandCount, ms: Date.now() - started };
+}
+
+/**
+ * Seed users who each have the given number of skills, a verified pass
+ * and some endorsements per skill
+ * @param {Number} skillCount - Skills per user
+ * @returns {Promise<Array>} Seeded user IDs
+ */
+async function seed(skillCount) {
+  const tag = `${skillCount}-${Date.now()}`;
+
+  const [admin, endorser] = await User.insertMany(['admin', 'endorser'].map(role => ({
+    email: `${role}-${tag}@benchmark.test`,
+    password: 'not-a-real-password',
+    role: role === 'admin' ? 'admin' : 'student',
+    profile: { firstName: 'Bench', lastName: role },
+    credibilityScore: 60
+  })));
+
+  const skills = await Skill.insertMany(Array.from({ length: skillCount }, (_, i) => ({
+    name: `Benchmark skill ${tag}-${i}`,
+    category: 'technical'
+  })));
+
+  const challenges = await Challenge.insertMany(skills.map(skill => ({
+    title: `Benchmark challenge for ${skill.name}`,
+    description: 'Benchmark',
+    instructions: 'Benchmark',
+    skill: skill._id,
+    difficulty: 'medium',
+    category: 'coding',
+    content: {},
+    status: 'published',
+    createdBy: admin._id
+  })));
+
+  const users = await User.insertMany(Array.from({ length: BENCHMARK_DEFAULTS.usersPerRun }, (_, i) => ({
+    email: `student-${tag}-${i}@benchmark.test`,
+    password: 'not-a-real-password',
+    role: 'student',
+    profile: { firstName: 'Bench', lastName: `Student ${i}` },
+    skills: skills.map(skill => ({ skill: skill._id, proficiencyLevel: 5, yearsOfExperience: 2 }))
+  })));
+
+  await Submission.insertMany(users.flatMap(user => challenges.map(challenge => ({
+    user: user._id,
+    challenge: challenge._id,
+    content: {},
+    score: 85,
+    isPassed: true,
+    isVerified: true,
+    submittedAt: new Date()
+  }))));
+
+  await Endorsement.insertMany(users.flatMap(user => skills.flatMap(skill =>
+    Array.from({ length: BENCHMARK_DEFAULTS.endorsementsPerSkill }, () => ({
+      endorser: endorser._id,
+      recipient: user._id,
+      skill: skill._id,
+      level: 'advanced',
+      context: 'peer'
+    }))
+  )));
+
+  return users.map(user => user._id);
+}
+
+/**
+ * Throw when a recalculation's command count depends on the number of skills
+ * @param {Array} counts - [{ skillCount, single, batch }], one per seeded run
+ */
+function assertFixedCommandCounts(counts) {
+  const [first] = counts;
+  const changed = counts.filter(count => count.single !== first.single || count.batch !== first.batch);
+  if (changed.length > 0) {
+    const described = counts
+      .map(count => `${count.skillCount} skill${count.skillCount === 1 ? '' : 's'}: ${count.single} (1 user), ${count.batch} (batch)`)
+      .join('; ');
+    throw new Error(`Command count grows with the number of skills - ${described}`);
+  }
+  console.log(`✓ ${first.single} commands for one user and ${first.batch} for a batch at every skill count`);
+}
+
+async function run() {
+  const dbName = new URL(BENCHMARK_DEFAULTS.uri).pathname.slice(1);
+  if (!/bench/i.test(dbName)) {
+    throw new Error(`Refusing to seed '${dbName}'; point BENCHMARK_MONGODB_URI at a throwaway benchmark database`);
+  }
+
+  await mongoose.connect(BENCHMARK_DEFAULTS.uri, { monitorCommands: true });
+  mongoose.connection.getClient().on('commandStarted', event => {
+    if (!IGNORED_COMMANDS.includes(event.commandName)) commandCount += 1;
+  });
+
+  const rows = [];
+  const counts = [];
+  try {
+    for (const skillCount of BENCHMARK_DEFAULTS.skillCounts) {
+      const userIds = await seed(skillCount);
+
+      const single = await measure(() => updateAllSkillScores(userIds[0], 'manual'));
+      const batch = await measure(() => recalculateScores(userIds, 'manual'));
+      counts.push({ skillCount, single: single.commands, batch: batch.commands });
+
+      rows.push({
+        skillsPerUser: skillCount,
+        'commands (1 user)': single.commands,
+        'ms (1 user)': single.ms,
+        [`commands (${userIds.length} users)`]: batch.commands,
+        [`ms (${userIds.length} users)`]: batch.ms,
+        'commands per user': Math.round((batch.commands / userIds.length) * 100) / 100
+      });
+    }
+
+    console.table(rows);
+    assertFixedCommandCounts(counts);
+  } finally {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  }
+}
+
+module.exports = { run, assertFixedCommandCounts, BENCHMARK_DEFAULTS };
+
+if (require.main === module) {
+  run().catch(error => {
+    console.error('✗ Benchmark failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const Submission = require('../models/Submission');
+const Endorsement = require('../models/Endorsement');
+const ScoringProfile = require('../models/ScoringProfile');
+const CredibilitySnapshot = require('../models/CredibilitySnapshot');
+const { recalculateScores, updateAllSkillScores } = require('../utils/skillScoring');
+const { assertFixedCommandCounts, BENCHMARK_DEFAULTS } = require('./scoringQueries');
+
+describe('scoringQueries benchmark', () => {
+  describe('assertFixedCommandCounts', () => {
+    it('passes when every skill count issues the same commands', () => {
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      expect(() => assertFixedCommandCounts([
+        { skillCount: 1, single: 7, batch: 7 },
+        { skillCount: 50, single: 7, batch: 7 }
+      ])).not.toThrow();
+      expect(log).toHaveBeenCalledWith('✓ 7 commands for one user and 7 for a batch at every skill count');
+
+      log.mockRestore();
+    });
+
+    it('fails when the count grows with the number of skills', () => {
+      expect(() => assertFixedCommandCounts([
+        { skillCount: 1, single: 7, batch: 7 },
+        { skillCount: 5, single: 11, batch: 7 }
+      ])).toThrow('Command count grows with the number of skills - 1 skill: 7 (1 user), 7 (batch); 5 skills: 11 (1 user), 7 (batch)');
+    });
+  });
+
+  // The benchmark's seed data, answered by mocked models instead of a database
+  describe('query count against mocked models', () => {
+    const lean = result => ({ select: () => ({ lean: async () => result }) });
+
+    const evidenceFor = (userCount, skillCount) => {
+      const skills = Array.from({ length: skillCount }, () => ({ _id: new mongoose.Types.ObjectId(), category: 'technical' }));
+      const users = Array.from({ length: userCount }, () => ({
+        _id: new mongoose.Types.ObjectId(),
+        skills: skills.map(skill => ({ skill: skill._id, proficiencyLevel: 5, yearsOfExperience: 2, credibilityScore: 0 }))
+      }));
+      const passes = users.flatMap(user => skills.map(skill => ({
+        _id: new mongoose.Types.ObjectId(),
+        user: user._id,
+        skill: skill._id,
+        score: 85,
+        hintsUsed: 0,
+        submittedAt: new Date(),
+        challenge: { _id: new mongoose.Types.ObjectId(), title: 'Benchmark', difficulty: 'medium' }
+      })));
+      const endorsements = users.flatMap(user => skills.flatMap(skill =>
+        Array.from({ length: BENCHMARK_DEFAULTS.endorsementsPerSkill }, () => ({
+          _id: new mongoose.Types.ObjectId(),
+          recipient: user._id,
+          skill: skill._id,
+          level: 'advanced',
+          weight: 0.5,
+          isVerified: false,
+          createdAt: new Date(),
+          endorser: { _id: new mongoose.Types.ObjectId(), name: 'Bench Endorser' }
+        }))
+      ));
+      return { users, skills, passes, endorsements };
+    };
+
+    // Answers every query a recalculation makes and counts them
+    const mockQueries = ({ users, skills, passes, endorsements }) => {
+      const queries = [
+        jest.spyOn(User, 'find').mockReturnValue(lean(users)),
+        jest.spyOn(Submission, 'aggregate').mockResolvedValue(passes),
+        jest.spyOn(Endorsement, 'aggregate').mockResolvedValue(endorsements),
+        jest.spyOn(Skill, 'find').mockReturnValue(lean(skills)),
+        jest.spyOn(ScoringProfile, 'find').mockReturnValue(lean([])),
+        jest.spyOn(User, 'bulkWrite').mockResolvedValue({}),
+        jest.spyOn(CredibilitySnapshot, 'aggregate').mockResolvedValue([]),
+        jest.spyOn(CredibilitySnapshot, 'insertMany').mockImplementation(async docs => docs)
+      ];
+      return () => queries.reduce((total, query) => total + query.mock.calls.length, 0);
+    };
+
+    const measure = async (userCount, skillCount, fn) => {
+      const evidence = evidenceFor(userCount, skillCount);
+      const count = mockQueries(evidence);
+      await fn(evidence.users.map(user => user._id));
+      const commands = count();
+      jest.restoreAllMocks();
+      return commands;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('issues the same queries at every skill count the benchmark seeds', async () => {
+      const counts = [];
+
+      for (const skillCount of BENCHMARK_DEFAULTS.skillCounts) {
+        const single = await measure(1, skillCount, ([userId]) => updateAllSkillScores(userId, 'manual'));
+        const batch = await measure(BENCHMARK_DEFAULTS.usersPerRun, skillCount, userIds => recalculateScores(userIds, 'manual'));
+        counts.push({ skillCount, single, batch });
+      }
+
+      // Five evidence queries, the bulk score write, the latest-snapshot lookup and the snapshot insert
+      expect(counts.map(count => [count.single, count.batch])).toEqual(counts.map(() => [8, 8]));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      expect(() => assertFixedCommandCounts(counts)).not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Assessment Session Model
+ * Represents an adaptive skill assessment
+ * Challenges are served one at a time, each chosen to be most informative
+ * at the candidate's current ability estimate
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Assessment Session Schema Definition
+ */
+const assessmentSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'abandoned'],
+    default: 'active'
+  },
+  stopReason: {
+    type: String,
+    enum: ['confidence-reached', 'max-items', 'no-challenges', 'abandoned', null],
+    default: null
+  },
+
+  // Current ability estimate (IRT θ, standard-normal scale)
+  ability: {
+    type: Number,
+    default: 0
+  },
+  standardError: {
+    type: Number,
+    default: 1
+  },
+
+  // Challenge currently served to the candidate
+  currentChallenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    default: null
+  },
+  servedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Graded responses in the order they were served
+  responses: [{
+    challenge: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Challenge',
+      required: true
+    },
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission',
+      required: true
+    },
+    passed: {
+      type: Boolean,
+      required: true
+    },
+    difficulty: {
+      type: Number // IRT b used for the estimate
+    },
+    discrimination: {
+      type: Number // IRT a used for the estimate
+    },
+    abilityAfter: {
+      type: Number
+    },
+    standardErrorAfter: {
+      type: Number
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Index for efficient queries
+ */
+assessmentSessionSchema.index({ user: 1, skill: 1, status: 1 });
+assessmentSessionSchema.index({ user: 1, currentChallenge: 1, status: 1 });
+
+module.exports = mongoose.model('AssessmentSession', assessmentSessionSchema);
@@ -0,0 +1,158 @@
+/**
+ * Attempt Model
+ * Represents a timed attempt at a challenge
+ * The server starts the clock, so time limits and time spent can't be forged
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Attempt Schema Definition
+ */
+const attemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  challengeVersion: {
+    type: Number, // ChallengeVersion served when the attempt started
+    default: null
+  },
+
+  // Server-side timer
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null when the challenge has no time limit
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['active', 'submitted', 'expired'],
+    default: 'active'
+  },
+  submission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Submission',
+    default: null
+  },
+
+  // Integrity telemetry reported by the frontend (integrity mode only)
+  integrityEvents: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['blur', 'paste', 'typing'],
+      required: true
+    },
+    at: {
+      type: Date, // client time of the event
+      required: true
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    },
+    durationMs: {
+      type: Number, // blur: how long focus was lost
+      min: 0
+    },
+    size: {
+      type: Number, // paste: characters pasted
+      min: 0
+    },
+    meanIntervalMs: {
+      type: Number, // typing: mean gap between keystrokes in the sample
+      min: 0
+    },
+    keystrokes: {
+      type: Number, // typing: keystrokes in the sample
+      min: 0
+    }
+  }],
+
+  // Hints unlocked during the attempt, in order
+  hintsUnlocked: [{
+    _id: false,
+    index: {
+      type: Number, // position in Challenge.hints
+      required: true
+    },
+    penalty: {
+      type: Number, // penalty at the time it was unlocked
+      default: 0
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+/**
+ * Virtual field for seconds left on the timer
+ */
+attemptSchema.virtual('secondsRemaining').get(function() {
+  if (!this.expiresAt || this.status !== 'active') return null;
+  return Math.max(0, Math.round((this.expiresAt - Date.now()) / 1000));
+});
+
+/**
+ * Virtual field for the score penalty from unlocked hints
+ */
+attemptSchema.virtual('hintPenalty').get(function() {
+  return (this.hintsUnlocked || []).reduce((total, hint) => total + (hint.penalty || 0), 0);
+});
+
+/**
+ * Index for efficient queries
+ */
+attemptSchema.index({ user: 1, challenge: 1, status: 1 });
+attemptSchema.index({ user: 1, challenge: 1, attemptNumber: 1 }, { unique: true });
+
+/**
+ * Check whether the attempt's time limit has passed
+ * @param {Number} graceSeconds - Allowance for network latency
+ * @returns {Boolean}
+ */
+attemptSchema.methods.isExpired = function(graceSeconds = 0) {
+  return Boolean(this.expiresAt) && Date.now() > this.expiresAt.getTime() + graceSeconds * 1000;
+};
+
+/**
+ * Static method to get a user's active attempt for a challenge
+ * @param {ObjectId} userId - The user ID
+ * @param {ObjectId} challengeId - The challenge ID
+ */
+attemptSchema.statics.findActive = async function(userId, challengeId) {
+  return this.findOne({
+    user: userId,
+    challenge: challengeId,
+    status: 'active'
+  });
+};
+
+module.exports = mongoose.model('Attempt', attemptSchema);
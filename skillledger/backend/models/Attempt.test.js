@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Attempt = require('./Attempt');
+
+describe('Attempt', () => {
+  describe('hintPenalty', () => {
+    it('adds up the penalties of the hints unlocked', () => {
+      const attempt = new Attempt({
+        user: new mongoose.Types.ObjectId(),
+        challenge: new mongoose.Types.ObjectId(),
+        hintsUnlocked: [{ index: 0, penalty: 5 }, { index: 1, penalty: 10 }, { index: 2 }]
+      });
+
+      expect(attempt.hintPenalty).toBe(15);
+    });
+
+    it('is 0 without hints', () => {
+      expect(new Attempt({}).hintPenalty).toBe(0);
+    });
+  });
+});
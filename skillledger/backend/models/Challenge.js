@@ -64,6 +64,23 @@ const challengeSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  cooldown: {
+    baseMinutes: {
+      type: Number, // wait after the first failed attempt (0, the default, disables)
+      min: 0,
+      default: 0
+    },
+    multiplier: {
+      type: Number, // growth per additional consecutive failure
+      min: 1,
+      default: 2
+    },
+    maxMinutes: {
+      type: Number,
+      min: 0,
+      default: 24 * 60
+    }
+  },
   passingScore: {
     type: Number,
     min: 0,
@@ -100,6 +117,31 @@ const challengeSchema = new mongoose.Schema({
     }
   }],
   
+  // Human review policy (multiple blind reviewers for subjective challenges)
+  reviewPolicy: {
+    reviewersRequired: {
+      type: Number,
+      min: 1,
+      max: 9,
+      default: 1
+    },
+    aggregation: {
+      type: String,
+      enum: ['median', 'trimmed-mean'],
+      default: 'median'
+    },
+    disagreementThreshold: {
+      type: Number, // max score spread before adjudication
+      min: 0,
+      max: 100,
+      default: 25
+    },
+    blind: {
+      type: Boolean, // hide candidate identity from reviewers
+      default: true
+    }
+  },
+  
   // Submission requirements
   submissionFormat: {
     type: String,
@@ -110,6 +152,115 @@ const challengeSchema = new mongoose.Schema({
     type: String
   }],
   
+  // Test cases run by the code runner for auto-grading
+  // Hidden inputs and expected outputs never leave the server
+  testCases: [{
+    input: {
+      type: mongoose.Schema.Types.Mixed,
+      default: ''
+    },
+    expectedOutput: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    hidden: {
+      type: Boolean, // hidden cases grade submissions; public ones are shown as examples
+      default: true
+    }
+  }],
+  
+  // Opt-in integrity mode: the frontend reports attempt telemetry
+  integrity: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    reviewThreshold: {
+      type: Number, // integrity scores below this go to human review
+      min: 0,
+      max: 100,
+      default: 60
+    }
+  },
+  
+  // Hints revealed on request during an attempt
+  hints: [{
+    text: {
+      type: String,
+      required: true,
+      maxlength: 2000
+    },
+    penalty: {
+      type: Number, // points deducted from the score when revealed
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  }],
+  
+  // Learning resources linked from the challenge
+  resources: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: ['article', 'video', 'documentation', 'course', 'other'],
+      default: 'other'
+    }
+  }],
+  
+  // Lifecycle: draft → in-review → published → retired
+  status: {
+    type: String,
+    enum: ['draft', 'in-review', 'published', 'retired'],
+    default: 'draft'
+  },
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: {
+      type: String,
+      default: ''
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  // Latest published ChallengeVersion (0 until first published)
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  
   // Challenge status
   isActive: {
     type: Boolean,
@@ -126,8 +277,37 @@ const challengeSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  clonedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    default: null
+  },
+  
+  // IRT calibration (fitted offline by utils/irtCalibration)
+  calibration: {
+    difficulty: {
+      type: Number, // b: ability at which half of candidates pass
+      default: null
+    },
+    discrimination: {
+      type: Number, // a: how sharply the challenge separates abilities
+      default: null
+    },
+    standardError: {
+      type: Number,
+      default: null
+    },
+    sampleSize: {
+      type: Number,
+      default: 0
+    },
+    calibratedAt: {
+      type: Date,
+      default: null
+    }
+  },
   
-  // Statistics
+  // Statistics (maintained by utils/challengeStats)
   totalAttempts: {
     type: Number,
     default: 0
@@ -170,19 +350,88 @@ challengeSchema.index({ skill: 1 });
 challengeSchema.index({ difficulty: 1 });
 challengeSchema.index({ category: 1 });
 challengeSchema.index({ isActive: 1 });
+challengeSchema.index({ status: 1 });
 challengeSchema.index({ createdBy: 1 });
 challengeSchema.index({ tags: 1 });
 challengeSchema.index({ createdAt: -1 });
 
 /**
- * Pre-save middleware to update statistics
+ * Whether submissions need a human decision before they can be verified
+ * True when any verification criterion is not auto-verifiable, or when
+ * the challenge is scored by a panel of reviewers
+ */
+challengeSchema.methods.requiresHumanReview = function() {
+  return this.verificationCriteria.some(criterion => !criterion.autoVerify) ||
+    (this.reviewPolicy && this.reviewPolicy.reviewersRequired > 1);
+};
+
+/**
+ * Challenge as shown to candidates
+ * Drops hidden test cases, grader config (answer keys, rules) and hint text
+ * @returns {Object} Candidate-safe challenge
  */
-challengeSchema.pre('save', function(next) {
-  if (this.isModified('totalAttempts') && this.totalAttempts > 0) {
-    // Calculate average score would be updated separately
+challengeSchema.methods.toCandidateJSON = function() {
+  const view = this.toJSON();
+
+  const testCases = view.testCases || [];
+  view.testCases = testCases
+    .filter(testCase => testCase.hidden === false)
+    .map(({ input, expectedOutput, description }) => ({ input, expectedOutput, description }));
+  view.hiddenTestCaseCount = testCases.length - view.testCases.length;
+
+  if (view.content && typeof view.content === 'object') {
+    const { grader, ...content } = view.content;
+    view.content = content;
   }
-  next();
-});
+  delete view.statusHistory;
+
+  // Hint text is only served once unlocked during an attempt
+  view.hints = (view.hints || []).map(({ penalty }) => ({ penalty }));
+
+  return view;
+};
+
+/**
+ * Allowed lifecycle transitions
+ */
+const STATUS_TRANSITIONS = {
+  'draft': ['in-review'],
+  'in-review': ['draft', 'published'],
+  'published': ['retired'],
+  'retired': ['published']
+};
+
+/**
+ * Whether the challenge may move to a lifecycle status
+ * @param {String} status - Target status
+ * @returns {Boolean}
+ */
+challengeSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the challenge to a lifecycle status and record it in the history
+ * Does not save; the caller saves (and snapshots a version when publishing)
+ * @param {String} status - Target status
+ * @param {ObjectId} userId - Who made the change
+ * @param {String} note - Optional note (e.g. requested changes)
+ */
+challengeSchema.methods.transitionTo = function(status, userId, note = '') {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move a ${this.status} challenge to ${status}`);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, changedBy: userId, note });
+
+  if (status === 'published') {
+    this.publishedAt = Date.now();
+    this.retiredAt = null;
+  } else if (status === 'retired') {
+    this.retiredAt = Date.now();
+  }
+};
 
 /**
  * Static method to find challenges by skill
@@ -193,6 +442,7 @@ challengeSchema.statics.findBySkill = async function(skillId, filters = {}) {
   return this.find({
     skill: skillId,
     isActive: true,
+    status: 'published',
     ...filters
   }).sort({ difficulty: 1, createdAt: -1 });
 };
@@ -205,7 +455,8 @@ challengeSchema.statics.findBySkill = async function(skillId, filters = {}) {
 challengeSchema.statics.findByDifficulty = async function(difficulty, limit = 20) {
   return this.find({
     difficulty,
-    isActive: true
+    isActive: true,
+    status: 'published'
   })
     .populate('skill', 'name category')
     .populate('createdBy', 'profile.firstName profile.lastName')
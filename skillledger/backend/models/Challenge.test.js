@@ -0,0 +1,18 @@
+const Challenge = require('./Challenge');
+
+describe('Challenge', () => {
+  it('has no failure cooldown unless one is set', () => {
+    expect(new Challenge({ title: 'Reverse a string' }).cooldown.baseMinutes).toBe(0);
+  });
+
+  describe('toCandidateJSON', () => {
+    it('shows the cost of each hint but not its text', () => {
+      const challenge = new Challenge({
+        title: 'Reverse a string',
+        hints: [{ text: 'Try a loop from the end', penalty: 5 }, { text: 'Array#reverse exists' }]
+      });
+
+      expect(challenge.toCandidateJSON().hints).toEqual([{ penalty: 5 }, { penalty: 0 }]);
+    });
+  });
+});
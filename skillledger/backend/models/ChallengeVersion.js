@@ -0,0 +1,129 @@
+/**
+ * Challenge Version Model
+ * Immutable snapshot of the parts of a challenge that decide a grade
+ * Submissions pin the version they were graded against, so editing a
+ * challenge never changes past results
+ *
+ * The grader and review fields have no defaults: versions published before
+ * they were snapshotted don't have them, and read them from the challenge
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Challenge Version Schema Definition
+ */
+const challengeVersionSchema = new mongoose.Schema({
+  challenge: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Challenge',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Graded fields, copied from the challenge at publish time
+  instructions: {
+    type: String,
+    required: true
+  },
+  content: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  testCases: [{
+    input: {
+      type: mongoose.Schema.Types.Mixed,
+      default: ''
+    },
+    expectedOutput: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    description: {
+      type: String,
+      default: ''
+    },
+    hidden: {
+      type: Boolean, // hidden cases grade submissions; public ones are shown as examples
+      default: true
+    }
+  }],
+  passingScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+
+  // Pick the grader (utils/graders)
+  category: {
+    type: String
+  },
+  submissionFormat: {
+    type: String
+  },
+
+  // Decide whether and how submissions are reviewed
+  verificationCriteria: {
+    type: [{
+      criterion: {
+        type: String,
+        required: true
+      },
+      weight: {
+        type: Number,
+        default: 1
+      },
+      autoVerify: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    default: undefined
+  },
+  reviewPolicy: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  integrity: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  notes: {
+    type: String,
+    maxlength: 1000,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: 'publishedAt', updatedAt: false },
+  minimize: false
+});
+
+/**
+ * Index for efficient queries
+ */
+challengeVersionSchema.index({ challenge: 1, version: 1 }, { unique: true });
+
+/**
+ * Versions are write-once
+ */
+challengeVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Challenge versions are immutable'));
+  }
+  next();
+});
+
+challengeVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Challenge versions are immutable'));
+});
+
+module.exports = mongoose.model('ChallengeVersion', challengeVersionSchema);
@@ -0,0 +1,95 @@
+/**
+ * Collusion Report Model
+ * Result of one endorsement collusion screening run (see
+ * utils/collusionDetection), with the evidence for every finding
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Finding Schema
+ * One suspicious group of users and the endorsements between them
+ */
+const findingSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['reciprocal', 'clique', 'burst'],
+    required: true
+  },
+  // Action applied to the finding's endorsements
+  action: {
+    type: String,
+    enum: ['down-weighted', 'quarantined'],
+    required: true
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  endorsements: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Endorsement'
+  }],
+  // Type-specific measurements, e.g. time between reciprocal endorsements
+  evidence: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, { _id: false });
+
+/**
+ * Collusion Report Schema Definition
+ */
+const collusionReportSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  // Settings the run used
+  thresholds: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  stats: {
+    endorsementsAnalyzed: {
+      type: Number,
+      default: 0
+    },
+    usersAnalyzed: {
+      type: Number,
+      default: 0
+    }
+  },
+  findings: [findingSchema],
+  // Endorsements whose screening state this run changed
+  changes: {
+    downWeighted: {
+      type: Number,
+      default: 0
+    },
+    quarantined: {
+      type: Number,
+      default: 0
+    },
+    restored: {
+      type: Number,
+      default: 0
+    }
+  },
+  recalculatedUsers: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+/**
+ * Index for efficient queries
+ */
+collusionReportSchema.index({ createdAt: -1 });
+collusionReportSchema.index({ 'findings.members': 1 });
+
+module.exports = mongoose.model('CollusionReport', collusionReportSchema);
@@ -0,0 +1,93 @@
+/**
+ * Credibility Snapshot Model
+ * One skill's credibility score as of a single recalculation
+ * Appended by recalculateScores; never edited, so the collection is
+ * the history of how each score evolved
+ */
+
+const mongoose = require('mongoose');
+
+// What caused a recalculation
+const SNAPSHOT_TRIGGERS = [
+  'submission',    // a challenge submission was auto-verified
+  'review',        // a reviewer decided a submission
+  'assessment',    // an adaptive assessment completed
+  'endorsement',   // an endorsement was given, changed or revoked
+  'profile-edit',  // the candidate edited a skill on their profile
+  'decay-job',     // scheduled recalculation for time decay
+  'collusion',     // collusion screening flagged or restored endorsements
+  'manual'
+];
+
+/**
+ * Credibility Snapshot Schema Definition
+ */
+const credibilitySnapshotSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: SNAPSHOT_TRIGGERS,
+    default: 'manual'
+  },
+
+  // Result of calculateSkillCredibility
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  breakdown: {
+    challengeScore: Number,
+    assessmentScore: Number,
+    challengeComponent: Number,
+    endorsementScore: Number,
+    proficiencyScore: Number,
+    hintAssistedPasses: Number
+  },
+  decayFactor: {
+    type: Number,
+    default: 1
+  },
+  scoringProfile: {
+    profile: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScoringProfile'
+    },
+    name: String,
+    version: Number
+  },
+
+  // The user's overall score after the same recalculation
+  overallScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Index for efficient queries
+ */
+credibilitySnapshotSchema.index({ user: 1, skill: 1, recordedAt: 1 });
+credibilitySnapshotSchema.index({ user: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('CredibilitySnapshot', credibilitySnapshotSchema);
@@ -1,11 +1,29 @@
 /**
  * Endorsement Model
  * Represents peer endorsements for skills in the SkillLedger system
- * Endorsements are weighted based on endorser's credibility
+ * Endorsements are weighted on the server (see utils/endorsementWeighting)
  */
 
 const mongoose = require('mongoose');
 
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Default endorsement lifetime by skill category, in days; skills in fast-moving
+ * categories go stale sooner. ENDORSEMENT_LIFETIME_DAYS overrides these as
+ * category=days pairs, e.g. "technical=365,default=730"
+ */
+const ENDORSEMENT_LIFETIME_DAYS = {
+  default: 730,
+  technical: 545,
+  analytical: 545,
+  language: 1095,
+  soft: 1095,
+  communication: 1095,
+  leadership: 1095,
+  ...parseLifetimes(process.env.ENDORSEMENT_LIFETIME_DAYS)
+};
+
 /**
  * Endorsement Schema Definition
  */
@@ -50,6 +68,19 @@ const endorsementSchema = new mongoose.Schema({
     max: 1,
     default: 0.5
   },
+  // How the weight was reached (see utils/endorsementWeighting)
+  weighting: {
+    skillCredibility: Number,     // endorser's credibility in the endorsed skill
+    verificationLevel: String,    // endorser's account verification level
+    relationshipEndedAt: Date,
+    factors: {
+      credibility: Number,
+      verification: Number,
+      context: Number,
+      recency: Number
+    },
+    computedAt: Date
+  },
   
   // Context of endorsement
   context: {
@@ -63,15 +94,89 @@ const endorsementSchema = new mongoose.Schema({
     default: ''
   },
   
+  // Evidence of the working relationship (context is the relationship itself)
+  evidence: {
+    startDate: {
+      type: Date,
+      default: null
+    },
+    endDate: {
+      type: Date,
+      default: null
+    },
+    // A challenge submission both parties worked on (see utils/endorsements)
+    submission: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Submission',
+      default: null
+    },
+    // The recipient agrees the relationship and evidence are accurate
+    confirmedByRecipient: {
+      type: Boolean,
+      default: false
+    },
+    confirmedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Endorsement validity
   isValid: {
     type: Boolean,
     default: true
   },
+  // Set from the skill category's lifetime; null for endorsements from before
+  // expiry, which use the default lifetime from createdAt
   expiresAt: {
     type: Date,
     default: null
   },
+  // Latest reconfirmation by the endorser (see POST /api/endorsements/:id/renew)
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+  
+  // Collusion screening (see utils/collusionDetection)
+  collusion: {
+    status: {
+      type: String,
+      enum: ['none', 'down-weighted', 'quarantined', 'dismissed'],
+      default: 'none'
+    },
+    reasons: [{
+      type: String,
+      enum: ['reciprocal', 'clique', 'burst']
+    }],
+    // Weight before screening changed it, restored when the flag is lifted
+    originalWeight: {
+      type: Number,
+      default: null
+    },
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CollusionReport',
+      default: null
+    },
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    }
+  },
   
   // Timestamps
   endorsedAt: {
@@ -91,23 +196,96 @@ endorsementSchema.index({ recipient: 1, skill: 1 });
 endorsementSchema.index({ endorser: 1 });
 endorsementSchema.index({ skill: 1 });
 endorsementSchema.index({ endorsedAt: -1 });
+endorsementSchema.index({ 'collusion.status': 1 });
+endorsementSchema.index({ expiresAt: 1 });
 
 /**
- * Pre-save middleware to calculate weight based on endorser's credibility
+ * Date range must be in order
  */
-endorsementSchema.pre('save', async function(next) {
-  if (this.isModified('endorser') || this.isModified('weight')) {
-    const endorser = await this.constructor('User').findById(this.endorser);
-    if (endorser) {
-      // Weight is based on endorser's credibility score
-      const endorserCredibility = endorser.credibilityScore || 0;
-      // Scale weight: higher credibility = higher weight
-      this.weight = Math.min(0.5 + (endorserCredibility / 200), 1);
-    }
+endorsementSchema.pre('validate', function(next) {
+  const { startDate, endDate } = this.evidence || {};
+  if (startDate && endDate && endDate < startDate) {
+    this.invalidate('evidence.endDate', 'End date must be after start date');
   }
   next();
 });
 
+/**
+ * Pre-save middleware to mark evidence-backed, confirmed endorsements verified
+ */
+endorsementSchema.pre('save', function(next) {
+  this.isVerified = this.hasEvidence() && this.evidence.confirmedByRecipient;
+  next();
+});
+
+/**
+ * Whether the endorsement is backed by evidence: a shared submission, or a
+ * named project with a start date
+ * @returns {Boolean}
+ */
+endorsementSchema.methods.hasEvidence = function() {
+  const evidence = this.evidence || {};
+  return Boolean(evidence.submission) || Boolean(this.projectName && evidence.startDate);
+};
+
+/**
+ * When the endorsement lapses
+ * Endorsements not yet backfilled (see utils/endorsements) use the default lifetime
+ * @returns {Date}
+ */
+endorsementSchema.methods.getExpiry = function() {
+  return this.expiresAt ||
+    new Date((this.createdAt || new Date()).getTime() + ENDORSEMENT_LIFETIME_DAYS.default * MS_PER_DAY);
+};
+
+/**
+ * Virtual flagging lapsed endorsements, so endorsers can see what to renew
+ */
+endorsementSchema.virtual('expired').get(function() {
+  return this.isExpired();
+});
+
+/**
+ * Whether the endorsement has lapsed
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Boolean}
+ */
+endorsementSchema.methods.isExpired = function(now = new Date()) {
+  return this.getExpiry() <= now;
+};
+
+/**
+ * Start a new lifetime for the endorsement
+ * @param {String} category - The endorsed skill's category
+ * @param {Date} from - Start of the lifetime (defaults to now)
+ */
+endorsementSchema.methods.setExpiry = function(category, from = new Date()) {
+  this.expiresAt = new Date(from.getTime() + this.constructor.lifetimeDaysFor(category) * MS_PER_DAY);
+};
+
+/**
+ * Lifetime of an endorsement in a skill category
+ * @param {String} category - Skill category
+ * @returns {Number} Days
+ */
+endorsementSchema.statics.lifetimeDaysFor = function(category) {
+  return ENDORSEMENT_LIFETIME_DAYS[category] || ENDORSEMENT_LIFETIME_DAYS.default;
+};
+
+/**
+ * Query condition matching endorsements that have not expired
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} Filter
+ */
+endorsementSchema.statics.unexpiredFilter = function(now = new Date()) {
+  return {
+    $or: [
+      { expiresAt: { $gt: now } },
+      { expiresAt: null, createdAt: { $gt: new Date(now.getTime() - ENDORSEMENT_LIFETIME_DAYS.default * MS_PER_DAY) } }
+    ]
+  };
+};
+
 /**
  * Static method to get endorsements for a user's skill
  * @param {ObjectId} userId - The user ID
@@ -117,46 +295,25 @@ endorsementSchema.statics.getForUserSkill = async function(userId, skillId) {
   return this.find({
     recipient: userId,
     skill: skillId,
-    isValid: true
+    isValid: true,
+    ...this.unexpiredFilter()
   })
     .populate('endorser', 'profile.firstName profile.lastName credibilityScore')
     .sort({ weight: -1, endorsedAt: -1 });
 };
 
 /**
- * Static method to calculate weighted endorsement score
- * @param {ObjectId} userId - The user ID
- * @param {ObjectId} skillId - The skill ID
+ * Parse category=days pairs
+ * @param {String} value - e.g. "technical=365,default=730"
+ * @returns {Object} Days by category
  */
-endorsementSchema.statics.calculateEndorsementScore = async function(userId, skillId) {
-  const endorsements = await this.find({
-    recipient: userId,
-    skill: skillId,
-    isValid: true
-  });
-  
-  if (endorsements.length === 0) return 0;
-  
-  let totalWeight = 0;
-  let weightedSum = 0;
-  
-  // Level scores
-  const levelScores = {
-    'beginner': 1,
-    'intermediate': 2,
-    'advanced': 3,
-    'expert': 4
-  };
-  
-  for (const endorsement of endorsements) {
-    const levelScore = levelScores[endorsement.level] || 1;
-    weightedSum += levelScore * endorsement.weight;
-    totalWeight += endorsement.weight;
+function parseLifetimes(value) {
+  const lifetimes = {};
+  for (const pair of (value || '').split(',')) {
+    const [category, days] = pair.split('=').map(part => part && part.trim());
+    if (category && parseInt(days, 10) > 0) lifetimes[category] = parseInt(days, 10);
   }
-  
-  // Normalize to 0-100 scale
-  const maxPossibleScore = 4 * endorsements.length;
-  return Math.round((weightedSum / maxPossibleScore) * 100);
-};
+  return lifetimes;
+}
 
 module.exports = mongoose.model('Endorsement', endorsementSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Endorsement = require('./Endorsement');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Endorsement', () => {
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+
+  const build = (fields = {}) => new Endorsement({
+    endorser: new mongoose.Types.ObjectId(),
+    recipient: new mongoose.Types.ObjectId(),
+    skill: new mongoose.Types.ObjectId(),
+    level: 'advanced',
+    ...fields
+  });
+
+  describe('lifetimeDaysFor', () => {
+    it('uses the category lifetime, else the default', () => {
+      expect(Endorsement.lifetimeDaysFor('technical')).toBe(545);
+      expect(Endorsement.lifetimeDaysFor('language')).toBe(1095);
+      expect(Endorsement.lifetimeDaysFor('creative')).toBe(730);
+      expect(Endorsement.lifetimeDaysFor(undefined)).toBe(730);
+    });
+  });
+
+  describe('setExpiry', () => {
+    it('starts a lifetime for the skill category', () => {
+      const endorsement = build();
+
+      endorsement.setExpiry('technical', createdAt);
+
+      expect(endorsement.expiresAt).toEqual(new Date(createdAt.getTime() + 545 * DAY));
+    });
+  });
+
+  describe('getExpiry / isExpired', () => {
+    it('uses the stored expiry', () => {
+      const endorsement = build({ expiresAt: new Date(createdAt.getTime() + 10 * DAY) });
+
+      expect(endorsement.isExpired(new Date(createdAt.getTime() + 9 * DAY))).toBe(false);
+      expect(endorsement.isExpired(new Date(createdAt.getTime() + 10 * DAY))).toBe(true);
+    });
+
+    it('falls back to the default lifetime for endorsements not yet backfilled', () => {
+      const endorsement = build();
+      endorsement.createdAt = createdAt;
+
+      expect(endorsement.getExpiry()).toEqual(new Date(createdAt.getTime() + 730 * DAY));
+    });
+  });
+
+  describe('unexpiredFilter', () => {
+    it('matches unexpired endorsements with and without a stored expiry', () => {
+      const now = new Date('2026-06-01T00:00:00Z');
+
+      expect(Endorsement.unexpiredFilter(now)).toEqual({
+        $or: [
+          { expiresAt: { $gt: now } },
+          { expiresAt: null, createdAt: { $gt: new Date(now.getTime() - 730 * DAY) } }
+        ]
+      });
+    });
+  });
+});
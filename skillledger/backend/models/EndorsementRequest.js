@@ -0,0 +1,101 @@
+/**
+ * Endorsement Request Model
+ * A student asking someone to endorse one of their skills, either an
+ * existing user or an email address invited with a signed token
+ */
+
+const mongoose = require('mongoose');
+
+const REQUEST_TTL_DAYS = parseInt(process.env.ENDORSEMENT_REQUEST_TTL_DAYS, 10) || 14;
+
+/**
+ * Endorsement Request Schema Definition
+ */
+const endorsementRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  skill: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Skill',
+    required: true
+  },
+
+  // Exactly one of these: an existing user, or an email to invite
+  endorser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  inviteEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  message: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000)
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  declineReason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  // Set once accepted
+  endorsement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Endorsement',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index for efficient queries
+ */
+endorsementRequestSchema.index({ requester: 1, status: 1 });
+endorsementRequestSchema.index({ endorser: 1, status: 1 });
+endorsementRequestSchema.index({ inviteEmail: 1, status: 1 });
+endorsementRequestSchema.index({ status: 1, expiresAt: 1 });
+
+/**
+ * Static method to mark overdue pending requests as expired
+ * @param {Object} filter - Limit to matching requests
+ */
+endorsementRequestSchema.statics.expireOverdue = async function(filter = {}) {
+  await this.updateMany(
+    { ...filter, status: 'pending', expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+/**
+ * Whether the request can still be answered
+ * @returns {Boolean}
+ */
+endorsementRequestSchema.methods.isOpen = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('EndorsementRequest', endorsementRequestSchema);
@@ -0,0 +1,30 @@
+const EndorsementRequest = require('./EndorsementRequest');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('EndorsementRequest', () => {
+  describe('isOpen', () => {
+    it('is open while pending and not yet expired', () => {
+      expect(new EndorsementRequest({ status: 'pending', expiresAt: new Date(Date.now() + DAY) }).isOpen()).toBe(true);
+      expect(new EndorsementRequest({ status: 'pending', expiresAt: new Date(Date.now() - DAY) }).isOpen()).toBe(false);
+      expect(new EndorsementRequest({ status: 'accepted', expiresAt: new Date(Date.now() + DAY) }).isOpen()).toBe(false);
+    });
+  });
+
+  describe('expireOverdue', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('expires overdue pending requests within the filter', async () => {
+      const updateMany = jest.spyOn(EndorsementRequest, 'updateMany').mockResolvedValue({});
+
+      await EndorsementRequest.expireOverdue({ requester: 'user' });
+
+      expect(updateMany).toHaveBeenCalledWith(
+        { requester: 'user', status: 'pending', expiresAt: { $lte: expect.any(Date) } },
+        { $set: { status: 'expired' } }
+      );
+    });
+  });
+});
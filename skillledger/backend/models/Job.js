@@ -0,0 +1,135 @@
+/**
+ * Job Model
+ * Persistent background job run by utils/jobRunner
+ * A running job holds a lease; if its runner dies the lease expires and
+ * another runner resumes it from the saved cursor
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Job Schema Definition
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Recurring jobs queue their next run this long after finishing
+  repeatEveryMs: {
+    type: Number,
+    min: 1000,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    default: 3
+  },
+
+  // Lease held by the runner working on the job
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  // Progress, saved as the handler goes so a resumed run can skip done work
+  progress: {
+    total: {
+      type: Number,
+      default: null
+    },
+    processed: {
+      type: Number,
+      default: 0
+    },
+    failed: {
+      type: Number,
+      default: 0
+    }
+  },
+  cursor: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  startedAt: Date,
+  finishedAt: Date,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+/**
+ * Index for efficient queries
+ */
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+
+/**
+ * At most one pending or running job per recurring type, so processes
+ * scheduling the same recurring job at once can't queue it twice
+ */
+jobSchema.index({ type: 1 }, {
+  unique: true,
+  partialFilterExpression: {
+    repeatEveryMs: { $gt: 0 },
+    status: { $in: ['queued', 'running'] }
+  }
+});
+
+/**
+ * Virtual field for percent complete
+ */
+jobSchema.virtual('percentComplete').get(function() {
+  if (this.status === 'completed') return 100;
+  if (!this.progress || !this.progress.total) return null;
+  return Math.min(100, Math.round((this.progress.processed / this.progress.total) * 100));
+});
+
+jobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,12 @@
+const Job = require('./Job');
+
+describe('Job', () => {
+  it('allows one pending run of each recurring job type', () => {
+    const [, options] = Job.schema.indexes().find(([fields]) => JSON.stringify(fields) === '{"type":1}');
+
+    expect(options).toMatchObject({
+      unique: true,
+      partialFilterExpression: { repeatEveryMs: { $gt: 0 }, status: { $in: ['queued', 'running'] } }
+    });
+  });
+});
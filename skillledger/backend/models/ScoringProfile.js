@@ -0,0 +1,176 @@
+/**
+ * Scoring Profile Model
+ * Named, versioned scoring policy used by utils/skillScoring
+ * A profile applies to the skill categories it lists; the default
+ * profile covers every other category
+ */
+
+const mongoose = require('mongoose');
+const Skill = require('./Skill');
+
+// Fields that change what a profile computes; changing any of them bumps the version
+const POLICY_FIELDS = ['weights', 'blend', 'decay', 'difficultyMultipliers'];
+
+const weight = { type: Number, min: 0, max: 100, required: true };
+const share = { type: Number, min: 0, max: 1, required: true };
+const multiplier = { type: Number, min: 0.1, max: 10 };
+
+/**
+ * Scoring Profile Schema Definition
+ */
+const scoringProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  categories: [{
+    type: String,
+    enum: Skill.schema.path('category').enumValues
+  }],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+
+  // Component weights (see SCORING_WEIGHTS in utils/skillScoring)
+  weights: {
+    challenge: {
+      passed: weight,
+      score: weight,
+      recency: weight,
+      difficulty: weight
+    },
+    endorsement: {
+      level: weight,
+      weight,
+      count: weight
+    },
+    proficiency: {
+      base: weight,
+      level: weight,
+      experience: weight
+    }
+  },
+  // Share of each component in the total; must add up to 1
+  blend: {
+    challenge: share,
+    endorsement: share,
+    proficiency: share
+  },
+  decay: {
+    startDays: {
+      type: Number, // no decay before this many days
+      min: 0,
+      required: true
+    },
+    periodDays: {
+      type: Number, // days after startDays for the factor to fall by 1
+      min: 1,
+      required: true
+    },
+    floor: share
+  },
+  // Challenge-score multiplier per difficulty (see DIFFICULTY_MULTIPLIERS in
+  // utils/skillScoring); profiles saved without them use the built-in values
+  difficultyMultipliers: {
+    easy: multiplier,
+    medium: multiplier,
+    hard: multiplier,
+    expert: multiplier
+  },
+
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Policy of every version, so past scores can be explained
+  history: [{
+    version: Number,
+    weights: mongoose.Schema.Types.Mixed,
+    blend: mongoose.Schema.Types.Mixed,
+    decay: mongoose.Schema.Types.Mixed,
+    difficultyMultipliers: mongoose.Schema.Types.Mixed,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Index for efficient queries
+ */
+scoringProfileSchema.index({ categories: 1 });
+scoringProfileSchema.index({ isDefault: 1 });
+
+/**
+ * Blend shares must add up to 1
+ */
+scoringProfileSchema.pre('validate', function(next) {
+  const { challenge = 0, endorsement = 0, proficiency = 0 } = this.blend || {};
+  if (Math.abs(challenge + endorsement + proficiency - 1) > 0.001) {
+    this.invalidate('blend', 'Blend shares must add up to 1');
+  }
+  next();
+});
+
+/**
+ * Bump the version when the policy differs from the latest recorded one
+ * and add it to history
+ * @param {ObjectId} userId - Admin making the change
+ */
+scoringProfileSchema.methods.recordVersion = function(userId) {
+  const plain = this.toObject();
+  const policy = {};
+  for (const field of POLICY_FIELDS) policy[field] = plain[field];
+
+  const latest = this.history[this.history.length - 1];
+  if (latest && POLICY_FIELDS.every(field =>
+    JSON.stringify(latest[field]) === JSON.stringify(policy[field])
+  )) {
+    return;
+  }
+
+  if (latest) this.version += 1;
+  this.updatedBy = userId;
+  this.history.push({ version: this.version, ...policy, changedBy: userId });
+};
+
+/**
+ * Find the profile that applies to a skill category
+ * @param {String} category - Skill category
+ * @returns {Promise<Object|null>} Category profile, else the default profile, else null
+ */
+scoringProfileSchema.statics.findForCategory = async function(category) {
+  if (category) {
+    const profile = await this.findOne({ categories: category }).select('-history');
+    if (profile) return profile;
+  }
+  return this.findOne({ isDefault: true }).select('-history');
+};
+
+module.exports = mongoose.model('ScoringProfile', scoringProfileSchema);
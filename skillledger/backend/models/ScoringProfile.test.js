@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const ScoringProfile = require('./ScoringProfile');
+const { DEFAULT_SCORING_PROFILE } = require('../utils/skillScoring');
+
+describe('ScoringProfile', () => {
+  const adminId = new mongoose.Types.ObjectId();
+
+  const buildProfile = (overrides = {}) => new ScoringProfile({
+    name: 'Technical',
+    weights: DEFAULT_SCORING_PROFILE.weights,
+    blend: DEFAULT_SCORING_PROFILE.blend,
+    decay: DEFAULT_SCORING_PROFILE.decay,
+    difficultyMultipliers: DEFAULT_SCORING_PROFILE.difficultyMultipliers,
+    ...overrides
+  });
+
+  describe('validation', () => {
+    it('accepts the built-in policy', () => {
+      expect(buildProfile({ categories: ['technical'] }).validateSync()).toBeUndefined();
+    });
+
+    it('only accepts skill categories', () => {
+      const error = buildProfile({ categories: ['technical', 'astrology'] }).validateSync();
+
+      expect(Object.keys(error.errors)).toEqual(['categories.1']);
+    });
+
+    it('requires blend shares that add up to 1', async () => {
+      const profile = buildProfile({ blend: { challenge: 0.5, endorsement: 0.5, proficiency: 0.5 } });
+
+      await expect(profile.validate()).rejects.toThrow('Blend shares must add up to 1');
+    });
+
+    it('keeps difficulty multipliers within 0.1-10', () => {
+      const error = buildProfile({ difficultyMultipliers: { easy: 0, expert: 12 } }).validateSync();
+
+      expect(Object.keys(error.errors).sort()).toEqual(['difficultyMultipliers.easy', 'difficultyMultipliers.expert']);
+    });
+  });
+
+  describe('recordVersion', () => {
+    it('records the first policy as version 1', () => {
+      const profile = buildProfile();
+
+      profile.recordVersion(adminId);
+
+      expect(profile.version).toBe(1);
+      expect(profile.history).toHaveLength(1);
+      expect(profile.history[0]).toMatchObject({ version: 1, changedBy: adminId, difficultyMultipliers: DEFAULT_SCORING_PROFILE.difficultyMultipliers });
+    });
+
+    it('bumps the version only when the policy changes', () => {
+      const profile = buildProfile();
+      profile.recordVersion(adminId);
+
+      profile.description = 'Renamed things only';
+      profile.recordVersion(adminId);
+      expect(profile.version).toBe(1);
+
+      profile.set('difficultyMultipliers.expert', 4);
+      profile.recordVersion(adminId);
+      expect(profile.version).toBe(2);
+      expect(profile.history.map(entry => entry.difficultyMultipliers.expert)).toEqual([DEFAULT_SCORING_PROFILE.difficultyMultipliers.expert, 4]);
+    });
+  });
+
+  describe('findForCategory', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const mockFindOne = results => jest.spyOn(ScoringProfile, 'findOne')
+      .mockImplementation(query => ({ select: async () => results(query) }));
+
+    it("prefers the category's profile over the default", async () => {
+      const technical = buildProfile();
+      mockFindOne(query => (query.categories === 'technical' ? technical : null));
+
+      await expect(ScoringProfile.findForCategory('technical')).resolves.toBe(technical);
+    });
+
+    it('falls back to the default profile', async () => {
+      const fallback = buildProfile({ name: 'Default', isDefault: true });
+      const findOne = mockFindOne(query => (query.isDefault ? fallback : null));
+
+      await expect(ScoringProfile.findForCategory('creative')).resolves.toBe(fallback);
+      await expect(ScoringProfile.findForCategory(undefined)).resolves.toBe(fallback);
+      expect(findOne).toHaveBeenCalledTimes(3);
+    });
+  });
+});
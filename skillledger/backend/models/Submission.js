@@ -6,6 +6,37 @@
 
 const mongoose = require('mongoose');
 
+/**
+ * Rubric score for a single verification criterion
+ */
+const rubricScoreSchema = new mongoose.Schema({
+  criterion: {
+    type: String,
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  score: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['reviewer', 'auto'],
+    default: 'reviewer'
+  },
+  comment: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
 /**
  * Submission Schema Definition
  */
@@ -31,6 +62,10 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  language: {
+    type: String,
+    default: null
+  },
   
   // Grading and scoring
   score: {
@@ -73,12 +108,75 @@ const submissionSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  requiresReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewLock: {
+    reviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    claimedAt: {
+      type: Date,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+  rubricScores: [rubricScoreSchema],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
   
   // Attempt tracking
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attempt',
+    default: null
+  },
   attemptNumber: {
     type: Number,
     default: 1
   },
+  challengeVersion: {
+    type: Number, // ChallengeVersion this submission was graded against
+    default: null
+  },
+  
+  // Hints unlocked during the attempt and the points they cost
+  hintsUsed: [{
+    _id: false,
+    index: {
+      type: Number, // position in Challenge.hints
+      required: true
+    },
+    penalty: {
+      type: Number, // penalty at the time it was unlocked
+      default: 0
+    },
+    unlockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  hintPenalty: {
+    type: Number,
+    default: 0
+  },
+  rawScore: {
+    type: Number, // score before the hint penalty
+    default: null
+  },
   timeSpent: {
     type: Number, // in seconds
     default: 0
@@ -88,10 +186,129 @@ const submissionSchema = new mongoose.Schema({
     default: Date.now
   },
   
+  // Whether this submission is included in the challenge statistics
+  countedInStats: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Attempt integrity (integrity-mode challenges, see utils/integrity)
+  integrity: {
+    events: {
+      type: [mongoose.Schema.Types.Mixed], // telemetry copied from the attempt
+      select: false
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    },
+    signals: [{
+      _id: false,
+      signal: String,
+      value: Number,
+      penalty: Number,
+      detail: String
+    }],
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    computedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
+  // Similarity to other candidates' submissions (see utils/similarity)
+  similarity: {
+    fingerprints: {
+      type: [Number], // winnowed hashes, kept for later comparisons
+      select: false
+    },
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    maxScore: {
+      type: Number,
+      default: 0
+    },
+    matches: [{
+      _id: false,
+      submission: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Submission'
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      score: Number
+    }],
+    checkedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Auto-grading results
   autoGradingResults: {
     type: mongoose.Schema.Types.Mixed,
     default: null
+  },
+  
+  // Independent blind reviews and their aggregate
+  consensus: {
+    reviews: [{
+      reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+      },
+      rubricScores: [rubricScoreSchema],
+      comments: {
+        type: String,
+        default: ''
+      },
+      submittedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    aggregation: {
+      type: String,
+      enum: ['median', 'trimmed-mean'],
+      default: null
+    },
+    finalScore: {
+      type: Number,
+      default: null
+    },
+    spread: {
+      type: Number,
+      default: null
+    },
+    needsAdjudication: {
+      type: Boolean,
+      default: false
+    },
+    adjudicatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    adjudicatedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true,
@@ -107,18 +324,7 @@ submissionSchema.index({ challenge: 1 });
 submissionSchema.index({ user: 1 });
 submissionSchema.index({ isVerified: 1 });
 submissionSchema.index({ submittedAt: -1 });
-
-/**
- * Pre-save middleware to check passing status
- */
-submissionSchema.pre('save', function(next) {
-  if (this.isModified('score') && this.challenge) {
-    // Will be populated when challenge is set
-    // For now, mark as passed if score >= passingScore (to be updated)
-    this.isPassed = this.score >= 70; // Default, should be challenge.passingScore
-  }
-  next();
-});
+submissionSchema.index({ requiresReview: 1, reviewStatus: 1, submittedAt: 1 });
 
 /**
  * Static method to get user's best submission for a challenge
@@ -147,4 +353,65 @@ submissionSchema.statics.getUserSubmissions = async function(userId, challengeId
     .sort({ submittedAt: -1 });
 };
 
+/**
+ * Static method to claim a submission for review
+ * Succeeds only if the submission is unclaimed, its lock has expired,
+ * or the reviewer already holds it (which extends the lock).
+ * Reviewers can't claim a submission they have already scored.
+ * @param {ObjectId} submissionId - The submission ID
+ * @param {ObjectId} reviewerId - The reviewer's user ID
+ * @param {Number} lockMinutes - How long the claim lasts
+ */
+submissionSchema.statics.claimForReview = async function(submissionId, reviewerId, lockMinutes) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: submissionId,
+      requiresReview: true,
+      reviewStatus: { $in: ['pending', 'in-review'] },
+      'consensus.needsAdjudication': { $ne: true },
+      'consensus.reviews.reviewer': { $ne: reviewerId },
+      $or: [
+        { 'reviewLock.reviewer': null },
+        { 'reviewLock.expiresAt': { $lte: now } },
+        { 'reviewLock.reviewer': reviewerId }
+      ]
+    },
+    {
+      reviewStatus: 'in-review',
+      reviewLock: {
+        reviewer: reviewerId,
+        claimedAt: now,
+        expiresAt: new Date(now.getTime() + lockMinutes * 60 * 1000)
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Check whether a reviewer currently holds the review lock
+ * @param {ObjectId} reviewerId - The reviewer's user ID
+ * @returns {Boolean}
+ */
+submissionSchema.methods.isLockedBy = function(reviewerId) {
+  return Boolean(
+    this.reviewLock &&
+    this.reviewLock.reviewer &&
+    this.reviewLock.reviewer.toString() === reviewerId.toString() &&
+    this.reviewLock.expiresAt > Date.now()
+  );
+};
+
+/**
+ * Score once the hint penalty is taken off
+ * Pass decisions compare this, not the raw score, to the passing score
+ * @param {Number} rawScore - Score from the grader or reviewers
+ * @returns {Number} Penalized score, never below 0
+ */
+submissionSchema.methods.scoreAfterHints = function(rawScore) {
+  return Math.max(0, rawScore - (this.hintPenalty || 0));
+};
+
 module.exports = mongoose.model('Submission', submissionSchema);
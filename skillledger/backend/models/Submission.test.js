@@ -0,0 +1,17 @@
+const Submission = require('./Submission');
+
+describe('Submission', () => {
+  describe('scoreAfterHints', () => {
+    it('takes the hint penalty off the score', () => {
+      expect(new Submission({ hintPenalty: 10 }).scoreAfterHints(75)).toBe(65);
+    });
+
+    it('never goes below 0', () => {
+      expect(new Submission({ hintPenalty: 30 }).scoreAfterHints(20)).toBe(0);
+    });
+
+    it('leaves the score alone without hints', () => {
+      expect(new Submission({}).scoreAfterHints(75)).toBe(75);
+    });
+  });
+});
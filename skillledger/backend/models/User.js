@@ -1,7 +1,7 @@
 /**
  * User Model
  * Represents users in the SkillLedger system
- * Supports three roles: Student, Recruiter, Admin
+ * Supports four roles: Student, Recruiter, Reviewer, Admin
  */
 
 const mongoose = require('mongoose');
@@ -30,7 +30,7 @@ const userSchema = new mongoose.Schema({
   // Role-based access control
   role: {
     type: String,
-    enum: ['student', 'recruiter', 'admin'],
+    enum: ['student', 'recruiter', 'reviewer', 'admin'],
     default: 'student'
   },
   
@@ -102,10 +102,36 @@ const userSchema = new mongoose.Schema({
       max: 100,
       default: 0
     },
+    // Latest completed adaptive assessment (see utils/adaptiveAssessment)
+    assessment: {
+      ability: Number,        // IRT θ estimate
+      standardError: Number,
+      score: Number,          // θ as a 0-100 percentile
+      itemsAnswered: Number,
+      session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AssessmentSession'
+      },
+      assessedAt: Date
+    },
+    // Scoring profile that produced credibilityScore (see models/ScoringProfile)
+    scoringProfile: {
+      profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ScoringProfile'
+      },
+      name: String,
+      version: Number
+    },
     lastUpdated: {
       type: Date,
       default: Date.now
     },
+    // Latest verified pass, endorsement or assessment; time decay runs from here
+    lastEvidenceAt: {
+      type: Date,
+      default: null
+    },
     addedAt: {
       type: Date,
       default: Date.now
@@ -213,24 +239,30 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
  * Recalculates the overall credibility based on skills and endorsements
  */
 userSchema.methods.updateCredibilityScore = async function() {
-  if (this.skills.length === 0) {
-    this.credibilityScore = 0;
-    await this.save();
-    return;
-  }
+  this.credibilityScore = this.constructor.computeCredibilityScore(this.skills);
+  await this.save();
+};
+
+/**
+ * Static method to compute the overall credibility score
+ * Weighted average of skill credibility scores, 0 without skills
+ * @param {Array} skills - Entries of user.skills
+ * @returns {Number} Overall credibility score (0-100)
+ */
+userSchema.statics.computeCredibilityScore = function(skills) {
+  if (skills.length === 0) return 0;
   
   // Calculate weighted average of skill credibility scores
   let totalWeight = 0;
   let weightedSum = 0;
   
-  for (const userSkill of this.skills) {
+  for (const userSkill of skills) {
     const weight = userSkill.proficiencyLevel * userSkill.yearsOfExperience + 1;
     weightedSum += userSkill.credibilityScore * weight;
     totalWeight += weight;
   }
   
-  this.credibilityScore = Math.round(weightedSum / totalWeight);
-  await this.save();
+  return Math.round(weightedSum / totalWeight);
 };
 
 /**
@@ -0,0 +1,199 @@
+/**
+ * Assessment Routes
+ * Adaptive skill assessments
+ *
+ * Each served challenge is taken through the normal attempt/submit flow;
+ * the session advances once the submission's outcome is final.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const AssessmentSession = require('../models/AssessmentSession');
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { startAssessment, ASSESSMENT_DEFAULTS } = require('../utils/adaptiveAssessment');
+
+const SERVED_CHALLENGE_FIELDS = 'title description difficulty category submissionFormat timeLimit';
+
+/**
+ * @route   POST /api/assessments
+ * @desc    Start an adaptive assessment for a skill (resumes an active one)
+ * @access  Private (Student)
+ */
+router.post('/', protect, authorize('student'), [
+  body('skillId').isMongoId().withMessage('Valid skill ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const skill = await Skill.findById(req.body.skillId);
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found'
+      });
+    }
+
+    // The result is stored on the user's skill entry
+    const user = await User.findById(req.user.id);
+    const hasSkill = user.skills.some(s => s.skill.toString() === skill._id.toString());
+    if (!hasSkill) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add this skill to your profile before taking its assessment'
+      });
+    }
+
+    const session = await startAssessment(req.user._id, skill._id);
+    await session.populate('currentChallenge', SERVED_CHALLENGE_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      assessment: toCandidateView(session)
+    });
+  } catch (error) {
+    console.error('Start assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assessments
+ * @desc    List the user's assessments
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+  try {
+    const sessions = await AssessmentSession.find({ user: req.user.id })
+      .populate('skill', 'name category')
+      .populate('currentChallenge', SERVED_CHALLENGE_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      assessments: sessions.map(toCandidateView)
+    });
+  } catch (error) {
+    console.error('Get assessments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/assessments/:sessionId
+ * @desc    Get an assessment's progress and current challenge
+ * @access  Private (Owner, Admin)
+ */
+router.get('/:sessionId', protect, async (req, res) => {
+  try {
+    const session = await AssessmentSession.findById(req.params.sessionId)
+      .populate('skill', 'name category')
+      .populate('currentChallenge', SERVED_CHALLENGE_FIELDS)
+      .populate('responses.challenge', 'title difficulty');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assessment not found'
+      });
+    }
+
+    if (session.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this assessment'
+      });
+    }
+
+    res.json({
+      success: true,
+      assessment: {
+        ...toCandidateView(session),
+        responses: session.responses
+      }
+    });
+  } catch (error) {
+    console.error('Get assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/assessments/:sessionId/abandon
+ * @desc    Abandon an active assessment (no result is recorded)
+ * @access  Private (Owner)
+ */
+router.post('/:sessionId/abandon', protect, async (req, res) => {
+  try {
+    const session = await AssessmentSession.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user.id, status: 'active' },
+      {
+        status: 'abandoned',
+        stopReason: 'abandoned',
+        currentChallenge: null,
+        completedAt: Date.now()
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No active assessment found'
+      });
+    }
+
+    res.json({
+      success: true,
+      assessment: toCandidateView(session)
+    });
+  } catch (error) {
+    console.error('Abandon assessment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * Shape an assessment session for the candidate
+ * @param {Object} session - Assessment session document
+ * @returns {Object} Session summary
+ */
+function toCandidateView(session) {
+  return {
+    id: session._id,
+    skill: session.skill,
+    status: session.status,
+    stopReason: session.stopReason,
+    ability: Math.round(session.ability * 1000) / 1000,
+    standardError: Math.round(session.standardError * 1000) / 1000,
+    targetStandardError: ASSESSMENT_DEFAULTS.targetStandardError,
+    itemsAnswered: session.responses.length,
+    maxItems: ASSESSMENT_DEFAULTS.maxItems,
+    currentChallenge: session.currentChallenge,
+    servedAt: session.servedAt,
+    startedAt: session.createdAt,
+    completedAt: session.completedAt
+  };
+}
+
+module.exports = router;
@@ -0,0 +1,150 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+jest.mock('../utils/adaptiveAssessment', () => ({
+  ...jest.requireActual('../utils/adaptiveAssessment'),
+  startAssessment: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const AssessmentSession = require('../models/AssessmentSession');
+const Skill = require('../models/Skill');
+const User = require('../models/User');
+const { startAssessment } = require('../utils/adaptiveAssessment');
+const assessmentRoutes = require('./assessments');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/assessments', assessmentRoutes);
+
+// A query that resolves to the result however many populates are chained
+const populated = result => {
+  const query = {
+    populate: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('assessments routes', () => {
+  const skill = new Skill({ name: 'JavaScript', category: 'technical' });
+  const user = (email, role = 'student', skills = []) => new User({
+    email,
+    password: 'password123',
+    role,
+    profile: { firstName: email.split('@')[0], lastName: 'Test' },
+    skills
+  });
+  const student = user('student@example.com', 'student', [{ skill: skill._id, proficiencyLevel: 5 }]);
+  const session = (owner = student) => new AssessmentSession({ user: owner._id, skill: skill._id });
+
+  beforeEach(() => {
+    mockCurrentUser = student;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('POST /', () => {
+    beforeEach(() => {
+      jest.spyOn(Skill, 'findById').mockResolvedValue(skill);
+    });
+
+    it('starts an assessment for a skill on the profile', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(student);
+      const started = session();
+      jest.spyOn(started, 'populate').mockResolvedValue(started);
+      startAssessment.mockResolvedValue(started);
+
+      const response = await request(app).post('/api/assessments').send({ skillId: skill.id });
+
+      expect(response.status).toBe(201);
+      expect(startAssessment).toHaveBeenCalledWith(student._id, skill._id);
+      expect(response.body.assessment).toMatchObject({ status: 'active', ability: 0, standardError: 1, itemsAnswered: 0 });
+    });
+
+    it('needs the skill on the profile', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue(user('new@example.com'));
+
+      const response = await request(app).post('/api/assessments').send({ skillId: skill.id });
+
+      expect(response.status).toBe(400);
+      expect(startAssessment).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown skills', async () => {
+      Skill.findById.mockResolvedValue(null);
+
+      const response = await request(app).post('/api/assessments').send({ skillId: new mongoose.Types.ObjectId().toString() });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /:sessionId', () => {
+    it('shows the owner their responses', async () => {
+      const owned = session();
+      jest.spyOn(AssessmentSession, 'findById').mockReturnValue(populated(owned));
+
+      const response = await request(app).get(`/api/assessments/${owned.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.assessment.responses).toEqual([]);
+    });
+
+    it("refuses other users' assessments", async () => {
+      const others = session(user('other@example.com'));
+      jest.spyOn(AssessmentSession, 'findById').mockReturnValue(populated(others));
+
+      const response = await request(app).get(`/api/assessments/${others.id}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('lets admins view any assessment', async () => {
+      const others = session(user('other@example.com'));
+      jest.spyOn(AssessmentSession, 'findById').mockReturnValue(populated(others));
+      mockCurrentUser = user('admin@example.com', 'admin');
+
+      const response = await request(app).get(`/api/assessments/${others.id}`);
+
+      expect(response.status).toBe(200);
+    });
+  });
+
+  describe('POST /:sessionId/abandon', () => {
+    it("only abandons the user's own active assessment", async () => {
+      const abandoned = session();
+      abandoned.status = 'abandoned';
+      const update = jest.spyOn(AssessmentSession, 'findOneAndUpdate').mockResolvedValue(abandoned);
+
+      const response = await request(app).post(`/api/assessments/${abandoned.id}/abandon`);
+
+      expect(response.status).toBe(200);
+      expect(update).toHaveBeenCalledWith(
+        { _id: abandoned.id, user: student.id, status: 'active' },
+        expect.objectContaining({ status: 'abandoned', currentChallenge: null }),
+        { new: true }
+      );
+      expect(response.body.assessment.status).toBe('abandoned');
+    });
+
+    it('is 404 when there is no such active assessment', async () => {
+      jest.spyOn(AssessmentSession, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const response = await request(app).post(`/api/assessments/${new mongoose.Types.ObjectId()}/abandon`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
@@ -9,56 +9,742 @@ const { body, validationResult, param, query } = require('express-validator');
 const Challenge = require('../models/Challenge');
 const Submission = require('../models/Submission');
 const User = require('../models/User');
+const Attempt = require('../models/Attempt');
+const ChallengeVersion = require('../models/ChallengeVersion');
 const { protect, authorize } = require('../middleware/auth');
 const { calculateSkillCredibility, updateAllSkillScores } = require('../utils/skillScoring');
+const { recordAssessmentOutcome } = require('../utils/adaptiveAssessment');
+const { resolveLanguage } = require('../utils/codeRunner');
+const {
+  gradeSubmission,
+  listGraders,
+  validateGraderConfig,
+  redactGradingResults
+} = require('../utils/graders');
+const { checkAttemptEligibility, ATTEMPT_GRACE_SECONDS } = require('../utils/attemptPolicy');
+const {
+  publishChallenge,
+  createVersion,
+  hasUnpublishedChanges,
+  loadChallengeVersion
+} = require('../utils/challengeVersions');
+const {
+  recordGradedSubmission,
+  backfillAllChallengeStats,
+  getScoreHistogram,
+  getTimeSpentDistribution
+} = require('../utils/challengeStats');
+const {
+  buildChallengePack,
+  serializeChallengePack,
+  parseChallengePack,
+  importChallengePack,
+  pickAuthoringFields
+} = require('../utils/challengePacks');
+const { checkSubmissionSimilarity } = require('../utils/similarity');
+const { assessSubmissionIntegrity, MAX_EVENTS_PER_ATTEMPT } = require('../utils/integrity');
+const { anonymizeReviews } = require('../utils/consensusScoring');
+
+// Optional authoring fields shared by create and update
+const authoringValidators = [
+  body('submissionFormat').optional().isIn(['code', 'file', 'text', 'url', 'json']).withMessage('Invalid submission format'),
+  body('content').optional().isObject().withMessage('Content must be an object'),
+  body('timeLimit').optional().isInt({ min: 1 }).withMessage('Time limit must be a positive number of minutes'),
+  body('maxAttempts').optional().isInt({ min: 1 }).withMessage('Max attempts must be at least 1'),
+  body('testCases').optional().isArray().withMessage('Test cases must be an array'),
+  body('testCases.*.hidden').optional().isBoolean().withMessage('Test case hidden flag must be true or false'),
+  body('hints').optional().isArray().withMessage('Hints must be an array'),
+  body('hints.*.text').optional().notEmpty().withMessage('Hint text is required'),
+  body('hints.*.penalty').optional().isFloat({ min: 0, max: 100 }).withMessage('Hint penalty must be 0-100'),
+  body('resources').optional().isArray().withMessage('Resources must be an array'),
+  body('resources.*.url').optional().isURL().withMessage('Resource URL is invalid'),
+  body('integrity.enabled').optional().isBoolean().withMessage('Integrity mode must be true or false'),
+  body('integrity.reviewThreshold').optional().isInt({ min: 0, max: 100 }).withMessage('Integrity threshold must be 0-100')
+];
+
+/**
+ * @route   GET /api/challenges
+ * @desc    Get all challenges with filters
+ * @access  Public
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { skill, difficulty, status, page = 1, limit = 10 } = req.query;
+
+    let query = { isActive: true, status: 'published' };
+
+    // Filter by skill
+    if (skill) {
+      query.skill = skill;
+    }
+
+    // Filter by difficulty
+    if (difficulty) {
+      query.difficulty = difficulty;
+    }
+
+    // Retired challenges can be listed; drafts never are
+    if (status === 'retired') {
+      query.status = status;
+    }
+
+    const challenges = await Challenge.find(query)
+      .populate('skill', 'name category')
+      .select('-testCases -content.grader -statusHistory -hints.text')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Challenge.countDocuments(query);
+
+    res.json({
+      success: true,
+      challenges,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/graders
+ * @desc    List registered graders for challenge authoring
+ * @access  Private (Admin)
+ */
+router.get('/graders', protect, authorize('admin'), (req, res) => {
+  res.json({
+    success: true,
+    graders: listGraders()
+  });
+});
+
+/**
+ * @route   POST /api/challenges/stats/backfill
+ * @desc    Recompute statistics for all challenges from submissions
+ * @access  Private (Admin)
+ */
+router.post('/stats/backfill', protect, authorize('admin'), async (req, res) => {
+  try {
+    const count = await backfillAllChallengeStats();
+
+    res.json({
+      success: true,
+      message: `Recomputed statistics for ${count} challenges`
+    });
+  } catch (error) {
+    console.error('Backfill challenge stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/admin
+ * @desc    List challenges in any lifecycle status
+ * @access  Private (Admin)
+ */
+router.get('/admin', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { skill, status, search, page = 1, limit = 20 } = req.query;
+
+    let query = {};
+    if (skill) {
+      query.skill = skill;
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (search) {
+      // Match the text literally, never as a pattern
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.title = { $regex: escaped, $options: 'i' };
+    }
+
+    const challenges = await Challenge.find(query)
+      .populate('skill', 'name category')
+      .select('title skill difficulty category status currentVersion publishedAt retiredAt isActive totalAttempts updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Challenge.countDocuments(query);
+
+    res.json({
+      success: true,
+      challenges,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get admin challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/export
+ * @desc    Export challenges as a portable pack (?format=json|yaml, filter by ids, skill or status)
+ * @access  Private (Admin)
+ */
+router.get('/export', protect, authorize('admin'), [
+  query('format').optional().isIn(['json', 'yaml']).withMessage('Format must be json or yaml')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { format = 'json', ids, skill, status } = req.query;
+
+    let filter = {};
+    if (ids) {
+      filter._id = { $in: ids.split(',').map(id => id.trim()) };
+    }
+    if (skill) {
+      filter.skill = skill;
+    }
+    if (status) {
+      filter.status = status;
+    }
+
+    const challenges = await Challenge.find(filter)
+      .populate('skill', 'name category')
+      .sort({ createdAt: 1 });
+
+    const pack = buildChallengePack(challenges);
+
+    res.set('Content-Type', format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.set('Content-Disposition', `attachment; filename="challenge-pack.${format === 'yaml' ? 'yaml' : 'json'}"`);
+    res.send(serializeChallengePack(pack, format));
+  } catch (error) {
+    console.error('Export challenges error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/challenges/import
+ * @desc    Import a JSON or YAML challenge pack as drafts (?dryRun=true to validate only)
+ * @access  Private (Admin)
+ */
+router.post('/import', protect, authorize('admin'),
+  express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '5mb' }),
+  async (req, res) => {
+    try {
+      const { pack, error } = parseChallengePack(req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const result = await importChallengePack(pack, req.user._id, {
+        dryRun: req.query.dryRun === 'true'
+      });
+
+      if (result.errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${result.errors.length} of ${pack.challenges.length} challenges are invalid; nothing was imported`,
+          errors: result.errors
+        });
+      }
+
+      res.status(result.created.length > 0 ? 201 : 200).json({
+        success: true,
+        valid: result.valid,
+        created: result.created
+      });
+    } catch (error) {
+      console.error('Import challenges error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/challenges/:challengeId
+ * @desc    Get challenge details
+ * @access  Public
+ */
+router.get('/:challengeId', async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId)
+      .populate('skill', 'name category');
+
+    // Unpublished challenges are only visible through the admin version routes
+    if (!challenge || !['published', 'retired'].includes(challenge.status)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      challenge: challenge.toCandidateJSON()
+    });
+  } catch (error) {
+    console.error('Get challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/challenges
+ * @desc    Create a new challenge (as a draft)
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), [
+  body('title').notEmpty().withMessage('Title is required'),
+  body('description').notEmpty().withMessage('Description is required'),
+  body('instructions').notEmpty().withMessage('Instructions are required'),
+  body('skill').isMongoId().withMessage('Skill is required'),
+  body('difficulty').isIn(['easy', 'medium', 'hard', 'expert']).withMessage('Invalid difficulty'),
+  body('category').isIn(['coding', 'design', 'analysis', 'writing', 'presentation', 'problem-solving']).withMessage('Invalid category'),
+  body('passingScore').isInt({ min: 0, max: 100 }).withMessage('Passing score must be 0-100'),
+  ...authoringValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const fields = pickAuthoringFields(req.body);
+    fields.content = fields.content || {};
+
+    // Reject grader config the registry can't use
+    const graderErrors = validateGraderConfig(fields.content.grader);
+    if (graderErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid grader configuration',
+        errors: graderErrors
+      });
+    }
+
+    const challenge = await Challenge.create({
+      ...fields,
+      skill: req.body.skill,
+      createdBy: req.user.id,
+      status: 'draft',
+      statusHistory: [{ status: 'draft', changedBy: req.user.id }]
+    });
+
+    res.status(201).json({
+      success: true,
+      challenge
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/challenges/:challengeId
+ * @desc    Update a challenge's working copy
+ *          Graded fields of a published challenge only take effect once a new version is published
+ * @access  Private (Admin)
+ */
+router.put('/:challengeId', protect, authorize('admin'), [
+  body('title').optional().notEmpty().withMessage('Title cannot be empty'),
+  body('description').optional().notEmpty().withMessage('Description cannot be empty'),
+  body('instructions').optional().notEmpty().withMessage('Instructions cannot be empty'),
+  body('skill').optional().isMongoId().withMessage('Invalid skill'),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard', 'expert']).withMessage('Invalid difficulty'),
+  body('category').optional().isIn(['coding', 'design', 'analysis', 'writing', 'presentation', 'problem-solving']).withMessage('Invalid category'),
+  body('passingScore').optional().isInt({ min: 0, max: 100 }).withMessage('Passing score must be 0-100'),
+  ...authoringValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await Challenge.findById(req.params.challengeId);
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    if (challenge.status === 'retired') {
+      return res.status(409).json({
+        success: false,
+        message: 'Retired challenges cannot be edited; clone it instead'
+      });
+    }
+
+    const fields = pickAuthoringFields(req.body);
+
+    if (fields.content) {
+      const graderErrors = validateGraderConfig(fields.content.grader);
+      if (graderErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid grader configuration',
+          errors: graderErrors
+        });
+      }
+    }
+
+    challenge.set(fields);
+    if (req.body.skill) {
+      challenge.skill = req.body.skill;
+    }
+    await challenge.save();
+
+    res.json({
+      success: true,
+      challenge,
+      hasUnpublishedChanges: challenge.currentVersion > 0 && await hasUnpublishedChanges(challenge)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/challenges/:challengeId/clone
+ * @desc    Copy a challenge into a new draft
+ * @access  Private (Admin)
+ */
+router.post('/:challengeId/clone', protect, authorize('admin'), async (req, res) => {
+  try {
+    const source = await Challenge.findById(req.params.challengeId);
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const [entry] = buildChallengePack([source]).challenges;
+    const title = req.body.title || `${source.title} (copy)`.slice(0, 200);
+
+    const challenge = await Challenge.create({
+      ...pickAuthoringFields(entry),
+      title,
+      skill: source.skill,
+      createdBy: req.user.id,
+      clonedFrom: source._id,
+      status: 'draft',
+      statusHistory: [{ status: 'draft', changedBy: req.user.id, note: `Cloned from ${source._id}` }]
+    });
+
+    res.status(201).json({
+      success: true,
+      challenge
+    });
+  } catch (error) {
+    console.error('Clone challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/challenges/:challengeId
+ * @desc    Delete a challenge that has never been submitted (retire it otherwise)
+ * @access  Private (Admin)
+ */
+router.delete('/:challengeId', protect, authorize('admin'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId);
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    // Submissions pin the challenge's versions; keep them resolvable
+    if (await Submission.exists({ challenge: challenge._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Challenge has submissions; retire it instead'
+      });
+    }
+
+    await Attempt.deleteMany({ challenge: challenge._id });
+    await ChallengeVersion.deleteMany({ challenge: challenge._id });
+    await challenge.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Challenge deleted'
+    });
+  } catch (error) {
+    console.error('Delete challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/challenges/:challengeId/status
+ * @desc    Move a challenge through its lifecycle (draft → in-review → published → retired)
+ * @access  Private (Admin)
+ */
+router.put('/:challengeId/status', protect, authorize('admin'), [
+  body('status').isIn(['draft', 'in-review', 'published', 'retired']).withMessage('Invalid status'),
+  body('note').optional().isLength({ max: 1000 }).withMessage('Note too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await Challenge.findById(req.params.challengeId);
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const { status, note = '' } = req.body;
+    if (!challenge.canTransitionTo(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move a ${challenge.status} challenge to ${status}`
+      });
+    }
+
+    let version = null;
+    if (status === 'published') {
+      version = await publishChallenge(challenge, req.user._id, note);
+    } else {
+      challenge.transitionTo(status, req.user._id, note);
+      await challenge.save();
+    }
+
+    res.json({
+      success: true,
+      challenge,
+      version
+    });
+  } catch (error) {
+    console.error('Update challenge status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/:challengeId/versions
+ * @desc    Get a challenge's working copy and published versions
+ * @access  Private (Admin)
+ */
+router.get('/:challengeId/versions', protect, authorize('admin'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId)
+      .populate('skill', 'name category')
+      .populate('statusHistory.changedBy', 'profile.firstName profile.lastName');
+
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const versions = await ChallengeVersion.find({ challenge: challenge._id })
+      .populate('publishedBy', 'profile.firstName profile.lastName')
+      .sort({ version: -1 });
+
+    res.json({
+      success: true,
+      challenge,
+      hasUnpublishedChanges: await hasUnpublishedChanges(challenge),
+      versions
+    });
+  } catch (error) {
+    console.error('Get challenge versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/challenges/:challengeId/versions
+ * @desc    Publish the working copy of a published challenge as a new version
+ * @access  Private (Admin)
+ */
+router.post('/:challengeId/versions', protect, authorize('admin'), [
+  body('notes').optional().isLength({ max: 1000 }).withMessage('Notes too long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const challenge = await Challenge.findById(req.params.challengeId);
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    // First publication goes through review
+    if (challenge.status !== 'published') {
+      return res.status(409).json({
+        success: false,
+        message: `Only published challenges can be revised; this one is ${challenge.status}`
+      });
+    }
+
+    if (!(await hasUnpublishedChanges(challenge))) {
+      return res.status(400).json({
+        success: false,
+        message: `No changes since version ${challenge.currentVersion}`
+      });
+    }
+
+    const version = await createVersion(challenge, req.user._id, req.body.notes);
+
+    res.status(201).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    // Two concurrent publishes race for the same version number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A new version is already being published'
+      });
+    }
+    console.error('Publish challenge version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
 /**
- * @route   GET /api/challenges
- * @desc    Get all challenges with filters
- * @access  Public
+ * @route   GET /api/challenges/:challengeId/stats
+ * @desc    Get score histogram and time-spent distribution
+ * @access  Private (Challenge author, Admin)
  */
-router.get('/', async (req, res) => {
+router.get('/:challengeId/stats', protect, async (req, res) => {
   try {
-    const { skill, difficulty, status, page = 1, limit = 10 } = req.query;
-
-    let query = { isActive: true };
-
-    // Filter by skill
-    if (skill) {
-      query.skill = skill;
-    }
+    const challenge = await Challenge.findById(req.params.challengeId)
+      .select('title createdBy totalAttempts successRate averageScore');
 
-    // Filter by difficulty
-    if (difficulty) {
-      query.difficulty = difficulty;
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
     }
 
-    // Filter by status (published/draft)
-    if (status) {
-      query.status = status;
+    if (challenge.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view statistics for this challenge'
+      });
     }
 
-    const challenges = await Challenge.find(query)
-      .populate('skill', 'name category')
-      .select('-testCases')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const bucketSize = Math.min(Math.max(parseInt(req.query.bucketSize) || 10, 1), 50);
 
-    const total = await Challenge.countDocuments(query);
+    const [scoreHistogram, timeSpent] = await Promise.all([
+      getScoreHistogram(challenge._id, bucketSize),
+      getTimeSpentDistribution(challenge._id)
+    ]);
 
     res.json({
       success: true,
-      challenges,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+      stats: {
+        totalAttempts: challenge.totalAttempts,
+        successRate: Math.round(challenge.successRate * 10) / 10,
+        averageScore: Math.round(challenge.averageScore * 10) / 10,
+        scoreHistogram,
+        timeSpent
       }
     });
   } catch (error) {
-    console.error('Get challenges error:', error);
+    console.error('Get challenge stats error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -67,15 +753,89 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * @route   GET /api/challenges/:challengeId
- * @desc    Get challenge details
- * @access  Public
+ * @route   POST /api/challenges/:challengeId/attempts
+ * @desc    Start a timed attempt at a challenge
+ * @access  Private (Student)
  */
-router.get('/:challengeId', async (req, res) => {
+router.post('/:challengeId/attempts', protect, authorize('student'), async (req, res) => {
   try {
-    const challenge = await Challenge.findById(req.params.challengeId)
-      .populate('skill', 'name category');
+    const challenge = await Challenge.findById(req.params.challengeId);
+    if (!challenge || !challenge.isActive || challenge.status !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    // Resume the running attempt rather than starting another
+    const activeAttempt = await Attempt.findActive(req.user.id, challenge._id);
+    if (activeAttempt) {
+      if (!activeAttempt.isExpired(ATTEMPT_GRACE_SECONDS)) {
+        return res.json({
+          success: true,
+          attempt: activeAttempt,
+          integrityMode: Boolean(challenge.integrity && challenge.integrity.enabled)
+        });
+      }
+      activeAttempt.status = 'expired';
+      activeAttempt.finishedAt = activeAttempt.expiresAt;
+      await activeAttempt.save();
+    }
+
+    const eligibility = await checkAttemptEligibility(req.user.id, challenge);
+    if (!eligibility.allowed) {
+      return res.status(eligibility.retryAt ? 429 : 403).json({
+        success: false,
+        message: eligibility.reason,
+        attemptsRemaining: eligibility.attemptsRemaining,
+        retryAt: eligibility.retryAt
+      });
+    }
+
+    const startedAt = new Date();
+    const attempt = await Attempt.create({
+      user: req.user.id,
+      challenge: challenge._id,
+      attemptNumber: eligibility.attemptsUsed + 1,
+      challengeVersion: challenge.currentVersion,
+      startedAt,
+      expiresAt: challenge.timeLimit
+        ? new Date(startedAt.getTime() + challenge.timeLimit * 60 * 1000)
+        : null
+    });
 
+    res.status(201).json({
+      success: true,
+      attempt,
+      integrityMode: Boolean(challenge.integrity && challenge.integrity.enabled),
+      attemptsRemaining: eligibility.attemptsRemaining === null
+        ? null
+        : eligibility.attemptsRemaining - 1
+    });
+  } catch (error) {
+    // Two concurrent starts race for the same attempt number
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'An attempt is already being started'
+      });
+    }
+    console.error('Start attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/:challengeId/attempts
+ * @desc    Get user's attempts and whether another can be started
+ * @access  Private (Student)
+ */
+router.get('/:challengeId/attempts', protect, authorize('student'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId);
     if (!challenge) {
       return res.status(404).json({
         success: false,
@@ -83,12 +843,23 @@ router.get('/:challengeId', async (req, res) => {
       });
     }
 
+    const attempts = await Attempt.find({
+      user: req.user.id,
+      challenge: challenge._id
+    }).sort({ attemptNumber: -1 });
+
+    const eligibility = await checkAttemptEligibility(req.user.id, challenge);
+
     res.json({
       success: true,
-      challenge
+      attempts,
+      canStart: eligibility.allowed,
+      reason: eligibility.reason,
+      attemptsRemaining: eligibility.attemptsRemaining,
+      retryAt: eligibility.retryAt
     });
   } catch (error) {
-    console.error('Get challenge error:', error);
+    console.error('Get attempts error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -97,17 +868,18 @@ router.get('/:challengeId', async (req, res) => {
 });
 
 /**
- * @route   POST /api/challenges
- * @desc    Create a new challenge
- * @access  Private (Admin)
+ * @route   POST /api/challenges/:challengeId/attempts/events
+ * @desc    Report integrity telemetry for the active attempt (integrity mode only)
+ * @access  Private (Student)
  */
-router.post('/', protect, authorize('admin'), [
-  body('title').notEmpty().withMessage('Title is required'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('skill').notEmpty().withMessage('Skill is required'),
-  body('difficulty').isIn(['easy', 'medium', 'hard', 'expert']).withMessage('Invalid difficulty'),
-  body('passingScore').isInt({ min: 0, max: 100 }).withMessage('Passing score must be 0-100'),
-  body('testCases').isArray({ min: 1 }).withMessage('At least one test case is required')
+router.post('/:challengeId/attempts/events', protect, authorize('student'), [
+  body('events').isArray({ min: 1, max: 200 }).withMessage('Events must be an array of 1-200 items'),
+  body('events.*.type').isIn(['blur', 'paste', 'typing']).withMessage('Invalid event type'),
+  body('events.*.at').isISO8601().withMessage('Event time must be an ISO 8601 date'),
+  body('events.*.durationMs').optional().isInt({ min: 0 }).withMessage('Invalid duration'),
+  body('events.*.size').optional().isInt({ min: 0 }).withMessage('Invalid paste size'),
+  body('events.*.meanIntervalMs').optional().isFloat({ min: 0 }).withMessage('Invalid typing interval'),
+  body('events.*.keystrokes').optional().isInt({ min: 0 }).withMessage('Invalid keystroke count')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -118,38 +890,158 @@ router.post('/', protect, authorize('admin'), [
       });
     }
 
-    const {
-      title,
-      description,
-      skill,
-      difficulty,
-      passingScore,
-      testCases,
-      timeLimit,
-      hints,
-      resources
-    } = req.body;
+    const challenge = await Challenge.findById(req.params.challengeId).select('integrity');
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
 
-    const challenge = await Challenge.create({
-      title,
-      description,
-      skill,
-      difficulty,
-      passingScore,
-      testCases,
-      timeLimit,
-      hints,
-      resources,
-      createdBy: req.user.id,
-      status: 'published'
+    if (!challenge.integrity || !challenge.integrity.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Integrity mode is not enabled for this challenge'
+      });
+    }
+
+    const attempt = await Attempt.findActive(req.user.id, challenge._id);
+    if (!attempt || attempt.isExpired(ATTEMPT_GRACE_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No active attempt for this challenge'
+      });
+    }
+
+    const receivedAt = new Date();
+    const events = req.body.events.map(({ type, at, durationMs, size, meanIntervalMs, keystrokes }) => ({
+      type,
+      at,
+      receivedAt,
+      durationMs,
+      size,
+      meanIntervalMs,
+      keystrokes
+    }));
+
+    // Keep only the most recent events so a noisy client can't grow the attempt forever
+    await Attempt.updateOne(
+      { _id: attempt._id, status: 'active' },
+      { $push: { integrityEvents: { $each: events, $slice: -MAX_EVENTS_PER_ATTEMPT } } },
+      { runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      received: events.length
+    });
+  } catch (error) {
+    console.error('Record integrity events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/challenges/:challengeId/hints
+ * @desc    Get hint penalties and the hints unlocked in the active attempt
+ * @access  Private (Student)
+ */
+router.get('/:challengeId/hints', protect, authorize('student'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId).select('hints');
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const attempt = await Attempt.findActive(req.user.id, challenge._id);
+    const unlocked = attempt ? attempt.hintsUnlocked : [];
+
+    res.json({
+      success: true,
+      hints: challenge.hints.map((hint, index) => {
+        const unlock = unlocked.find(item => item.index === index);
+        return {
+          index,
+          penalty: unlock ? unlock.penalty : hint.penalty,
+          unlocked: Boolean(unlock),
+          text: unlock ? hint.text : undefined
+        };
+      }),
+      totalPenalty: attempt ? attempt.hintPenalty : 0
+    });
+  } catch (error) {
+    console.error('Get hints error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
 
-    res.status(201).json({
+/**
+ * @route   POST /api/challenges/:challengeId/hints
+ * @desc    Unlock the next hint for the active attempt (its penalty applies to the score)
+ * @access  Private (Student)
+ */
+router.post('/:challengeId/hints', protect, authorize('student'), async (req, res) => {
+  try {
+    const challenge = await Challenge.findById(req.params.challengeId).select('hints');
+    if (!challenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    const attempt = await Attempt.findActive(req.user.id, challenge._id);
+    if (!attempt || attempt.isExpired(ATTEMPT_GRACE_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hints can only be unlocked during an active attempt'
+      });
+    }
+
+    const index = attempt.hintsUnlocked.length;
+    if (index >= challenge.hints.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No more hints for this challenge'
+      });
+    }
+
+    const hint = challenge.hints[index];
+
+    // Unlock in order; a concurrent request for the same hint is a no-op
+    const updated = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'active', hintsUnlocked: { $size: index } },
+      { $push: { hintsUnlocked: { index, penalty: hint.penalty, unlockedAt: Date.now() } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'Hint was already unlocked or the attempt has ended'
+      });
+    }
+
+    res.json({
       success: true,
-      challenge
+      hint: {
+        index,
+        text: hint.text,
+        penalty: hint.penalty
+      },
+      hintsRemaining: challenge.hints.length - index - 1,
+      totalPenalty: updated.hintPenalty
     });
   } catch (error) {
-    console.error('Create challenge error:', error);
+    console.error('Unlock hint error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -182,47 +1074,121 @@ router.post('/:challengeId/submit', protect, authorize('student'), [
       });
     }
 
-    // Check for existing submissions to count attempts
-    const existingSubmissions = await Submission.countDocuments({
-      user: req.user.id,
-      challenge: challenge._id
-    });
-
     const { content, submissionUrl } = req.body;
 
+    // Resolve the language for code submissions
+    let language = null;
+    if (challenge.submissionFormat === 'code') {
+      const requested = req.body.language || content.language || challenge.allowedLanguages[0];
+      language = resolveLanguage(requested);
+
+      const allowed = challenge.allowedLanguages.map(resolveLanguage);
+      if (!language || (allowed.length > 0 && !allowed.includes(language))) {
+        return res.status(400).json({
+          success: false,
+          message: `Language '${requested}' is not supported for this challenge`
+        });
+      }
+    }
+
+    // Submissions must belong to an attempt started on the server
+    const attempt = await Attempt.findActive(req.user.id, challenge._id);
+    if (!attempt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start an attempt before submitting'
+      });
+    }
+
+    if (attempt.isExpired(ATTEMPT_GRACE_SECONDS)) {
+      attempt.status = 'expired';
+      attempt.finishedAt = attempt.expiresAt;
+      await attempt.save();
+
+      return res.status(400).json({
+        success: false,
+        message: 'Time limit exceeded for this attempt'
+      });
+    }
+
+    // Grade against the version served when the attempt started; the
+    // attempt stays open if the challenge was deleted since
+    const gradedChallenge = await loadChallengeVersion(challenge._id, attempt.challengeVersion);
+    if (!gradedChallenge) {
+      return res.status(404).json({
+        success: false,
+        message: 'Challenge not found'
+      });
+    }
+
+    // Close the attempt atomically so it can only be submitted once
+    const submittedAt = new Date();
+    const closedAttempt = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'active' },
+      { status: 'submitted', finishedAt: submittedAt },
+      { new: true }
+    );
+    if (!closedAttempt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This attempt has already been submitted'
+      });
+    }
+
     // Create submission
     const submission = await Submission.create({
       user: req.user.id,
       challenge: challenge._id,
       content,
       submissionUrl,
-      attemptNumber: existingSubmissions + 1,
-      submittedAt: Date.now()
+      language,
+      attempt: attempt._id,
+      attemptNumber: attempt.attemptNumber,
+      challengeVersion: attempt.challengeVersion,
+      hintsUsed: closedAttempt.hintsUnlocked,
+      hintPenalty: closedAttempt.hintPenalty,
+      timeSpent: Math.round((submittedAt - attempt.startedAt) / 1000),
+      submittedAt
     });
 
-    // Auto-grade if possible (basic implementation)
-    // In production, this would be more sophisticated
-    let score = 0;
-    let autoGradingResults = null;
+    closedAttempt.submission = submission._id;
+    await closedAttempt.save();
 
-    if (challenge.testCases && challenge.testCases.length > 0) {
-      // Simple test case evaluation
-      autoGradingResults = evaluateTestCases(content, challenge.testCases);
-      score = autoGradingResults.score;
-    }
+    // Auto-grade with the grader registered for this challenge's format/category
+    const autoGradingResults = await gradeSubmission(submission, gradedChallenge);
+    const rawScore = autoGradingResults ? autoGradingResults.score : 0;
 
-    // Update submission with score
-    submission.score = score;
-    submission.isPassed = score >= challenge.passingScore;
+    // Update submission with score, less any hint penalty
+    submission.rawScore = rawScore;
+    submission.score = submission.scoreAfterHints(rawScore);
+    submission.isPassed = submission.score >= gradedChallenge.passingScore;
     submission.autoGradingResults = autoGradingResults;
-    
-    if (submission.isPassed) {
+
+    // Answers resembling another candidate's are checked by a reviewer
+    const similarity = await checkSubmissionSimilarity(submission, gradedChallenge);
+
+    // Integrity-mode attempts with suspicious telemetry are checked by a reviewer
+    const integrity = assessSubmissionIntegrity(submission, closedAttempt, gradedChallenge);
+
+    // Human criteria, ungradable, suspiciously similar or low-integrity submissions go to the review queue
+    submission.requiresReview = gradedChallenge.requiresHumanReview() ||
+      !autoGradingResults ||
+      similarity.flagged ||
+      Boolean(integrity && integrity.flagged);
+
+    if (submission.isPassed && !submission.requiresReview) {
       submission.isVerified = true;
       submission.verifiedAt = Date.now();
+      submission.reviewStatus = 'approved';
     }
 
     await submission.save();
 
+    // Outcome is final unless a reviewer still has to decide
+    if (!submission.requiresReview) {
+      await recordGradedSubmission(submission);
+    }
+
     // Update user stats
     const user = await User.findById(req.user.id);
     user.totalChallengesAttempted += 1;
@@ -231,22 +1197,38 @@ router.post('/:challengeId/submit', protect, authorize('student'), [
     }
     await user.save();
 
-    // Update skill credibility if passed
-    if (submission.isPassed) {
-      await updateAllSkillScores(req.user.id);
+    // Update skill credibility if verified
+    if (submission.isVerified) {
+      await updateAllSkillScores(req.user.id, 'submission');
     }
 
+    // Advance an adaptive assessment that served this challenge
+    const assessment = submission.requiresReview
+      ? null
+      : await recordAssessmentOutcome(submission);
+
     res.status(201).json({
       success: true,
       submission: {
         id: submission._id,
         score: submission.score,
+        rawScore: submission.rawScore,
+        hintPenalty: submission.hintPenalty,
         isPassed: submission.isPassed,
         isVerified: submission.isVerified,
+        reviewStatus: submission.reviewStatus,
+        requiresReview: submission.requiresReview,
         attemptNumber: submission.attemptNumber,
+        challengeVersion: submission.challengeVersion,
+        timeSpent: submission.timeSpent,
         submittedAt: submission.submittedAt,
-        autoGradingResults
-      }
+        autoGradingResults: redactGradingResults(autoGradingResults)
+      },
+      assessment: assessment ? {
+        id: assessment._id,
+        status: assessment.status,
+        nextChallenge: assessment.currentChallenge
+      } : null
     });
   } catch (error) {
     console.error('Submit challenge error:', error);
@@ -271,7 +1253,19 @@ router.get('/:challengeId/submissions', protect, async (req, res) => {
 
     res.json({
       success: true,
-      submissions
+      submissions: submissions.map(submission => {
+        const view = submission.toObject();
+        view.autoGradingResults = redactGradingResults(view.autoGradingResults);
+        delete view.similarity;
+        delete view.integrity;
+        // Reviews are blind: candidates never learn who reviewed them
+        delete view.reviewLock;
+        delete view.reviewedBy;
+        if (view.consensus) {
+          view.consensus.reviews = anonymizeReviews(view.consensus.reviews || []);
+        }
+        return view;
+      })
     });
   } catch (error) {
     console.error('Get submissions error:', error);
@@ -282,6 +1276,53 @@ router.get('/:challengeId/submissions', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/challenges/:challengeId/submissions/:submissionId/results
+ * @desc    Get full grading results, including hidden test cases
+ * @access  Private (Recruiter, Admin)
+ */
+router.get('/:challengeId/submissions/:submissionId/results', protect, authorize('recruiter', 'admin'), async (req, res) => {
+  try {
+    const submission = await Submission.findOne({
+      _id: req.params.submissionId,
+      challenge: req.params.challengeId
+    }).populate('user', 'profile.firstName profile.lastName email');
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    // Test cases exactly as graded
+    const challenge = await loadChallengeVersion(submission.challenge, submission.challengeVersion);
+
+    res.json({
+      success: true,
+      submission: {
+        id: submission._id,
+        user: submission.user,
+        score: submission.score,
+        isPassed: submission.isPassed,
+        reviewStatus: submission.reviewStatus,
+        challengeVersion: submission.challengeVersion,
+        language: submission.language,
+        content: submission.content,
+        submittedAt: submission.submittedAt,
+        autoGradingResults: submission.autoGradingResults
+      },
+      testCases: challenge ? challenge.testCases : []
+    });
+  } catch (error) {
+    console.error('Get submission results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @route   GET /api/challenges/my
  * @desc    Get challenges relevant to user's skills
@@ -309,7 +1350,7 @@ router.get('/my/relevant', protect, async (req, res) => {
       status: 'published'
     })
       .populate('skill', 'name category')
-      .select('-testCases')
+      .select('-testCases -content.grader -statusHistory -hints.text')
       .limit(20);
 
     res.json({
@@ -325,40 +1366,4 @@ router.get('/my/relevant', protect, async (req, res) => {
   }
 });
 
-/**
- * Helper function to evaluate test cases
- * Basic implementation - in production would be more sophisticated
- */
-function evaluateTestCases(content, testCases) {
-  let passedCount = 0;
-  const results = [];
-
-  // This is a placeholder - actual implementation depends on challenge type
-  // For code challenges, would execute code against test cases
-  // For quiz challenges, would check answers
-  
-  testCases.forEach((testCase, index) => {
-    // Basic check - in reality would run actual tests
-    const passed = true; // Placeholder
-    if (passed) passedCount++;
-    
-    results.push({
-      testCase: index + 1,
-      passed,
-      input: testCase.input,
-      expectedOutput: testCase.expectedOutput,
-      actualOutput: '...' // Would be actual output
-    });
-  });
-
-  const score = Math.round((passedCount / testCases.length) * 100);
-
-  return {
-    score,
-    totalTests: testCases.length,
-    passedTests: passedCount,
-    results
-  };
-}
-
 module.exports = router;
@@ -0,0 +1,165 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+jest.mock('../utils/graders', () => ({ ...jest.requireActual('../utils/graders'), gradeSubmission: jest.fn() }));
+jest.mock('../utils/challengeVersions', () => ({
+  ...jest.requireActual('../utils/challengeVersions'),
+  loadChallengeVersion: jest.fn()
+}));
+jest.mock('../utils/similarity', () => ({ checkSubmissionSimilarity: jest.fn() }));
+jest.mock('../utils/challengeStats', () => ({
+  ...jest.requireActual('../utils/challengeStats'),
+  recordGradedSubmission: jest.fn()
+}));
+jest.mock('../utils/skillScoring', () => ({
+  ...jest.requireActual('../utils/skillScoring'),
+  updateAllSkillScores: jest.fn()
+}));
+jest.mock('../utils/adaptiveAssessment', () => ({ recordAssessmentOutcome: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Attempt = require('../models/Attempt');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { gradeSubmission } = require('../utils/graders');
+const { loadChallengeVersion } = require('../utils/challengeVersions');
+const { checkSubmissionSimilarity } = require('../utils/similarity');
+const { recordGradedSubmission } = require('../utils/challengeStats');
+const { updateAllSkillScores } = require('../utils/skillScoring');
+const { recordAssessmentOutcome } = require('../utils/adaptiveAssessment');
+const challengeRoutes = require('./challenges');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/challenges', challengeRoutes);
+
+describe('challenges routes', () => {
+  describe('POST /:challengeId/submit', () => {
+    const student = new User({
+      email: 'student@example.com',
+      password: 'password123',
+      role: 'student',
+      profile: { firstName: 'Sam', lastName: 'Lee' }
+    });
+    let challenge;
+    let attempt;
+
+    const submit = () => request(app)
+      .post(`/api/challenges/${challenge.id}/submit`)
+      .send({ content: { text: 'My answer' } });
+
+    // The attempt as the atomic close returns it
+    const mockClose = (hintsUnlocked = []) => {
+      const closed = new Attempt({ ...attempt.toObject(), status: 'submitted', hintsUnlocked });
+      jest.spyOn(closed, 'save').mockResolvedValue(closed);
+      return jest.spyOn(Attempt, 'findOneAndUpdate').mockResolvedValue(closed);
+    };
+
+    beforeEach(() => {
+      mockCurrentUser = student;
+      challenge = new Challenge({
+        title: 'Explain closures',
+        description: 'Explain closures',
+        instructions: 'Write a short explanation',
+        skill: new mongoose.Types.ObjectId(),
+        difficulty: 'medium',
+        category: 'writing',
+        submissionFormat: 'text',
+        verificationCriteria: [{ criterion: 'Accurate', autoVerify: true }],
+        passingScore: 70,
+        currentVersion: 1
+      });
+      attempt = new Attempt({
+        user: student._id,
+        challenge: challenge._id,
+        attemptNumber: 1,
+        challengeVersion: 1,
+        startedAt: new Date(Date.now() - 60 * 1000)
+      });
+
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+      jest.spyOn(Attempt, 'findActive').mockResolvedValue(attempt);
+      jest.spyOn(Submission, 'create').mockImplementation(async fields => new Submission(fields));
+      jest.spyOn(Submission.prototype, 'save').mockImplementation(async function() { return this; });
+      jest.spyOn(User, 'findById').mockResolvedValue(student);
+      jest.spyOn(student, 'save').mockResolvedValue(student);
+      loadChallengeVersion.mockResolvedValue(challenge);
+      checkSubmissionSimilarity.mockResolvedValue({ flagged: false, maxScore: 0, matches: [] });
+      recordAssessmentOutcome.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    it('closes the attempt and grades the submission against its version', async () => {
+      const close = mockClose();
+      gradeSubmission.mockResolvedValue({ score: 90 });
+
+      const response = await submit();
+
+      expect(response.status).toBe(201);
+      expect(close).toHaveBeenCalledWith(
+        { _id: attempt._id, status: 'active' },
+        expect.objectContaining({ status: 'submitted' }),
+        { new: true }
+      );
+      expect(loadChallengeVersion).toHaveBeenCalledWith(challenge._id, 1);
+      expect(response.body.submission).toMatchObject({ score: 90, isPassed: true, isVerified: true, challengeVersion: 1 });
+      expect(recordGradedSubmission).toHaveBeenCalled();
+      expect(updateAllSkillScores).toHaveBeenCalledWith(student.id, 'submission');
+    });
+
+    it('decides the pass on the score after the hint penalty', async () => {
+      mockClose([{ index: 0, penalty: 10 }]);
+      gradeSubmission.mockResolvedValue({ score: 75 });
+
+      const response = await submit();
+
+      expect(response.body.submission).toMatchObject({ rawScore: 75, score: 65, isPassed: false, isVerified: false });
+    });
+
+    it('refuses to submit an attempt twice', async () => {
+      jest.spyOn(Attempt, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const response = await submit();
+
+      expect(response.status).toBe(409);
+      expect(Submission.create).not.toHaveBeenCalled();
+    });
+
+    it('leaves the attempt open when the challenge was deleted since it started', async () => {
+      const close = jest.spyOn(Attempt, 'findOneAndUpdate');
+      loadChallengeVersion.mockResolvedValue(null);
+
+      const response = await submit();
+
+      expect(response.status).toBe(404);
+      expect(close).not.toHaveBeenCalled();
+      expect(Submission.create).not.toHaveBeenCalled();
+    });
+
+    it('expires an attempt past its time limit without grading it', async () => {
+      attempt.expiresAt = new Date(Date.now() - 60 * 60 * 1000);
+      const save = jest.spyOn(attempt, 'save').mockResolvedValue(attempt);
+      const close = jest.spyOn(Attempt, 'findOneAndUpdate');
+
+      const response = await submit();
+
+      expect(response.status).toBe(400);
+      expect(save).toHaveBeenCalled();
+      expect(attempt.status).toBe('expired');
+      expect(close).not.toHaveBeenCalled();
+    });
+  });
+});
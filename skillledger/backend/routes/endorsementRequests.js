@@ -0,0 +1,481 @@
+/**
+ * Endorsement Request Routes
+ * Students ask for endorsements; endorsers accept or decline
+ *
+ * A request goes to an existing user, or to an email address. Email
+ * requests are mailed to the invitee with a signed invite token; answering
+ * one takes both an account with the invited email and that token, since
+ * registering doesn't prove the address belongs to you.
+ */
+
+const express = require('express');
+const router = express.Router();
+const jwt = require('jsonwebtoken');
+const { body, validationResult } = require('express-validator');
+const EndorsementRequest = require('../models/EndorsementRequest');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const { protect, authorize } = require('../middleware/auth');
+const { giveEndorsement } = require('../utils/endorsements');
+const { sendMail } = require('../utils/mailer');
+
+const INVITE_TOKEN_PURPOSE = 'endorsement-invite';
+
+// Requests a student may send per window; each email request sends mail
+const REQUEST_RATE_LIMIT = {
+  maxRequests: parseInt(process.env.ENDORSEMENT_REQUEST_DAILY_LIMIT, 10) || 20,
+  windowMs: 24 * 60 * 60 * 1000
+};
+
+/**
+ * @route   POST /api/endorsement-requests
+ * @desc    Ask a user, or an email address, to endorse one of your skills
+ * @access  Private (Student)
+ */
+router.post('/', protect, authorize('student'), [
+  body('skill').isMongoId().withMessage('Invalid skill'),
+  body('endorser').optional().isMongoId().withMessage('Invalid endorser'),
+  body('email').optional().isEmail().withMessage('Please enter a valid email'),
+  body('message').optional().isLength({ max: 500 }).withMessage('Message too long'),
+  body().custom(value => Boolean(value.endorser) !== Boolean(value.email))
+    .withMessage('Give either an endorser or an email address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { skill, message } = req.body;
+    const email = req.body.email && req.body.email.toLowerCase();
+
+    if (!req.user.skills.some(s => s.skill.toString() === skill)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add this skill to your profile before requesting endorsements'
+      });
+    }
+
+    // An email request stays an invite even when the address has an
+    // account, so the response never reveals who is registered
+    const endorser = req.body.endorser || null;
+    if (endorser === req.user.id || email === req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot ask yourself for an endorsement'
+      });
+    }
+    if (endorser && !await User.exists({ _id: endorser, isActive: true })) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endorser not found'
+      });
+    }
+
+    const recent = await EndorsementRequest.countDocuments({
+      requester: req.user.id,
+      createdAt: { $gte: new Date(Date.now() - REQUEST_RATE_LIMIT.windowMs) }
+    });
+    if (recent >= REQUEST_RATE_LIMIT.maxRequests) {
+      return res.status(429).json({
+        success: false,
+        message: `You can send up to ${REQUEST_RATE_LIMIT.maxRequests} endorsement requests a day; please try again later`
+      });
+    }
+
+    const target = endorser ? { endorser } : { inviteEmail: email };
+    await EndorsementRequest.expireOverdue({ requester: req.user.id, skill, ...target });
+    if (await EndorsementRequest.exists({ requester: req.user.id, skill, ...target, status: 'pending' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already have a pending request for this skill with this person'
+      });
+    }
+
+    const request = await EndorsementRequest.create({
+      requester: req.user.id,
+      skill,
+      ...target,
+      message
+    });
+
+    if (email) {
+      try {
+        await sendInviteEmail(request, req.user);
+      } catch (mailError) {
+        console.error('Send endorsement invite error:', mailError);
+        await request.deleteOne();
+        return res.status(502).json({
+          success: false,
+          message: 'Could not send the invite email; please try again later'
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    console.error('Create endorsement request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/endorsement-requests/sent
+ * @desc    Requests the current student has sent, with their status
+ * @access  Private (Student)
+ */
+router.get('/sent', protect, authorize('student'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    await EndorsementRequest.expireOverdue({ requester: req.user.id });
+
+    const query = { requester: req.user.id };
+    if (status) query.status = status;
+
+    const requests = await EndorsementRequest.find(query)
+      .populate('endorser', 'profile.firstName profile.lastName')
+      .populate('skill', 'name category')
+      .populate('endorsement', 'level context comment')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('Get sent endorsement requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/endorsement-requests/received
+ * @desc    Requests sent to the current user, including invites to their email
+ * @access  Private
+ */
+router.get('/received', protect, async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const recipientOf = { $or: [{ endorser: req.user.id }, { inviteEmail: req.user.email }] };
+
+    await EndorsementRequest.expireOverdue(recipientOf);
+
+    const requests = await EndorsementRequest.find({ ...recipientOf, status })
+      .populate('requester', 'profile.firstName profile.lastName')
+      .populate('skill', 'name category')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('Get received endorsement requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/endorsement-requests/invite/:token
+ * @desc    View the request behind an invite before signing in
+ * @access  Public
+ */
+router.get('/invite/:token', async (req, res) => {
+  try {
+    const requestId = verifyInviteToken(req.params.token);
+    const request = requestId && await EndorsementRequest.findById(requestId)
+      .populate('requester', 'profile.firstName profile.lastName')
+      .populate('skill', 'name category');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite not found or no longer valid'
+      });
+    }
+
+    res.json({
+      success: true,
+      request: {
+        _id: request._id,
+        requester: request.requester,
+        skill: request.skill,
+        message: request.message,
+        status: request.status === 'pending' && !request.isOpen() ? 'expired' : request.status,
+        expiresAt: request.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Get endorsement invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/endorsement-requests/:id/accept
+ * @desc    Accept a request by endorsing the skill
+ * @access  Private
+ */
+router.post('/:id/accept', protect, [
+  body('level').isIn(['beginner', 'intermediate', 'advanced', 'expert']).withMessage('Invalid level'),
+  body('context').optional().isIn(['colleague', 'manager', 'client', 'mentor', 'peer', 'team-member']).withMessage('Invalid context'),
+  body('comment').optional().isLength({ max: 500 }).withMessage('Comment too long'),
+  body('projectName').optional().isLength({ max: 200 }).withMessage('Project name too long'),
+  body('evidence.startDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid start date'),
+  body('evidence.endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date'),
+  body('evidence.submission').optional({ values: 'null' }).isMongoId().withMessage('Invalid submission'),
+  body('token').optional().isString().withMessage('Invalid invite token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { request, error } = await loadOpenRequest(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { level, context, comment, projectName, evidence } = req.body;
+    const result = await giveEndorsement(req.user._id, {
+      recipient: request.requester,
+      skill: request.skill,
+      level,
+      context,
+      comment,
+      projectName,
+      evidence
+    });
+    if (result.error) {
+      return res.status(result.error.status).json({
+        success: false,
+        message: result.error.message
+      });
+    }
+
+    request.status = 'accepted';
+    request.endorser = req.user._id;
+    request.endorsement = result.endorsement._id;
+    request.respondedAt = Date.now();
+    await request.save();
+
+    res.json({
+      success: true,
+      request,
+      endorsement: result.endorsement
+    });
+  } catch (error) {
+    console.error('Accept endorsement request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/endorsement-requests/:id/decline
+ * @desc    Decline a request
+ * @access  Private
+ */
+router.post('/:id/decline', protect, [
+  body('reason').optional().isLength({ max: 500 }).withMessage('Reason too long'),
+  body('token').optional().isString().withMessage('Invalid invite token')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { request, error } = await loadOpenRequest(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    request.status = 'declined';
+    request.endorser = req.user._id;
+    request.declineReason = req.body.reason || '';
+    request.respondedAt = Date.now();
+    await request.save();
+
+    res.json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    console.error('Decline endorsement request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/endorsement-requests/:id/cancel
+ * @desc    Withdraw a pending request
+ * @access  Private (Requester only)
+ */
+router.post('/:id/cancel', protect, async (req, res) => {
+  try {
+    const request = await EndorsementRequest.findById(req.params.id);
+
+    if (!request || request.requester.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Request is already ${request.status}`
+      });
+    }
+
+    request.status = 'cancelled';
+    await request.save();
+
+    res.json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    console.error('Cancel endorsement request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * Load a pending request the current user may answer
+ * The addressed user may answer; an invite only the owner of the invited
+ * email holding its invite token. The email alone isn't proof, as anyone
+ * can register with it, and the token alone could be forwarded or leaked
+ * @param {Object} req - Express request ({ params.id, body.token })
+ * @returns {Promise<Object>} { request } or { error: { status, message } }
+ */
+async function loadOpenRequest(req) {
+  const request = await EndorsementRequest.findById(req.params.id);
+  if (!request) {
+    return { error: { status: 404, message: 'Request not found' } };
+  }
+
+  const addressed = request.endorser
+    ? request.endorser.toString() === req.user.id
+    : request.inviteEmail === req.user.email;
+  if (!addressed) {
+    return { error: { status: 403, message: 'This request was not sent to you' } };
+  }
+
+  if (!request.endorser && verifyInviteToken(req.body.token) !== request.id) {
+    return { error: { status: 403, message: 'Answering an invite needs the invite code from its email' } };
+  }
+
+  if (request.requester.toString() === req.user.id) {
+    return { error: { status: 400, message: 'You cannot answer your own request' } };
+  }
+
+  if (!request.isOpen()) {
+    if (request.status === 'pending') {
+      request.status = 'expired';
+      await request.save();
+    }
+    return { error: { status: 400, message: `Request is ${request.status}` } };
+  }
+
+  return { request };
+}
+
+/**
+ * Email an invite and its token to the invited address
+ * @param {Object} request - EndorsementRequest document with an inviteEmail
+ * @param {Object} requester - The requesting user
+ * @returns {Promise<void>} Rejects when the email could not be sent
+ */
+async function sendInviteEmail(request, requester) {
+  const skill = await Skill.findById(request.skill).select('name');
+  const name = requester.fullName;
+  const lines = [
+    `${name} has asked you to endorse them for ${skill ? skill.name : 'a skill'} on SkillLedger.`,
+    ...(request.message ? ['', `"${request.message}"`] : []),
+    '',
+    `Sign in or register with ${request.inviteEmail} and enter this invite code to accept or decline the request:`,
+    signInviteToken(request),
+    '',
+    `The request expires on ${request.expiresAt.toDateString()}.`
+  ];
+
+  await sendMail({
+    to: request.inviteEmail,
+    subject: `${name} asked you for an endorsement`,
+    text: lines.join('\n')
+  });
+}
+
+/**
+ * Sign an invite token for an email request; it lapses with the request
+ * @param {Object} request - EndorsementRequest document
+ * @returns {String} Token
+ */
+function signInviteToken(request) {
+  return jwt.sign(
+    { request: request._id.toString(), purpose: INVITE_TOKEN_PURPOSE },
+    process.env.JWT_SECRET || 'skillledger-secret-key',
+    { expiresIn: Math.max(1, Math.floor((request.expiresAt - Date.now()) / 1000)) }
+  );
+}
+
+/**
+ * Check an invite token
+ * @param {String} token - Token from signInviteToken
+ * @returns {String|null} Request ID, or null if the token is invalid or expired
+ */
+function verifyInviteToken(token) {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'skillledger-secret-key');
+    return decoded.purpose === INVITE_TOKEN_PURPOSE ? decoded.request : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,225 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+jest.mock('../utils/endorsements', () => ({ giveEndorsement: jest.fn() }));
+jest.mock('../utils/mailer', () => ({ sendMail: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const EndorsementRequest = require('../models/EndorsementRequest');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const { giveEndorsement } = require('../utils/endorsements');
+const { sendMail } = require('../utils/mailer');
+const endorsementRequestRoutes = require('./endorsementRequests');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/endorsement-requests', endorsementRequestRoutes);
+
+describe('endorsementRequests routes', () => {
+  const skillId = new mongoose.Types.ObjectId();
+  const user = (email, role = 'student') => new User({
+    email,
+    password: 'password123',
+    role,
+    profile: { firstName: email.split('@')[0], lastName: 'Test' },
+    skills: [{ skill: skillId, proficiencyLevel: 5 }]
+  });
+  const student = user('student@example.com');
+  const invitee = user('boss@corp.com', 'recruiter');
+
+  const inviteTokenFor = (id, purpose = 'endorsement-invite') => jwt.sign(
+    { request: id.toString(), purpose },
+    process.env.JWT_SECRET || 'skillledger-secret-key'
+  );
+
+  beforeEach(() => {
+    jest.spyOn(EndorsementRequest, 'updateMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('POST /', () => {
+    const mockCreate = ({ recent = 0 } = {}) => {
+      jest.spyOn(EndorsementRequest, 'countDocuments').mockResolvedValue(recent);
+      jest.spyOn(EndorsementRequest, 'exists').mockResolvedValue(null);
+      jest.spyOn(Skill, 'findById').mockReturnValue({ select: async () => ({ name: 'JavaScript' }) });
+      return jest.spyOn(EndorsementRequest, 'create').mockImplementation(async fields => new EndorsementRequest(fields));
+    };
+
+    beforeEach(() => {
+      mockCurrentUser = student;
+    });
+
+    it('keeps an email request as an invite without looking up the account', async () => {
+      const create = mockCreate();
+      const findOne = jest.spyOn(User, 'findOne');
+
+      const response = await request(app)
+        .post('/api/endorsement-requests')
+        .send({ skill: skillId.toString(), email: 'Boss@corp.com' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.request).toMatchObject({ inviteEmail: 'boss@corp.com', endorser: null });
+      expect(findOne).not.toHaveBeenCalled();
+      expect(create).toHaveBeenCalledWith(expect.not.objectContaining({ endorser: expect.anything() }));
+      expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: 'boss@corp.com' }));
+    });
+
+    it('refuses to invite your own email', async () => {
+      mockCreate();
+
+      const response = await request(app)
+        .post('/api/endorsement-requests')
+        .send({ skill: skillId.toString(), email: student.email });
+
+      expect(response.status).toBe(400);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('limits how many requests a student sends a day', async () => {
+      const create = mockCreate({ recent: 20 });
+
+      const response = await request(app)
+        .post('/api/endorsement-requests')
+        .send({ skill: skillId.toString(), email: 'boss@corp.com' });
+
+      expect(response.status).toBe(429);
+      expect(create).not.toHaveBeenCalled();
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('withdraws the request when the invite email fails', async () => {
+      mockCreate();
+      const deleteOne = jest.spyOn(EndorsementRequest.prototype, 'deleteOne').mockResolvedValue({});
+      sendMail.mockRejectedValue(new Error('No mail transport is configured'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const response = await request(app)
+        .post('/api/endorsement-requests')
+        .send({ skill: skillId.toString(), email: 'boss@corp.com' });
+
+      expect(response.status).toBe(502);
+      expect(deleteOne).toHaveBeenCalled();
+    });
+  });
+
+  describe('answering a request', () => {
+    const endorsementId = new mongoose.Types.ObjectId();
+    let pending;
+
+    const mockRequest = fields => {
+      pending = new EndorsementRequest({ requester: student._id, skill: skillId, ...fields });
+      jest.spyOn(EndorsementRequest, 'findById').mockResolvedValue(pending);
+      return jest.spyOn(pending, 'save').mockResolvedValue(pending);
+    };
+
+    beforeEach(() => {
+      mockCurrentUser = invitee;
+      giveEndorsement.mockResolvedValue({ endorsement: { _id: endorsementId } });
+    });
+
+    it('lets the addressed user accept', async () => {
+      const save = mockRequest({ endorser: invitee._id });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/accept`)
+        .send({ level: 'advanced' });
+
+      expect(response.status).toBe(200);
+      expect(giveEndorsement).toHaveBeenCalledWith(invitee._id, expect.objectContaining({ recipient: student._id, level: 'advanced' }));
+      expect(save).toHaveBeenCalled();
+      expect(pending.status).toBe('accepted');
+    });
+
+    it('refuses users the request was not sent to', async () => {
+      mockRequest({ endorser: new mongoose.Types.ObjectId() });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/accept`)
+        .send({ level: 'advanced' });
+
+      expect(response.status).toBe(403);
+      expect(giveEndorsement).not.toHaveBeenCalled();
+    });
+
+    it('accepts an email invite with its invite token', async () => {
+      mockRequest({ inviteEmail: invitee.email });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/accept`)
+        .send({ level: 'expert', token: inviteTokenFor(pending._id) });
+
+      expect(response.status).toBe(200);
+      expect(pending.endorser).toEqual(invitee._id);
+    });
+
+    it('refuses an email invite from an account with the invited email but no token', async () => {
+      mockRequest({ inviteEmail: invitee.email });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/accept`)
+        .send({ level: 'expert' });
+
+      expect(response.status).toBe(403);
+      expect(giveEndorsement).not.toHaveBeenCalled();
+    });
+
+    it("refuses another request's invite token", async () => {
+      mockRequest({ inviteEmail: invitee.email });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/decline`)
+        .send({ token: inviteTokenFor(new mongoose.Types.ObjectId()) });
+
+      expect(response.status).toBe(403);
+      expect(pending.status).toBe('pending');
+    });
+
+    it('refuses a valid invite token used by a different account', async () => {
+      mockRequest({ inviteEmail: invitee.email });
+      mockCurrentUser = user('someone@example.com', 'recruiter');
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/decline`)
+        .send({ token: inviteTokenFor(pending._id) });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('declines an email invite with its invite token', async () => {
+      mockRequest({ inviteEmail: invitee.email });
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/decline`)
+        .send({ token: inviteTokenFor(pending._id), reason: 'We never worked together' });
+
+      expect(response.status).toBe(200);
+      expect(pending).toMatchObject({ status: 'declined', declineReason: 'We never worked together' });
+    });
+
+    it('refuses to answer your own request', async () => {
+      mockRequest({ inviteEmail: student.email });
+      mockCurrentUser = student;
+
+      const response = await request(app)
+        .post(`/api/endorsement-requests/${pending.id}/accept`)
+        .send({ level: 'expert', token: inviteTokenFor(pending._id) });
+
+      expect(response.status).toBe(400);
+      expect(giveEndorsement).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -7,9 +7,14 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const Endorsement = require('../models/Endorsement');
+const CollusionReport = require('../models/CollusionReport');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
+const Skill = require('../models/Skill');
+const { protect, authorize } = require('../middleware/auth');
 const { updateAllSkillScores } = require('../utils/skillScoring');
+const { dismissCollusionFlag } = require('../utils/collusionDetection');
+const { giveEndorsement, buildEvidence } = require('../utils/endorsements');
+const { applyEndorsementWeight } = require('../utils/endorsementWeighting');
 
 /**
  * @route   POST /api/endorsements
@@ -20,7 +25,12 @@ router.post('/', protect, [
   body('recipient').notEmpty().withMessage('Recipient is required'),
   body('skill').notEmpty().withMessage('Skill is required'),
   body('level').isIn(['beginner', 'intermediate', 'advanced', 'expert']).withMessage('Invalid level'),
-  body('comment').optional().isLength({ max: 500 }).withMessage('Comment too long')
+  body('comment').optional().isLength({ max: 500 }).withMessage('Comment too long'),
+  body('context').optional().isIn(['colleague', 'manager', 'client', 'mentor', 'peer', 'team-member']).withMessage('Invalid context'),
+  body('projectName').optional().isLength({ max: 200 }).withMessage('Project name too long'),
+  body('evidence.startDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid start date'),
+  body('evidence.endDate').optional({ values: 'null' }).isISO8601().withMessage('Invalid end date'),
+  body('evidence.submission').optional({ values: 'null' }).isMongoId().withMessage('Invalid submission')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -31,58 +41,14 @@ router.post('/', protect, [
       });
     }
 
-    const { recipient, skill, level, comment, weight = 1 } = req.body;
-
-    // Check if recipient exists and is a student
-    const recipientUser = await User.findById(recipient);
-    if (!recipientUser || recipientUser.role !== 'student') {
-      return res.status(404).json({
-        success: false,
-        message: 'Recipient not found or not a student'
-      });
-    }
-
-    // Check if user has the skill
-    const userSkill = recipientUser.skills.find(s => s.skill.toString() === skill);
-    if (!userSkill) {
-      return res.status(400).json({
-        success: false,
-        message: 'Recipient does not have this skill'
-      });
-    }
-
-    // Check if user already endorsed this skill for this recipient
-    const existingEndorsement = await Endorsement.findOne({
-      endorser: req.user.id,
-      recipient,
-      skill,
-      isValid: true
-    });
-
-    if (existingEndorsement) {
-      return res.status(400).json({
+    const { endorsement, error } = await giveEndorsement(req.user.id, req.body);
+    if (error) {
+      return res.status(error.status).json({
         success: false,
-        message: 'You have already endorsed this skill for this user'
+        message: error.message
       });
     }
 
-    // Create endorsement
-    const endorsement = await Endorsement.create({
-      endorser: req.user.id,
-      recipient,
-      skill,
-      level,
-      comment,
-      weight
-    });
-
-    // Update recipient's endorsement count
-    recipientUser.totalEndorsementsReceived += 1;
-    await recipientUser.save();
-
-    // Recalculate skill scores
-    await updateAllSkillScores(recipient);
-
     res.status(201).json({
       success: true,
       endorsement
@@ -152,6 +118,163 @@ router.get('/given', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/endorsements/collusion/reports
+ * @desc    List collusion screening reports, newest first
+ * @access  Private (Admin)
+ */
+router.get('/collusion/reports', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const reports = await CollusionReport.find()
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await CollusionReport.countDocuments();
+
+    res.json({
+      success: true,
+      reports: reports.map(({ findings, ...report }) => ({
+        ...report,
+        findings: findings.reduce((counts, finding) => {
+          counts[finding.type] = (counts[finding.type] || 0) + 1;
+          return counts;
+        }, {})
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get collusion reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/endorsements/collusion/reports/:id
+ * @desc    Get a collusion report with the evidence for each finding
+ * @access  Private (Admin)
+ */
+router.get('/collusion/reports/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const report = await CollusionReport.findById(req.params.id)
+      .populate('findings.members', 'email profile.firstName profile.lastName createdAt credibilityScore')
+      .populate({
+        path: 'findings.endorsements',
+        select: 'endorser recipient skill level weight isValid collusion.status createdAt',
+        populate: { path: 'skill', select: 'name' }
+      });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get collusion report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/endorsements/collusion/flagged
+ * @desc    Endorsements currently down-weighted or quarantined by screening
+ * @access  Private (Admin)
+ */
+router.get('/collusion/flagged', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const query = { 'collusion.status': { $in: ['down-weighted', 'quarantined'] } };
+    if (['down-weighted', 'quarantined'].includes(status)) query['collusion.status'] = status;
+
+    const endorsements = await Endorsement.find(query)
+      .populate('endorser', 'profile.firstName profile.lastName createdAt')
+      .populate('recipient', 'profile.firstName profile.lastName')
+      .populate('skill', 'name category')
+      .sort({ 'collusion.flaggedAt': -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Endorsement.countDocuments(query);
+
+    res.json({
+      success: true,
+      endorsements,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get flagged endorsements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/endorsements/:endorsementId/collusion/dismiss
+ * @desc    Lift a screening flag after review; restores the endorsement and
+ *          exempts it from later screening runs
+ * @access  Private (Admin)
+ */
+router.post('/:endorsementId/collusion/dismiss', protect, authorize('admin'), async (req, res) => {
+  try {
+    const endorsement = await Endorsement.findById(req.params.endorsementId);
+
+    if (!endorsement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endorsement not found'
+      });
+    }
+
+    if (!['down-weighted', 'quarantined'].includes(endorsement.collusion.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Endorsement is not flagged'
+      });
+    }
+
+    await dismissCollusionFlag(endorsement, req.user.id);
+
+    res.json({
+      success: true,
+      endorsement: await Endorsement.findById(endorsement._id)
+    });
+  } catch (error) {
+    console.error('Dismiss collusion flag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @route   PUT /api/endorsements/:endorsementId
  * @desc    Update an endorsement
@@ -160,7 +283,11 @@ router.get('/given', protect, async (req, res) => {
 router.put('/:endorsementId', protect, [
   body('level').optional().isIn(['beginner', 'intermediate', 'advanced', 'expert']),
   body('comment').optional().isLength({ max: 500 }),
-  body('weight').optional().isFloat({ min: 0, max: 2 })
+  body('context').optional().isIn(['colleague', 'manager', 'client', 'mentor', 'peer', 'team-member']),
+  body('projectName').optional().isLength({ max: 200 }),
+  body('evidence.startDate').optional({ values: 'null' }).isISO8601(),
+  body('evidence.endDate').optional({ values: 'null' }).isISO8601(),
+  body('evidence.submission').optional({ values: 'null' }).isMongoId()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -188,16 +315,35 @@ router.put('/:endorsementId', protect, [
       });
     }
 
-    const { level, comment, weight } = req.body;
+    const { level, comment, context, projectName } = req.body;
 
     if (level) endorsement.level = level;
     if (comment !== undefined) endorsement.comment = comment;
-    if (weight !== undefined) endorsement.weight = weight;
+
+    // Changing the relationship or its evidence needs the recipient to confirm again
+    if (context !== undefined || projectName !== undefined || req.body.evidence !== undefined) {
+      const { evidence, error } = await buildEvidence(
+        { ...endorsement.evidence.toObject(), ...req.body.evidence },
+        endorsement.endorser,
+        endorsement.recipient
+      );
+      if (error) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (context !== undefined) endorsement.context = context;
+      if (projectName !== undefined) endorsement.projectName = projectName;
+      Object.assign(endorsement.evidence, evidence, { confirmedByRecipient: false, confirmedAt: null });
+      await applyEndorsementWeight(endorsement);
+    }
 
     await endorsement.save();
 
     // Recalculate scores
-    await updateAllSkillScores(endorsement.recipient);
+    await updateAllSkillScores(endorsement.recipient, 'endorsement');
 
     res.json({
       success: true,
@@ -212,6 +358,115 @@ router.put('/:endorsementId', protect, [
   }
 });
 
+/**
+ * @route   POST /api/endorsements/:endorsementId/confirm
+ * @desc    Confirm the relationship and evidence on an endorsement you received
+ *          Evidence-backed, confirmed endorsements are verified
+ * @access  Private (Recipient only)
+ */
+router.post('/:endorsementId/confirm', protect, async (req, res) => {
+  try {
+    const endorsement = await Endorsement.findById(req.params.endorsementId);
+
+    if (!endorsement || !endorsement.isValid) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endorsement not found'
+      });
+    }
+
+    if (endorsement.recipient.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to confirm this endorsement'
+      });
+    }
+
+    if (!endorsement.hasEvidence()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Endorsement has no evidence to confirm'
+      });
+    }
+
+    if (!endorsement.evidence.confirmedByRecipient) {
+      endorsement.evidence.confirmedByRecipient = true;
+      endorsement.evidence.confirmedAt = Date.now();
+      await endorsement.save();
+
+      // Recalculate scores
+      await updateAllSkillScores(endorsement.recipient, 'endorsement');
+    }
+
+    res.json({
+      success: true,
+      endorsement
+    });
+  } catch (error) {
+    console.error('Confirm endorsement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/endorsements/:endorsementId/renew
+ * @desc    Reconfirm an endorsement, starting a new lifetime for it
+ * @access  Private (Endorser only)
+ */
+router.post('/:endorsementId/renew', protect, async (req, res) => {
+  try {
+    const endorsement = await Endorsement.findById(req.params.endorsementId);
+
+    if (!endorsement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Endorsement not found'
+      });
+    }
+
+    // Check if user is the endorser
+    if (endorsement.endorser.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to renew this endorsement'
+      });
+    }
+
+    // Revoked and quarantined endorsements stay out
+    if (!endorsement.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active or expired endorsements can be renewed'
+      });
+    }
+
+    const skill = await Skill.findById(endorsement.skill).select('category').lean();
+    const now = new Date();
+    endorsement.setExpiry(skill && skill.category, now);
+    endorsement.renewedAt = now;
+    endorsement.renewalCount += 1;
+    await applyEndorsementWeight(endorsement);
+    await endorsement.save();
+
+    // Recalculate scores
+    await updateAllSkillScores(endorsement.recipient, 'endorsement');
+
+    res.json({
+      success: true,
+      endorsement
+    });
+  } catch (error) {
+    console.error('Renew endorsement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @route   DELETE /api/endorsements/:endorsementId
  * @desc    Revoke an endorsement
@@ -236,8 +491,11 @@ router.delete('/:endorsementId', protect, async (req, res) => {
       });
     }
 
-    // Mark as invalid instead of deleting
+    // Mark as invalid instead of deleting; a revoked endorsement is out of screening too
     endorsement.isValid = false;
+    if (['down-weighted', 'quarantined'].includes(endorsement.collusion.status)) {
+      endorsement.collusion.status = 'none';
+    }
     await endorsement.save();
 
     // Update recipient's count
@@ -248,7 +506,7 @@ router.delete('/:endorsementId', protect, async (req, res) => {
     }
 
     // Recalculate scores
-    await updateAllSkillScores(endorsement.recipient);
+    await updateAllSkillScores(endorsement.recipient, 'endorsement');
 
     res.json({
       success: true,
@@ -0,0 +1,178 @@
+/**
+ * Job Routes
+ * Admin view and control of background jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const { protect, authorize } = require('../middleware/auth');
+const { enqueueJob, listJobTypes } = require('../utils/jobRunner');
+
+/**
+ * @route   GET /api/jobs
+ * @desc    List background jobs, newest first
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { type, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (status) query.status = status;
+
+    const jobs = await Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Job.countDocuments(query);
+
+    res.json({
+      success: true,
+      jobs,
+      types: listJobTypes(),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/jobs/:id
+ * @desc    Get a job with its progress
+ * @access  Private (Admin)
+ */
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs
+ * @desc    Queue a job to run now
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), [
+  body('type').custom(type => listJobTypes().includes(type)).withMessage('Unknown job type'),
+  body('params').optional().isObject().withMessage('Params must be an object')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const running = await Job.exists({
+      type: req.body.type,
+      status: 'running'
+    });
+    if (running) {
+      return res.status(409).json({
+        success: false,
+        message: 'A job of this type is already running'
+      });
+    }
+
+    const job = await enqueueJob(req.body.type, req.body.params || {}, { createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Create job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/jobs/:id/cancel
+ * @desc    Cancel a queued job, or ask a running one to stop
+ * @access  Private (Admin)
+ */
+router.post('/:id/cancel', protect, authorize('admin'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Job is already ${job.status}`
+      });
+    }
+
+    // A running job stops at its next progress report
+    const cancelled = await Job.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      job.status === 'queued'
+        ? { $set: { status: 'cancelled', cancelRequested: true, finishedAt: Date.now() } }
+        : { $set: { cancelRequested: true } },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job changed state; try again'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: cancelled
+    });
+  } catch (error) {
+    console.error('Cancel job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
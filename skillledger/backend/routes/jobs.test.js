@@ -0,0 +1,145 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const { registerJobHandler } = require('../utils/jobRunner');
+const jobRoutes = require('./jobs');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+
+describe('jobs routes', () => {
+  const user = (email, role) => new User({
+    email,
+    password: 'password123',
+    role,
+    profile: { firstName: email.split('@')[0], lastName: 'Test' }
+  });
+  const admin = user('admin@example.com', 'admin');
+
+  beforeAll(() => {
+    registerJobHandler('test-job', async () => ({}));
+  });
+
+  beforeEach(() => {
+    mockCurrentUser = admin;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /', () => {
+    it('queues a registered job for the admin', async () => {
+      jest.spyOn(Job, 'exists').mockResolvedValue(null);
+      const create = jest.spyOn(Job, 'create').mockImplementation(async fields => new Job(fields));
+
+      const response = await request(app).post('/api/jobs').send({ type: 'test-job', params: { batchSize: 10 } });
+
+      expect(response.status).toBe(201);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'test-job',
+        params: { batchSize: 10 },
+        createdBy: admin.id
+      }));
+    });
+
+    it('rejects unknown job types', async () => {
+      const create = jest.spyOn(Job, 'create');
+
+      const response = await request(app).post('/api/jobs').send({ type: 'drop-database' });
+
+      expect(response.status).toBe(400);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('refuses while a job of the type is running', async () => {
+      jest.spyOn(Job, 'exists').mockResolvedValue({ _id: 'running' });
+      const create = jest.spyOn(Job, 'create');
+
+      const response = await request(app).post('/api/jobs').send({ type: 'test-job' });
+
+      expect(response.status).toBe(409);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('is for admins only', async () => {
+      mockCurrentUser = user('student@example.com', 'student');
+
+      const response = await request(app).post('/api/jobs').send({ type: 'test-job' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /:id/cancel', () => {
+    const mockJob = status => {
+      const job = new Job({ type: 'test-job', status });
+      jest.spyOn(Job, 'findById').mockResolvedValue(job);
+      return job;
+    };
+
+    it('cancels a queued job outright', async () => {
+      const job = mockJob('queued');
+      const update = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(200);
+      expect(update).toHaveBeenCalledWith(
+        { _id: job._id, status: 'queued' },
+        { $set: expect.objectContaining({ status: 'cancelled', cancelRequested: true }) },
+        { new: true }
+      );
+    });
+
+    it('asks a running job to stop', async () => {
+      const job = mockJob('running');
+      const update = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+
+      await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(update).toHaveBeenCalledWith({ _id: job._id, status: 'running' }, { $set: { cancelRequested: true } }, { new: true });
+    });
+
+    it('refuses finished jobs', async () => {
+      const job = mockJob('completed');
+      const update = jest.spyOn(Job, 'findOneAndUpdate');
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Job is already completed');
+      expect(update).not.toHaveBeenCalled();
+    });
+
+    it('reports a job that changed state meanwhile', async () => {
+      const job = mockJob('queued');
+      jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+
+      const response = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(response.status).toBe(409);
+    });
+
+    it('is 404 for unknown jobs', async () => {
+      jest.spyOn(Job, 'findById').mockResolvedValue(null);
+
+      const response = await request(app).post(`/api/jobs/${new mongoose.Types.ObjectId()}/cancel`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
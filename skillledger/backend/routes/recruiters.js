@@ -5,10 +5,12 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Skill = require('../models/Skill');
 const { protect, authorize } = require('../middleware/auth');
+const { getCredibilityTimeline } = require('../utils/credibilityHistory');
+const { explainSkillCredibility } = require('../utils/credibilityExplanation');
 
 /**
  * @route   GET /api/recruiters/search
@@ -122,6 +124,114 @@ router.get('/users/:userId', protect, authorize('recruiter'), async (req, res) =
   }
 });
 
+/**
+ * @route   GET /api/recruiters/users/:userId/credibility/history
+ * @desc    Get a candidate's credibility score timeline per skill
+ * @access  Private (Recruiter)
+ */
+router.get('/users/:userId/credibility/history', protect, authorize('recruiter'), [
+  query('skill').optional().isMongoId().withMessage('Invalid skill ID'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check if user is a student
+    if (user.role !== 'student') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { skill, from, to } = req.query;
+    const timeline = await getCredibilityTimeline(user._id, { skill, from, to });
+
+    res.json({
+      success: true,
+      timeline
+    });
+  } catch (error) {
+    console.error('Get candidate credibility history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/recruiters/users/:userId/credibility/:skillId/explain
+ * @desc    Explain a candidate's credibility score for a skill
+ * @access  Private (Recruiter)
+ */
+router.get('/users/:userId/credibility/:skillId/explain', protect, authorize('recruiter'), [
+  param('skillId').isMongoId().withMessage('Invalid skill ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Check if user is a student
+    if (user.role !== 'student') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const explanation = await explainSkillCredibility(user._id, req.params.skillId);
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found in this profile'
+      });
+    }
+
+    res.json({
+      success: true,
+      explanation
+    });
+  } catch (error) {
+    console.error('Explain candidate credibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 /**
  * @route   GET /api/recruiters/skills
  * @desc    Get all available skills for filtering
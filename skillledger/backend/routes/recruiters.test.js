@@ -0,0 +1,94 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+jest.mock('../utils/credibilityHistory', () => ({ getCredibilityTimeline: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getCredibilityTimeline } = require('../utils/credibilityHistory');
+const recruiterRoutes = require('./recruiters');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/recruiters', recruiterRoutes);
+
+describe('recruiters routes', () => {
+  const user = (email, role) => new User({
+    email,
+    password: 'password123',
+    role,
+    profile: { firstName: email.split('@')[0], lastName: 'Test' }
+  });
+  const recruiter = user('recruiter@example.com', 'recruiter');
+  const candidate = user('candidate@example.com', 'student');
+  const timeline = [{ skill: { name: 'JavaScript' }, points: [{ score: 42, trigger: 'submission' }] }];
+
+  const mockUser = found => jest.spyOn(User, 'findById').mockReturnValue({ select: async () => found });
+
+  beforeEach(() => {
+    mockCurrentUser = recruiter;
+    getCredibilityTimeline.mockResolvedValue(timeline);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('GET /users/:userId/credibility/history', () => {
+    it("returns a candidate's timeline for the requested range", async () => {
+      mockUser(candidate);
+      const skill = new mongoose.Types.ObjectId().toString();
+
+      const response = await request(app)
+        .get(`/api/recruiters/users/${candidate.id}/credibility/history`)
+        .query({ skill, from: '2026-01-01', to: '2026-06-30' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.timeline).toEqual(timeline);
+      expect(getCredibilityTimeline).toHaveBeenCalledWith(candidate._id, { skill, from: '2026-01-01', to: '2026-06-30' });
+    });
+
+    it('rejects malformed dates', async () => {
+      const response = await request(app)
+        .get(`/api/recruiters/users/${candidate.id}/credibility/history`)
+        .query({ from: 'last week' });
+
+      expect(response.status).toBe(400);
+      expect(getCredibilityTimeline).not.toHaveBeenCalled();
+    });
+
+    it('only shows candidates', async () => {
+      mockUser(user('other@example.com', 'recruiter'));
+
+      const response = await request(app).get(`/api/recruiters/users/${candidate.id}/credibility/history`);
+
+      expect(response.status).toBe(403);
+      expect(getCredibilityTimeline).not.toHaveBeenCalled();
+    });
+
+    it('is 404 for unknown users', async () => {
+      mockUser(null);
+
+      const response = await request(app).get(`/api/recruiters/users/${candidate.id}/credibility/history`);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('is for recruiters only', async () => {
+      mockCurrentUser = candidate;
+
+      const response = await request(app).get(`/api/recruiters/users/${candidate.id}/credibility/history`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,672 @@
+/**
+ * Review Routes
+ * Human review workflow for challenge submissions
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { updateAllSkillScores } = require('../utils/skillScoring');
+const { recordGradedSubmission } = require('../utils/challengeStats');
+const { recordAssessmentOutcome } = require('../utils/adaptiveAssessment');
+const { loadChallengeForSubmission } = require('../utils/challengeVersions');
+const { scoreRubric, getCriteria } = require('../utils/rubricScoring');
+const { getReviewPolicy, evaluateConsensus, anonymizeReviews } = require('../utils/consensusScoring');
+const { redactGradingResults } = require('../utils/graders');
+const { findMatchedRegions } = require('../utils/similarity');
+
+// How long a claimed submission stays locked to its reviewer
+const REVIEW_LOCK_MINUTES = parseInt(process.env.REVIEW_LOCK_MINUTES) || 30;
+
+const rubricValidators = [
+  body('rubric').optional().isArray().withMessage('Rubric must be an array'),
+  body('rubric.*.criterion').optional().notEmpty().withMessage('Rubric criterion is required'),
+  body('rubric.*.score').optional().isFloat({ min: 0, max: 100 }).withMessage('Rubric scores must be 0-100'),
+  body('comments').optional().isLength({ max: 2000 }).withMessage('Comments too long')
+];
+
+const CHALLENGE_REVIEW_FIELDS = 'title skill difficulty category verificationCriteria passingScore reviewPolicy';
+
+/**
+ * @route   GET /api/reviews/queue
+ * @desc    List submissions waiting for review
+ * @access  Private (Reviewer, Admin)
+ */
+router.get('/queue', protect, authorize('reviewer', 'admin'), async (req, res) => {
+  try {
+    const { skill, challenge, page = 1, limit = 20 } = req.query;
+
+    // Pending submissions, plus claimed ones whose lock has lapsed
+    let query = {
+      requiresReview: true,
+      'consensus.needsAdjudication': { $ne: true },
+      'consensus.reviews.reviewer': { $ne: req.user._id },
+      $or: [
+        { reviewStatus: 'pending' },
+        { reviewStatus: 'in-review', 'reviewLock.expiresAt': { $lte: new Date() } }
+      ]
+    };
+
+    // Filter by challenge
+    if (challenge) {
+      query.challenge = challenge;
+    }
+
+    // Filter by skill via its challenges
+    if (skill) {
+      const challengeIds = await Challenge.find({ skill }).distinct('_id');
+      query.challenge = challenge
+        ? { $in: challengeIds.filter(id => id.toString() === challenge) }
+        : { $in: challengeIds };
+    }
+
+    const submissions = await Submission.find(query)
+      .populate('challenge', CHALLENGE_REVIEW_FIELDS)
+      .populate('user', 'profile.firstName profile.lastName')
+      .select('-reviewLock')
+      .sort({ submittedAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Submission.countDocuments(query);
+
+    res.json({
+      success: true,
+      submissions: submissions.map(submission => toReviewerView(submission, submission.challenge)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reviews/mine
+ * @desc    List submissions currently claimed by the reviewer
+ * @access  Private (Reviewer, Admin)
+ */
+router.get('/mine', protect, authorize('reviewer', 'admin'), async (req, res) => {
+  try {
+    const submissions = await Submission.find({
+      reviewStatus: 'in-review',
+      'reviewLock.reviewer': req.user.id,
+      'reviewLock.expiresAt': { $gt: new Date() }
+    })
+      .populate('challenge', CHALLENGE_REVIEW_FIELDS)
+      .populate('user', 'profile.firstName profile.lastName')
+      .sort({ 'reviewLock.expiresAt': 1 });
+
+    res.json({
+      success: true,
+      submissions: submissions.map(submission => toReviewerView(submission, submission.challenge))
+    });
+  } catch (error) {
+    console.error('Get claimed reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/claim
+ * @desc    Claim a submission for review (locks it for REVIEW_LOCK_MINUTES)
+ * @access  Private (Reviewer, Admin)
+ */
+router.post('/:submissionId/claim', protect, authorize('reviewer', 'admin'), async (req, res) => {
+  try {
+    const submission = await Submission.claimForReview(
+      req.params.submissionId,
+      req.user._id,
+      REVIEW_LOCK_MINUTES
+    );
+
+    if (!submission) {
+      return res.status(409).json({
+        success: false,
+        message: 'Submission is not awaiting review or is claimed by another reviewer'
+      });
+    }
+
+    const challenge = await loadChallengeForSubmission(submission);
+
+    res.json({
+      success: true,
+      submission: toReviewerView(submission, challenge),
+      criteria: challenge ? getCriteria(challenge) : [],
+      lockExpiresAt: submission.reviewLock.expiresAt
+    });
+  } catch (error) {
+    console.error('Claim review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/release
+ * @desc    Release a claimed submission back to the queue
+ * @access  Private (Lock holder, Admin)
+ */
+router.post('/:submissionId/release', protect, authorize('reviewer', 'admin'), async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId);
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (submission.reviewStatus !== 'in-review') {
+      return res.status(400).json({
+        success: false,
+        message: 'Submission is not claimed'
+      });
+    }
+
+    if (!submission.isLockedBy(req.user._id) && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to release this submission'
+      });
+    }
+
+    submission.reviewStatus = 'pending';
+    submission.reviewLock = { reviewer: null, claimedAt: null, expiresAt: null };
+    await submission.save();
+
+    res.json({
+      success: true,
+      message: 'Submission released'
+    });
+  } catch (error) {
+    console.error('Release review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reviews/:submissionId/similarity
+ * @desc    Similarity report: matched submissions with highlighted regions
+ * @access  Private (Reviewer holding the claim, Admin)
+ */
+router.get('/:submissionId/similarity', protect, authorize('reviewer', 'admin'), async (req, res) => {
+  try {
+    const submission = await Submission.findById(req.params.submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && !submission.isLockedBy(req.user._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Claim this submission before reviewing it'
+      });
+    }
+
+    const challenge = await loadChallengeForSubmission(submission);
+    const policy = getReviewPolicy(challenge);
+    const showUsers = req.user.role === 'admin' || !policy.blind;
+
+    const matchedIds = submission.similarity.matches.map(match => match.submission);
+    const matchedSubmissions = await Submission.find({ _id: { $in: matchedIds } })
+      .select('user content language submittedAt');
+
+    const matches = submission.similarity.matches.map(match => {
+      const other = matchedSubmissions.find(item => item._id.equals(match.submission));
+      if (!other) return null;
+
+      const regions = findMatchedRegions(submission, other, challenge);
+      return {
+        submission: other._id,
+        user: showUsers ? other.user : undefined,
+        submittedAt: other.submittedAt,
+        score: match.score,
+        mode: regions ? regions.mode : null,
+        content: other.content,
+        regions: regions ? regions.regionsB : [],
+        submissionRegions: regions ? regions.regionsA : []
+      };
+    }).filter(Boolean);
+
+    res.json({
+      success: true,
+      report: {
+        submission: submission._id,
+        flagged: submission.similarity.flagged,
+        maxScore: submission.similarity.maxScore,
+        checkedAt: submission.similarity.checkedAt,
+        content: submission.content,
+        matches
+      }
+    });
+  } catch (error) {
+    console.error('Get similarity report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/approve
+ * @desc    Approve a claimed submission with rubric scores
+ * @access  Private (Lock holder)
+ */
+router.post('/:submissionId/approve', protect, authorize('reviewer', 'admin'), rubricValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { submission, challenge, error } = await loadClaimedSubmission(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { score, rubricScores, missing } = scoreRubric(challenge, submission, req.body.rubric);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing rubric scores for: ${missing.join(', ')}`
+      });
+    }
+
+    // Hint penalties apply to the reviewer's score, as they do to the grader's
+    const penalizedScore = submission.scoreAfterHints(score);
+    if (penalizedScore < challenge.passingScore) {
+      const penalty = submission.hintPenalty ? ` (${penalizedScore} after the hint penalty)` : '';
+      return res.status(400).json({
+        success: false,
+        message: `Rubric score ${score}${penalty} is below the passing score of ${challenge.passingScore}; reject instead`
+      });
+    }
+
+    submission.rubricScores = rubricScores;
+    await recordDecision(submission, {
+      approved: true,
+      score,
+      reviewerId: req.user._id,
+      comments: req.body.comments
+    });
+
+    res.json({
+      success: true,
+      submission: toReviewerView(submission, challenge)
+    });
+  } catch (error) {
+    console.error('Approve review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/reject
+ * @desc    Reject a claimed submission with comments
+ * @access  Private (Lock holder)
+ */
+router.post('/:submissionId/reject', protect, authorize('reviewer', 'admin'), [
+  ...rubricValidators,
+  body('comments').notEmpty().withMessage('Comments are required when rejecting')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { submission, challenge, error } = await loadClaimedSubmission(req);
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    // Rubric scores are optional on rejection but kept as feedback
+    let score = submission.score;
+    if (req.body.rubric && req.body.rubric.length > 0) {
+      const rubricResult = scoreRubric(challenge, submission, req.body.rubric);
+      score = rubricResult.score;
+      submission.rubricScores = rubricResult.rubricScores;
+    }
+
+    await recordDecision(submission, {
+      approved: false,
+      score,
+      reviewerId: req.user._id,
+      comments: req.body.comments
+    });
+
+    res.json({
+      success: true,
+      submission: toReviewerView(submission, challenge)
+    });
+  } catch (error) {
+    console.error('Reject review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/score
+ * @desc    Submit an independent blind score for a consensus-reviewed submission
+ * @access  Private (Lock holder)
+ */
+router.post('/:submissionId/score', protect, authorize('reviewer', 'admin'), rubricValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { submission, challenge, error } = await loadClaimedSubmission(req, { consensus: true });
+    if (error) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { score, rubricScores, missing } = scoreRubric(challenge, submission, req.body.rubric);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing rubric scores for: ${missing.join(', ')}`
+      });
+    }
+
+    const policy = getReviewPolicy(challenge);
+
+    submission.consensus.reviews.push({
+      reviewer: req.user._id,
+      score,
+      rubricScores,
+      comments: req.body.comments || '',
+      submittedAt: Date.now()
+    });
+    submission.reviewLock = { reviewer: null, claimedAt: null, expiresAt: null };
+
+    const reviewsReceived = submission.consensus.reviews.length;
+
+    if (reviewsReceived < policy.reviewersRequired) {
+      // Back to the queue for the next independent reviewer
+      submission.reviewStatus = 'pending';
+      await submission.save();
+    } else {
+      const { finalScore, spread, needsAdjudication } = evaluateConsensus(submission.consensus.reviews, policy);
+
+      submission.consensus.aggregation = policy.aggregation;
+      submission.consensus.finalScore = finalScore;
+      submission.consensus.spread = spread;
+      submission.consensus.needsAdjudication = needsAdjudication;
+
+      if (needsAdjudication) {
+        submission.reviewStatus = 'pending';
+        await submission.save();
+      } else {
+        await recordDecision(submission, {
+          approved: submission.scoreAfterHints(finalScore) >= challenge.passingScore,
+          score: finalScore,
+          reviewerId: null,
+          comments: 'Consensus of independent reviews'
+        });
+      }
+    }
+
+    // Reviewers only learn how many reviews are in, never the other scores
+    res.json({
+      success: true,
+      reviewsReceived,
+      reviewsRequired: policy.reviewersRequired
+    });
+  } catch (error) {
+    console.error('Submit blind score error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/reviews/adjudication
+ * @desc    List consensus reviews where reviewers disagreed too much
+ * @access  Private (Admin)
+ */
+router.get('/adjudication', protect, authorize('admin'), async (req, res) => {
+  try {
+    const submissions = await Submission.find({
+      requiresReview: true,
+      reviewStatus: 'pending',
+      'consensus.needsAdjudication': true
+    })
+      .populate('challenge', CHALLENGE_REVIEW_FIELDS)
+      .sort({ submittedAt: 1 });
+
+    res.json({
+      success: true,
+      submissions: submissions.map(submission => ({
+        ...toReviewerView(submission, submission.challenge),
+        consensus: {
+          aggregation: submission.consensus.aggregation,
+          finalScore: submission.consensus.finalScore,
+          spread: submission.consensus.spread,
+          reviews: anonymizeReviews(submission.consensus.reviews)
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Get adjudication queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/reviews/:submissionId/adjudicate
+ * @desc    Settle a disputed consensus review with a final score
+ * @access  Private (Admin)
+ */
+router.post('/:submissionId/adjudicate', protect, authorize('admin'), [
+  body('score').isFloat({ min: 0, max: 100 }).withMessage('Score must be 0-100'),
+  body('comments').notEmpty().withMessage('Comments are required when adjudicating')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const submission = await Submission.findById(req.params.submissionId);
+    if (!submission || !submission.consensus.needsAdjudication || submission.reviewStatus !== 'pending') {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission is not awaiting adjudication'
+      });
+    }
+
+    // Adjudicators can't settle submissions they scored themselves
+    if (submission.consensus.reviews.some(review => review.reviewer.toString() === req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You reviewed this submission and cannot adjudicate it'
+      });
+    }
+
+    const challenge = await loadChallengeForSubmission(submission);
+    const score = Math.round(Number(req.body.score));
+
+    submission.consensus.needsAdjudication = false;
+    submission.consensus.adjudicatedBy = req.user._id;
+    submission.consensus.adjudicatedAt = Date.now();
+
+    await recordDecision(submission, {
+      approved: submission.scoreAfterHints(score) >= challenge.passingScore,
+      score,
+      reviewerId: req.user._id,
+      comments: req.body.comments
+    });
+
+    res.json({
+      success: true,
+      submission
+    });
+  } catch (error) {
+    console.error('Adjudicate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * Load a submission the current reviewer has claimed, with its challenge
+ * @param {Object} req - Express request
+ * @param {Object} options - { consensus: true } for blind multi-reviewer scoring
+ * @returns {Promise<Object>} { submission, challenge } or { error: { status, message } }
+ */
+async function loadClaimedSubmission(req, options = {}) {
+  const submission = await Submission.findById(req.params.submissionId);
+  if (!submission) {
+    return { error: { status: 404, message: 'Submission not found' } };
+  }
+
+  if (!submission.isLockedBy(req.user._id)) {
+    return { error: { status: 409, message: 'Claim this submission before reviewing it' } };
+  }
+
+  const challenge = await loadChallengeForSubmission(submission);
+  if (!challenge) {
+    return { error: { status: 404, message: 'Challenge not found' } };
+  }
+
+  const usesConsensus = getReviewPolicy(challenge).reviewersRequired > 1;
+  if (usesConsensus && !options.consensus) {
+    return { error: { status: 400, message: 'This challenge uses consensus review; submit a blind score instead' } };
+  }
+  if (!usesConsensus && options.consensus) {
+    return { error: { status: 400, message: 'This challenge uses single review; approve or reject instead' } };
+  }
+
+  return { submission, challenge };
+}
+
+/**
+ * Record the final review decision on a submission
+ * Keeps the candidate's pass count in step and refreshes credibility on approval
+ * @param {Object} submission - Submission document
+ * @param {Object} decision - { approved, score, reviewerId, comments }
+ */
+async function recordDecision(submission, { approved, score, reviewerId, comments }) {
+  const wasPassed = submission.isPassed;
+
+  // Callers decide on the penalized score, so a pass is never below the mark
+  submission.rawScore = score;
+  submission.score = submission.scoreAfterHints(score);
+  submission.isPassed = approved;
+  submission.isVerified = approved;
+  submission.reviewStatus = approved ? 'approved' : 'rejected';
+  submission.reviewerComments = comments || '';
+  submission.reviewedBy = reviewerId;
+  submission.reviewedAt = Date.now();
+  submission.verifiedBy = approved ? reviewerId : null;
+  submission.verifiedAt = approved ? Date.now() : null;
+  submission.reviewLock = { reviewer: null, claimedAt: null, expiresAt: null };
+  await submission.save();
+  await recordGradedSubmission(submission);
+
+  if (approved !== wasPassed) {
+    const user = await User.findById(submission.user);
+    if (user) {
+      user.totalChallengesPassed = Math.max(0, user.totalChallengesPassed + (approved ? 1 : -1));
+      await user.save();
+    }
+  }
+
+  // Verified submission now counts towards credibility
+  if (approved) {
+    await updateAllSkillScores(submission.user, 'review');
+  }
+
+  await recordAssessmentOutcome(submission);
+}
+
+/**
+ * Shape a submission for reviewers
+ * Hides the candidate on blind challenges, never exposes other reviews,
+ * and shows hidden test cases as pass/fail only
+ * @param {Object} submission - Submission document
+ * @param {Object} challenge - Its challenge (for the review policy)
+ * @returns {Object} Reviewer-safe submission
+ */
+function toReviewerView(submission, challenge) {
+  const view = submission.toObject();
+  const policy = challenge ? getReviewPolicy(challenge) : { blind: true, reviewersRequired: 1 };
+
+  if (policy.blind) {
+    delete view.user;
+    if (view.similarity) {
+      view.similarity.matches = view.similarity.matches.map(({ user, ...match }) => match);
+    }
+  }
+  delete view.consensus;
+  view.autoGradingResults = redactGradingResults(view.autoGradingResults);
+  view.reviewsRequired = policy.reviewersRequired;
+
+  return view;
+}
+
+module.exports = router;
@@ -0,0 +1,186 @@
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  protect: (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+  }
+}));
+jest.mock('../utils/challengeVersions', () => ({
+  ...jest.requireActual('../utils/challengeVersions'),
+  loadChallengeForSubmission: jest.fn()
+}));
+jest.mock('../utils/challengeStats', () => ({
+  ...jest.requireActual('../utils/challengeStats'),
+  recordGradedSubmission: jest.fn()
+}));
+jest.mock('../utils/skillScoring', () => ({
+  ...jest.requireActual('../utils/skillScoring'),
+  updateAllSkillScores: jest.fn()
+}));
+jest.mock('../utils/adaptiveAssessment', () => ({ recordAssessmentOutcome: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+const User = require('../models/User');
+const { loadChallengeForSubmission } = require('../utils/challengeVersions');
+const { recordGradedSubmission } = require('../utils/challengeStats');
+const { updateAllSkillScores } = require('../utils/skillScoring');
+const reviewRoutes = require('./reviews');
+
+let mockCurrentUser;
+
+const app = express();
+app.use(express.json());
+app.use('/api/reviews', reviewRoutes);
+
+describe('reviews routes', () => {
+  const user = (email, role) => new User({
+    email,
+    password: 'password123',
+    role,
+    profile: { firstName: email.split('@')[0], lastName: 'Test' }
+  });
+  const reviewer = user('reviewer@example.com', 'reviewer');
+  const candidate = user('candidate@example.com', 'student');
+  let challenge;
+  let submission;
+
+  // A submission the current reviewer has claimed
+  const mockClaimed = (fields = {}) => {
+    submission = new Submission({
+      user: candidate._id,
+      challenge: challenge._id,
+      content: { text: 'My answer' },
+      requiresReview: true,
+      reviewStatus: 'in-review',
+      reviewLock: { reviewer: reviewer._id, claimedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 1000) },
+      ...fields
+    });
+    jest.spyOn(Submission, 'findById').mockResolvedValue(submission);
+    return jest.spyOn(submission, 'save').mockResolvedValue(submission);
+  };
+
+  const review = (action, body) => request(app)
+    .post(`/api/reviews/${submission.id}/${action}`)
+    .send(body);
+
+  beforeEach(() => {
+    mockCurrentUser = reviewer;
+    candidate.totalChallengesPassed = 0;
+    challenge = new Challenge({
+      title: 'Explain closures',
+      skill: new mongoose.Types.ObjectId(),
+      category: 'writing',
+      verificationCriteria: [{ criterion: 'Accurate', autoVerify: false }],
+      passingScore: 70
+    });
+    loadChallengeForSubmission.mockResolvedValue(challenge);
+    jest.spyOn(User, 'findById').mockResolvedValue(candidate);
+    jest.spyOn(candidate, 'save').mockResolvedValue(candidate);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('POST /:submissionId/approve', () => {
+    it('passes and verifies the submission with the rubric score', async () => {
+      const save = mockClaimed();
+
+      const response = await review('approve', { rubric: [{ criterion: 'Accurate', score: 85 }] });
+
+      expect(response.status).toBe(200);
+      expect(save).toHaveBeenCalled();
+      expect(submission).toMatchObject({ score: 85, isPassed: true, isVerified: true, reviewStatus: 'approved' });
+      expect(submission.reviewLock.reviewer).toBeNull();
+      expect(candidate.totalChallengesPassed).toBe(1);
+      expect(recordGradedSubmission).toHaveBeenCalledWith(submission);
+      expect(updateAllSkillScores).toHaveBeenCalledWith(candidate._id, 'review');
+    });
+
+    it('refuses a rubric score that falls below the passing score after the hint penalty', async () => {
+      const save = mockClaimed({ hintPenalty: 10 });
+
+      const response = await review('approve', { rubric: [{ criterion: 'Accurate', score: 75 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Rubric score 75 (65 after the hint penalty) is below the passing score of 70; reject instead');
+      expect(save).not.toHaveBeenCalled();
+    });
+
+    it('records the penalized score on an approval', async () => {
+      mockClaimed({ hintPenalty: 10 });
+
+      await review('approve', { rubric: [{ criterion: 'Accurate', score: 90 }] });
+
+      expect(submission).toMatchObject({ rawScore: 90, score: 80, isPassed: true });
+    });
+
+    it('needs a score for every criterion', async () => {
+      mockClaimed();
+
+      const response = await review('approve', { rubric: [] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Missing rubric scores for: Accurate');
+    });
+
+    it('refuses reviewers who have not claimed the submission', async () => {
+      mockClaimed({ reviewLock: { reviewer: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + 60 * 1000) } });
+
+      const response = await review('approve', { rubric: [{ criterion: 'Accurate', score: 85 }] });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('sends consensus-reviewed submissions to blind scoring', async () => {
+      challenge.reviewPolicy = { reviewersRequired: 3 };
+      mockClaimed();
+
+      const response = await review('approve', { rubric: [{ criterion: 'Accurate', score: 85 }] });
+
+      expect(response.status).toBe(400);
+      expect(submission.isPassed).toBe(false);
+    });
+  });
+
+  describe('POST /:submissionId/reject', () => {
+    it('needs comments', async () => {
+      mockClaimed();
+
+      const response = await review('reject', {});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('fails the submission and takes back a pass the grader gave', async () => {
+      candidate.totalChallengesPassed = 1;
+      mockClaimed({ score: 90, isPassed: true });
+
+      const response = await review('reject', { comments: 'Copied from the documentation' });
+
+      expect(response.status).toBe(200);
+      expect(submission).toMatchObject({
+        isPassed: false,
+        isVerified: false,
+        reviewStatus: 'rejected',
+        reviewerComments: 'Copied from the documentation'
+      });
+      expect(candidate.totalChallengesPassed).toBe(0);
+      expect(updateAllSkillScores).not.toHaveBeenCalled();
+    });
+
+    it('keeps rubric scores as feedback', async () => {
+      mockClaimed();
+
+      await review('reject', { comments: 'Not accurate', rubric: [{ criterion: 'Accurate', score: 40 }] });
+
+      expect(submission.score).toBe(40);
+      expect(submission.rubricScores[0]).toMatchObject({ criterion: 'Accurate', score: 40, source: 'reviewer' });
+    });
+  });
+});
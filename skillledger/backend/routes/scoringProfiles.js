@@ -0,0 +1,399 @@
+/**
+ * Scoring Profile Routes
+ * Admin management of the scoring policies used for credibility scores
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const ScoringProfile = require('../models/ScoringProfile');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const { DEFAULT_SCORING_PROFILE, DIFFICULTY_MULTIPLIERS } = require('../utils/skillScoring');
+const { simulateScoringPolicy, SIMULATION_DEFAULTS } = require('../utils/scoringSimulation');
+
+const profileValidators = [
+  body('description').optional().isString().isLength({ max: 500 }).withMessage('Description must be at most 500 characters'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('isDefault').optional().isBoolean().withMessage('Default flag must be true or false'),
+  body('weights').optional().isObject().withMessage('Weights must be an object'),
+  body('weights.*.*').optional().isFloat({ min: 0, max: 100 }).withMessage('Weights must be 0-100'),
+  body('blend').optional().isObject().withMessage('Blend must be an object'),
+  body('blend.*').optional().isFloat({ min: 0, max: 1 }).withMessage('Blend shares must be 0-1'),
+  body('decay.startDays').optional().isInt({ min: 0 }).withMessage('Decay start must be a number of days'),
+  body('decay.periodDays').optional().isInt({ min: 1 }).withMessage('Decay period must be a positive number of days'),
+  body('decay.floor').optional().isFloat({ min: 0, max: 1 }).withMessage('Decay floor must be 0-1'),
+  body('difficultyMultipliers').optional().isObject().withMessage('Difficulty multipliers must be an object'),
+  body('difficultyMultipliers.*').optional().isFloat({ min: 0.1, max: 10 }).withMessage('Difficulty multipliers must be 0.1-10')
+];
+
+/**
+ * @route   GET /api/scoring-profiles
+ * @desc    List scoring profiles and the built-in fallback
+ * @access  Private (Admin)
+ */
+router.get('/', protect, authorize('admin'), async (req, res) => {
+  try {
+    const profiles = await ScoringProfile.find()
+      .select('-history')
+      .sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      profiles,
+      builtIn: DEFAULT_SCORING_PROFILE
+    });
+  } catch (error) {
+    console.error('Get scoring profiles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/scoring-profiles/:id
+ * @desc    Get a scoring profile with its version history
+ * @access  Private (Admin)
+ */
+router.get('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await ScoringProfile.findById(req.params.id)
+      .populate('history.changedBy', 'profile.firstName profile.lastName');
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    console.error('Get scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/scoring-profiles
+ * @desc    Create a scoring profile
+ *          Omitted weights, blend, decay and difficulty multipliers start from the built-in policy
+ * @access  Private (Admin)
+ */
+router.post('/', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  ...profileValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, categories = [], isDefault = false } = req.body;
+
+    if (await ScoringProfile.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A scoring profile with this name already exists'
+      });
+    }
+
+    const conflict = await findCategoryConflict(categories);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `Category '${conflict.category}' already uses profile '${conflict.profile}'`
+      });
+    }
+
+    const profile = new ScoringProfile({
+      name,
+      description,
+      categories,
+      isDefault,
+      ...mergePolicy(DEFAULT_SCORING_PROFILE, req.body),
+      createdBy: req.user.id
+    });
+    profile.recordVersion(req.user.id);
+    await profile.save();
+
+    if (profile.isDefault) {
+      await clearOtherDefaults(profile._id);
+    }
+
+    res.status(201).json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/scoring-profiles/simulate
+ * @desc    Preview a candidate policy: recompute scores for a sample of users
+ *          (or all of them) without saving, and compare with the current policies
+ *          Omitted settings start from baseProfile, or the built-in policy
+ * @access  Private (Admin)
+ */
+router.post('/simulate', protect, authorize('admin'), [
+  ...profileValidators,
+  body('baseProfile').optional().isMongoId().withMessage('Invalid base profile'),
+  body('all').optional().isBoolean().withMessage('All must be true or false').toBoolean(),
+  body('sampleSize').optional().isInt({ min: 1, max: SIMULATION_DEFAULTS.maxSampleSize })
+    .withMessage(`Sample size must be 1-${SIMULATION_DEFAULTS.maxSampleSize}`).toInt(),
+  body('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    let base = DEFAULT_SCORING_PROFILE;
+    if (req.body.baseProfile) {
+      base = await ScoringProfile.findById(req.body.baseProfile).select('-history').lean();
+      if (!base) {
+        return res.status(404).json({
+          success: false,
+          message: 'Base scoring profile not found'
+        });
+      }
+    }
+
+    const policy = {
+      id: null,
+      name: 'simulation',
+      version: null,
+      ...mergePolicy(base, req.body)
+    };
+
+    const { challenge = 0, endorsement = 0, proficiency = 0 } = policy.blend;
+    if (Math.abs(challenge + endorsement + proficiency - 1) > 0.001) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blend shares must add up to 1'
+      });
+    }
+
+    const simulation = await simulateScoringPolicy(policy, {
+      categories: req.body.categories && req.body.categories.length > 0 ? req.body.categories : null,
+      all: req.body.all === true,
+      sampleSize: req.body.sampleSize,
+      limit: req.body.limit
+    });
+
+    res.json({
+      success: true,
+      policy,
+      simulation
+    });
+  } catch (error) {
+    console.error('Simulate scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/scoring-profiles/:id
+ * @desc    Update a scoring profile
+ *          Changing weights, blend, decay or difficulty multipliers publishes a new version; scores
+ *          pick it up the next time they are recalculated
+ * @access  Private (Admin)
+ */
+router.put('/:id', protect, authorize('admin'), [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  ...profileValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const profile = await ScoringProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    const { name, description, categories, isDefault } = req.body;
+
+    if (name && name !== profile.name && await ScoringProfile.exists({ name })) {
+      return res.status(400).json({
+        success: false,
+        message: 'A scoring profile with this name already exists'
+      });
+    }
+
+    if (categories) {
+      const conflict = await findCategoryConflict(categories, profile._id);
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          message: `Category '${conflict.category}' already uses profile '${conflict.profile}'`
+        });
+      }
+    }
+
+    if (name !== undefined) profile.name = name;
+    if (description !== undefined) profile.description = description;
+    if (categories !== undefined) profile.categories = categories;
+    if (isDefault !== undefined) profile.isDefault = isDefault;
+    profile.set(mergePolicy(profile.toObject(), req.body));
+
+    profile.recordVersion(req.user.id);
+    await profile.save();
+
+    if (profile.isDefault) {
+      await clearOtherDefaults(profile._id);
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Update scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/scoring-profiles/:id
+ * @desc    Delete a scoring profile that no stored score refers to
+ * @access  Private (Admin)
+ */
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await ScoringProfile.findById(req.params.id);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scoring profile not found'
+      });
+    }
+
+    if (await User.exists({ 'skills.scoringProfile.profile': profile._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Scores were produced by this profile; reassign its categories instead of deleting it'
+      });
+    }
+
+    await profile.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Scoring profile deleted'
+    });
+  } catch (error) {
+    console.error('Delete scoring profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * Overlay the policy fields in a request body on a base policy
+ * Each weight group and setting can be given on its own
+ * @param {Object} base - Policy with weights, blend, decay and difficultyMultipliers
+ * @param {Object} source - Request body
+ * @returns {Object} { weights, blend, decay, difficultyMultipliers }
+ */
+function mergePolicy(base, source) {
+  const weights = {};
+  for (const group of Object.keys(DEFAULT_SCORING_PROFILE.weights)) {
+    weights[group] = { ...base.weights[group], ...(source.weights && source.weights[group]) };
+  }
+
+  return {
+    weights,
+    blend: { ...base.blend, ...source.blend },
+    decay: { ...base.decay, ...source.decay },
+    difficultyMultipliers: {
+      ...DIFFICULTY_MULTIPLIERS,
+      ...base.difficultyMultipliers,
+      ...source.difficultyMultipliers
+    }
+  };
+}
+
+/**
+ * Find a category already claimed by another profile
+ * @param {Array} categories - Categories requested for a profile
+ * @param {ObjectId} excludeId - The profile being edited
+ * @returns {Promise<Object|null>} { category, profile } or null
+ */
+async function findCategoryConflict(categories, excludeId) {
+  if (!categories || categories.length === 0) return null;
+
+  const query = { categories: { $in: categories } };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const other = await ScoringProfile.findOne(query).select('name categories');
+  if (!other) return null;
+
+  return {
+    category: categories.find(category => other.categories.includes(category)),
+    profile: other.name
+  };
+}
+
+/**
+ * Keep a single default profile
+ * @param {ObjectId} defaultId - The new default
+ */
+async function clearOtherDefaults(defaultId) {
+  await ScoringProfile.updateMany(
+    { _id: { $ne: defaultId }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+module.exports = router;
@@ -5,11 +5,13 @@
 
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Skill = require('../models/Skill');
 const { protect, authorize } = require('../middleware/auth');
 const { updateAllSkillScores } = require('../utils/skillScoring');
+const { getCredibilityTimeline } = require('../utils/credibilityHistory');
+const { explainSkillCredibility } = require('../utils/credibilityExplanation');
 
 /**
  * @route   GET /api/users/profile
@@ -190,7 +192,7 @@ router.put('/skills/:skillId', protect, authorize('student'), [
     await user.save();
 
     // Recalculate credibility scores
-    await updateAllSkillScores(req.user.id);
+    await updateAllSkillScores(req.user.id, 'profile-edit');
 
     res.json({
       success: true,
@@ -228,7 +230,7 @@ router.delete('/skills/:skillId', protect, authorize('student'), async (req, res
     await user.save();
 
     // Recalculate scores
-    await updateAllSkillScores(req.user.id);
+    await updateAllSkillScores(req.user.id, 'profile-edit');
 
     res.json({
       success: true,
@@ -268,7 +270,10 @@ router.get('/credibility', protect, async (req, res) => {
         isVerified: s.isVerified,
         proficiencyLevel: s.proficiencyLevel,
         yearsOfExperience: s.yearsOfExperience,
-        lastUpdated: s.lastUpdated
+        assessment: s.assessment?.assessedAt ? s.assessment : null,
+        scoringProfile: s.scoringProfile?.name ? s.scoringProfile : null,
+        lastUpdated: s.lastUpdated,
+        lastEvidenceAt: s.lastEvidenceAt
       }))
     };
 
@@ -285,4 +290,78 @@ router.get('/credibility', protect, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/users/credibility/history
+ * @desc    Get the user's credibility score timeline per skill
+ * @access  Private
+ */
+router.get('/credibility/history', protect, [
+  query('skill').optional().isMongoId().withMessage('Invalid skill ID'),
+  query('from').optional().isISO8601().withMessage('From must be a date'),
+  query('to').optional().isISO8601().withMessage('To must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { skill, from, to } = req.query;
+    const timeline = await getCredibilityTimeline(req.user.id, { skill, from, to });
+
+    res.json({
+      success: true,
+      timeline
+    });
+  } catch (error) {
+    console.error('Get credibility history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/users/credibility/:skillId/explain
+ * @desc    Explain the user's credibility score for a skill
+ * @access  Private
+ */
+router.get('/credibility/:skillId/explain', protect, [
+  param('skillId').isMongoId().withMessage('Invalid skill ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const explanation = await explainSkillCredibility(req.user.id, req.params.skillId);
+
+    if (!explanation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Skill not found in your profile'
+      });
+    }
+
+    res.json({
+      success: true,
+      explanation
+    });
+  } catch (error) {
+    console.error('Explain credibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 module.exports = router;
@@ -18,7 +18,19 @@ const userRoutes = require('./routes/users');
 const skillRoutes = require('./routes/skills');
 const challengeRoutes = require('./routes/challenges');
 const endorsementRoutes = require('./routes/endorsements');
+const endorsementRequestRoutes = require('./routes/endorsementRequests');
+const recruiterRoutes = require('./routes/recruiters');
 const searchRoutes = require('./routes/search');
+const reviewRoutes = require('./routes/reviews');
+const assessmentRoutes = require('./routes/assessments');
+const scoringProfileRoutes = require('./routes/scoringProfiles');
+const jobRoutes = require('./routes/jobs');
+
+// Background jobs
+const { startJobRunner } = require('./utils/jobRunner');
+const { setupScoreJobs } = require('./utils/scoreJobs');
+const { setupEndorsementJobs } = require('./utils/endorsementJobs');
+const { setupChallengeJobs } = require('./utils/challengeJobs');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
@@ -56,7 +68,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/skills', skillRoutes);
 app.use('/api/challenges', challengeRoutes);
 app.use('/api/endorsements', endorsementRoutes);
+app.use('/api/endorsement-requests', endorsementRequestRoutes);
+app.use('/api/recruiters', recruiterRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/assessments', assessmentRoutes);
+app.use('/api/scoring-profiles', scoringProfileRoutes);
+app.use('/api/jobs', jobRoutes);
 
 /**
  * Error Handling Middleware
@@ -74,6 +92,15 @@ const startServer = async () => {
     await mongoose.connect(mongoURI);
     console.log('✓ Connected to MongoDB');
 
+    // Start background jobs (set JOB_RUNNER_ENABLED=false on API-only replicas)
+    await setupScoreJobs();
+    await setupEndorsementJobs();
+    await setupChallengeJobs();
+    if (process.env.JOB_RUNNER_ENABLED !== 'false') {
+      startJobRunner();
+      console.log('✓ Background job runner started');
+    }
+
     // Start server
     app.listen(PORT, () => {
       console.log(`✓ SkillLedger API running on port ${PORT}`);
@@ -0,0 +1,257 @@
+/**
+ * Adaptive Assessment
+ * Computer-adaptive testing over a skill's challenges
+ *
+ * Sessions start at medium difficulty (θ = 0). After each graded submission
+ * the ability estimate is updated (expected a posteriori under a
+ * standard-normal prior), and the next challenge is the one with the most
+ * Fisher information at that estimate. The session stops once the standard
+ * error drops below the target, or when it runs out of items.
+ */
+
+const AssessmentSession = require('../models/AssessmentSession');
+const Challenge = require('../models/Challenge');
+const User = require('../models/User');
+const { probability } = require('./irtCalibration');
+const { checkAttemptEligibility } = require('./attemptPolicy');
+const { updateAllSkillScores } = require('./skillScoring');
+
+const ASSESSMENT_DEFAULTS = {
+  targetStandardError: parseFloat(process.env.ASSESSMENT_TARGET_SE) || 0.4,
+  minItems: 3,
+  maxItems: 10
+};
+
+// Item parameters for challenges that haven't been calibrated yet
+const DIFFICULTY_ABILITY = {
+  easy: -1,
+  medium: 0,
+  hard: 1,
+  expert: 2
+};
+
+// Quadrature grid for the ability posterior
+const ABILITY_NODES = Array.from({ length: 61 }, (_, index) => -4 + (8 * index) / 60);
+
+/**
+ * Get IRT parameters for a challenge
+ * @param {Object} challenge - Challenge document
+ * @returns {Object} { a, b }
+ */
+function getItemParameters(challenge) {
+  const calibration = challenge.calibration || {};
+  if (typeof calibration.difficulty === 'number') {
+    return { a: calibration.discrimination || 1, b: calibration.difficulty };
+  }
+  return { a: 1, b: DIFFICULTY_ABILITY[challenge.difficulty] || 0 };
+}
+
+/**
+ * Fisher information of an item at an ability
+ * @param {Object} item - { a, b }
+ * @param {Number} theta - Ability
+ * @returns {Number}
+ */
+function itemInformation(item, theta) {
+  const p = probability(theta, item.a, item.b);
+  return item.a * item.a * p * (1 - p);
+}
+
+/**
+ * Estimate ability from responses (EAP with a standard-normal prior)
+ * @param {Array} responses - [{ passed, difficulty, discrimination }]
+ * @returns {Object} { ability, standardError }
+ */
+function estimateAbility(responses) {
+  const logPosterior = ABILITY_NODES.map(theta => {
+    let total = -theta * theta / 2;
+    for (const response of responses) {
+      const p = Math.min(Math.max(probability(theta, response.discrimination, response.difficulty), 1e-9), 1 - 1e-9);
+      total += response.passed ? Math.log(p) : Math.log(1 - p);
+    }
+    return total;
+  });
+
+  const max = Math.max(...logPosterior);
+  const weights = logPosterior.map(value => Math.exp(value - max));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const ability = weights.reduce((sum, weight, index) => sum + weight * ABILITY_NODES[index], 0) / total;
+  const variance = weights.reduce(
+    (sum, weight, index) => sum + weight * (ABILITY_NODES[index] - ability) ** 2,
+    0
+  ) / total;
+
+  return { ability, standardError: Math.sqrt(variance) };
+}
+
+/**
+ * Convert an ability estimate to a 0-100 score (population percentile)
+ * @param {Number} ability - θ on the standard-normal scale
+ * @returns {Number} Score (0-100)
+ */
+function abilityToScore(ability) {
+  // Abramowitz-Stegun approximation of the normal CDF
+  const x = Math.abs(ability) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  const cdf = ability >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  return Math.round(cdf * 100);
+}
+
+/**
+ * Pick the most informative challenge the candidate can still attempt
+ * @param {Object} session - Assessment session
+ * @returns {Promise<Object|null>} Challenge, or null when none remain
+ */
+async function selectNextChallenge(session) {
+  const used = session.responses.map(response => response.challenge);
+  const challenges = await Challenge.findBySkill(session.skill, { _id: { $nin: used } });
+
+  const ranked = challenges
+    .map(challenge => ({
+      challenge,
+      information: itemInformation(getItemParameters(challenge), session.ability)
+    }))
+    .sort((a, b) => b.information - a.information);
+
+  for (const { challenge } of ranked) {
+    const eligibility = await checkAttemptEligibility(session.user, challenge);
+    if (eligibility.allowed) return challenge;
+  }
+  return null;
+}
+
+/**
+ * Serve the next challenge, or complete the session if it should stop
+ * @param {Object} session - Assessment session document
+ */
+async function advanceSession(session) {
+  const answered = session.responses.length;
+  let stopReason = null;
+
+  if (answered >= ASSESSMENT_DEFAULTS.minItems &&
+      session.standardError <= ASSESSMENT_DEFAULTS.targetStandardError) {
+    stopReason = 'confidence-reached';
+  } else if (answered >= ASSESSMENT_DEFAULTS.maxItems) {
+    stopReason = 'max-items';
+  }
+
+  const next = stopReason ? null : await selectNextChallenge(session);
+  if (!stopReason && !next) {
+    stopReason = 'no-challenges';
+  }
+
+  if (next) {
+    session.currentChallenge = next._id;
+    session.servedAt = Date.now();
+    await session.save();
+    return;
+  }
+
+  session.status = 'completed';
+  session.stopReason = stopReason;
+  session.currentChallenge = null;
+  session.completedAt = Date.now();
+  await session.save();
+
+  if (answered > 0) {
+    await saveAssessmentResult(session);
+  }
+}
+
+/**
+ * Store a completed assessment on the user's skill and refresh credibility
+ * @param {Object} session - Completed assessment session
+ */
+async function saveAssessmentResult(session) {
+  const user = await User.findById(session.user);
+  if (!user) return;
+
+  const userSkill = user.skills.find(s => s.skill.toString() === session.skill.toString());
+  if (!userSkill) return;
+
+  userSkill.assessment = {
+    ability: Math.round(session.ability * 1000) / 1000,
+    standardError: Math.round(session.standardError * 1000) / 1000,
+    score: abilityToScore(session.ability),
+    itemsAnswered: session.responses.length,
+    session: session._id,
+    assessedAt: session.completedAt
+  };
+  await user.save();
+
+  await updateAllSkillScores(session.user, 'assessment');
+}
+
+/**
+ * Start an adaptive assessment (or resume the active one) for a skill
+ * @param {ObjectId} userId - The user ID
+ * @param {ObjectId} skillId - The skill ID
+ * @returns {Promise<Object>} Assessment session
+ */
+async function startAssessment(userId, skillId) {
+  const existing = await AssessmentSession.findOne({
+    user: userId,
+    skill: skillId,
+    status: 'active'
+  });
+  if (existing) return existing;
+
+  const session = await AssessmentSession.create({
+    user: userId,
+    skill: skillId,
+    ability: 0,
+    standardError: 1
+  });
+
+  await advanceSession(session);
+  return session;
+}
+
+/**
+ * Record a graded submission in the assessment that served its challenge
+ * Call once the submission's outcome is final
+ * @param {Object} submission - Graded submission document
+ * @returns {Promise<Object|null>} Updated session, or null if none applies
+ */
+async function recordAssessmentOutcome(submission) {
+  const session = await AssessmentSession.findOne({
+    user: submission.user,
+    currentChallenge: submission.challenge,
+    status: 'active'
+  });
+  if (!session) return null;
+
+  const challenge = await Challenge.findById(submission.challenge);
+  const item = getItemParameters(challenge);
+
+  session.responses.push({
+    challenge: submission.challenge,
+    submission: submission._id,
+    passed: submission.isPassed,
+    difficulty: item.b,
+    discrimination: item.a
+  });
+
+  const { ability, standardError } = estimateAbility(session.responses);
+  const response = session.responses[session.responses.length - 1];
+  response.abilityAfter = ability;
+  response.standardErrorAfter = standardError;
+  session.ability = ability;
+  session.standardError = standardError;
+  session.currentChallenge = null;
+
+  await advanceSession(session);
+  return session;
+}
+
+module.exports = {
+  startAssessment,
+  recordAssessmentOutcome,
+  estimateAbility,
+  selectNextChallenge,
+  getItemParameters,
+  abilityToScore,
+  ASSESSMENT_DEFAULTS
+};
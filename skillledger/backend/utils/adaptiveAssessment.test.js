@@ -0,0 +1,106 @@
+const Challenge = require('../models/Challenge');
+const { checkAttemptEligibility } = require('./attemptPolicy');
+const {
+  estimateAbility,
+  selectNextChallenge,
+  getItemParameters,
+  abilityToScore
+} = require('./adaptiveAssessment');
+
+jest.mock('./attemptPolicy', () => ({ checkAttemptEligibility: jest.fn() }));
+
+describe('adaptiveAssessment', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getItemParameters', () => {
+    it('uses calibrated parameters when present', () => {
+      expect(getItemParameters({ difficulty: 'easy', calibration: { difficulty: 1.4, discrimination: 0.8 } }))
+        .toEqual({ a: 0.8, b: 1.4 });
+    });
+
+    it('maps difficulty labels onto the ability scale otherwise', () => {
+      expect(getItemParameters({ difficulty: 'hard' })).toEqual({ a: 1, b: 1 });
+      expect(getItemParameters({ difficulty: 'medium', calibration: {} })).toEqual({ a: 1, b: 0 });
+    });
+  });
+
+  describe('estimateAbility', () => {
+    it('starts at the prior mean with unit standard error', () => {
+      const { ability, standardError } = estimateAbility([]);
+
+      expect(ability).toBeCloseTo(0, 5);
+      expect(standardError).toBeCloseTo(1, 1);
+    });
+
+    it('moves up after passes and down after failures', () => {
+      const passes = estimateAbility([{ passed: true, difficulty: 0, discrimination: 1 }]);
+      const failures = estimateAbility([{ passed: false, difficulty: 0, discrimination: 1 }]);
+
+      expect(passes.ability).toBeGreaterThan(0);
+      expect(failures.ability).toBeCloseTo(-passes.ability, 5);
+    });
+
+    it('grows more certain with each response', () => {
+      const one = estimateAbility([{ passed: true, difficulty: 0, discrimination: 1.5 }]);
+      const three = estimateAbility([
+        { passed: true, difficulty: 0, discrimination: 1.5 },
+        { passed: false, difficulty: 1, discrimination: 1.5 },
+        { passed: true, difficulty: 0.5, discrimination: 1.5 }
+      ]);
+
+      expect(three.standardError).toBeLessThan(one.standardError);
+    });
+
+    it('credits a pass on a hard challenge more than on an easy one', () => {
+      const hard = estimateAbility([{ passed: true, difficulty: 2, discrimination: 1 }]);
+      const easy = estimateAbility([{ passed: true, difficulty: -1, discrimination: 1 }]);
+
+      expect(hard.ability).toBeGreaterThan(easy.ability);
+    });
+  });
+
+  describe('abilityToScore', () => {
+    it('maps ability to a population percentile', () => {
+      expect(abilityToScore(0)).toBe(50);
+      expect(abilityToScore(1)).toBe(84);
+      expect(abilityToScore(-2)).toBe(2);
+    });
+  });
+
+  describe('selectNextChallenge', () => {
+    const challenges = [
+      { _id: 'easy', difficulty: 'easy' },
+      { _id: 'hard', difficulty: 'hard' },
+      { _id: 'expert', difficulty: 'expert' }
+    ];
+
+    it('picks the most informative challenge at the current ability', async () => {
+      jest.spyOn(Challenge, 'findBySkill').mockResolvedValue(challenges);
+      checkAttemptEligibility.mockResolvedValue({ allowed: true });
+
+      const next = await selectNextChallenge({ user: 'user', skill: 'skill', ability: 1.1, responses: [] });
+
+      expect(next._id).toBe('hard');
+    });
+
+    it('skips challenges the candidate may not attempt', async () => {
+      jest.spyOn(Challenge, 'findBySkill').mockResolvedValue(challenges);
+      checkAttemptEligibility.mockImplementation(async (user, challenge) => ({ allowed: challenge._id !== 'hard' }));
+
+      const next = await selectNextChallenge({ user: 'user', skill: 'skill', ability: 1.1, responses: [] });
+
+      expect(next._id).toBe('expert');
+    });
+
+    it('excludes challenges already answered in the session', async () => {
+      const findBySkill = jest.spyOn(Challenge, 'findBySkill').mockResolvedValue([]);
+
+      const next = await selectNextChallenge({ user: 'user', skill: 'skill', ability: 0, responses: [{ challenge: 'easy' }] });
+
+      expect(next).toBeNull();
+      expect(findBySkill).toHaveBeenCalledWith('skill', { _id: { $nin: ['easy'] } });
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Attempt Policy
+ * Decides whether a user may start another attempt at a challenge
+ *
+ * Enforces Challenge.maxAttempts and a cooldown after failed attempts that
+ * grows with each consecutive failure:
+ *   cooldown = baseMinutes × multiplier^(failures - 1), capped at maxMinutes
+ */
+
+const Attempt = require('../models/Attempt');
+const Submission = require('../models/Submission');
+
+// Seconds allowed past the time limit to absorb network latency
+const ATTEMPT_GRACE_SECONDS = parseInt(process.env.ATTEMPT_GRACE_SECONDS) || 30;
+
+/**
+ * Calculate the cooldown after a number of consecutive failures
+ * @param {Object} cooldown - Challenge cooldown settings
+ * @param {Number} failures - Consecutive failed attempts
+ * @returns {Number} Cooldown in minutes
+ */
+function calculateCooldownMinutes(cooldown = {}, failures) {
+  if (failures <= 0 || !cooldown.baseMinutes) return 0;
+
+  const minutes = cooldown.baseMinutes * Math.pow(cooldown.multiplier || 1, failures - 1);
+  return cooldown.maxMinutes ? Math.min(minutes, cooldown.maxMinutes) : minutes;
+}
+
+/**
+ * Whether a submission is a settled failure
+ * Submissions still awaiting review don't count either way
+ * @param {Object} submission - Submission document
+ * @returns {Boolean}
+ */
+function isSettledFailure(submission) {
+  return !submission.isPassed &&
+    (!submission.requiresReview || submission.reviewStatus === 'rejected');
+}
+
+/**
+ * Count failed submissions since the user's last pass
+ * @param {Array} submissions - Submissions, newest first
+ * @returns {Number} Consecutive failures
+ */
+function countConsecutiveFailures(submissions) {
+  let failures = 0;
+  for (const submission of submissions) {
+    if (submission.isPassed) break;
+    if (isSettledFailure(submission)) failures++;
+  }
+  return failures;
+}
+
+/**
+ * Check whether a user may start a new attempt
+ * @param {ObjectId} userId - The user ID
+ * @param {Object} challenge - Challenge document
+ * @returns {Promise<Object>} { allowed, reason, attemptsUsed, attemptsRemaining, retryAt }
+ */
+async function checkAttemptEligibility(userId, challenge) {
+  const attemptsUsed = await Attempt.countDocuments({
+    user: userId,
+    challenge: challenge._id
+  });
+  const attemptsRemaining = challenge.maxAttempts
+    ? Math.max(0, challenge.maxAttempts - attemptsUsed)
+    : null;
+
+  if (challenge.maxAttempts && attemptsUsed >= challenge.maxAttempts) {
+    return {
+      allowed: false,
+      reason: `Maximum of ${challenge.maxAttempts} attempts reached`,
+      attemptsUsed,
+      attemptsRemaining: 0,
+      retryAt: null
+    };
+  }
+
+  const submissions = await Submission.find({
+    user: userId,
+    challenge: challenge._id
+  })
+    .select('isPassed requiresReview reviewStatus submittedAt')
+    .sort({ submittedAt: -1 });
+
+  const failures = countConsecutiveFailures(submissions);
+  const cooldownMinutes = calculateCooldownMinutes(challenge.cooldown, failures);
+
+  if (cooldownMinutes > 0) {
+    const lastFailure = submissions.find(isSettledFailure);
+    const retryAt = new Date(lastFailure.submittedAt.getTime() + cooldownMinutes * 60 * 1000);
+
+    if (retryAt > Date.now()) {
+      return {
+        allowed: false,
+        reason: `Cooling down after ${failures} failed attempt${failures === 1 ? '' : 's'}`,
+        attemptsUsed,
+        attemptsRemaining,
+        retryAt
+      };
+    }
+  }
+
+  return {
+    allowed: true,
+    reason: null,
+    attemptsUsed,
+    attemptsRemaining,
+    retryAt: null
+  };
+}
+
+module.exports = {
+  checkAttemptEligibility,
+  calculateCooldownMinutes,
+  countConsecutiveFailures,
+  ATTEMPT_GRACE_SECONDS
+};
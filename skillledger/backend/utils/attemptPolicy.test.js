@@ -0,0 +1,89 @@
+const Attempt = require('../models/Attempt');
+const Submission = require('../models/Submission');
+const {
+  checkAttemptEligibility,
+  calculateCooldownMinutes,
+  countConsecutiveFailures
+} = require('./attemptPolicy');
+
+const MINUTE = 60 * 1000;
+
+describe('attemptPolicy', () => {
+  describe('calculateCooldownMinutes', () => {
+    const cooldown = { baseMinutes: 10, multiplier: 2, maxMinutes: 60 };
+
+    it('grows with each consecutive failure up to the cap', () => {
+      expect([1, 2, 3, 4].map(failures => calculateCooldownMinutes(cooldown, failures))).toEqual([10, 20, 40, 60]);
+    });
+
+    it('has no cooldown without failures or settings', () => {
+      expect(calculateCooldownMinutes(cooldown, 0)).toBe(0);
+      expect(calculateCooldownMinutes(undefined, 3)).toBe(0);
+    });
+  });
+
+  describe('countConsecutiveFailures', () => {
+    it('counts settled failures since the last pass', () => {
+      const submissions = [
+        { isPassed: false, requiresReview: false },
+        { isPassed: false, requiresReview: true, reviewStatus: 'rejected' },
+        { isPassed: true },
+        { isPassed: false, requiresReview: false }
+      ];
+
+      expect(countConsecutiveFailures(submissions)).toBe(2);
+    });
+
+    it('ignores submissions still awaiting review', () => {
+      expect(countConsecutiveFailures([{ isPassed: false, requiresReview: true, reviewStatus: 'pending' }])).toBe(0);
+    });
+  });
+
+  describe('checkAttemptEligibility', () => {
+    const mockSubmissions = submissions => {
+      jest.spyOn(Submission, 'find').mockReturnValue({
+        select: () => ({ sort: async () => submissions })
+      });
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('refuses once maxAttempts is reached', async () => {
+      jest.spyOn(Attempt, 'countDocuments').mockResolvedValue(3);
+
+      const result = await checkAttemptEligibility('user', { _id: 'challenge', maxAttempts: 3 });
+
+      expect(result).toMatchObject({ allowed: false, reason: 'Maximum of 3 attempts reached', attemptsRemaining: 0 });
+    });
+
+    it('refuses during the cooldown after a failure and says when to retry', async () => {
+      const submittedAt = new Date(Date.now() - 5 * MINUTE);
+      jest.spyOn(Attempt, 'countDocuments').mockResolvedValue(1);
+      mockSubmissions([{ isPassed: false, requiresReview: false, submittedAt }]);
+
+      const result = await checkAttemptEligibility('user', {
+        _id: 'challenge',
+        maxAttempts: 3,
+        cooldown: { baseMinutes: 15 }
+      });
+
+      expect(result).toMatchObject({
+        allowed: false,
+        reason: 'Cooling down after 1 failed attempt',
+        attemptsRemaining: 2,
+        retryAt: new Date(submittedAt.getTime() + 15 * MINUTE)
+      });
+    });
+
+    it('allows a new attempt once the cooldown has passed', async () => {
+      jest.spyOn(Attempt, 'countDocuments').mockResolvedValue(1);
+      mockSubmissions([{ isPassed: false, requiresReview: false, submittedAt: new Date(Date.now() - 20 * MINUTE) }]);
+
+      const result = await checkAttemptEligibility('user', { _id: 'challenge', cooldown: { baseMinutes: 15 } });
+
+      expect(result).toEqual({ allowed: true, reason: null, attemptsUsed: 1, attemptsRemaining: null, retryAt: null });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Challenge Jobs
+ * Background jobs over challenges
+ *
+ * - migrate-challenge-versions: publishes challenges that predate the
+ *   lifecycle as version 1 and pins their attempts and submissions (see
+ *   utils/challengeVersions). Queued at startup while anything is left
+ *   to migrate; running it again is harmless.
+ * - calibrate-challenges: fits IRT difficulty from historical outcomes
+ *   (see utils/irtCalibration). Queued by admins; params override
+ *   CALIBRATION_DEFAULTS.
+ */
+
+const { registerJobHandler, enqueueJobOnce } = require('./jobRunner');
+const { migrateUnversionedChallenges, hasUnversionedData } = require('./challengeVersions');
+const { calibrateChallenges, CALIBRATION_DEFAULTS } = require('./irtCalibration');
+
+const VERSION_MIGRATION_JOB = 'migrate-challenge-versions';
+const CALIBRATION_JOB = 'calibrate-challenges';
+
+/**
+ * Migrate unversioned challenges, published by whoever queued the job
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} { challenges, attempts, submissions }
+ */
+async function runVersionMigration(job) {
+  return migrateUnversionedChallenges(job.createdBy);
+}
+
+/**
+ * Calibrate challenge difficulty, with any calibration settings in the params
+ * @param {Object} job - Job document ({ params: { minResponses, ... } })
+ * @returns {Promise<Object>} { calibrated, responses, iterations }
+ */
+async function runCalibration(job) {
+  const options = {};
+  for (const key of Object.keys(CALIBRATION_DEFAULTS)) {
+    if (job.params && job.params[key] !== undefined) options[key] = Number(job.params[key]);
+  }
+  return calibrateChallenges(options);
+}
+
+/**
+ * Register challenge job handlers and queue any pending migration
+ */
+async function setupChallengeJobs() {
+  registerJobHandler(VERSION_MIGRATION_JOB, runVersionMigration);
+  registerJobHandler(CALIBRATION_JOB, runCalibration);
+  if (await hasUnversionedData()) {
+    await enqueueJobOnce(VERSION_MIGRATION_JOB);
+  }
+}
+
+module.exports = {
+  setupChallengeJobs,
+  runVersionMigration,
+  runCalibration,
+  VERSION_MIGRATION_JOB,
+  CALIBRATION_JOB
+};
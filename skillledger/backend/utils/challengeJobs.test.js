@@ -0,0 +1,67 @@
+jest.mock('./challengeVersions', () => ({
+  migrateUnversionedChallenges: jest.fn(),
+  hasUnversionedData: jest.fn()
+}));
+jest.mock('./irtCalibration', () => ({
+  calibrateChallenges: jest.fn(),
+  CALIBRATION_DEFAULTS: { minResponses: 20, iterations: 100 }
+}));
+jest.mock('./jobRunner', () => ({
+  registerJobHandler: jest.fn(),
+  enqueueJobOnce: jest.fn()
+}));
+
+const { migrateUnversionedChallenges, hasUnversionedData } = require('./challengeVersions');
+const { calibrateChallenges } = require('./irtCalibration');
+const { registerJobHandler, enqueueJobOnce } = require('./jobRunner');
+const {
+  setupChallengeJobs,
+  runVersionMigration,
+  runCalibration,
+  VERSION_MIGRATION_JOB,
+  CALIBRATION_JOB
+} = require('./challengeJobs');
+
+describe('challengeJobs', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('setupChallengeJobs', () => {
+    it('queues the version migration while anything predates versioning', async () => {
+      hasUnversionedData.mockResolvedValue(true);
+
+      await setupChallengeJobs();
+
+      expect(registerJobHandler).toHaveBeenCalledWith(VERSION_MIGRATION_JOB, runVersionMigration);
+      expect(registerJobHandler).toHaveBeenCalledWith(CALIBRATION_JOB, runCalibration);
+      expect(enqueueJobOnce).toHaveBeenCalledWith(VERSION_MIGRATION_JOB);
+    });
+
+    it('queues nothing once everything is versioned', async () => {
+      hasUnversionedData.mockResolvedValue(false);
+
+      await setupChallengeJobs();
+
+      expect(enqueueJobOnce).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runVersionMigration', () => {
+    it('publishes as the admin who queued the job', async () => {
+      migrateUnversionedChallenges.mockResolvedValue({ challenges: 2, attempts: 0, submissions: 5 });
+
+      await expect(runVersionMigration({ createdBy: 'admin' })).resolves.toEqual({ challenges: 2, attempts: 0, submissions: 5 });
+      expect(migrateUnversionedChallenges).toHaveBeenCalledWith('admin');
+    });
+  });
+
+  describe('runCalibration', () => {
+    it('passes calibration settings from the job params and ignores the rest', async () => {
+      calibrateChallenges.mockResolvedValue({ calibrated: 3, responses: 90, iterations: 12 });
+
+      await expect(runCalibration({ params: { minResponses: '30', trigger: 'manual' } })).resolves.toEqual({ calibrated: 3, responses: 90, iterations: 12 });
+      expect(calibrateChallenges).toHaveBeenCalledWith({ minResponses: 30 });
+    });
+  });
+});
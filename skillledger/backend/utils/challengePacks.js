@@ -0,0 +1,214 @@
+/**
+ * Challenge Packs
+ * Portable JSON/YAML bundles for moving challenges between deployments
+ *
+ * A pack references skills by name rather than ID, and carries everything
+ * an author controls: instructions, content, test cases, hints and
+ * resources. Imported challenges always start as drafts.
+ */
+
+const yaml = require('js-yaml');
+const Challenge = require('../models/Challenge');
+const Skill = require('../models/Skill');
+const { validateGraderConfig } = require('./graders');
+
+const PACK_FORMAT = 'skillledger-challenge-pack';
+const PACK_VERSION = 1;
+
+// Fields an author controls (everything but the skill reference)
+const AUTHORING_FIELDS = [
+  'title',
+  'description',
+  'instructions',
+  'difficulty',
+  'category',
+  'tags',
+  'content',
+  'timeLimit',
+  'maxAttempts',
+  'cooldown',
+  'passingScore',
+  'maxScore',
+  'points',
+  'verificationCriteria',
+  'reviewPolicy',
+  'submissionFormat',
+  'allowedLanguages',
+  'testCases',
+  'hints',
+  'resources',
+  'integrity',
+  'isPremium'
+];
+
+// Subdocument arrays whose ids are meaningless outside this database
+const SUBDOCUMENT_ARRAYS = ['verificationCriteria', 'testCases', 'hints', 'resources'];
+
+/**
+ * Pick the authoring fields present on an object
+ * @param {Object} source - Request body or pack entry
+ * @returns {Object} Authoring fields
+ */
+function pickAuthoringFields(source = {}) {
+  const fields = {};
+  for (const field of AUTHORING_FIELDS) {
+    if (source[field] !== undefined) {
+      fields[field] = source[field];
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build a pack from challenges
+ * @param {Array} challenges - Challenge documents with `skill` populated (name, category)
+ * @returns {Object} Pack
+ */
+function buildChallengePack(challenges) {
+  return {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    exportedAt: new Date().toISOString(),
+    challenges: challenges.map(challenge => {
+      const plain = challenge.toObject({ virtuals: false, minimize: false });
+      const entry = {
+        skill: plain.skill ? { name: plain.skill.name, category: plain.skill.category } : null,
+        ...pickAuthoringFields(plain)
+      };
+
+      for (const field of SUBDOCUMENT_ARRAYS) {
+        entry[field] = (entry[field] || []).map(({ _id, ...item }) => item);
+      }
+      return entry;
+    })
+  };
+}
+
+/**
+ * Serialize a pack
+ * @param {Object} pack - Pack from buildChallengePack
+ * @param {String} format - 'json' or 'yaml'
+ * @returns {String}
+ */
+function serializeChallengePack(pack, format = 'json') {
+  if (format === 'yaml') {
+    return yaml.dump(JSON.parse(JSON.stringify(pack)), { noRefs: true, lineWidth: 120 });
+  }
+  return JSON.stringify(pack, null, 2);
+}
+
+/**
+ * Parse a pack from a request body
+ * @param {Object|String} body - Parsed JSON body, or raw YAML/JSON text
+ * @returns {Object} { pack } or { error }
+ */
+function parseChallengePack(body) {
+  let pack = body;
+
+  if (typeof body === 'string') {
+    try {
+      // YAML is a superset of JSON, so this reads both
+      pack = yaml.load(body);
+    } catch (error) {
+      return { error: `Could not parse pack: ${error.reason || error.message}` };
+    }
+  }
+
+  if (!pack || typeof pack !== 'object' || !Array.isArray(pack.challenges)) {
+    return { error: 'Pack must contain a challenges array' };
+  }
+  if (pack.format && pack.format !== PACK_FORMAT) {
+    return { error: `Unsupported pack format '${pack.format}'` };
+  }
+  if (pack.version && pack.version > PACK_VERSION) {
+    return { error: `Pack version ${pack.version} is newer than supported (${PACK_VERSION})` };
+  }
+
+  return { pack };
+}
+
+/**
+ * Resolve a pack's skill reference to a Skill
+ * @param {String|Object} reference - Skill name, or { name }
+ * @param {Map} cache - Lowercased name -> Skill (or null)
+ * @returns {Promise<Object|null>} Skill document
+ */
+async function resolveSkill(reference, cache) {
+  const name = typeof reference === 'string' ? reference : reference && reference.name;
+  if (!name) return null;
+
+  const key = name.trim().toLowerCase();
+  if (!cache.has(key)) {
+    const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    cache.set(key, await Skill.findOne({ name: new RegExp(`^${escaped}$`, 'i') }));
+  }
+  return cache.get(key);
+}
+
+/**
+ * Import a pack as draft challenges
+ * Nothing is created unless every challenge in the pack is valid
+ * @param {Object} pack - Parsed pack
+ * @param {ObjectId} userId - Importing admin
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { created: [{ id, title }], errors: [{ index, title, messages }] }
+ */
+async function importChallengePack(pack, userId, options = {}) {
+  const skillCache = new Map();
+  const documents = [];
+  const errors = [];
+
+  for (const [index, entry] of pack.challenges.entries()) {
+    const messages = [];
+
+    const skill = await resolveSkill(entry.skill, skillCache);
+    if (!skill) {
+      messages.push(`Unknown skill '${(entry.skill && entry.skill.name) || entry.skill || ''}'`);
+    }
+
+    const challenge = new Challenge({
+      content: {},
+      ...pickAuthoringFields(entry),
+      skill: skill ? skill._id : undefined,
+      createdBy: userId,
+      status: 'draft',
+      statusHistory: [{ status: 'draft', changedBy: userId, note: 'Imported from pack' }]
+    });
+
+    const validation = challenge.validateSync();
+    if (validation) {
+      for (const [path, error] of Object.entries(validation.errors)) {
+        if (path !== 'skill' || skill) messages.push(error.message);
+      }
+    }
+    messages.push(...validateGraderConfig(challenge.content && challenge.content.grader));
+
+    if (messages.length > 0) {
+      errors.push({ index, title: entry.title || null, messages });
+    } else {
+      documents.push(challenge);
+    }
+  }
+
+  if (errors.length > 0 || options.dryRun) {
+    return { created: [], valid: documents.length, errors };
+  }
+
+  const created = await Challenge.insertMany(documents);
+  return {
+    created: created.map(challenge => ({ id: challenge._id, title: challenge.title })),
+    valid: created.length,
+    errors: []
+  };
+}
+
+module.exports = {
+  buildChallengePack,
+  serializeChallengePack,
+  parseChallengePack,
+  importChallengePack,
+  pickAuthoringFields,
+  AUTHORING_FIELDS,
+  PACK_FORMAT,
+  PACK_VERSION
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Skill = require('../models/Skill');
+const {
+  buildChallengePack,
+  serializeChallengePack,
+  parseChallengePack,
+  importChallengePack,
+  pickAuthoringFields,
+  PACK_FORMAT,
+  PACK_VERSION
+} = require('./challengePacks');
+
+describe('challengePacks', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const skill = new Skill({ name: 'JavaScript', category: 'technical', description: 'The language of the web' });
+
+  const entry = (overrides = {}) => ({
+    skill: { name: 'JavaScript', category: 'technical' },
+    title: 'Reverse a string',
+    description: 'Reverse the input',
+    instructions: 'Print the input reversed',
+    difficulty: 'easy',
+    category: 'coding',
+    content: { starterCode: '' },
+    testCases: [{ input: 'abc', expectedOutput: 'cba' }],
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('pickAuthoringFields', () => {
+    it('keeps only the fields an author controls', () => {
+      expect(pickAuthoringFields({ title: 'T', passingScore: 80, createdBy: userId, status: 'published', skill: 'x' }))
+        .toEqual({ title: 'T', passingScore: 80 });
+    });
+  });
+
+  describe('buildChallengePack', () => {
+    it('references skills by name and drops subdocument ids', () => {
+      const challenge = new Challenge({ ...entry(), skill: skill._id, createdBy: userId, status: 'published' });
+      challenge.skill = skill;
+
+      const pack = buildChallengePack([challenge]);
+
+      expect(pack).toMatchObject({ format: PACK_FORMAT, version: PACK_VERSION });
+      expect(pack.challenges[0].skill).toEqual({ name: 'JavaScript', category: 'technical' });
+      expect(pack.challenges[0].testCases[0]).not.toHaveProperty('_id');
+      expect(pack.challenges[0]).not.toHaveProperty('status');
+      expect(pack.challenges[0]).not.toHaveProperty('createdBy');
+    });
+  });
+
+  describe('serializeChallengePack / parseChallengePack', () => {
+    const pack = { format: PACK_FORMAT, version: PACK_VERSION, challenges: [entry()] };
+
+    it('round-trips JSON and YAML', () => {
+      expect(parseChallengePack(serializeChallengePack(pack))).toEqual({ pack });
+      expect(parseChallengePack(serializeChallengePack(pack, 'yaml'))).toEqual({ pack });
+    });
+
+    it('accepts an already parsed body', () => {
+      expect(parseChallengePack(pack)).toEqual({ pack });
+    });
+
+    it('rejects malformed or unsupported packs', () => {
+      expect(parseChallengePack('challenges: [').error).toMatch(/^Could not parse pack/);
+      expect(parseChallengePack({ title: 'x' }).error).toBe('Pack must contain a challenges array');
+      expect(parseChallengePack({ format: 'other', challenges: [] }).error).toBe("Unsupported pack format 'other'");
+      expect(parseChallengePack({ version: PACK_VERSION + 1, challenges: [] }).error).toMatch(/newer than supported/);
+    });
+  });
+
+  describe('importChallengePack', () => {
+    it('creates drafts with skills resolved by name, case-insensitively and once per name', async () => {
+      const findOne = jest.spyOn(Skill, 'findOne').mockResolvedValue(skill);
+      const insertMany = jest.spyOn(Challenge, 'insertMany').mockImplementation(async documents => documents);
+
+      const result = await importChallengePack({
+        challenges: [entry(), entry({ skill: 'javascript', title: 'Sum two numbers' })]
+      }, userId);
+
+      expect(findOne).toHaveBeenCalledTimes(1);
+      expect(findOne.mock.calls[0][0].name.test('JAVASCRIPT')).toBe(true);
+      expect(result.created.map(challenge => challenge.title)).toEqual(['Reverse a string', 'Sum two numbers']);
+
+      const [document] = insertMany.mock.calls[0][0];
+      expect(document).toMatchObject({ status: 'draft', skill: skill._id, createdBy: userId });
+      expect(document.statusHistory[0].note).toBe('Imported from pack');
+    });
+
+    it('matches skill names literally', async () => {
+      const findOne = jest.spyOn(Skill, 'findOne').mockResolvedValue(null);
+
+      await importChallengePack({ challenges: [entry({ skill: 'C++' })] }, userId, { dryRun: true });
+
+      expect(findOne.mock.calls[0][0].name.source).toBe('^C\\+\\+$');
+    });
+
+    it('creates nothing when any challenge is invalid', async () => {
+      jest.spyOn(Skill, 'findOne').mockImplementation(async ({ name }) => (name.test('JavaScript') ? skill : null));
+      const insertMany = jest.spyOn(Challenge, 'insertMany');
+
+      const result = await importChallengePack({
+        challenges: [
+          entry(),
+          entry({ skill: 'Cobol', difficulty: 'impossible' }),
+          entry({ content: { grader: { type: 'carrier-pigeon' } } })
+        ]
+      }, userId);
+
+      expect(insertMany).not.toHaveBeenCalled();
+      expect(result.created).toEqual([]);
+      expect(result.valid).toBe(1);
+      expect(result.errors).toEqual([
+        { index: 1, title: 'Reverse a string', messages: expect.arrayContaining(["Unknown skill 'Cobol'", expect.stringMatching(/impossible/)]) },
+        { index: 2, title: 'Reverse a string', messages: ["Unknown grader type 'carrier-pigeon'"] }
+      ]);
+    });
+
+    it('validates without creating on a dry run', async () => {
+      jest.spyOn(Skill, 'findOne').mockResolvedValue(skill);
+      const insertMany = jest.spyOn(Challenge, 'insertMany');
+
+      const result = await importChallengePack({ challenges: [entry()] }, userId, { dryRun: true });
+
+      expect(insertMany).not.toHaveBeenCalled();
+      expect(result).toEqual({ created: [], valid: 1, errors: [] });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Challenge Statistics
+ * Keeps Challenge.totalAttempts, successRate and averageScore live
+ *
+ * A submission is counted once, when its outcome is final: at submission
+ * time for auto-verified challenges, or when a review decision is recorded.
+ * Updates use a single pipeline update so concurrent submissions can't
+ * lose each other's increments.
+ */
+
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+
+// Submissions whose outcome is final
+const GRADED_FILTER = {
+  $or: [
+    { requiresReview: { $ne: true } },
+    { reviewStatus: { $in: ['approved', 'rejected'] } }
+  ]
+};
+
+/**
+ * Record a graded submission in its challenge's statistics
+ * Safe to call more than once per submission
+ * @param {Object} submission - Submission document with its final score
+ * @returns {Promise<Boolean>} Whether the submission was newly counted
+ */
+async function recordGradedSubmission(submission) {
+  // Claim the submission first so it is only ever counted once
+  const claimed = await Submission.findOneAndUpdate(
+    { _id: submission._id, countedInStats: { $ne: true } },
+    { countedInStats: true }
+  );
+  if (!claimed) return false;
+
+  const score = submission.score || 0;
+  const passed = submission.isPassed ? 100 : 0;
+
+  // All expressions in one $set see the pre-update values
+  await Challenge.updateOne({ _id: submission.challenge }, [{
+    $set: {
+      totalAttempts: { $add: ['$totalAttempts', 1] },
+      averageScore: {
+        $divide: [
+          { $add: [{ $multiply: ['$averageScore', '$totalAttempts'] }, score] },
+          { $add: ['$totalAttempts', 1] }
+        ]
+      },
+      successRate: {
+        $divide: [
+          { $add: [{ $multiply: ['$successRate', '$totalAttempts'] }, passed] },
+          { $add: ['$totalAttempts', 1] }
+        ]
+      }
+    }
+  }]);
+
+  return true;
+}
+
+/**
+ * Recompute a challenge's statistics from the Submission collection
+ * @param {ObjectId} challengeId - The challenge ID
+ * @returns {Promise<Object>} The recomputed statistics
+ */
+async function recomputeChallengeStats(challengeId) {
+  const id = new mongoose.Types.ObjectId(String(challengeId));
+
+  const [result] = await Submission.aggregate([
+    { $match: { challenge: id, ...GRADED_FILTER } },
+    {
+      $group: {
+        _id: null,
+        totalAttempts: { $sum: 1 },
+        averageScore: { $avg: '$score' },
+        successRate: { $avg: { $cond: ['$isPassed', 100, 0] } }
+      }
+    }
+  ]);
+
+  const stats = {
+    totalAttempts: result ? result.totalAttempts : 0,
+    averageScore: result ? result.averageScore : 0,
+    successRate: result ? result.successRate : 0
+  };
+
+  await Challenge.updateOne({ _id: id }, stats);
+  await Submission.updateMany({ challenge: id, ...GRADED_FILTER }, { countedInStats: true });
+
+  return stats;
+}
+
+/**
+ * Backfill statistics for every challenge
+ * @returns {Promise<Number>} Number of challenges recomputed
+ */
+async function backfillAllChallengeStats() {
+  const challengeIds = await Challenge.find().distinct('_id');
+
+  for (const challengeId of challengeIds) {
+    await recomputeChallengeStats(challengeId);
+  }
+
+  return challengeIds.length;
+}
+
+/**
+ * Score histogram for a challenge
+ * @param {ObjectId} challengeId - The challenge ID
+ * @param {Number} bucketSize - Width of each score bucket
+ * @returns {Promise<Array>} [{ range, min, max, count }], min inclusive
+ */
+async function getScoreHistogram(challengeId, bucketSize = 10) {
+  const boundaries = [];
+  for (let bound = 0; bound < 100; bound += bucketSize) boundaries.push(bound);
+  boundaries.push(100.01); // Include perfect scores in the last bucket
+
+  const buckets = await Submission.aggregate([
+    { $match: { challenge: new mongoose.Types.ObjectId(String(challengeId)), ...GRADED_FILTER } },
+    {
+      $bucket: {
+        groupBy: '$score',
+        boundaries,
+        default: 'other',
+        output: { count: { $sum: 1 } }
+      }
+    }
+  ]);
+
+  return boundaries.slice(0, -1).map((min) => {
+    const max = Math.min(min + bucketSize, 100);
+    const bucket = buckets.find(entry => entry._id === min);
+    return {
+      range: `${min}-${max}`,
+      min,
+      max,
+      count: bucket ? bucket.count : 0
+    };
+  });
+}
+
+/**
+ * Time-spent distribution for a challenge
+ * @param {ObjectId} challengeId - The challenge ID
+ * @param {Number} bucketMinutes - Width of each time bucket
+ * @returns {Promise<Object>} { median, p90, buckets: [{ range, count }] } in minutes
+ */
+async function getTimeSpentDistribution(challengeId, bucketMinutes = 5) {
+  const submissions = await Submission.find({
+    challenge: challengeId,
+    timeSpent: { $gt: 0 },
+    ...GRADED_FILTER
+  })
+    .select('timeSpent')
+    .sort({ timeSpent: 1 })
+    .lean();
+
+  const minutes = submissions.map(submission => submission.timeSpent / 60);
+  if (minutes.length === 0) {
+    return { count: 0, median: null, p90: null, buckets: [] };
+  }
+
+  const percentile = (p) => minutes[Math.min(minutes.length - 1, Math.floor(p * minutes.length))];
+
+  const counts = new Map();
+  for (const value of minutes) {
+    const start = Math.floor(value / bucketMinutes) * bucketMinutes;
+    counts.set(start, (counts.get(start) || 0) + 1);
+  }
+
+  return {
+    count: minutes.length,
+    median: Math.round(percentile(0.5) * 10) / 10,
+    p90: Math.round(percentile(0.9) * 10) / 10,
+    buckets: Array.from(counts.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([start, count]) => ({
+        range: `${start}-${start + bucketMinutes}`,
+        count
+      }))
+  };
+}
+
+module.exports = {
+  recordGradedSubmission,
+  recomputeChallengeStats,
+  backfillAllChallengeStats,
+  getScoreHistogram,
+  getTimeSpentDistribution
+};
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+const {
+  recordGradedSubmission,
+  getScoreHistogram,
+  getTimeSpentDistribution
+} = require('./challengeStats');
+
+describe('challengeStats', () => {
+  const challengeId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordGradedSubmission', () => {
+    it('counts a submission once, in a single pipeline update', async () => {
+      jest.spyOn(Submission, 'findOneAndUpdate').mockResolvedValue({ _id: 'submission' });
+      const update = jest.spyOn(Challenge, 'updateOne').mockResolvedValue({});
+
+      const counted = await recordGradedSubmission({ _id: 'submission', challenge: challengeId, score: 80, isPassed: true });
+
+      expect(counted).toBe(true);
+      const [filter, pipeline] = update.mock.calls[0];
+      expect(filter).toEqual({ _id: challengeId });
+      expect(pipeline[0].$set.totalAttempts).toEqual({ $add: ['$totalAttempts', 1] });
+      expect(JSON.stringify(pipeline[0].$set.averageScore)).toContain('80');
+    });
+
+    it('skips submissions that were already counted', async () => {
+      jest.spyOn(Submission, 'findOneAndUpdate').mockResolvedValue(null);
+      const update = jest.spyOn(Challenge, 'updateOne');
+
+      expect(await recordGradedSubmission({ _id: 'submission', challenge: challengeId })).toBe(false);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getScoreHistogram', () => {
+    it('fills empty buckets and puts perfect scores in the last one', async () => {
+      jest.spyOn(Submission, 'aggregate').mockResolvedValue([{ _id: 0, count: 2 }, { _id: 75, count: 1 }]);
+
+      const histogram = await getScoreHistogram(challengeId, 25);
+
+      expect(histogram).toEqual([
+        { range: '0-25', min: 0, max: 25, count: 2 },
+        { range: '25-50', min: 25, max: 50, count: 0 },
+        { range: '50-75', min: 50, max: 75, count: 0 },
+        { range: '75-100', min: 75, max: 100, count: 1 }
+      ]);
+      const { boundaries } = Submission.aggregate.mock.calls[0][0][1].$bucket;
+      expect(boundaries).toEqual([0, 25, 50, 75, 100.01]);
+    });
+  });
+
+  describe('getTimeSpentDistribution', () => {
+    const mockTimes = seconds => {
+      jest.spyOn(Submission, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ lean: async () => seconds.map(timeSpent => ({ timeSpent })) }) })
+      });
+    };
+
+    it('reports the median, 90th percentile and buckets in minutes', async () => {
+      mockTimes([60, 120, 180, 240, 600, 660, 720, 780, 840, 1800]);
+
+      const distribution = await getTimeSpentDistribution(challengeId, 5);
+
+      expect(distribution).toEqual({
+        count: 10,
+        median: 11,
+        p90: 30,
+        buckets: [
+          { range: '0-5', count: 4 },
+          { range: '10-15', count: 5 },
+          { range: '30-35', count: 1 }
+        ]
+      });
+    });
+
+    it('has no figures without timed submissions', async () => {
+      mockTimes([]);
+
+      expect(await getTimeSpentDistribution(challengeId)).toEqual({ count: 0, median: null, p90: null, buckets: [] });
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Challenge Versions
+ * Publishing snapshots and resolving the version a submission was graded against
+ *
+ * The Challenge document is the editable working copy. Publishing copies
+ * its graded fields into an immutable ChallengeVersion; attempts and
+ * submissions pin that version number, and grading/review always read
+ * the pinned snapshot.
+ *
+ * Challenges created before versioning have no status; the
+ * migrate-challenge-versions job (utils/challengeJobs) publishes them as
+ * version 1 and pins their attempts and submissions to it.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const Challenge = require('../models/Challenge');
+const ChallengeVersion = require('../models/ChallengeVersion');
+const Submission = require('../models/Submission');
+const Attempt = require('../models/Attempt');
+
+// Fields that decide a grade, the grader or the review, frozen per version
+const VERSIONED_FIELDS = [
+  'instructions',
+  'content',
+  'testCases',
+  'passingScore',
+  'category',
+  'submissionFormat',
+  'verificationCriteria',
+  'reviewPolicy',
+  'integrity'
+];
+
+/**
+ * Copy the versioned fields out of a challenge or version
+ * @param {Object} source - Challenge or ChallengeVersion document
+ * @returns {Object} Plain snapshot of VERSIONED_FIELDS
+ */
+function snapshotFields(source) {
+  const plain = typeof source.toObject === 'function'
+    ? source.toObject({ depopulate: true, virtuals: false })
+    : source;
+
+  const snapshot = {};
+  for (const field of VERSIONED_FIELDS) {
+    snapshot[field] = plain[field];
+  }
+  // Subdocument ids aren't part of the content
+  snapshot.testCases = (snapshot.testCases || []).map(({ _id, ...testCase }) => testCase);
+  if (snapshot.verificationCriteria) {
+    snapshot.verificationCriteria = snapshot.verificationCriteria.map(({ _id, ...criterion }) => criterion);
+  }
+  return snapshot;
+}
+
+/**
+ * Whether the working copy differs from the published version
+ * @param {Object} challenge - Challenge document
+ * @returns {Promise<Boolean>}
+ */
+async function hasUnpublishedChanges(challenge) {
+  if (!challenge.currentVersion) return true;
+
+  const current = await ChallengeVersion.findOne({
+    challenge: challenge._id,
+    version: challenge.currentVersion
+  });
+  if (!current) return true;
+
+  return !isDeepStrictEqual(
+    JSON.parse(JSON.stringify(snapshotFields(challenge))),
+    JSON.parse(JSON.stringify(snapshotFields(current)))
+  );
+}
+
+/**
+ * Snapshot the working copy as the next version
+ * Does not change the lifecycle status
+ * @param {Object} challenge - Challenge document
+ * @param {ObjectId} userId - Publisher
+ * @param {String} notes - Release notes
+ * @returns {Promise<Object>} The new ChallengeVersion
+ */
+async function createVersion(challenge, userId, notes = '') {
+  const version = await ChallengeVersion.create({
+    challenge: challenge._id,
+    version: challenge.currentVersion + 1,
+    ...snapshotFields(challenge),
+    publishedBy: userId,
+    notes
+  });
+
+  challenge.currentVersion = version.version;
+  await challenge.save();
+
+  return version;
+}
+
+/**
+ * Publish a challenge, snapshotting a new version if its graded fields changed
+ * @param {Object} challenge - Challenge document (in-review or retired)
+ * @param {ObjectId} userId - Publisher
+ * @param {String} notes - Release notes
+ * @returns {Promise<Object|null>} The new version, or null if the last one was reused
+ */
+async function publishChallenge(challenge, userId, notes = '') {
+  challenge.transitionTo('published', userId, notes);
+
+  if (await hasUnpublishedChanges(challenge)) {
+    return createVersion(challenge, userId, notes);
+  }
+
+  await challenge.save();
+  return null;
+}
+
+/**
+ * Load a challenge with its graded fields taken from a pinned version
+ * The result is a detached document for reading; never save it
+ * @param {ObjectId} challengeId - The challenge ID
+ * @param {Number} version - Pinned version
+ * @returns {Promise<Object|null>} Challenge document, or null if the challenge is gone
+ * @throws {Error} When the version is missing, rather than grading against edits
+ */
+async function loadChallengeVersion(challengeId, version) {
+  const challenge = await Challenge.findById(challengeId);
+  if (!challenge) return null;
+
+  const pinned = version && await ChallengeVersion.findOne({ challenge: challenge._id, version });
+  if (!pinned) {
+    throw new Error(`Challenge ${challenge._id} has no version ${version}`);
+  }
+
+  // Versions published before a field was snapshotted keep the working copy's value
+  const snapshot = snapshotFields(pinned);
+  for (const field of VERSIONED_FIELDS) {
+    if (snapshot[field] === undefined) delete snapshot[field];
+  }
+
+  return Challenge.hydrate({
+    ...challenge.toObject({ depopulate: true, virtuals: false }),
+    ...snapshot
+  });
+}
+
+/**
+ * Load the challenge exactly as a submission was graded
+ * @param {Object} submission - Submission document
+ * @returns {Promise<Object|null>} Challenge document
+ */
+async function loadChallengeForSubmission(submission) {
+  return loadChallengeVersion(submission.challenge, submission.challengeVersion);
+}
+
+/**
+ * Publish every challenge that predates the lifecycle as version 1, and pin
+ * attempts and submissions made before versioning to that version
+ * @param {ObjectId} userId - Recorded as publisher (defaults to each challenge's author)
+ * @returns {Promise<Object>} { challenges, attempts, submissions } migrated
+ */
+async function migrateUnversionedChallenges(userId = null) {
+  const challenges = await Challenge.find({ status: { $exists: false } });
+
+  for (const challenge of challenges) {
+    challenge.status = 'published';
+    challenge.publishedAt = challenge.createdAt;
+    challenge.statusHistory.push({ status: 'published', changedBy: userId || challenge.createdBy, note: 'Migrated' });
+    await createVersion(challenge, userId || challenge.createdBy, 'Migrated from unversioned challenge');
+  }
+
+  // Anything unpinned predates versioning, so it was served what became version 1
+  const unpinned = { challengeVersion: null };
+  const attempts = await Attempt.updateMany(unpinned, { $set: { challengeVersion: 1 } });
+  const submissions = await Submission.updateMany(unpinned, { $set: { challengeVersion: 1 } });
+
+  return {
+    challenges: challenges.length,
+    attempts: attempts.modifiedCount,
+    submissions: submissions.modifiedCount
+  };
+}
+
+/**
+ * Whether anything still predates versioning
+ * @returns {Promise<Boolean>}
+ */
+async function hasUnversionedData() {
+  const unversioned = await Promise.all([
+    Challenge.exists({ status: { $exists: false } }),
+    Attempt.exists({ challengeVersion: null }),
+    Submission.exists({ challengeVersion: null })
+  ]);
+  return unversioned.some(Boolean);
+}
+
+module.exports = {
+  publishChallenge,
+  createVersion,
+  hasUnpublishedChanges,
+  loadChallengeVersion,
+  loadChallengeForSubmission,
+  migrateUnversionedChallenges,
+  hasUnversionedData,
+  VERSIONED_FIELDS
+};
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose');
+const Challenge = require('../models/Challenge');
+const ChallengeVersion = require('../models/ChallengeVersion');
+const Submission = require('../models/Submission');
+const Attempt = require('../models/Attempt');
+const {
+  publishChallenge,
+  createVersion,
+  hasUnpublishedChanges,
+  loadChallengeVersion,
+  migrateUnversionedChallenges,
+  hasUnversionedData
+} = require('./challengeVersions');
+
+describe('challengeVersions', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  const buildChallenge = (overrides = {}) => {
+    const challenge = new Challenge({
+      title: 'Reverse a string',
+      description: 'Reverse the input',
+      instructions: 'Print the input reversed',
+      skill: new mongoose.Types.ObjectId(),
+      difficulty: 'easy',
+      category: 'coding',
+      content: { starterCode: '' },
+      verificationCriteria: [{ criterion: 'Correct output', autoVerify: true }],
+      testCases: [{ input: 'abc', expectedOutput: 'cba' }],
+      passingScore: 70,
+      ...overrides
+    });
+    jest.spyOn(challenge, 'save').mockResolvedValue(challenge);
+    return challenge;
+  };
+
+  // The stored version as it would come back from the database: same content, fresh subdocument ids
+  const storedVersion = (challenge, changes = {}) => new ChallengeVersion({
+    challenge: challenge._id,
+    version: challenge.currentVersion,
+    instructions: challenge.instructions,
+    content: challenge.content,
+    testCases: challenge.testCases.map(({ input, expectedOutput }) => ({ input, expectedOutput })),
+    passingScore: challenge.passingScore,
+    category: challenge.category,
+    submissionFormat: challenge.submissionFormat,
+    verificationCriteria: challenge.verificationCriteria.map(({ criterion, weight, autoVerify }) => ({ criterion, weight, autoVerify })),
+    reviewPolicy: challenge.toObject().reviewPolicy,
+    integrity: challenge.toObject().integrity,
+    publishedBy: userId,
+    ...changes
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('hasUnpublishedChanges', () => {
+    it('is true for a challenge that was never published', async () => {
+      const findOne = jest.spyOn(ChallengeVersion, 'findOne');
+
+      await expect(hasUnpublishedChanges(buildChallenge())).resolves.toBe(true);
+      expect(findOne).not.toHaveBeenCalled();
+    });
+
+    it('ignores test case ids when comparing with the published version', async () => {
+      const challenge = buildChallenge({ currentVersion: 2 });
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(storedVersion(challenge));
+
+      await expect(hasUnpublishedChanges(challenge)).resolves.toBe(false);
+    });
+
+    it('detects edits to graded fields', async () => {
+      const challenge = buildChallenge({ currentVersion: 2 });
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(storedVersion(challenge, { passingScore: 60 }));
+
+      await expect(hasUnpublishedChanges(challenge)).resolves.toBe(true);
+    });
+
+    it('detects edits to the grader and review settings', async () => {
+      const challenge = buildChallenge({ currentVersion: 2 });
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(storedVersion(challenge, { reviewPolicy: { reviewersRequired: 3 } }));
+
+      await expect(hasUnpublishedChanges(challenge)).resolves.toBe(true);
+    });
+  });
+
+  describe('createVersion', () => {
+    it('snapshots the working copy as the next version', async () => {
+      const challenge = buildChallenge({ currentVersion: 1 });
+      const create = jest.spyOn(ChallengeVersion, 'create').mockImplementation(async fields => fields);
+
+      const version = await createVersion(challenge, userId, 'Fixed a test case');
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        challenge: challenge._id,
+        version: 2,
+        instructions: 'Print the input reversed',
+        testCases: [{ input: 'abc', expectedOutput: 'cba', description: '', hidden: true }],
+        category: 'coding',
+        submissionFormat: 'text',
+        verificationCriteria: [{ criterion: 'Correct output', weight: 1, autoVerify: true }],
+        reviewPolicy: expect.objectContaining({ reviewersRequired: 1, aggregation: 'median' }),
+        integrity: { enabled: false, reviewThreshold: 60 },
+        publishedBy: userId,
+        notes: 'Fixed a test case'
+      }));
+      expect(version.version).toBe(2);
+      expect(challenge.currentVersion).toBe(2);
+      expect(challenge.save).toHaveBeenCalled();
+    });
+  });
+
+  describe('publishChallenge', () => {
+    it('creates a version when the graded fields changed', async () => {
+      const challenge = buildChallenge({ status: 'in-review' });
+      jest.spyOn(ChallengeVersion, 'create').mockImplementation(async fields => fields);
+
+      const version = await publishChallenge(challenge, userId);
+
+      expect(version.version).toBe(1);
+      expect(challenge.status).toBe('published');
+      expect(challenge.statusHistory[0]).toMatchObject({ status: 'published', changedBy: userId });
+    });
+
+    it('reuses the last version when republishing an unchanged challenge', async () => {
+      const challenge = buildChallenge({ status: 'retired', currentVersion: 3 });
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(storedVersion(challenge));
+      const create = jest.spyOn(ChallengeVersion, 'create');
+
+      await expect(publishChallenge(challenge, userId)).resolves.toBeNull();
+      expect(create).not.toHaveBeenCalled();
+      expect(challenge.currentVersion).toBe(3);
+      expect(challenge.save).toHaveBeenCalled();
+    });
+
+    it('refuses to publish a draft', async () => {
+      await expect(publishChallenge(buildChallenge(), userId)).rejects.toThrow('Cannot move a draft challenge to published');
+    });
+  });
+
+  describe('loadChallengeVersion', () => {
+    it('overlays the pinned version on the working copy', async () => {
+      const challenge = buildChallenge({ currentVersion: 2, instructions: 'Edited after publishing' });
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(
+        storedVersion(challenge, { version: 1, instructions: 'Print the input reversed' })
+      );
+
+      const loaded = await loadChallengeVersion(challenge._id, 1);
+
+      expect(loaded.instructions).toBe('Print the input reversed');
+      expect(loaded.title).toBe('Reverse a string');
+      expect(loaded).not.toBe(challenge);
+    });
+
+    it('grades and reviews with the settings of the pinned version', async () => {
+      const challenge = buildChallenge({
+        currentVersion: 2,
+        submissionFormat: 'code',
+        verificationCriteria: [{ criterion: 'Clear naming', autoVerify: false }],
+        reviewPolicy: { reviewersRequired: 3 }
+      });
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(storedVersion(challenge, {
+        version: 1,
+        submissionFormat: 'text',
+        verificationCriteria: [{ criterion: 'Correct output', autoVerify: true }],
+        reviewPolicy: { reviewersRequired: 1 }
+      }));
+
+      const loaded = await loadChallengeVersion(challenge._id, 1);
+
+      expect(loaded.submissionFormat).toBe('text');
+      expect(loaded.reviewPolicy.reviewersRequired).toBe(1);
+      expect(loaded.requiresHumanReview()).toBe(false);
+    });
+
+    it('reads fields a version predates from the working copy', async () => {
+      const challenge = buildChallenge({ currentVersion: 1, submissionFormat: 'code' });
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(new ChallengeVersion({
+        challenge: challenge._id,
+        version: 1,
+        instructions: 'Print the input reversed',
+        testCases: [],
+        passingScore: 60,
+        publishedBy: userId
+      }));
+
+      const loaded = await loadChallengeVersion(challenge._id, 1);
+
+      expect(loaded.passingScore).toBe(60);
+      expect(loaded.submissionFormat).toBe('code');
+      expect(loaded.verificationCriteria.map(criterion => criterion.criterion)).toEqual(['Correct output']);
+    });
+
+    it('refuses to fall back to the working copy when the version is missing', async () => {
+      const challenge = buildChallenge({ currentVersion: 2 });
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(challenge);
+      jest.spyOn(ChallengeVersion, 'findOne').mockResolvedValue(null);
+
+      await expect(loadChallengeVersion(challenge._id, 1)).rejects.toThrow(`Challenge ${challenge._id} has no version 1`);
+      await expect(loadChallengeVersion(challenge._id, null)).rejects.toThrow('has no version null');
+    });
+
+    it('is null once the challenge is deleted', async () => {
+      jest.spyOn(Challenge, 'findById').mockResolvedValue(null);
+
+      await expect(loadChallengeVersion(new mongoose.Types.ObjectId(), 1)).resolves.toBeNull();
+    });
+  });
+
+  describe('migrateUnversionedChallenges', () => {
+    it('publishes legacy challenges as version 1 and pins unpinned attempts and submissions', async () => {
+      const legacy = buildChallenge({ createdBy: userId });
+      legacy.status = undefined;
+      jest.spyOn(Challenge, 'find').mockResolvedValue([legacy]);
+      const create = jest.spyOn(ChallengeVersion, 'create').mockImplementation(async fields => fields);
+      const attempts = jest.spyOn(Attempt, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+      const submissions = jest.spyOn(Submission, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+      await expect(migrateUnversionedChallenges()).resolves.toEqual({ challenges: 1, attempts: 1, submissions: 4 });
+      expect(Challenge.find).toHaveBeenCalledWith({ status: { $exists: false } });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ version: 1, publishedBy: userId }));
+      expect(legacy.status).toBe('published');
+      expect(attempts).toHaveBeenCalledWith({ challengeVersion: null }, { $set: { challengeVersion: 1 } });
+      expect(submissions).toHaveBeenCalledWith({ challengeVersion: null }, { $set: { challengeVersion: 1 } });
+    });
+  });
+
+  describe('hasUnversionedData', () => {
+    it('is true while anything is left to migrate', async () => {
+      jest.spyOn(Challenge, 'exists').mockResolvedValue(null);
+      jest.spyOn(Attempt, 'exists').mockResolvedValue(null);
+      const submissions = jest.spyOn(Submission, 'exists').mockResolvedValue({ _id: 'legacy' });
+
+      await expect(hasUnversionedData()).resolves.toBe(true);
+
+      submissions.mockResolvedValue(null);
+      await expect(hasUnversionedData()).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * Code Runner
+ * Sandboxed execution engine for auto-grading code challenges
+ *
+ * Every test case runs in a fresh nsjail (https://github.com/google/nsjail)
+ * with a throwaway working directory and:
+ * - its own user, mount, PID, IPC, UTS and network namespaces, so no
+ *   network and no view of the host filesystem beyond read-only system dirs
+ * - a seccomp policy that refuses new processes and kernel-facing syscalls
+ * - CPU, memory (or the V8 heap cap for JavaScript), file size and open
+ *   file limits
+ * - a wall-clock limit enforced by the parent process
+ * - a scrubbed environment and capped stdout/stderr
+ *
+ * Code is never run without the jail: if nsjail is missing or fails to
+ * start, executeCode throws SandboxUnavailableError.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const { accessSync, constants: fsConstants } = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Default per-test limits (overridable through environment variables)
+ */
+const DEFAULT_LIMITS = {
+  cpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS) || 2,
+  memoryMb: parseInt(process.env.SANDBOX_MEMORY_MB) || 256,
+  wallClockMs: parseInt(process.env.SANDBOX_WALL_CLOCK_MS) || 5000,
+  maxOutputBytes: 64 * 1024
+};
+
+/**
+ * Highest per-test limits a challenge's grader config can ask for
+ */
+const MAX_LIMITS = {
+  cpuSeconds: parseInt(process.env.SANDBOX_MAX_CPU_SECONDS) || 10,
+  memoryMb: parseInt(process.env.SANDBOX_MAX_MEMORY_MB) || 1024,
+  wallClockMs: parseInt(process.env.SANDBOX_MAX_WALL_CLOCK_MS) || 20000,
+  maxOutputBytes: 1024 * 1024
+};
+
+const NODE_MAJOR_VERSION = parseInt(process.versions.node.split('.')[0]);
+
+// Where the working directory appears inside the jail
+const JAIL_WORK_DIR = '/sandbox';
+
+// System directories mounted read-only into the jail, when present
+const JAIL_SYSTEM_DIRS = ['/bin', '/lib', '/lib64', '/usr', '/etc/alternatives'];
+
+/**
+ * Seccomp policy (kafel syntax). Threads are allowed, so runtimes work, but
+ * new processes are not: clone without CLONE_THREAD, fork and vfork fail,
+ * and clone3 reports ENOSYS so libc falls back to clone. Sockets, tracing,
+ * namespaces, mounts, keyrings, BPF and module loading are refused too.
+ */
+const SECCOMP_POLICY = [
+  'POLICY sandbox {',
+  '  ERRNO(38) { clone3 },',
+  '  ERRNO(1) {',
+  '    fork, vfork, clone { (clone_flags & 0x10000) == 0 },',
+  '    socket, socketpair, ptrace, process_vm_readv, process_vm_writev,',
+  '    unshare, setns, mount, umount2, pivot_root, chroot,',
+  '    bpf, perf_event_open, keyctl, add_key, request_key,',
+  '    init_module, finit_module, delete_module, kexec_load, reboot, swapon, swapoff',
+  '  }',
+  '}',
+  'USE sandbox DEFAULT ALLOW'
+].join('\n');
+
+/**
+ * Thrown when code cannot be run inside the isolation layer
+ */
+class SandboxUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxUnavailableError';
+  }
+}
+
+/**
+ * Supported languages and how to run them
+ * `limitMemory` is false where the runtime enforces its own memory cap,
+ * since V8 reserves far more virtual address space than it ever uses.
+ */
+const LANGUAGES = {
+  javascript: {
+    aliases: ['js', 'node', 'nodejs'],
+    fileName: 'main.js',
+    command: process.execPath,
+    args: (file, workDir, limits) => [
+      `--max-old-space-size=${limits.memoryMb}`,
+      '--no-warnings',
+      // Permission model as a second line of defence inside the jail
+      ...(NODE_MAJOR_VERSION >= 20
+        ? ['--experimental-permission', `--allow-fs-read=${workDir}`]
+        : []),
+      file
+    ],
+    limitMemory: false
+  },
+  python: {
+    aliases: ['py', 'python3'],
+    fileName: 'main.py',
+    command: process.env.SANDBOX_PYTHON || '/usr/bin/python3',
+    args: (file) => ['-I', '-S', file],
+    limitMemory: true
+  }
+};
+
+/**
+ * Resolve a language name or alias to a supported language key
+ * @param {String} language - Language name as submitted
+ * @returns {String|null} Supported language key, or null
+ */
+function resolveLanguage(language) {
+  if (!language) return null;
+  const name = String(language).trim().toLowerCase();
+
+  for (const [key, definition] of Object.entries(LANGUAGES)) {
+    if (key === name || definition.aliases.includes(name)) return key;
+  }
+  return null;
+}
+
+/**
+ * Normalize program output for comparison
+ * Ignores trailing whitespace on each line and trailing blank lines
+ * @param {*} output - Raw output
+ * @returns {String} Normalized output
+ */
+function normalizeOutput(output) {
+  if (output === undefined || output === null) return '';
+  const text = typeof output === 'string' ? output : JSON.stringify(output);
+  return text
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n+$/, '');
+}
+
+/**
+ * Milliseconds elapsed since a high-resolution start time
+ * @param {BigInt} startedAt - Value of process.hrtime.bigint()
+ * @returns {Number} Elapsed milliseconds (2 decimal places)
+ */
+function elapsedMs(startedAt) {
+  return Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100;
+}
+
+/**
+ * Locate the nsjail binary (SANDBOX_NSJAIL, or nsjail on the PATH)
+ * @returns {String} Path to nsjail
+ * @throws {SandboxUnavailableError} When nsjail cannot be found
+ */
+function findNsjail() {
+  const configured = process.env.SANDBOX_NSJAIL;
+  const candidates = configured
+    ? [configured]
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean).map(dir => path.join(dir, 'nsjail'));
+
+  for (const candidate of candidates) {
+    try {
+      accessSync(candidate, fsConstants.X_OK);
+      return candidate;
+    } catch (error) {
+      // Try the next one
+    }
+  }
+  throw new SandboxUnavailableError('nsjail is not installed; refusing to run code without a sandbox');
+}
+
+/**
+ * Build the nsjail command line for one run
+ * @param {Object} definition - Language definition
+ * @param {String} workDir - Host working directory
+ * @param {Object} limits - Execution limits
+ * @returns {Array} Arguments for nsjail
+ */
+function buildJailArgs(definition, workDir, limits) {
+  const file = path.posix.join(JAIL_WORK_DIR, definition.fileName);
+  const mounts = JAIL_SYSTEM_DIRS
+    .filter(dir => {
+      try {
+        accessSync(dir);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    })
+    .flatMap(dir => ['--bindmount_ro', dir]);
+
+  // A runtime outside the system dirs (e.g. a version manager install) is mounted by itself
+  if (path.isAbsolute(definition.command) &&
+    !JAIL_SYSTEM_DIRS.some(dir => definition.command.startsWith(`${dir}/`))) {
+    mounts.push('--bindmount_ro', definition.command);
+  }
+
+  return [
+    '--mode', 'o',
+    '--quiet',
+    '--hostname', 'sandbox',
+    '--user', '65534',
+    '--group', '65534',
+    ...mounts,
+    '--bindmount', `${workDir}:${JAIL_WORK_DIR}`,
+    '--tmpfsmount', '/tmp',
+    '--cwd', JAIL_WORK_DIR,
+    '--env', 'PATH=/usr/local/bin:/usr/bin:/bin',
+    '--env', `HOME=${JAIL_WORK_DIR}`,
+    '--env', 'LANG=C.UTF-8',
+    // Backstop for the parent's wall-clock timer
+    '--time_limit', String(Math.ceil(limits.wallClockMs / 1000) + 1),
+    '--rlimit_cpu', String(limits.cpuSeconds),
+    '--rlimit_as', definition.limitMemory ? String(limits.memoryMb) : 'inf',
+    '--rlimit_fsize', '16',
+    '--rlimit_nofile', '64',
+    '--rlimit_core', '0',
+    '--seccomp_string', SECCOMP_POLICY,
+    '--',
+    definition.command,
+    ...definition.args(file, JAIL_WORK_DIR, limits)
+  ];
+}
+
+/**
+ * nsjail reports a jailed process killed by a signal as 128 + signal number
+ * @param {Number|null} exitCode - nsjail exit code
+ * @returns {String|null} Signal name
+ */
+function signalFromExitCode(exitCode) {
+  if (!(exitCode > 128)) return null;
+  const entry = Object.entries(os.constants.signals).find(([, number]) => number === exitCode - 128);
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Fill in default limits and clamp requested ones to MAX_LIMITS
+ * @param {Object} limits - Requested limits; unknown keys and non-positive values are ignored
+ * @returns {Object} Limits to run with
+ */
+function resolveLimits(limits = {}) {
+  const resolved = { ...DEFAULT_LIMITS };
+  for (const key of Object.keys(DEFAULT_LIMITS)) {
+    const value = Number(limits[key]);
+    if (value > 0) resolved[key] = Math.min(value, MAX_LIMITS[key]);
+  }
+  return resolved;
+}
+
+/**
+ * Execute a program once inside the sandbox
+ * @param {String} language - Supported language key
+ * @param {String} code - Source code
+ * @param {String} input - Data written to stdin
+ * @param {Object} limits - Execution limits
+ * @returns {Promise<Object>} stdout, stderr, exit status and timing
+ * @throws {SandboxUnavailableError} When the jail is missing or cannot start
+ */
+async function executeCode(language, code, input = '', limits = {}) {
+  const definition = LANGUAGES[language];
+  if (!definition) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const nsjail = findNsjail();
+  const runLimits = resolveLimits(limits);
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'skillledger-run-'));
+  const file = path.join(workDir, definition.fileName);
+
+  try {
+    await fs.writeFile(file, code);
+    // The jailed user must be able to read the code and write next to it
+    await fs.chmod(workDir, 0o777);
+    await fs.chmod(file, 0o644);
+
+    const execution = await new Promise((resolve, reject) => {
+      const startedAt = process.hrtime.bigint();
+      let stdout = '';
+      let stderr = '';
+      let outputTruncated = false;
+      let timedOut = false;
+
+      const child = spawn(nsjail, buildJailArgs(definition, workDir, runLimits), {
+        cwd: workDir,
+        env: { PATH: process.env.PATH },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: true
+      });
+
+      const collect = (current, chunk) => {
+        if (current.length >= runLimits.maxOutputBytes) {
+          outputTruncated = true;
+          return current;
+        }
+        const next = current + chunk.toString();
+        if (next.length > runLimits.maxOutputBytes) {
+          outputTruncated = true;
+          return next.slice(0, runLimits.maxOutputBytes);
+        }
+        return next;
+      };
+
+      child.stdout.on('data', chunk => { stdout = collect(stdout, chunk); });
+      child.stderr.on('data', chunk => { stderr = collect(stderr, chunk); });
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          // nsjail leads its own process group; killing it ends the jailed
+          // program too, since that runs in nsjail's PID namespace
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          child.kill('SIGKILL');
+        }
+      }, runLimits.wallClockMs);
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new SandboxUnavailableError(`nsjail could not be started: ${error.message}`));
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        const jailedSignal = signal || signalFromExitCode(exitCode);
+        resolve({
+          stdout,
+          stderr,
+          exitCode: jailedSignal ? null : exitCode,
+          signal: jailedSignal,
+          // SIGXCPU means the CPU limit was reached
+          timedOut: timedOut || jailedSignal === 'SIGXCPU',
+          outputTruncated,
+          durationMs: elapsedMs(startedAt)
+        });
+      });
+
+      child.stdin.on('error', () => {}); // Program may exit without reading stdin
+      child.stdin.end(input === undefined || input === null
+        ? ''
+        : typeof input === 'string' ? input : JSON.stringify(input));
+    });
+
+    // nsjail exits 255 and logs [E]/[F] lines when it cannot set up the jail
+    // (e.g. user namespaces are disabled); that is not the program's failure
+    if (execution.exitCode === 255 && /^\[[EF]\]/m.test(execution.stderr)) {
+      throw new SandboxUnavailableError(`nsjail could not set up the sandbox: ${execution.stderr.trim()}`);
+    }
+
+    return execution;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Run submitted code against a challenge's test cases
+ * @param {String} code - Submitted source code
+ * @param {String} language - Supported language key
+ * @param {Array} testCases - Test cases with input, expectedOutput and hidden
+ * @param {Object} limits - Execution limits applied to every test
+ * @returns {Promise<Object>} Score and per-test results
+ */
+async function runTestCases(code, language, testCases, limits = {}) {
+  const results = [];
+  let passedCount = 0;
+
+  // Run sequentially so tests don't compete for CPU and skew timings
+  for (const [index, testCase] of testCases.entries()) {
+    const execution = await executeCode(language, code, testCase.input, limits);
+    const actualOutput = normalizeOutput(execution.stdout);
+    const passed = !execution.timedOut &&
+      execution.exitCode === 0 &&
+      actualOutput === normalizeOutput(testCase.expectedOutput);
+
+    if (passed) passedCount++;
+
+    results.push({
+      testCase: index + 1,
+      hidden: testCase.hidden !== false,
+      passed,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+      actualOutput,
+      stderr: execution.stderr,
+      exitCode: execution.exitCode,
+      signal: execution.signal,
+      timedOut: execution.timedOut,
+      outputTruncated: execution.outputTruncated,
+      durationMs: execution.durationMs
+    });
+  }
+
+  const score = testCases.length > 0
+    ? Math.round((passedCount / testCases.length) * 100)
+    : 0;
+
+  return {
+    score,
+    language,
+    totalTests: testCases.length,
+    passedTests: passedCount,
+    limits: resolveLimits(limits),
+    results
+  };
+}
+
+module.exports = {
+  executeCode,
+  runTestCases,
+  resolveLanguage,
+  normalizeOutput,
+  buildJailArgs,
+  resolveLimits,
+  SandboxUnavailableError,
+  LANGUAGES,
+  DEFAULT_LIMITS,
+  MAX_LIMITS
+};
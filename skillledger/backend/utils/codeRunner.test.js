@@ -0,0 +1,191 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  executeCode,
+  runTestCases,
+  resolveLanguage,
+  normalizeOutput,
+  buildJailArgs,
+  resolveLimits,
+  SandboxUnavailableError,
+  LANGUAGES,
+  DEFAULT_LIMITS,
+  MAX_LIMITS
+} = require('./codeRunner');
+
+// Stands in for nsjail: runs the command after `--` with /sandbox mapped to its cwd
+const FAKE_NSJAIL = `#!/usr/bin/env node
+const { spawnSync } = require('child_process');
+const args = process.argv.slice(2);
+const command = args.slice(args.indexOf('--') + 1).map(arg => arg.split('/sandbox').join(process.cwd()));
+const result = spawnSync(command[0], command.slice(1), { stdio: 'inherit' });
+process.exit(result.status === null ? 137 : result.status);
+`;
+
+// Fails the way nsjail does when user namespaces are disabled
+const BROKEN_NSJAIL = `#!/bin/sh
+echo "[E][2026-01-01T00:00:00+0000] clone(flags=CLONE_NEWUSER) failed" >&2
+exit 255
+`;
+
+describe('codeRunner', () => {
+  const originalNsjail = process.env.SANDBOX_NSJAIL;
+  let binDir;
+
+  const installJail = (name, script) => {
+    const file = path.join(binDir, name);
+    fs.writeFileSync(file, script);
+    fs.chmodSync(file, 0o755);
+    return file;
+  };
+
+  beforeAll(() => {
+    binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skillledger-jail-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(binDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    if (originalNsjail === undefined) {
+      delete process.env.SANDBOX_NSJAIL;
+    } else {
+      process.env.SANDBOX_NSJAIL = originalNsjail;
+    }
+  });
+
+  describe('resolveLanguage', () => {
+    it('accepts names and aliases in any case', () => {
+      expect(resolveLanguage('JavaScript')).toBe('javascript');
+      expect(resolveLanguage(' node ')).toBe('javascript');
+      expect(resolveLanguage('py')).toBe('python');
+    });
+
+    it('rejects unsupported or missing languages', () => {
+      expect(resolveLanguage('ruby')).toBeNull();
+      expect(resolveLanguage('')).toBeNull();
+      expect(resolveLanguage(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeOutput', () => {
+    it('ignores trailing whitespace and blank lines', () => {
+      expect(normalizeOutput('a  \r\nb\t\n\n\n')).toBe('a\nb');
+    });
+
+    it('serializes non-string output', () => {
+      expect(normalizeOutput([1, 2])).toBe('[1,2]');
+      expect(normalizeOutput(null)).toBe('');
+    });
+  });
+
+  describe('buildJailArgs', () => {
+    const limits = { ...DEFAULT_LIMITS, cpuSeconds: 3, memoryMb: 128, wallClockMs: 4000 };
+
+    it('isolates the run as an unprivileged user with only the work dir writable', () => {
+      const args = buildJailArgs(LANGUAGES.python, '/tmp/work', limits);
+
+      expect(args.slice(0, 2)).toEqual(['--mode', 'o']);
+      expect(args).toEqual(expect.arrayContaining(['--user', '65534', '--group', '65534']));
+      expect(args[args.indexOf('--bindmount') + 1]).toBe('/tmp/work:/sandbox');
+      expect(args[args.indexOf('--cwd') + 1]).toBe('/sandbox');
+      expect(args).not.toContain('--disable_clone_newnet');
+      expect(args[args.indexOf('--seccomp_string') + 1]).toMatch(/socket/);
+    });
+
+    it('applies CPU, memory and wall-clock limits', () => {
+      const args = buildJailArgs(LANGUAGES.python, '/tmp/work', limits);
+
+      expect(args[args.indexOf('--rlimit_cpu') + 1]).toBe('3');
+      expect(args[args.indexOf('--rlimit_as') + 1]).toBe('128');
+      expect(args[args.indexOf('--time_limit') + 1]).toBe('5');
+    });
+
+    it('leaves the address space to V8 for JavaScript', () => {
+      const args = buildJailArgs(LANGUAGES.javascript, '/tmp/work', limits);
+
+      expect(args[args.indexOf('--rlimit_as') + 1]).toBe('inf');
+      expect(args).toContain('--max-old-space-size=128');
+    });
+
+    it('runs the program from the jail path after the separator', () => {
+      const args = buildJailArgs(LANGUAGES.python, '/tmp/work', limits);
+
+      expect(args.slice(args.indexOf('--') + 1)).toEqual([LANGUAGES.python.command, '-I', '-S', '/sandbox/main.py']);
+    });
+  });
+
+  describe('resolveLimits', () => {
+    it('fills in the defaults', () => {
+      expect(resolveLimits()).toEqual(DEFAULT_LIMITS);
+      expect(resolveLimits({ memoryMb: 512 })).toEqual({ ...DEFAULT_LIMITS, memoryMb: 512 });
+    });
+
+    it('clamps requested limits to the sandbox maximums', () => {
+      const limits = resolveLimits({ cpuSeconds: 600, memoryMb: 1e6, wallClockMs: 3600000, maxOutputBytes: 1e9 });
+
+      expect(limits).toEqual(MAX_LIMITS);
+    });
+
+    it('ignores unknown keys and non-positive values', () => {
+      expect(resolveLimits({ wallClockMs: 0, cpuSeconds: 'lots', processes: 100 })).toEqual(DEFAULT_LIMITS);
+    });
+  });
+
+  describe('executeCode', () => {
+    it('refuses to run code when nsjail is missing', async () => {
+      process.env.SANDBOX_NSJAIL = path.join(binDir, 'missing-nsjail');
+
+      await expect(executeCode('javascript', 'console.log(1)')).rejects.toBeInstanceOf(SandboxUnavailableError);
+    });
+
+    it('refuses to run code when nsjail cannot set up the jail', async () => {
+      process.env.SANDBOX_NSJAIL = installJail('broken-nsjail', BROKEN_NSJAIL);
+
+      await expect(executeCode('javascript', 'console.log(1)')).rejects.toThrow(/could not set up the sandbox/);
+    });
+
+    it('rejects unsupported languages', async () => {
+      await expect(executeCode('cobol', '')).rejects.toThrow('Unsupported language: cobol');
+    });
+
+    it('runs the program through the jail with stdin', async () => {
+      process.env.SANDBOX_NSJAIL = installJail('nsjail', FAKE_NSJAIL);
+
+      const execution = await executeCode(
+        'javascript',
+        "process.stdin.on('data', data => console.log(String(data).toUpperCase()))",
+        'hello'
+      );
+
+      expect(execution).toMatchObject({ stdout: 'HELLO\n', exitCode: 0, signal: null, timedOut: false });
+    });
+
+    it('stops programs that exceed the wall-clock limit', async () => {
+      process.env.SANDBOX_NSJAIL = installJail('nsjail', FAKE_NSJAIL);
+
+      const execution = await executeCode('javascript', 'setInterval(() => {}, 1000)', '', { wallClockMs: 500 });
+
+      expect(execution.timedOut).toBe(true);
+    });
+  });
+
+  describe('runTestCases', () => {
+    it('scores the share of passing tests and keeps hidden tests hidden by default', async () => {
+      process.env.SANDBOX_NSJAIL = installJail('nsjail', FAKE_NSJAIL);
+      const code = "process.stdin.on('data', data => console.log(Number(data) * 2))";
+
+      const run = await runTestCases(code, 'javascript', [
+        { input: '2', expectedOutput: '4', hidden: false },
+        { input: '3', expectedOutput: '6' },
+        { input: '5', expectedOutput: '11' }
+      ]);
+
+      expect(run).toMatchObject({ score: 67, totalTests: 3, passedTests: 2 });
+      expect(run.results.map(result => result.hidden)).toEqual([false, true, true]);
+      expect(run.results[2]).toMatchObject({ passed: false, actualOutput: '10' });
+    });
+  });
+});
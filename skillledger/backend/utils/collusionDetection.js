@@ -0,0 +1,396 @@
+/**
+ * Collusion Detection
+ * Screens the endorsement graph for groups inflating each other's scores
+ *
+ * - reciprocal: two users who endorse each other. Common between real
+ *   colleagues too, so these endorsements are only down-weighted.
+ * - clique: three or more users who all endorse each other. Their
+ *   endorsements between members are quarantined (isValid false).
+ * - burst: a newly created account giving many endorsements in a short
+ *   window. Those endorsements are quarantined.
+ *
+ * Each run recomputes the screening state from scratch: endorsements no
+ * longer matching a finding get their weight and validity back. Admins can
+ * dismiss a flag, after which screening leaves that endorsement alone.
+ */
+
+const mongoose = require('mongoose');
+const Endorsement = require('../models/Endorsement');
+const CollusionReport = require('../models/CollusionReport');
+const User = require('../models/User');
+const { recalculateScores } = require('./skillScoring');
+const { ENDORSEMENT_WEIGHTING } = require('./endorsementWeighting');
+
+const COLLUSION_DEFAULTS = {
+  minCliqueSize: 3,
+  maxCliques: 500,          // stop enumerating past this many cliques
+  newAccountDays: 14,       // accounts this young can trigger a burst
+  burstWindowHours: 24,
+  burstMinEndorsements: 5,
+  recalculateBatchSize: 100
+};
+
+// Stronger actions win when an endorsement is part of several findings
+const ACTION_RANK = {
+  none: 0,
+  'down-weighted': 1,
+  quarantined: 2
+};
+
+const MS_PER_HOUR = 1000 * 60 * 60;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Run a full screening, apply its actions and save a report
+ * @param {Object} options - { job, reportProgress }
+ * @returns {Promise<Object>} Saved CollusionReport
+ */
+async function screenEndorsements({ job = null, reportProgress = async () => {} } = {}) {
+  // Flagged endorsements stay in the graph so a later run can lift the flag
+  const endorsements = await Endorsement.find({
+    $or: [
+      { isValid: true },
+      { 'collusion.status': { $in: ['down-weighted', 'quarantined'] } }
+    ]
+  })
+    .select('endorser recipient skill weight isValid createdAt collusion')
+    .lean();
+  await reportProgress({ total: endorsements.length, processed: 0 });
+
+  const endorserIds = [...new Set(endorsements.map(endorsement => endorsement.endorser.toString()))];
+  const accounts = await User.find({ _id: { $in: endorserIds } }).select('createdAt').lean();
+  const accountCreatedAt = new Map(accounts.map(account => [account._id.toString(), account.createdAt]));
+
+  const cliques = detectCliques(endorsements);
+  const findings = [
+    ...cliques,
+    ...detectReciprocalPairs(endorsements, cliques),
+    ...detectBursts(endorsements, accountCreatedAt)
+  ];
+
+  const reportId = new mongoose.Types.ObjectId();
+  const { operations, changes, recipients } = planScreeningChanges(endorsements, findings, reportId);
+
+  const users = new Set(endorsements.flatMap(endorsement => [endorsement.endorser.toString(), endorsement.recipient.toString()]));
+  const report = await CollusionReport.create({
+    _id: reportId,
+    job: job ? job._id : null,
+    thresholds: COLLUSION_DEFAULTS,
+    stats: {
+      endorsementsAnalyzed: endorsements.length,
+      usersAnalyzed: users.size
+    },
+    findings,
+    changes,
+    recalculatedUsers: recipients.length
+  });
+
+  if (operations.length > 0) {
+    await Endorsement.bulkWrite(operations, { ordered: false });
+  }
+
+  // Endorsement weight and validity feed the recipients' scores
+  for (let i = 0; i < recipients.length; i += COLLUSION_DEFAULTS.recalculateBatchSize) {
+    await recalculateScores(recipients.slice(i, i + COLLUSION_DEFAULTS.recalculateBatchSize), 'collusion');
+  }
+
+  await reportProgress({ processed: endorsements.length });
+  return report;
+}
+
+/**
+ * Group endorsements by the ordered pair of users they connect
+ * @param {Array} endorsements - Endorsements
+ * @returns {Map} "endorser>recipient" -> endorsements
+ */
+function groupByDirection(endorsements) {
+  const directed = new Map();
+  for (const endorsement of endorsements) {
+    const key = `${endorsement.endorser}>${endorsement.recipient}`;
+    if (!directed.has(key)) directed.set(key, []);
+    directed.get(key).push(endorsement);
+  }
+  return directed;
+}
+
+/**
+ * Users who endorse each other, as an undirected adjacency map
+ * @param {Map} directed - From groupByDirection
+ * @returns {Map} User ID -> Set of mutually endorsing user IDs
+ */
+function buildMutualGraph(directed) {
+  const mutual = new Map();
+  for (const key of directed.keys()) {
+    const [from, to] = key.split('>');
+    if (from === to || !directed.has(`${to}>${from}`)) continue;
+
+    if (!mutual.has(from)) mutual.set(from, new Set());
+    mutual.get(from).add(to);
+  }
+  return mutual;
+}
+
+/**
+ * Find reciprocal endorsement pairs not already part of a clique
+ * @param {Array} endorsements - Endorsements
+ * @param {Array} cliques - Clique findings, whose pairs are skipped
+ * @returns {Array} Findings
+ */
+function detectReciprocalPairs(endorsements, cliques = []) {
+  const directed = groupByDirection(endorsements);
+  const mutual = buildMutualGraph(directed);
+
+  const inClique = new Set();
+  for (const clique of cliques) {
+    const members = clique.members.map(String);
+    for (const a of members) {
+      for (const b of members) inClique.add(`${a}>${b}`);
+    }
+  }
+
+  const findings = [];
+  for (const [a, partners] of mutual) {
+    for (const b of partners) {
+      if (a > b || inClique.has(`${a}>${b}`)) continue;
+
+      const forward = directed.get(`${a}>${b}`);
+      const backward = directed.get(`${b}>${a}`);
+      const firstForward = Math.min(...forward.map(endorsement => new Date(endorsement.createdAt).getTime()));
+      const firstBackward = Math.min(...backward.map(endorsement => new Date(endorsement.createdAt).getTime()));
+
+      findings.push({
+        type: 'reciprocal',
+        action: 'down-weighted',
+        members: [a, b],
+        endorsements: [...forward, ...backward].map(endorsement => endorsement._id),
+        evidence: {
+          forward: forward.length,
+          backward: backward.length,
+          skills: [...new Set([...forward, ...backward].map(endorsement => endorsement.skill.toString()))],
+          hoursApart: round(Math.abs(firstForward - firstBackward) / MS_PER_HOUR)
+        }
+      });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Find groups where every member endorses every other member
+ * Maximal cliques of the mutual-endorsement graph (Bron-Kerbosch with pivoting)
+ * @param {Array} endorsements - Endorsements
+ * @returns {Array} Findings
+ */
+function detectCliques(endorsements) {
+  const directed = groupByDirection(endorsements);
+  const mutual = buildMutualGraph(directed);
+  const cliques = [];
+
+  const expand = (clique, candidates, excluded) => {
+    if (cliques.length >= COLLUSION_DEFAULTS.maxCliques) return;
+    if (candidates.size === 0 && excluded.size === 0) {
+      if (clique.length >= COLLUSION_DEFAULTS.minCliqueSize) cliques.push(clique);
+      return;
+    }
+
+    // Branch only on vertices the pivot doesn't cover
+    const pivot = [...candidates, ...excluded]
+      .reduce((best, user) => (mutual.get(user).size > mutual.get(best).size ? user : best));
+    for (const user of [...candidates].filter(candidate => !mutual.get(pivot).has(candidate))) {
+      const neighbours = mutual.get(user);
+      expand(
+        [...clique, user],
+        new Set([...candidates].filter(candidate => neighbours.has(candidate))),
+        new Set([...excluded].filter(candidate => neighbours.has(candidate)))
+      );
+      candidates.delete(user);
+      excluded.add(user);
+    }
+  };
+
+  // Only users with at least two mutual partners can be in a clique of three
+  const eligible = [...mutual.keys()].filter(user => mutual.get(user).size >= COLLUSION_DEFAULTS.minCliqueSize - 1);
+  expand([], new Set(eligible), new Set());
+
+  return cliques.map(members => {
+    const between = members.flatMap(a => members.flatMap(b => directed.get(`${a}>${b}`) || []));
+    const times = between.map(endorsement => new Date(endorsement.createdAt).getTime());
+    return {
+      type: 'clique',
+      action: 'quarantined',
+      members,
+      endorsements: between.map(endorsement => endorsement._id),
+      evidence: {
+        size: members.length,
+        endorsementCount: between.length,
+        firstAt: new Date(Math.min(...times)),
+        lastAt: new Date(Math.max(...times)),
+        spanDays: round((Math.max(...times) - Math.min(...times)) / (MS_PER_HOUR * 24))
+      }
+    };
+  });
+}
+
+/**
+ * Find new accounts endorsing many users within a short window
+ * @param {Array} endorsements - Endorsements
+ * @param {Map} accountCreatedAt - Endorser ID -> account creation date
+ * @returns {Array} Findings
+ */
+function detectBursts(endorsements, accountCreatedAt) {
+  const windowMs = COLLUSION_DEFAULTS.burstWindowHours * MS_PER_HOUR;
+  const newAccountMs = COLLUSION_DEFAULTS.newAccountDays * MS_PER_HOUR * 24;
+
+  const byEndorser = new Map();
+  for (const endorsement of endorsements) {
+    const endorser = endorsement.endorser.toString();
+    const createdAt = accountCreatedAt.get(endorser);
+    if (!createdAt) continue;
+
+    // Only endorsements given while the account was new
+    const givenAt = new Date(endorsement.createdAt).getTime();
+    if (givenAt - new Date(createdAt).getTime() > newAccountMs) continue;
+
+    if (!byEndorser.has(endorser)) byEndorser.set(endorser, []);
+    byEndorser.get(endorser).push({ endorsement, givenAt });
+  }
+
+  const findings = [];
+  for (const [endorser, given] of byEndorser) {
+    if (given.length < COLLUSION_DEFAULTS.burstMinEndorsements) continue;
+    given.sort((a, b) => a.givenAt - b.givenAt);
+
+    // Every endorsement inside some window holding enough of them
+    const inBurst = new Set();
+    let start = 0;
+    for (let end = 0; end < given.length; end++) {
+      while (given[end].givenAt - given[start].givenAt > windowMs) start++;
+      if (end - start + 1 >= COLLUSION_DEFAULTS.burstMinEndorsements) {
+        for (let i = start; i <= end; i++) inBurst.add(i);
+      }
+    }
+    if (inBurst.size === 0) continue;
+
+    const burst = given.filter((_, index) => inBurst.has(index));
+    const recipients = [...new Set(burst.map(({ endorsement }) => endorsement.recipient.toString()))];
+    const createdAt = new Date(accountCreatedAt.get(endorser)).getTime();
+    findings.push({
+      type: 'burst',
+      action: 'quarantined',
+      members: [endorser, ...recipients],
+      endorsements: burst.map(({ endorsement }) => endorsement._id),
+      evidence: {
+        accountCreatedAt: new Date(createdAt),
+        accountAgeHours: round((burst[0].givenAt - createdAt) / MS_PER_HOUR),
+        count: burst.length,
+        recipients: recipients.length,
+        firstAt: new Date(burst[0].givenAt),
+        lastAt: new Date(burst[burst.length - 1].givenAt)
+      }
+    });
+  }
+
+  return findings;
+}
+
+/**
+ * Work out the update for every endorsement whose screening state changes
+ * @param {Array} endorsements - Screened endorsements
+ * @param {Array} findings - Findings of this run
+ * @param {ObjectId} reportId - Report the flags point to
+ * @returns {Object} { operations, changes, recipients }
+ */
+function planScreeningChanges(endorsements, findings, reportId) {
+  const desired = new Map();
+  for (const finding of findings) {
+    for (const id of finding.endorsements) {
+      const key = id.toString();
+      const current = desired.get(key) || { action: 'none', reasons: new Set() };
+      if (ACTION_RANK[finding.action] > ACTION_RANK[current.action]) current.action = finding.action;
+      current.reasons.add(finding.type);
+      desired.set(key, current);
+    }
+  }
+
+  const operations = [];
+  const changes = { downWeighted: 0, quarantined: 0, restored: 0 };
+  const recipients = new Set();
+  const now = new Date();
+
+  for (const endorsement of endorsements) {
+    const collusion = endorsement.collusion || {};
+    const status = collusion.status || 'none';
+    if (status === 'dismissed') continue;
+
+    const target = desired.get(endorsement._id.toString()) || { action: 'none', reasons: new Set() };
+    const reasons = [...target.reasons].sort();
+    const originalWeight = typeof collusion.originalWeight === 'number' ? collusion.originalWeight : endorsement.weight;
+
+    let $set;
+    if (target.action === 'none') {
+      if (status === 'none') continue;
+      $set = {
+        isValid: true,
+        weight: originalWeight,
+        'collusion.status': 'none',
+        'collusion.reasons': [],
+        'collusion.originalWeight': null,
+        'collusion.report': reportId,
+        'collusion.flaggedAt': null
+      };
+      changes.restored += 1;
+    } else if (target.action === status) {
+      // Same action; keep the report and reasons current
+      $set = { 'collusion.reasons': reasons, 'collusion.report': reportId };
+    } else {
+      const quarantine = target.action === 'quarantined';
+      $set = {
+        isValid: !quarantine,
+        weight: quarantine ? originalWeight : originalWeight * ENDORSEMENT_WEIGHTING.collusionDownWeight,
+        'collusion.status': target.action,
+        'collusion.reasons': reasons,
+        'collusion.originalWeight': originalWeight,
+        'collusion.report': reportId,
+        'collusion.flaggedAt': collusion.flaggedAt || now
+      };
+      changes[quarantine ? 'quarantined' : 'downWeighted'] += 1;
+    }
+
+    operations.push({ updateOne: { filter: { _id: endorsement._id }, update: { $set } } });
+    if ($set.weight !== undefined) recipients.add(endorsement.recipient.toString());
+  }
+
+  return { operations, changes, recipients: [...recipients] };
+}
+
+/**
+ * Lift a screening flag after an admin review; later runs skip the endorsement
+ * @param {Object} endorsement - Flagged Endorsement document
+ * @param {ObjectId} adminId - Reviewing admin
+ */
+async function dismissCollusionFlag(endorsement, adminId) {
+  const { originalWeight } = endorsement.collusion;
+
+  await Endorsement.updateOne({ _id: endorsement._id }, {
+    $set: {
+      isValid: true,
+      weight: typeof originalWeight === 'number' ? originalWeight : endorsement.weight,
+      'collusion.status': 'dismissed',
+      'collusion.originalWeight': null,
+      'collusion.reviewedBy': adminId,
+      'collusion.reviewedAt': new Date()
+    }
+  });
+  await recalculateScores([endorsement.recipient], 'collusion');
+}
+
+module.exports = {
+  screenEndorsements,
+  detectReciprocalPairs,
+  detectCliques,
+  detectBursts,
+  dismissCollusionFlag,
+  COLLUSION_DEFAULTS
+};
@@ -0,0 +1,182 @@
+jest.mock('./skillScoring', () => ({ recalculateScores: jest.fn() }));
+
+const Endorsement = require('../models/Endorsement');
+const CollusionReport = require('../models/CollusionReport');
+const User = require('../models/User');
+const { recalculateScores } = require('./skillScoring');
+const {
+  screenEndorsements,
+  detectReciprocalPairs,
+  detectCliques,
+  detectBursts,
+  dismissCollusionFlag,
+  COLLUSION_DEFAULTS
+} = require('./collusionDetection');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const start = new Date('2026-03-01T00:00:00Z').getTime();
+
+let nextId = 0;
+const endorse = (endorser, recipient, overrides = {}) => ({
+  _id: `e${++nextId}`,
+  endorser,
+  recipient,
+  skill: 'js',
+  weight: 1,
+  isValid: true,
+  createdAt: new Date(start),
+  ...overrides
+});
+
+// Every member endorses every other member
+const ring = (members, overrides) => members.flatMap(a => members.filter(b => b !== a).map(b => endorse(a, b, overrides)));
+
+const membersOf = findings => findings.map(finding => [...finding.members].sort());
+
+describe('collusionDetection', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('detectCliques', () => {
+    it('finds groups that all endorse each other', () => {
+      const endorsements = [...ring(['a', 'b', 'c']), endorse('a', 'd'), endorse('d', 'a')];
+
+      const cliques = detectCliques(endorsements);
+
+      expect(membersOf(cliques)).toEqual([['a', 'b', 'c']]);
+      expect(cliques[0]).toMatchObject({ type: 'clique', action: 'quarantined', evidence: { size: 3, endorsementCount: 6 } });
+      expect(cliques[0].endorsements).toHaveLength(6);
+    });
+
+    it('reports maximal cliques only', () => {
+      const cliques = detectCliques([...ring(['a', 'b', 'c', 'd']), ...ring(['d', 'e', 'f'])]);
+
+      expect(membersOf(cliques).sort()).toEqual([['a', 'b', 'c', 'd'], ['d', 'e', 'f']]);
+    });
+
+    it('needs every pair to be mutual', () => {
+      const endorsements = ring(['a', 'b', 'c']).filter(endorsement => !(endorsement.endorser === 'c' && endorsement.recipient === 'a'));
+
+      expect(detectCliques(endorsements)).toEqual([]);
+    });
+  });
+
+  describe('detectReciprocalPairs', () => {
+    it('finds users who endorse each other', () => {
+      const findings = detectReciprocalPairs([
+        endorse('a', 'b'),
+        endorse('b', 'a', { skill: 'css', createdAt: new Date(start + 6 * HOUR) }),
+        endorse('a', 'c')
+      ]);
+
+      expect(findings).toEqual([expect.objectContaining({
+        type: 'reciprocal',
+        action: 'down-weighted',
+        members: ['a', 'b'],
+        evidence: { forward: 1, backward: 1, skills: ['js', 'css'], hoursApart: 6 }
+      })]);
+    });
+
+    it('skips pairs already inside a clique', () => {
+      const endorsements = [...ring(['a', 'b', 'c']), endorse('c', 'd'), endorse('d', 'c')];
+
+      const findings = detectReciprocalPairs(endorsements, detectCliques(endorsements));
+
+      expect(membersOf(findings)).toEqual([['c', 'd']]);
+    });
+  });
+
+  describe('detectBursts', () => {
+    const createdAt = new Map([['new', new Date(start)], ['old', new Date(start - 365 * DAY)]]);
+    const spree = (endorser, count, gapMs, offsetMs = 0) => Array.from({ length: count }, (value, index) =>
+      endorse(endorser, `r${index}`, { createdAt: new Date(start + offsetMs + index * gapMs) }));
+
+    it('flags a new account endorsing many users within the window', () => {
+      const findings = detectBursts(spree('new', COLLUSION_DEFAULTS.burstMinEndorsements, HOUR, DAY), createdAt);
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({
+        type: 'burst',
+        action: 'quarantined',
+        evidence: { count: COLLUSION_DEFAULTS.burstMinEndorsements, recipients: COLLUSION_DEFAULTS.burstMinEndorsements, accountAgeHours: 24 }
+      });
+      expect(findings[0].members[0]).toBe('new');
+    });
+
+    it('ignores endorsements spread beyond the window', () => {
+      expect(detectBursts(spree('new', COLLUSION_DEFAULTS.burstMinEndorsements, 7 * HOUR), createdAt)).toEqual([]);
+    });
+
+    it('ignores established accounts', () => {
+      expect(detectBursts(spree('old', 10, HOUR), createdAt)).toEqual([]);
+    });
+  });
+
+  describe('screenEndorsements', () => {
+    const mockScreening = (endorsements, accounts = []) => {
+      jest.spyOn(Endorsement, 'find').mockReturnValue({ select: () => ({ lean: async () => endorsements }) });
+      jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: async () => accounts }) });
+      jest.spyOn(CollusionReport, 'create').mockImplementation(async report => report);
+      return jest.spyOn(Endorsement, 'bulkWrite').mockResolvedValue({});
+    };
+    const updateFor = (operations, id) => operations.find(operation => operation.updateOne.filter._id === id).updateOne.update.$set;
+
+    it('quarantines cliques, down-weights reciprocal pairs and recalculates their recipients', async () => {
+      const clique = ring(['a', 'b', 'c']);
+      const pair = [endorse('x', 'y', { weight: 0.8 }), endorse('y', 'x')];
+      const bulkWrite = mockScreening([...clique, ...pair]);
+      const reportProgress = jest.fn();
+
+      const report = await screenEndorsements({ reportProgress });
+      const [operations] = bulkWrite.mock.calls[0];
+
+      expect(report.changes).toEqual({ downWeighted: 2, quarantined: 6, restored: 0 });
+      expect(report.stats).toEqual({ endorsementsAnalyzed: 8, usersAnalyzed: 5 });
+      expect(updateFor(operations, clique[0]._id)).toMatchObject({ isValid: false, 'collusion.status': 'quarantined', 'collusion.reasons': ['clique'] });
+      expect(updateFor(operations, pair[0]._id)).toMatchObject({ isValid: true, weight: 0.2, 'collusion.originalWeight': 0.8 });
+      expect(recalculateScores).toHaveBeenCalledWith(expect.arrayContaining(['a', 'b', 'c', 'x', 'y']), 'collusion');
+      expect(reportProgress).toHaveBeenLastCalledWith({ processed: 8 });
+    });
+
+    it('restores endorsements that no longer match a finding and leaves dismissed ones alone', async () => {
+      const lifted = endorse('a', 'b', { isValid: false, collusion: { status: 'quarantined', originalWeight: 0.9 } });
+      const dismissed = endorse('c', 'd', { collusion: { status: 'dismissed' } });
+      const bulkWrite = mockScreening([lifted, dismissed]);
+
+      const report = await screenEndorsements();
+      const [operations] = bulkWrite.mock.calls[0];
+
+      expect(report.changes.restored).toBe(1);
+      expect(operations).toHaveLength(1);
+      expect(updateFor(operations, lifted._id)).toMatchObject({ isValid: true, weight: 0.9, 'collusion.status': 'none' });
+      expect(recalculateScores).toHaveBeenCalledWith(['b'], 'collusion');
+    });
+
+    it('writes nothing when screening state is unchanged', async () => {
+      const bulkWrite = mockScreening([endorse('a', 'b')]);
+
+      const report = await screenEndorsements();
+
+      expect(report.changes).toEqual({ downWeighted: 0, quarantined: 0, restored: 0 });
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(recalculateScores).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('dismissCollusionFlag', () => {
+    it('restores the endorsement and marks it reviewed', async () => {
+      const updateOne = jest.spyOn(Endorsement, 'updateOne').mockResolvedValue({});
+      const endorsement = endorse('a', 'b', { weight: 0.25, collusion: { status: 'down-weighted', originalWeight: 1 } });
+
+      await dismissCollusionFlag(endorsement, 'admin');
+
+      expect(updateOne).toHaveBeenCalledWith({ _id: endorsement._id }, {
+        $set: expect.objectContaining({ isValid: true, weight: 1, 'collusion.status': 'dismissed', 'collusion.reviewedBy': 'admin' })
+      });
+      expect(recalculateScores).toHaveBeenCalledWith(['b'], 'collusion');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Consensus Scoring
+ * Aggregates independent reviewer scores into a final submission score
+ *
+ * Supports median and trimmed-mean aggregation, and flags submissions for
+ * adjudication when reviewers disagree by more than the challenge allows.
+ */
+
+const DEFAULT_REVIEW_POLICY = {
+  reviewersRequired: 1,
+  aggregation: 'median',
+  disagreementThreshold: 25,
+  blind: true
+};
+
+// Share of scores dropped from each end for a trimmed mean
+const TRIM_RATIO = 0.2;
+
+/**
+ * Get a challenge's review policy with defaults applied
+ * @param {Object} challenge - Challenge document
+ * @returns {Object} Review policy
+ */
+function getReviewPolicy(challenge) {
+  const policy = challenge.reviewPolicy || {};
+  return {
+    reviewersRequired: policy.reviewersRequired || DEFAULT_REVIEW_POLICY.reviewersRequired,
+    aggregation: policy.aggregation || DEFAULT_REVIEW_POLICY.aggregation,
+    disagreementThreshold: policy.disagreementThreshold !== undefined
+      ? policy.disagreementThreshold
+      : DEFAULT_REVIEW_POLICY.disagreementThreshold,
+    blind: policy.blind !== undefined ? policy.blind : DEFAULT_REVIEW_POLICY.blind
+  };
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array} scores - Numbers
+ * @returns {Number}
+ */
+function median(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+/**
+ * Trimmed mean of a list of numbers
+ * Drops TRIM_RATIO of the scores from each end (at least one once there are 3+)
+ * @param {Array} scores - Numbers
+ * @returns {Number}
+ */
+function trimmedMean(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const trim = sorted.length >= 3
+    ? Math.max(1, Math.floor(sorted.length * TRIM_RATIO))
+    : 0;
+  const kept = sorted.slice(trim, sorted.length - trim);
+  return kept.reduce((sum, score) => sum + score, 0) / kept.length;
+}
+
+/**
+ * Aggregate reviewer scores
+ * @param {Array} scores - Reviewer scores (0-100)
+ * @param {String} method - 'median' or 'trimmed-mean'
+ * @returns {Number} Aggregated score
+ */
+function aggregateScores(scores, method = 'median') {
+  if (scores.length === 0) return 0;
+  return method === 'trimmed-mean' ? trimmedMean(scores) : median(scores);
+}
+
+/**
+ * Evaluate the consensus of completed reviews
+ * @param {Array} reviews - Reviews with a score field
+ * @param {Object} policy - Review policy from getReviewPolicy
+ * @returns {Object} { finalScore, spread, needsAdjudication }
+ */
+function evaluateConsensus(reviews, policy) {
+  const scores = reviews.map(review => review.score);
+  const spread = scores.length > 0 ? Math.max(...scores) - Math.min(...scores) : 0;
+
+  return {
+    finalScore: Math.round(aggregateScores(scores, policy.aggregation)),
+    spread,
+    needsAdjudication: spread > policy.disagreementThreshold
+  };
+}
+
+/**
+ * Anonymize reviews for display
+ * Reviewers are labelled by order only, so identities stay hidden
+ * @param {Array} reviews - Consensus reviews
+ * @returns {Array} Reviews without reviewer ids
+ */
+function anonymizeReviews(reviews) {
+  return reviews.map((review, index) => ({
+    reviewer: `Reviewer ${index + 1}`,
+    score: review.score,
+    rubricScores: review.rubricScores,
+    comments: review.comments,
+    submittedAt: review.submittedAt
+  }));
+}
+
+module.exports = {
+  getReviewPolicy,
+  aggregateScores,
+  evaluateConsensus,
+  anonymizeReviews,
+  DEFAULT_REVIEW_POLICY
+};
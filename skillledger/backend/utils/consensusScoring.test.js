@@ -0,0 +1,63 @@
+const {
+  getReviewPolicy,
+  aggregateScores,
+  evaluateConsensus,
+  anonymizeReviews,
+  DEFAULT_REVIEW_POLICY
+} = require('./consensusScoring');
+
+describe('consensusScoring', () => {
+  describe('getReviewPolicy', () => {
+    it('applies defaults for missing settings', () => {
+      expect(getReviewPolicy({})).toEqual(DEFAULT_REVIEW_POLICY);
+    });
+
+    it('keeps explicit zero thresholds and non-blind reviews', () => {
+      const policy = getReviewPolicy({ reviewPolicy: { reviewersRequired: 3, disagreementThreshold: 0, blind: false } });
+
+      expect(policy).toEqual({ reviewersRequired: 3, aggregation: 'median', disagreementThreshold: 0, blind: false });
+    });
+  });
+
+  describe('aggregateScores', () => {
+    it('takes the median, averaging the middle pair for even counts', () => {
+      expect(aggregateScores([90, 40, 70])).toBe(70);
+      expect(aggregateScores([40, 60, 80, 100])).toBe(70);
+    });
+
+    it('drops the extremes for a trimmed mean once there are three scores', () => {
+      expect(aggregateScores([0, 70, 80, 100], 'trimmed-mean')).toBe(75);
+      expect(aggregateScores([60, 80], 'trimmed-mean')).toBe(70);
+    });
+
+    it('scores 0 without reviews', () => {
+      expect(aggregateScores([])).toBe(0);
+    });
+  });
+
+  describe('evaluateConsensus', () => {
+    const policy = { aggregation: 'median', disagreementThreshold: 25 };
+
+    it('rounds the final score and reports the spread', () => {
+      expect(evaluateConsensus([{ score: 71 }, { score: 80 }], policy))
+        .toEqual({ finalScore: 76, spread: 9, needsAdjudication: false });
+    });
+
+    it('flags reviews that disagree by more than the threshold', () => {
+      expect(evaluateConsensus([{ score: 40 }, { score: 66 }], policy).needsAdjudication).toBe(true);
+      expect(evaluateConsensus([{ score: 40 }, { score: 65 }], policy).needsAdjudication).toBe(false);
+    });
+  });
+
+  describe('anonymizeReviews', () => {
+    it('replaces reviewer identities with their order', () => {
+      const reviews = anonymizeReviews([
+        { reviewer: 'user-a', score: 80, rubricScores: [], comments: 'Solid', submittedAt: new Date(0) },
+        { reviewer: 'user-b', score: 60, rubricScores: [], comments: '', submittedAt: new Date(1) }
+      ]);
+
+      expect(reviews.map(review => review.reviewer)).toEqual(['Reviewer 1', 'Reviewer 2']);
+      expect(JSON.stringify(reviews)).not.toMatch(/user-[ab]/);
+    });
+  });
+});
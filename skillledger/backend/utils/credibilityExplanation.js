@@ -0,0 +1,251 @@
+/**
+ * Credibility Explanation
+ * Breaks a skill's credibility score down into the submissions,
+ * endorsements and settings that produced it, and suggests what would
+ * raise it
+ *
+ * Contributions are reported twice: `contribution` is the item's points
+ * within its component (0-100), `totalContribution` its points in the
+ * final score after the blend share and decay are applied.
+ */
+
+const User = require('../models/User');
+const Challenge = require('../models/Challenge');
+const {
+  loadScoringEvidence,
+  scoreSkillCredibility,
+  scoreChallengeSubmissions,
+  scoreEndorsements,
+  scoreProficiency,
+  getDifficultyMultiplier,
+  VERIFICATION_THRESHOLDS
+} = require('./skillScoring');
+const { ENDORSEMENT_WEIGHTING } = require('./endorsementWeighting');
+
+// Challenges suggested per explanation
+const MAX_SUGGESTED_CHALLENGES = 3;
+
+// Passes with a recency factor below this are called out as stale
+const STALE_RECENCY_FACTOR = 0.5;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Component points an unverified endorsement would gain once verified, within the cap of 1
+const verificationGain = item => (item.effectiveWeight > 0
+  ? item.weightPoints * (Math.min(item.effectiveWeight * ENDORSEMENT_WEIGHTING.evidence.verified, 1) / item.effectiveWeight - 1)
+  : 0);
+
+/**
+ * Explain a user's credibility score for one skill
+ * @param {ObjectId} userId - The user's ID
+ * @param {ObjectId} skillId - The skill's ID
+ * @returns {Promise<Object|null>} Explanation, or null when the skill is not on the user's profile
+ */
+async function explainSkillCredibility(userId, skillId) {
+  const user = await User.findById(userId)
+    .select('skills')
+    .populate('skills.skill', 'name category');
+  const userSkill = user && user.skills.find(s => s.skill && s.skill._id.toString() === skillId.toString());
+  if (!userSkill) return null;
+
+  // Everything below is computed from the same evidence as the score itself
+  const evidence = (await loadScoringEvidence([userId])).get(userId.toString());
+  const key = skillId.toString();
+  const now = Date.now();
+  const profile = evidence.profiles.get(key);
+  const result = scoreSkillCredibility(evidence, skillId, profile, now);
+  const challenges = scoreChallengeSubmissions(evidence.passes.get(key) || [], profile.weights, now, profile.difficultyMultipliers);
+  const endorsements = scoreEndorsements(evidence.endorsements.get(key) || [], profile.weights, now);
+  const proficiency = scoreProficiency(evidence.skills.get(key), profile.weights);
+  const assessment = result.breakdown.assessmentScore === null
+    ? null
+    : {
+      ability: result.breakdown.assessmentAbility,
+      standardError: result.breakdown.assessmentStandardError,
+      score: result.breakdown.assessmentScore
+    };
+
+  const { blend } = profile;
+  const decayFactor = result.breakdown.decayFactor;
+
+  // An assessment takes half of the challenge share (see calculateSkillCredibility)
+  const challengeShare = blend.challenge * (assessment ? 0.5 : 1) * decayFactor;
+  const endorsementShare = blend.endorsement * decayFactor;
+  const proficiencyShare = blend.proficiency * decayFactor;
+
+  const explanation = {
+    skill: userSkill.skill,
+    totalScore: result.totalScore,
+    isVerified: result.isVerified,
+    profile: result.profile,
+    weights: profile.weights,
+    blend,
+    components: {
+      challenges: {
+        score: round(challenges.score),
+        share: round(challengeShare),
+        points: round(challenges.score * challengeShare),
+        contributions: challenges.contributions.map(item => ({
+          ...item,
+          difficultyMultiplier: round(item.difficultyMultiplier),
+          recencyFactor: round(item.recencyFactor),
+          points: round(item.points),
+          maxPoints: round(item.maxPoints),
+          contribution: round(item.contribution),
+          totalContribution: round(item.contribution * challengeShare)
+        }))
+      },
+      assessment: assessment
+        ? {
+          ...assessment,
+          share: round(challengeShare),
+          points: round(assessment.score * challengeShare)
+        }
+        : null,
+      endorsements: {
+        score: round(endorsements.score),
+        share: round(endorsementShare),
+        points: round(endorsements.score * endorsementShare),
+        countBonus: endorsements.countBonus,
+        contributions: endorsements.contributions.map(item => ({
+          ...item,
+          levelPoints: round(item.levelPoints),
+          weightPoints: round(item.weightPoints),
+          contribution: round(item.contribution),
+          totalContribution: round(item.contribution * endorsementShare)
+        }))
+      },
+      proficiency: {
+        ...proficiency,
+        score: round(proficiency.score),
+        level: round(proficiency.level),
+        experience: round(proficiency.experience),
+        share: round(proficiencyShare),
+        points: round(proficiency.score * proficiencyShare)
+      }
+    },
+    decay: {
+      factor: round(decayFactor),
+      lastEvidenceAt: result.lastEvidenceAt,
+      daysSinceEvidence: result.lastEvidenceAt
+        ? Math.floor((now - result.lastEvidenceAt) / (1000 * 60 * 60 * 24))
+        : null,
+      ...profile.decay
+    },
+    verification: {
+      isVerified: result.isVerified,
+      thresholds: VERIFICATION_THRESHOLDS
+    }
+  };
+
+  explanation.suggestions = await buildSuggestions(explanation, { skillId, profile });
+  return explanation;
+}
+
+/**
+ * Suggest what would raise a score
+ * Gains are estimates in final-score points; none are given where the
+ * effect depends on how well the candidate does
+ * @param {Object} explanation - Explanation so far
+ * @param {Object} context - { skillId, profile }
+ * @returns {Promise<Array>} [{ type, message, potentialGain?, challenges? }]
+ */
+async function buildSuggestions(explanation, { skillId, profile }) {
+  const { components, decay, verification, totalScore } = explanation;
+  const suggestions = [];
+
+  if (!verification.isVerified) {
+    suggestions.push({
+      type: 'verification',
+      message: `Reach a challenge score of ${verification.thresholds.challengeScore} or an endorsement score ` +
+        `of ${verification.thresholds.endorsementScore} to verify this skill`
+    });
+  }
+
+  // Published challenges for the skill the candidate has not passed, hardest first
+  const passed = components.challenges.contributions.map(item => item.challenge._id);
+  const available = await Challenge.find({
+    skill: skillId,
+    status: 'published',
+    isActive: true,
+    _id: { $nin: passed }
+  }).select('title difficulty calibration');
+
+  if (available.length > 0) {
+    const suggested = available
+      .map(challenge => ({ challenge, multiplier: getDifficultyMultiplier(challenge, profile.difficultyMultipliers) }))
+      .sort((a, b) => b.multiplier - a.multiplier)
+      .slice(0, MAX_SUGGESTED_CHALLENGES);
+
+    suggestions.push({
+      type: 'challenge',
+      message: 'Pass another challenge for this skill; harder challenges carry a higher difficulty multiplier',
+      challenges: suggested.map(({ challenge, multiplier }) => ({
+        _id: challenge._id,
+        title: challenge.title,
+        difficulty: challenge.difficulty,
+        difficultyMultiplier: round(multiplier)
+      }))
+    });
+  }
+
+  const stale = components.challenges.contributions.filter(item => item.recencyFactor < STALE_RECENCY_FACTOR);
+  if (stale.length > 0) {
+    suggestions.push({
+      type: 'recency',
+      message: `${stale.length === 1 ? '1 pass is' : `${stale.length} passes are`} more than six months old; ` +
+        'recent passes earn more recency points'
+    });
+  }
+
+  const hinted = components.challenges.contributions.filter(item => item.hintsUsed > 0);
+  if (hinted.length > 0) {
+    suggestions.push({
+      type: 'hints',
+      message: `${hinted.length === 1 ? '1 pass' : `${hinted.length} passes`} used hints, which lowered their scores`
+    });
+  }
+
+  if (!components.assessment) {
+    suggestions.push({
+      type: 'assessment',
+      message: 'Take an adaptive assessment for this skill; its result shares the challenge weight'
+    });
+  }
+
+  const countWeight = profile.weights.endorsement.count;
+  if (components.endorsements.countBonus < countWeight) {
+    suggestions.push({
+      type: 'endorsement',
+      message: 'Each additional endorsement adds to the endorsement count bonus, ' +
+        `up to ${countWeight} points at ${Math.ceil(countWeight / 2)} endorsements`,
+      potentialGain: round(Math.min(2, countWeight - components.endorsements.countBonus) * components.endorsements.share)
+    });
+  }
+
+  const unverified = components.endorsements.contributions.filter(item => !item.isVerified);
+  if (unverified.length > 0) {
+    suggestions.push({
+      type: 'endorsement-verification',
+      message: `${unverified.length} endorsement(s) are unverified; endorsements backed by a shared project ` +
+        'or submission and confirmed by you carry more weight',
+      potentialGain: round(unverified.reduce((sum, item) => sum + verificationGain(item), 0) *
+        components.endorsements.share)
+    });
+  }
+
+  if (decay.factor < 1) {
+    suggestions.push({
+      type: 'decay',
+      message: `Time decay is reducing this score (factor ${decay.factor}); ` +
+        'a new verified pass, endorsement or assessment restores it',
+      potentialGain: round(totalScore / decay.factor - totalScore)
+    });
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  explainSkillCredibility
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const Challenge = require('../models/Challenge');
+const ScoringProfile = require('../models/ScoringProfile');
+const { DEFAULT_SCORING_PROFILE } = require('./skillScoring');
+const { explainSkillCredibility } = require('./credibilityExplanation');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('credibilityExplanation', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const skillId = new mongoose.Types.ObjectId();
+  const skill = { _id: skillId, name: 'JavaScript', category: 'technical' };
+
+  const passedChallenge = { _id: new mongoose.Types.ObjectId(), title: 'Closures', difficulty: 'medium' };
+  const oldChallenge = { _id: new mongoose.Types.ObjectId(), title: 'Variables', difficulty: 'easy' };
+  const unpassed = [
+    { _id: 'easy', title: 'Loops', difficulty: 'easy' },
+    { _id: 'expert', title: 'Event loop', difficulty: 'expert' },
+    { _id: 'hard', title: 'Streams', difficulty: 'hard' },
+    { _id: 'medium', title: 'Promises', difficulty: 'medium' }
+  ];
+
+  const lean = result => ({ select: () => ({ lean: async () => result }) });
+
+  const mockQueries = ({ userSkills = [skill], profiles = [], endorsements } = {}) => {
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ populate: async () => ({ skills: userSkills.map(entry => ({ skill: entry })) }) })
+    });
+    jest.spyOn(User, 'find').mockReturnValue(lean([{
+      _id: userId,
+      skills: [{ skill: skillId, proficiencyLevel: 6, yearsOfExperience: 4, addedAt: new Date(Date.now() - 400 * DAY) }]
+    }]));
+    jest.spyOn(Submission, 'aggregate').mockResolvedValue([
+      {
+        _id: 'recent',
+        user: userId,
+        skill: skillId,
+        score: 90,
+        hintsUsed: 1,
+        submittedAt: new Date(Date.now() - 10 * DAY),
+        consensus: { aggregation: 'median', finalScore: 90, reviewScores: [85, 90, 95] },
+        challenge: passedChallenge
+      },
+      { _id: 'old', user: userId, skill: skillId, score: 70, hintsUsed: 0, submittedAt: new Date(Date.now() - 250 * DAY), challenge: oldChallenge }
+    ]);
+    jest.spyOn(Endorsement, 'aggregate').mockResolvedValue(endorsements || [{
+      _id: 'endorsement',
+      recipient: userId,
+      skill: skillId,
+      level: 'advanced',
+      weight: 0.8,
+      isVerified: false,
+      createdAt: new Date(Date.now() - 20 * DAY),
+      endorser: { _id: 'endorser', name: 'Sam Lee' }
+    }]);
+    jest.spyOn(Skill, 'find').mockReturnValue(lean([{ _id: skillId, category: 'technical' }]));
+    jest.spyOn(ScoringProfile, 'find').mockReturnValue(lean(profiles));
+    return jest.spyOn(Challenge, 'find').mockReturnValue({ select: async () => unpassed });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is null for skills not on the profile', async () => {
+    mockQueries({ userSkills: [] });
+
+    await expect(explainSkillCredibility(userId, skillId)).resolves.toBeNull();
+  });
+
+  it('breaks the score into component points that add up to it', async () => {
+    mockQueries();
+
+    const explanation = await explainSkillCredibility(userId, skillId);
+    const { challenges, endorsements, proficiency, assessment } = explanation.components;
+
+    expect(explanation.skill).toEqual(skill);
+    expect(explanation.profile.name).toBe(DEFAULT_SCORING_PROFILE.name);
+    expect(assessment).toBeNull();
+    expect(challenges.points + endorsements.points + proficiency.points).toBeCloseTo(explanation.totalScore, 0);
+
+    const sum = items => items.reduce((total, item) => total + item.contribution, 0);
+    expect(sum(challenges.contributions)).toBeCloseTo(challenges.score, 1);
+    expect(challenges.contributions.map(item => item.challenge.title)).toEqual(['Closures', 'Variables']);
+    expect(challenges.contributions[0].review).toEqual({
+      aggregation: 'median',
+      reviewerScores: [85, 90, 95],
+      finalScore: 90,
+      adjudicated: false
+    });
+    expect(challenges.contributions[1].review).toBeNull();
+    expect(endorsements.contributions[0]).toMatchObject({ endorser: { name: 'Sam Lee' }, isVerified: false });
+    expect(explanation.decay.factor).toBe(1);
+  });
+
+  it('suggests what would raise the score', async () => {
+    const find = mockQueries();
+
+    const { suggestions } = await explainSkillCredibility(userId, skillId);
+
+    expect(suggestions.map(suggestion => suggestion.type)).toEqual([
+      'challenge',
+      'recency',
+      'hints',
+      'assessment',
+      'endorsement',
+      'endorsement-verification'
+    ]);
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({
+      skill: skillId,
+      status: 'published',
+      _id: { $nin: [passedChallenge._id, oldChallenge._id] }
+    }));
+
+    const [challenge] = suggestions;
+    expect(challenge.challenges.map(item => item._id)).toEqual(['expert', 'hard', 'medium']);
+    expect(suggestions.find(suggestion => suggestion.type === 'endorsement-verification').potentialGain).toBeGreaterThan(0);
+  });
+
+  it('estimates the verification gain within the weight cap', async () => {
+    mockQueries({
+      endorsements: [{
+        _id: 'endorsement',
+        recipient: userId,
+        skill: skillId,
+        level: 'advanced',
+        weight: 1,
+        isVerified: false,
+        createdAt: new Date(Date.now() - 20 * DAY),
+        endorser: { _id: 'endorser', name: 'Sam Lee' }
+      }]
+    });
+
+    const { suggestions } = await explainSkillCredibility(userId, skillId);
+
+    expect(suggestions.find(suggestion => suggestion.type === 'endorsement-verification').potentialGain).toBe(0);
+  });
+
+  it("uses the profile's difficulty multipliers for suggestions", async () => {
+    mockQueries({
+      profiles: [{
+        _id: 'technical',
+        name: 'Technical',
+        version: 1,
+        categories: ['technical'],
+        weights: DEFAULT_SCORING_PROFILE.weights,
+        blend: DEFAULT_SCORING_PROFILE.blend,
+        decay: DEFAULT_SCORING_PROFILE.decay,
+        difficultyMultipliers: { easy: 6, expert: 0.5 }
+      }]
+    });
+
+    const explanation = await explainSkillCredibility(userId, skillId);
+    const suggested = explanation.suggestions[0].challenges;
+
+    expect(explanation.profile).toEqual({ id: 'technical', name: 'Technical', version: 1 });
+    expect(suggested[0]).toMatchObject({ _id: 'easy', difficultyMultiplier: 6 });
+    expect(suggested.map(item => item._id)).not.toContain('expert');
+  });
+
+  it('asks for verification below both thresholds', async () => {
+    mockQueries({ endorsements: [] });
+    jest.spyOn(Submission, 'aggregate').mockResolvedValue([]);
+
+    const explanation = await explainSkillCredibility(userId, skillId);
+
+    expect(explanation.isVerified).toBe(false);
+    expect(explanation.suggestions[0].type).toBe('verification');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Credibility History
+ * Records a snapshot of every skill score recalculation that changed the
+ * score, and reads them back as per-skill time series
+ */
+
+const mongoose = require('mongoose');
+const CredibilitySnapshot = require('../models/CredibilitySnapshot');
+
+// Most points returned for one timeline request
+const MAX_TIMELINE_POINTS = 1000;
+
+/**
+ * Append snapshots for a batch of recalculations
+ * A skill whose score, breakdown and decay factor equal its latest snapshot
+ * gets no new one, so scheduled recalculations don't flood the history
+ * @param {Array} recalculations - [{ userId, overallScore, results: [{ skill, result }] }],
+ *   with each result from calculateSkillCredibility and overallScore the user's updated score
+ * @param {String} trigger - What caused the recalculation (see SNAPSHOT_TRIGGERS)
+ * @returns {Promise<Array>} Created snapshots
+ */
+async function recordCredibilitySnapshots(recalculations, trigger = 'manual') {
+  const recordedAt = new Date();
+  const snapshots = recalculations.flatMap(({ userId, overallScore, results }) =>
+    results.map(({ skill, result }) => ({
+      user: userId,
+      skill,
+      trigger,
+      score: result.totalScore,
+      isVerified: result.isVerified,
+      breakdown: {
+        challengeScore: result.breakdown.challengeScore,
+        assessmentScore: result.breakdown.assessmentScore,
+        challengeComponent: result.breakdown.challengeComponent,
+        endorsementScore: result.breakdown.endorsementScore,
+        proficiencyScore: result.breakdown.proficiencyScore,
+        hintAssistedPasses: result.breakdown.hintAssistedPasses
+      },
+      decayFactor: result.breakdown.decayFactor,
+      scoringProfile: result.profile
+        ? { profile: result.profile.id, name: result.profile.name, version: result.profile.version }
+        : undefined,
+      overallScore,
+      recordedAt
+    }))
+  );
+  if (snapshots.length === 0) return [];
+
+  const latest = await findLatestSnapshots(snapshots);
+  const changed = snapshots.filter(snapshot => {
+    const previous = latest.get(`${snapshot.user}:${snapshot.skill}`);
+    return !previous || !isSameReading(previous, snapshot);
+  });
+  if (changed.length === 0) return [];
+
+  return CredibilitySnapshot.insertMany(changed);
+}
+
+/**
+ * Load the latest stored snapshot of each user and skill in a batch
+ * One query however many users or skills
+ * @param {Array} snapshots - Snapshots about to be recorded
+ * @returns {Promise<Map>} 'userId:skillId' -> { score, breakdown, decayFactor }
+ */
+async function findLatestSnapshots(snapshots) {
+  const toIds = values => Array.from(new Set(values.map(String)))
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  const latest = await CredibilitySnapshot.aggregate([
+    {
+      $match: {
+        user: { $in: toIds(snapshots.map(snapshot => snapshot.user)) },
+        skill: { $in: toIds(snapshots.map(snapshot => snapshot.skill)) }
+      }
+    },
+    { $sort: { user: 1, skill: 1, recordedAt: -1 } },
+    {
+      $group: {
+        _id: { user: '$user', skill: '$skill' },
+        score: { $first: '$score' },
+        breakdown: { $first: '$breakdown' },
+        decayFactor: { $first: '$decayFactor' }
+      }
+    }
+  ]);
+
+  return new Map(latest.map(entry => [`${entry._id.user}:${entry._id.skill}`, entry]));
+}
+
+/**
+ * Whether a new snapshot records the same result as a stored one
+ * @param {Object} previous - Stored snapshot
+ * @param {Object} snapshot - New snapshot
+ * @returns {Boolean} True when score, breakdown and decay factor all match
+ */
+function isSameReading(previous, snapshot) {
+  const breakdown = previous.breakdown || {};
+  return previous.score === snapshot.score &&
+    previous.decayFactor === snapshot.decayFactor &&
+    Object.keys(snapshot.breakdown).every(field => breakdown[field] === snapshot.breakdown[field]);
+}
+
+/**
+ * Get a user's score timeline, grouped by skill
+ * @param {ObjectId} userId - The user's ID
+ * @param {Object} options - { skill, from, to }
+ * @returns {Promise<Array>} [{ skill: { _id, name, category }, points: [...] }], oldest point first
+ */
+async function getCredibilityTimeline(userId, options = {}) {
+  const query = { user: userId };
+  if (options.skill) query.skill = options.skill;
+  if (options.from || options.to) {
+    query.recordedAt = {};
+    if (options.from) query.recordedAt.$gte = new Date(options.from);
+    if (options.to) query.recordedAt.$lte = new Date(options.to);
+  }
+
+  // Keep the most recent points when the range holds more than the cap
+  const snapshots = await CredibilitySnapshot.find(query)
+    .populate('skill', 'name category')
+    .sort({ recordedAt: -1 })
+    .limit(MAX_TIMELINE_POINTS)
+    .lean();
+
+  const series = new Map();
+  for (const snapshot of snapshots.reverse()) {
+    if (!snapshot.skill) continue;
+
+    const key = snapshot.skill._id.toString();
+    if (!series.has(key)) {
+      series.set(key, { skill: snapshot.skill, points: [] });
+    }
+    series.get(key).points.push({
+      recordedAt: snapshot.recordedAt,
+      score: snapshot.score,
+      isVerified: snapshot.isVerified,
+      breakdown: snapshot.breakdown,
+      decayFactor: snapshot.decayFactor,
+      trigger: snapshot.trigger,
+      scoringProfile: snapshot.scoringProfile || null,
+      overallScore: snapshot.overallScore
+    });
+  }
+
+  return Array.from(series.values());
+}
+
+module.exports = {
+  recordCredibilitySnapshots,
+  getCredibilityTimeline,
+  MAX_TIMELINE_POINTS
+};
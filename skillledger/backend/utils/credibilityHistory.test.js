@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const CredibilitySnapshot = require('../models/CredibilitySnapshot');
+const {
+  recordCredibilitySnapshots,
+  getCredibilityTimeline,
+  MAX_TIMELINE_POINTS
+} = require('./credibilityHistory');
+
+describe('credibilityHistory', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const skillA = new mongoose.Types.ObjectId();
+  const skillB = new mongoose.Types.ObjectId();
+
+  const breakdown = {
+    challengeScore: 80,
+    assessmentScore: null,
+    challengeComponent: 80,
+    endorsementScore: 40,
+    proficiencyScore: 60,
+    hintAssistedPasses: 0
+  };
+  const result = (totalScore, overrides = {}) => ({
+    totalScore,
+    isVerified: true,
+    breakdown: { ...breakdown, decayFactor: 1, ...overrides },
+    profile: { id: 'profile', name: 'Technical', version: 2 }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordCredibilitySnapshots', () => {
+    const mockLatest = latest => jest.spyOn(CredibilitySnapshot, 'aggregate').mockResolvedValue(latest);
+    const mockInsert = () => jest.spyOn(CredibilitySnapshot, 'insertMany').mockImplementation(async documents => documents);
+
+    it('records one snapshot per recalculated skill', async () => {
+      mockLatest([]);
+      const insertMany = mockInsert();
+
+      const snapshots = await recordCredibilitySnapshots([
+        { userId, overallScore: 70, results: [{ skill: skillA, result: result(72) }, { skill: skillB, result: result(65) }] }
+      ], 'endorsement');
+
+      expect(insertMany).toHaveBeenCalledTimes(1);
+      expect(snapshots).toHaveLength(2);
+      expect(snapshots[0]).toMatchObject({
+        user: userId,
+        skill: skillA,
+        trigger: 'endorsement',
+        score: 72,
+        breakdown,
+        decayFactor: 1,
+        scoringProfile: { profile: 'profile', name: 'Technical', version: 2 },
+        overallScore: 70
+      });
+    });
+
+    it('skips skills whose reading matches their latest snapshot', async () => {
+      const aggregate = mockLatest([
+        { _id: { user: userId, skill: skillA }, score: 72, breakdown, decayFactor: 1 },
+        { _id: { user: userId, skill: skillB }, score: 65, breakdown, decayFactor: 1 }
+      ]);
+      const insertMany = mockInsert();
+
+      const snapshots = await recordCredibilitySnapshots([
+        { userId, overallScore: 70, results: [{ skill: skillA, result: result(72) }, { skill: skillB, result: result(65, { decayFactor: 0.9 }) }] }
+      ], 'scheduled');
+
+      expect(aggregate).toHaveBeenCalledTimes(1);
+      expect(snapshots.map(snapshot => snapshot.skill)).toEqual([skillB]);
+      expect(insertMany).toHaveBeenCalledWith([expect.objectContaining({ skill: skillB, decayFactor: 0.9 })]);
+    });
+
+    it('records a changed breakdown even when the score is unchanged', async () => {
+      mockLatest([{ _id: { user: userId, skill: skillA }, score: 72, breakdown, decayFactor: 1 }]);
+      mockInsert();
+
+      const snapshots = await recordCredibilitySnapshots([
+        { userId, overallScore: 70, results: [{ skill: skillA, result: result(72, { endorsementScore: 45 }) }] }
+      ]);
+
+      expect(snapshots).toHaveLength(1);
+      expect(snapshots[0].trigger).toBe('manual');
+    });
+
+    it('writes nothing when nothing changed', async () => {
+      mockLatest([{ _id: { user: userId, skill: skillA }, score: 72, breakdown, decayFactor: 1 }]);
+      const insertMany = mockInsert();
+
+      await expect(recordCredibilitySnapshots([
+        { userId, overallScore: 70, results: [{ skill: skillA, result: result(72) }] }
+      ])).resolves.toEqual([]);
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    it('makes no queries for an empty batch', async () => {
+      const aggregate = mockLatest([]);
+
+      await expect(recordCredibilitySnapshots([{ userId, overallScore: 0, results: [] }])).resolves.toEqual([]);
+      expect(aggregate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCredibilityTimeline', () => {
+    const mockSnapshots = snapshots => {
+      const chain = {
+        populate: () => chain,
+        sort: () => chain,
+        limit: jest.fn(() => chain),
+        lean: async () => snapshots
+      };
+      const find = jest.spyOn(CredibilitySnapshot, 'find').mockReturnValue(chain);
+      return { find, chain };
+    };
+
+    it('groups points by skill, oldest first', async () => {
+      const javascript = { _id: skillA, name: 'JavaScript', category: 'technical' };
+      const writing = { _id: skillB, name: 'Writing', category: 'creative' };
+      const point = (skill, score, day) => ({ skill, score, recordedAt: new Date(2026, 0, day), breakdown, trigger: 'manual' });
+      const { chain } = mockSnapshots([point(javascript, 80, 3), point(writing, 50, 2), point(javascript, 70, 1), point(null, 10, 1)]);
+
+      const timeline = await getCredibilityTimeline(userId);
+
+      expect(chain.limit).toHaveBeenCalledWith(MAX_TIMELINE_POINTS);
+      expect(timeline.map(series => series.skill.name)).toEqual(['JavaScript', 'Writing']);
+      expect(timeline[0].points.map(entry => entry.score)).toEqual([70, 80]);
+      expect(timeline[0].points[0]).toMatchObject({ scoringProfile: null, trigger: 'manual' });
+    });
+
+    it('filters by skill and date range', async () => {
+      const { find } = mockSnapshots([]);
+
+      await getCredibilityTimeline(userId, { skill: skillA, from: '2026-01-01', to: '2026-02-01' });
+
+      expect(find).toHaveBeenCalledWith({
+        user: userId,
+        skill: skillA,
+        recordedAt: { $gte: new Date('2026-01-01'), $lte: new Date('2026-02-01') }
+      });
+    });
+  });
+});
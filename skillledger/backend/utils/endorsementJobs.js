@@ -0,0 +1,73 @@
+/**
+ * Endorsement Jobs
+ * Background jobs over the endorsement graph
+ *
+ * - screen-endorsements: collusion screening (see utils/collusionDetection).
+ *   Runs on a schedule (COLLUSION_JOB_INTERVAL_HOURS, default 24) and can
+ *   be queued by admins. The whole graph is analysed in one pass, so an
+ *   interrupted run simply starts over.
+ * - backfill-endorsement-expiry: sets expiresAt on endorsements given
+ *   before expiry existed (see utils/endorsements). Queued at startup
+ *   while any are left; running it again is harmless.
+ */
+
+const Endorsement = require('../models/Endorsement');
+const { registerJobHandler, ensureRecurringJob, enqueueJobOnce } = require('./jobRunner');
+const { screenEndorsements } = require('./collusionDetection');
+const { backfillEndorsementExpiry } = require('./endorsements');
+
+const SCREENING_JOB = 'screen-endorsements';
+const EXPIRY_BACKFILL_JOB = 'backfill-endorsement-expiry';
+
+const ENDORSEMENT_JOB_DEFAULTS = {
+  intervalHours: parseFloat(process.env.COLLUSION_JOB_INTERVAL_HOURS) || 24
+};
+
+/**
+ * Screen all endorsements and report the saved report's summary
+ * @param {Object} job - Job document
+ * @param {Object} context - { reportProgress }
+ * @returns {Promise<Object>} { report, findings, changes }
+ */
+async function runEndorsementScreening(job, { reportProgress }) {
+  const report = await screenEndorsements({ job, reportProgress });
+
+  return {
+    report: report._id,
+    findings: report.findings.length,
+    changes: report.changes
+  };
+}
+
+/**
+ * Backfill endorsement expiry from skill categories
+ * @returns {Promise<Object>} { updated }
+ */
+async function runExpiryBackfill() {
+  return { updated: await backfillEndorsementExpiry() };
+}
+
+/**
+ * Register endorsement job handlers, schedule the recurring screening and
+ * queue the expiry backfill while endorsements still need it
+ */
+async function setupEndorsementJobs() {
+  registerJobHandler(SCREENING_JOB, runEndorsementScreening);
+  registerJobHandler(EXPIRY_BACKFILL_JOB, runExpiryBackfill);
+  await ensureRecurringJob(
+    SCREENING_JOB,
+    ENDORSEMENT_JOB_DEFAULTS.intervalHours * 60 * 60 * 1000
+  );
+  if (await Endorsement.exists({ expiresAt: null })) {
+    await enqueueJobOnce(EXPIRY_BACKFILL_JOB);
+  }
+}
+
+module.exports = {
+  setupEndorsementJobs,
+  runEndorsementScreening,
+  runExpiryBackfill,
+  SCREENING_JOB,
+  EXPIRY_BACKFILL_JOB,
+  ENDORSEMENT_JOB_DEFAULTS
+};
@@ -0,0 +1,47 @@
+jest.mock('./collusionDetection', () => ({ screenEndorsements: jest.fn() }));
+jest.mock('./endorsements', () => ({ backfillEndorsementExpiry: jest.fn() }));
+jest.mock('./jobRunner', () => ({
+  registerJobHandler: jest.fn(),
+  ensureRecurringJob: jest.fn(),
+  enqueueJobOnce: jest.fn()
+}));
+
+const Endorsement = require('../models/Endorsement');
+const { backfillEndorsementExpiry } = require('./endorsements');
+const { registerJobHandler, enqueueJobOnce } = require('./jobRunner');
+const { setupEndorsementJobs, runExpiryBackfill, EXPIRY_BACKFILL_JOB } = require('./endorsementJobs');
+
+describe('endorsementJobs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe('setupEndorsementJobs', () => {
+    it('queues the expiry backfill while endorsements have no expiry', async () => {
+      const exists = jest.spyOn(Endorsement, 'exists').mockResolvedValue({ _id: 'legacy' });
+
+      await setupEndorsementJobs();
+
+      expect(exists).toHaveBeenCalledWith({ expiresAt: null });
+      expect(registerJobHandler).toHaveBeenCalledWith(EXPIRY_BACKFILL_JOB, runExpiryBackfill);
+      expect(enqueueJobOnce).toHaveBeenCalledWith(EXPIRY_BACKFILL_JOB);
+    });
+
+    it('queues nothing once every endorsement has an expiry', async () => {
+      jest.spyOn(Endorsement, 'exists').mockResolvedValue(null);
+
+      await setupEndorsementJobs();
+
+      expect(enqueueJobOnce).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('runExpiryBackfill', () => {
+    it('reports how many endorsements were updated', async () => {
+      backfillEndorsementExpiry.mockResolvedValue(12);
+
+      await expect(runExpiryBackfill()).resolves.toEqual({ updated: 12 });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Endorsement Weighting
+ * The server-side policy for how much an endorsement counts
+ *
+ * An endorsement's stored weight (0-1) is the product of four factors:
+ * - credibility: the endorser's credibility in the endorsed skill
+ * - verification: the endorser's account verification level
+ * - context: how the endorser knows the recipient
+ * - recency: how long ago the working relationship ended
+ * The inputs and factors are stored on the endorsement for auditing.
+ *
+ * Scoring uses its effective weight: the stored weight times two factors
+ * that change after it is given, and so are applied when scoring:
+ * - evidence: a boost once the endorsement is verified
+ * - age: full weight for the first part of its lifetime, then less until expiry
+ * The effective weight never exceeds 1.
+ */
+
+const User = require('../models/User');
+const Endorsement = require('../models/Endorsement');
+
+const ENDORSEMENT_WEIGHTING = {
+  // Factor for an endorser with no credibility in the skill; full credibility gives 1
+  credibilityFloor: 0.2,
+  verification: {
+    none: 0.7,
+    basic: 0.8,
+    advanced: 0.9,
+    gold: 1
+  },
+  context: {
+    manager: 1,
+    mentor: 1,
+    client: 0.9,
+    'team-member': 0.9,
+    colleague: 0.85,
+    peer: 0.75
+  },
+  // Full weight for a year after the relationship ends, then down to the floor over four years
+  recency: {
+    fullDays: 365,
+    periodDays: 365 * 4,
+    floor: 0.5,
+    unknown: 0.8 // no dates given
+  },
+  // Backed by shared evidence and confirmed by the recipient
+  evidence: {
+    verified: 1.5,
+    unverified: 1
+  },
+  // Full weight for the first half of the lifetime, then down to the floor at expiry; renewal starts over
+  age: {
+    startFraction: 0.5,
+    floor: 0.5
+  },
+  // Weight kept by endorsements collusion screening down-weights (see utils/collusionDetection)
+  collusionDownWeight: 0.25
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const round = value => Math.round(value * 1000) / 1000;
+
+/**
+ * Weigh an endorsement
+ * @param {Object} endorsement - { skill, context, evidence }
+ * @param {Object} endorser - The endorsing user ({ skills, verificationLevel })
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Object} { weight, weighting } where weighting holds the inputs and factors
+ */
+function computeEndorsementWeight(endorsement, endorser, now = new Date()) {
+  const policy = ENDORSEMENT_WEIGHTING;
+
+  const endorserSkill = (endorser.skills || [])
+    .find(s => s.skill.toString() === endorsement.skill.toString());
+  const skillCredibility = endorserSkill ? endorserSkill.credibilityScore || 0 : 0;
+  const credibility = policy.credibilityFloor + (1 - policy.credibilityFloor) * (skillCredibility / 100);
+
+  const verificationLevel = endorser.verificationLevel || 'none';
+  const verification = policy.verification[verificationLevel] || policy.verification.none;
+
+  const context = policy.context[endorsement.context] || policy.context.peer;
+
+  // An open-ended relationship is ongoing
+  const { startDate, endDate } = endorsement.evidence || {};
+  const relationshipEndedAt = endDate || (startDate ? now : null);
+  let recency = policy.recency.unknown;
+  if (relationshipEndedAt) {
+    const daysSince = Math.max(0, (now - new Date(relationshipEndedAt)) / MS_PER_DAY);
+    const progress = Math.min(Math.max(daysSince - policy.recency.fullDays, 0) / policy.recency.periodDays, 1);
+    recency = 1 - progress * (1 - policy.recency.floor);
+  }
+
+  const factors = {
+    credibility: round(credibility),
+    verification,
+    context,
+    recency: round(recency)
+  };
+
+  return {
+    weight: round(Math.min(credibility * verification * context * recency, 1)),
+    weighting: {
+      skillCredibility,
+      verificationLevel,
+      relationshipEndedAt,
+      factors,
+      computedAt: now
+    }
+  };
+}
+
+/**
+ * How much of its weight an endorsement keeps at its age
+ * @param {Object} endorsement - { createdAt, renewedAt, expiresAt }
+ * @param {Number|Date} now - Reference time (defaults to now)
+ * @returns {Number} Factor between ENDORSEMENT_WEIGHTING.age.floor and 1
+ */
+function getEndorsementAgeFactor(endorsement, now = Date.now()) {
+  const { startFraction, floor } = ENDORSEMENT_WEIGHTING.age;
+
+  const confirmedAt = new Date(endorsement.renewedAt || endorsement.createdAt).getTime();
+  const expiresAt = endorsement.expiresAt
+    ? new Date(endorsement.expiresAt).getTime()
+    : confirmedAt + Endorsement.lifetimeDaysFor() * MS_PER_DAY;
+  const lifetime = expiresAt - confirmedAt;
+  if (!(lifetime > 0)) return floor;
+
+  const elapsed = (new Date(now).getTime() - confirmedAt) / lifetime;
+  const progress = Math.min(Math.max((elapsed - startFraction) / (1 - startFraction), 0), 1);
+  return 1 - progress * (1 - floor);
+}
+
+/**
+ * The weight an endorsement counts with when scored
+ * @param {Object} endorsement - { weight, isVerified, createdAt, renewedAt, expiresAt }
+ * @param {Number|Date} now - Reference time (defaults to now)
+ * @returns {Object} { weight, factors: { evidence, age } }, weight at most 1
+ */
+function getEffectiveWeight(endorsement, now = Date.now()) {
+  const policy = ENDORSEMENT_WEIGHTING;
+
+  const evidence = endorsement.isVerified ? policy.evidence.verified : policy.evidence.unverified;
+  const age = getEndorsementAgeFactor(endorsement, now);
+
+  return {
+    weight: Math.min(endorsement.weight * evidence * age, 1),
+    factors: { evidence, age: round(age) }
+  };
+}
+
+/**
+ * Weigh an endorsement document from its endorser's current standing
+ * A flagged endorsement keeps screening's reduction: the new weight becomes
+ * its original weight (see utils/collusionDetection)
+ * @param {Object} endorsement - Endorsement document (saved by the caller)
+ * @returns {Promise<Object>} The endorsement
+ */
+async function applyEndorsementWeight(endorsement) {
+  const endorser = await User.findById(endorsement.endorser)
+    .select('skills.skill skills.credibilityScore verificationLevel')
+    .lean();
+  const { weight, weighting } = computeEndorsementWeight(endorsement, endorser || {});
+
+  endorsement.weighting = weighting;
+
+  const status = endorsement.collusion && endorsement.collusion.status;
+  if (status === 'down-weighted' || status === 'quarantined') {
+    endorsement.collusion.originalWeight = weight;
+    endorsement.weight = status === 'down-weighted' ? weight * ENDORSEMENT_WEIGHTING.collusionDownWeight : weight;
+  } else {
+    endorsement.weight = weight;
+  }
+
+  return endorsement;
+}
+
+module.exports = {
+  computeEndorsementWeight,
+  applyEndorsementWeight,
+  getEndorsementAgeFactor,
+  getEffectiveWeight,
+  ENDORSEMENT_WEIGHTING
+};
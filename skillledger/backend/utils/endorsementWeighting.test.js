@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+  computeEndorsementWeight,
+  applyEndorsementWeight,
+  getEndorsementAgeFactor,
+  getEffectiveWeight,
+  ENDORSEMENT_WEIGHTING
+} = require('./endorsementWeighting');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('endorsementWeighting', () => {
+  const skillId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  const endorser = (credibilityScore, verificationLevel = 'gold') => ({
+    skills: [{ skill: skillId, credibilityScore }],
+    verificationLevel
+  });
+  const endorsement = (overrides = {}) => ({
+    skill: skillId,
+    context: 'manager',
+    evidence: { startDate: new Date(now - 400 * DAY), endDate: new Date(now - 30 * DAY) },
+    ...overrides
+  });
+
+  describe('computeEndorsementWeight', () => {
+    it('gives full weight to a credible, verified manager from a recent role', () => {
+      const { weight, weighting } = computeEndorsementWeight(endorsement(), endorser(100), now);
+
+      expect(weight).toBe(1);
+      expect(weighting).toMatchObject({
+        skillCredibility: 100,
+        verificationLevel: 'gold',
+        factors: { credibility: 1, verification: 1, context: 1, recency: 1 },
+        computedAt: now
+      });
+    });
+
+    it('scales credibility from the floor for endorsers without the skill', () => {
+      const { weight, weighting } = computeEndorsementWeight(endorsement(), { skills: [] }, now);
+
+      expect(weighting.factors.credibility).toBe(ENDORSEMENT_WEIGHTING.credibilityFloor);
+      expect(weighting.verificationLevel).toBe('none');
+      expect(weight).toBeCloseTo(ENDORSEMENT_WEIGHTING.credibilityFloor * ENDORSEMENT_WEIGHTING.verification.none, 3);
+    });
+
+    it('multiplies the verification and context factors', () => {
+      const { weight } = computeEndorsementWeight(endorsement({ context: 'peer' }), endorser(100, 'basic'), now);
+
+      expect(weight).toBe(0.6);
+    });
+
+    it('treats unknown contexts as peers', () => {
+      const { weighting } = computeEndorsementWeight(endorsement({ context: 'neighbour' }), endorser(100), now);
+
+      expect(weighting.factors.context).toBe(ENDORSEMENT_WEIGHTING.context.peer);
+    });
+
+    it('reduces the weight of old relationships down to the floor', () => {
+      const ended = days => computeEndorsementWeight(
+        endorsement({ evidence: { endDate: new Date(now - days * DAY) } }), endorser(100), now
+      ).weighting.factors.recency;
+
+      expect(ended(365)).toBe(1);
+      expect(ended(365 + 730)).toBe(0.75);
+      expect(ended(365 * 10)).toBe(ENDORSEMENT_WEIGHTING.recency.floor);
+    });
+
+    it('treats an open-ended relationship as ongoing and no dates as unknown', () => {
+      const ongoing = computeEndorsementWeight(endorsement({ evidence: { startDate: new Date(now - 3000 * DAY) } }), endorser(100), now);
+      const undated = computeEndorsementWeight(endorsement({ evidence: {} }), endorser(100), now);
+
+      expect(ongoing.weighting).toMatchObject({ relationshipEndedAt: now, factors: { recency: 1 } });
+      expect(undated.weighting).toMatchObject({ relationshipEndedAt: null, factors: { recency: ENDORSEMENT_WEIGHTING.recency.unknown } });
+    });
+  });
+
+  describe('getEndorsementAgeFactor', () => {
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const expiresAt = new Date(createdAt.getTime() + 100 * DAY);
+    const at = days => createdAt.getTime() + days * DAY;
+
+    it('keeps full weight for the first part of the lifetime, then falls to the floor', () => {
+      const aged = { createdAt, expiresAt };
+
+      expect(getEndorsementAgeFactor(aged, at(10))).toBe(1);
+      expect(getEndorsementAgeFactor(aged, at(50))).toBe(1);
+      expect(getEndorsementAgeFactor(aged, at(75))).toBeCloseTo(0.75);
+      expect(getEndorsementAgeFactor(aged, at(100))).toBe(ENDORSEMENT_WEIGHTING.age.floor);
+    });
+
+    it('counts from the last renewal', () => {
+      const renewed = { createdAt, renewedAt: new Date(at(80)), expiresAt: new Date(at(180)) };
+
+      expect(getEndorsementAgeFactor(renewed, at(90))).toBe(1);
+    });
+
+    it('uses the default lifetime for endorsements not yet backfilled', () => {
+      expect(getEndorsementAgeFactor({ createdAt }, at(365))).toBe(1);
+      expect(getEndorsementAgeFactor({ createdAt }, at(730))).toBe(ENDORSEMENT_WEIGHTING.age.floor);
+    });
+  });
+
+  describe('getEffectiveWeight', () => {
+    const createdAt = new Date(now - 10 * DAY);
+    const expiresAt = new Date(now.getTime() + 355 * DAY);
+
+    it('boosts verified endorsements', () => {
+      const { weight, factors } = getEffectiveWeight({ weight: 0.5, isVerified: true, createdAt, expiresAt }, now);
+
+      expect(weight).toBe(0.5 * ENDORSEMENT_WEIGHTING.evidence.verified);
+      expect(factors).toEqual({ evidence: ENDORSEMENT_WEIGHTING.evidence.verified, age: 1 });
+    });
+
+    it('never counts an endorsement for more than 1', () => {
+      const { weight } = getEffectiveWeight({ weight: 0.8, isVerified: true, createdAt, expiresAt }, now);
+
+      expect(weight).toBe(1);
+    });
+
+    it('applies the age factor', () => {
+      const aged = { weight: 0.8, isVerified: false, createdAt, expiresAt: new Date(now.getTime() + 1) };
+
+      const { weight, factors } = getEffectiveWeight(aged, now);
+
+      expect(factors.age).toBe(ENDORSEMENT_WEIGHTING.age.floor);
+      expect(weight).toBeCloseTo(0.8 * ENDORSEMENT_WEIGHTING.age.floor);
+    });
+  });
+
+  describe('applyEndorsementWeight', () => {
+    const mockEndorser = user => jest.spyOn(User, 'findById')
+      .mockReturnValue({ select: () => ({ lean: async () => user }) });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("sets the weight from the endorser's current standing", async () => {
+      mockEndorser(endorser(100));
+      const document = endorsement({ endorser: 'endorser', weight: 0.1 });
+
+      await applyEndorsementWeight(document);
+
+      expect(document.weight).toBe(1);
+      expect(document.weighting.factors.credibility).toBe(1);
+    });
+
+    it('keeps the screening reduction on down-weighted endorsements', async () => {
+      mockEndorser(endorser(100));
+      const document = endorsement({ endorser: 'endorser', collusion: { status: 'down-weighted', originalWeight: 0.5 } });
+
+      await applyEndorsementWeight(document);
+
+      expect(document.collusion.originalWeight).toBe(1);
+      expect(document.weight).toBe(ENDORSEMENT_WEIGHTING.collusionDownWeight);
+    });
+
+    it('weighs endorsements from deleted endorsers at the floor', async () => {
+      mockEndorser(null);
+      const document = endorsement({ endorser: 'endorser', evidence: {} });
+
+      await applyEndorsementWeight(document);
+
+      expect(document.weighting.skillCredibility).toBe(0);
+      expect(document.weight).toBeLessThan(0.2);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Endorsement Helpers
+ * Giving an endorsement, shared by direct endorsements and accepted
+ * endorsement requests
+ *
+ * Endorsements given before expiry existed have no expiresAt; the
+ * backfill-endorsement-expiry job (utils/endorsementJobs) sets it from
+ * each skill's category lifetime.
+ */
+
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Skill = require('../models/Skill');
+const { updateAllSkillScores } = require('./skillScoring');
+const { applyEndorsementWeight } = require('./endorsementWeighting');
+
+/**
+ * Endorse a student's skill and recalculate their scores
+ * @param {ObjectId} endorserId - The endorsing user
+ * The weight is set by the weighting policy; clients cannot supply it
+ * @param {Object} fields - { recipient, skill, level, comment, context, projectName, evidence }
+ * @returns {Promise<Object>} { endorsement } or { error: { status, message } }
+ */
+async function giveEndorsement(endorserId, fields) {
+  const { recipient, skill, level, comment, context, projectName } = fields;
+
+  if (recipient.toString() === endorserId.toString()) {
+    return { error: { status: 400, message: 'You cannot endorse yourself' } };
+  }
+
+  // Check if recipient exists and is a student
+  const recipientUser = await User.findById(recipient);
+  if (!recipientUser || recipientUser.role !== 'student') {
+    return { error: { status: 404, message: 'Recipient not found or not a student' } };
+  }
+
+  // Check if user has the skill
+  const userSkill = recipientUser.skills.find(s => s.skill.toString() === skill.toString());
+  if (!userSkill) {
+    return { error: { status: 400, message: 'Recipient does not have this skill' } };
+  }
+
+  // Check if user already endorsed this skill for this recipient
+  // (a quarantined endorsement still counts, so it can't be replaced)
+  const existingEndorsement = await Endorsement.findOne({
+    endorser: endorserId,
+    recipient,
+    skill,
+    $or: [{ isValid: true }, { 'collusion.status': 'quarantined' }]
+  });
+
+  if (existingEndorsement) {
+    const message = existingEndorsement.isValid && existingEndorsement.isExpired()
+      ? 'Your endorsement of this skill has expired; renew it instead'
+      : 'You have already endorsed this skill for this user';
+    return { error: { status: 400, message } };
+  }
+
+  const { evidence, error } = await buildEvidence(fields.evidence, endorserId, recipient);
+  if (error) {
+    return { error };
+  }
+
+  // Create endorsement
+  const endorsement = new Endorsement({
+    endorser: endorserId,
+    recipient,
+    skill,
+    level,
+    comment,
+    context,
+    projectName,
+    evidence
+  });
+  const skillDoc = await Skill.findById(skill).select('category').lean();
+  endorsement.setExpiry(skillDoc && skillDoc.category);
+  await applyEndorsementWeight(endorsement);
+  await endorsement.save();
+
+  // Update recipient's endorsement count
+  recipientUser.totalEndorsementsReceived += 1;
+  await recipientUser.save();
+
+  // Recalculate skill scores
+  await updateAllSkillScores(recipient, 'endorsement');
+
+  return { endorsement };
+}
+
+/**
+ * Check and normalise the evidence given with an endorsement
+ * @param {Object} input - { startDate, endDate, submission } (all optional)
+ * @param {ObjectId} endorserId - The endorsing user
+ * @param {ObjectId} recipientId - The endorsed user
+ * @returns {Promise<Object>} { evidence } or { error: { status, message } }
+ */
+async function buildEvidence(input, endorserId, recipientId) {
+  const { startDate, endDate, submission } = input || {};
+  const evidence = {
+    startDate: startDate || null,
+    endDate: endDate || null,
+    submission: submission || null
+  };
+
+  if (evidence.startDate && evidence.endDate && new Date(evidence.endDate) < new Date(evidence.startDate)) {
+    return { error: { status: 400, message: 'End date must be after start date' } };
+  }
+
+  if (evidence.submission && !await checkSharedSubmission(evidence.submission, endorserId, recipientId)) {
+    return { error: { status: 400, message: 'Submission was not worked on by both of you' } };
+  }
+
+  return { evidence };
+}
+
+/**
+ * Whether a challenge submission is shared work between two users
+ * It must belong to one of them, and the other must have reviewed it;
+ * having attempted the same challenge is not shared work
+ * @param {ObjectId} submissionId - Submission ID
+ * @param {ObjectId} endorserId - The endorsing user
+ * @param {ObjectId} recipientId - The endorsed user
+ * @returns {Promise<Boolean>}
+ */
+async function checkSharedSubmission(submissionId, endorserId, recipientId) {
+  const submission = await Submission.findById(submissionId)
+    .select('user reviewedBy consensus.reviews.reviewer')
+    .lean();
+  if (!submission) return false;
+
+  const owner = submission.user.toString();
+  const parties = [endorserId.toString(), recipientId.toString()];
+  if (!parties.includes(owner)) return false;
+
+  const other = parties.find(id => id !== owner);
+  const reviewers = [
+    submission.reviewedBy,
+    ...((submission.consensus && submission.consensus.reviews) || []).map(review => review.reviewer)
+  ].filter(Boolean).map(id => id.toString());
+  return reviewers.includes(other);
+}
+
+/**
+ * Set expiresAt on endorsements that predate expiry, from their skill's
+ * category lifetime counted from when they were given
+ * @param {Number} batchSize - Updates written per bulk write
+ * @returns {Promise<Number>} Number of endorsements updated
+ */
+async function backfillEndorsementExpiry(batchSize = 500) {
+  const skills = await Skill.find().select('category').lean();
+  const categories = new Map(skills.map(skill => [skill._id.toString(), skill.category]));
+
+  let updated = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Endorsement.bulkWrite(operations, { ordered: false });
+    updated += result.modifiedCount;
+    operations = [];
+  };
+
+  const cursor = Endorsement.find({ expiresAt: null }).select('skill createdAt endorsedAt expiresAt').cursor();
+  for await (const endorsement of cursor) {
+    endorsement.setExpiry(categories.get(endorsement.skill.toString()), endorsement.createdAt || endorsement.endorsedAt);
+    operations.push({
+      updateOne: {
+        // Skips endorsements renewed since the cursor read them
+        filter: { _id: endorsement._id, expiresAt: null },
+        update: { $set: { expiresAt: endorsement.expiresAt } }
+      }
+    });
+    if (operations.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return updated;
+}
+
+module.exports = {
+  giveEndorsement,
+  buildEvidence,
+  checkSharedSubmission,
+  backfillEndorsementExpiry
+};
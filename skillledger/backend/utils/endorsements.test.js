@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+const Endorsement = require('../models/Endorsement');
+const Skill = require('../models/Skill');
+const { buildEvidence, checkSharedSubmission, backfillEndorsementExpiry } = require('./endorsements');
+
+describe('endorsements', () => {
+  const endorser = new mongoose.Types.ObjectId();
+  const recipient = new mongoose.Types.ObjectId();
+  const stranger = new mongoose.Types.ObjectId();
+  const submissionId = new mongoose.Types.ObjectId();
+
+  const mockSubmission = submission => jest.spyOn(Submission, 'findById')
+    .mockReturnValue({ select: () => ({ lean: async () => submission }) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkSharedSubmission', () => {
+    it("accepts the recipient's submission reviewed by the endorser", async () => {
+      mockSubmission({ user: recipient, reviewedBy: endorser });
+
+      await expect(checkSharedSubmission(submissionId, endorser, recipient)).resolves.toBe(true);
+    });
+
+    it('accepts consensus reviewers, in either direction', async () => {
+      mockSubmission({ user: endorser, consensus: { reviews: [{ reviewer: stranger }, { reviewer: recipient }] } });
+
+      await expect(checkSharedSubmission(submissionId, endorser, recipient)).resolves.toBe(true);
+    });
+
+    it('rejects submissions the other party did not review', async () => {
+      mockSubmission({ user: recipient, reviewedBy: stranger, consensus: { reviews: [] } });
+
+      await expect(checkSharedSubmission(submissionId, endorser, recipient)).resolves.toBe(false);
+    });
+
+    it('rejects submissions that belong to neither party', async () => {
+      mockSubmission({ user: stranger, reviewedBy: endorser });
+
+      await expect(checkSharedSubmission(submissionId, endorser, recipient)).resolves.toBe(false);
+    });
+
+    it('rejects missing submissions', async () => {
+      mockSubmission(null);
+
+      await expect(checkSharedSubmission(submissionId, endorser, recipient)).resolves.toBe(false);
+    });
+  });
+
+  describe('buildEvidence', () => {
+    it('defaults every field to null', async () => {
+      await expect(buildEvidence(undefined, endorser, recipient)).resolves.toEqual({
+        evidence: { startDate: null, endDate: null, submission: null }
+      });
+    });
+
+    it('requires the end date after the start date', async () => {
+      const result = await buildEvidence({ startDate: '2026-03-01', endDate: '2026-01-01' }, endorser, recipient);
+
+      expect(result).toEqual({ error: { status: 400, message: 'End date must be after start date' } });
+    });
+
+    it('requires a shared submission', async () => {
+      mockSubmission({ user: recipient, reviewedBy: stranger });
+
+      const result = await buildEvidence({ submission: submissionId }, endorser, recipient);
+
+      expect(result.error).toEqual({ status: 400, message: 'Submission was not worked on by both of you' });
+    });
+
+    it('keeps a shared submission and the dates', async () => {
+      mockSubmission({ user: recipient, reviewedBy: endorser });
+
+      const result = await buildEvidence({ startDate: '2026-01-01', endDate: '2026-03-01', submission: submissionId }, endorser, recipient);
+
+      expect(result.evidence).toEqual({ startDate: '2026-01-01', endDate: '2026-03-01', submission: submissionId });
+    });
+  });
+
+  describe('backfillEndorsementExpiry', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const technical = new mongoose.Types.ObjectId();
+    const language = new mongoose.Types.ObjectId();
+
+    const mockBackfill = endorsements => {
+      jest.spyOn(Skill, 'find').mockReturnValue({
+        select: () => ({ lean: async () => [{ _id: technical, category: 'technical' }, { _id: language, category: 'language' }] })
+      });
+      const find = jest.spyOn(Endorsement, 'find').mockReturnValue({
+        select: () => ({
+          cursor: async function* () {
+            yield* endorsements;
+          }
+        })
+      });
+      const bulkWrite = jest.spyOn(Endorsement, 'bulkWrite').mockImplementation(async operations => ({ modifiedCount: operations.length }));
+      return { find, bulkWrite };
+    };
+    const build = skill => new Endorsement({ endorser, recipient, skill, level: 'advanced', createdAt });
+
+    it('sets each expiry from the skill category, skipping endorsements renewed meanwhile', async () => {
+      const endorsements = [build(technical), build(language)];
+      const { find, bulkWrite } = mockBackfill(endorsements);
+
+      await expect(backfillEndorsementExpiry()).resolves.toBe(2);
+      expect(find).toHaveBeenCalledWith({ expiresAt: null });
+      expect(bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: endorsements[0]._id, expiresAt: null }, update: { $set: { expiresAt: new Date(createdAt.getTime() + 545 * DAY) } } } },
+        { updateOne: { filter: { _id: endorsements[1]._id, expiresAt: null }, update: { $set: { expiresAt: new Date(createdAt.getTime() + 1095 * DAY) } } } }
+      ], { ordered: false });
+    });
+
+    it('writes in batches', async () => {
+      const { bulkWrite } = mockBackfill([build(technical), build(technical), build(language)]);
+
+      await expect(backfillEndorsementExpiry(2)).resolves.toBe(3);
+      expect(bulkWrite.mock.calls.map(([operations]) => operations.length)).toEqual([2, 1]);
+    });
+
+    it('writes nothing when every endorsement has an expiry', async () => {
+      const { bulkWrite } = mockBackfill([]);
+
+      await expect(backfillEndorsementExpiry()).resolves.toBe(0);
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
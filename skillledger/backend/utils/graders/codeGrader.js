@@ -0,0 +1,48 @@
+/**
+ * Code Grader
+ * Runs code submissions against the challenge's test cases in the sandbox
+ *
+ * Config (content.grader):
+ * - limits: per-test overrides for cpuSeconds, memoryMb, wallClockMs and
+ *   maxOutputBytes, clamped to the sandbox maximums (see codeRunner)
+ */
+
+const { runTestCases } = require('../codeRunner');
+
+const LIMIT_KEYS = ['cpuSeconds', 'memoryMb', 'wallClockMs', 'maxOutputBytes'];
+
+module.exports = {
+  name: 'code',
+  formats: ['code'],
+  categories: ['coding', 'problem-solving'],
+
+  validateConfig(config) {
+    const errors = [];
+    const limits = config.limits || {};
+    for (const key of Object.keys(limits)) {
+      if (!LIMIT_KEYS.includes(key)) {
+        errors.push(`Unknown sandbox limit '${key}'`);
+      } else if (!(Number(limits[key]) > 0)) {
+        errors.push(`Sandbox limit '${key}' must be a positive number`);
+      }
+    }
+    return errors;
+  },
+
+  async grade(submission, challenge, config) {
+    // Nothing to run without a language or test cases
+    if (!submission.language || !challenge.testCases || challenge.testCases.length === 0) {
+      return null;
+    }
+
+    const { content } = submission;
+    const code = typeof content === 'string' ? content : content.code;
+
+    const limits = {};
+    for (const key of LIMIT_KEYS) {
+      if (config.limits && config.limits[key]) limits[key] = Number(config.limits[key]);
+    }
+
+    return runTestCases(String(code || ''), submission.language, challenge.testCases, limits);
+  }
+};
@@ -0,0 +1,170 @@
+/**
+ * Grader Registry
+ * Picks the grader for a challenge by submissionFormat and category
+ *
+ * A grader is a plain object:
+ * {
+ *   name: 'code',                 // Unique grader name
+ *   formats: ['code'],            // Challenge.submissionFormat values it handles
+ *   categories: ['coding'],       // Challenge.category values it handles
+ *   validateConfig(config),       // Optional - returns an array of error messages
+ *   grade(submission, challenge, config) // Returns { score, ...details }
+ * }
+ *
+ * Admins attach grader config to a challenge as `content.grader`:
+ * { type: 'text-rubric', rules: [...] }. An explicit `type` always wins;
+ * otherwise the grader matching both format and category is used, then
+ * one matching the format alone.
+ */
+
+const codeGrader = require('./codeGrader');
+const jsonGrader = require('./jsonGrader');
+const quizGrader = require('./quizGrader');
+const textRubricGrader = require('./textRubricGrader');
+const urlGrader = require('./urlGrader');
+
+const graders = new Map();
+
+/**
+ * Register a grader plugin
+ * @param {Object} grader - Grader definition
+ */
+function registerGrader(grader) {
+  if (!grader || !grader.name || typeof grader.grade !== 'function') {
+    throw new Error('A grader needs a name and a grade() function');
+  }
+
+  graders.set(grader.name, {
+    formats: [],
+    categories: [],
+    ...grader
+  });
+}
+
+/**
+ * Get a registered grader by name
+ * @param {String} name - Grader name
+ * @returns {Object|null} Grader definition
+ */
+function getGrader(name) {
+  return graders.get(name) || null;
+}
+
+/**
+ * List registered graders (for admin tooling)
+ * @returns {Array} Grader names with the formats and categories they handle
+ */
+function listGraders() {
+  return Array.from(graders.values()).map(({ name, formats, categories }) => ({
+    name,
+    formats,
+    categories
+  }));
+}
+
+/**
+ * Get the grader config attached to a challenge
+ * @param {Object} challenge - Challenge document
+ * @returns {Object} Grader config (empty object if none)
+ */
+function getGraderConfig(challenge) {
+  return (challenge.content && challenge.content.grader) || {};
+}
+
+/**
+ * Resolve the grader for a challenge
+ * @param {Object} challenge - Challenge document
+ * @returns {Object|null} Grader definition, or null when no grader applies
+ */
+function resolveGrader(challenge) {
+  const config = getGraderConfig(challenge);
+  if (config.type) {
+    return getGrader(config.type);
+  }
+
+  const candidates = Array.from(graders.values())
+    .filter(grader => grader.formats.includes(challenge.submissionFormat));
+
+  return candidates.find(grader => grader.categories.includes(challenge.category)) ||
+    candidates[0] ||
+    null;
+}
+
+/**
+ * Validate grader config before it is stored on a challenge
+ * @param {Object} config - Value of content.grader
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateGraderConfig(config) {
+  if (!config) return [];
+  if (typeof config !== 'object') return ['Grader config must be an object'];
+
+  if (config.type) {
+    const grader = getGrader(config.type);
+    if (!grader) return [`Unknown grader type '${config.type}'`];
+    return grader.validateConfig ? grader.validateConfig(config) : [];
+  }
+  return [];
+}
+
+/**
+ * Grade a submission with the grader resolved for its challenge
+ * A grader that throws (an unreachable sandbox, a bad stored config, a
+ * broken response stream) leaves the submission for manual grading
+ * @param {Object} submission - Submission document
+ * @param {Object} challenge - Challenge document
+ * @returns {Promise<Object|null>} Grading results, or null if the submission needs manual grading
+ */
+async function gradeSubmission(submission, challenge) {
+  const grader = resolveGrader(challenge);
+  if (!grader) return null;
+
+  let result;
+  try {
+    result = await grader.grade(submission, challenge, getGraderConfig(challenge));
+  } catch (error) {
+    console.error(`Auto-grading error (${grader.name}):`, error);
+    return null;
+  }
+  if (!result) return null;
+
+  return {
+    grader: grader.name,
+    ...result,
+    score: Math.max(0, Math.min(100, Math.round(result.score || 0)))
+  };
+}
+
+/**
+ * Strip hidden test case details from grading results
+ * Hidden cases keep only their pass/fail outcome, so inputs, expected
+ * outputs and anything the program echoed never reach the candidate
+ * @param {Object} results - Grading results from gradeSubmission
+ * @returns {Object|null} Candidate-safe results
+ */
+function redactGradingResults(results) {
+  if (!results || !Array.isArray(results.results)) return results || null;
+
+  return {
+    ...results,
+    // Test results stored before cases were flagged count as hidden
+    results: results.results.map(result => (
+      result && result.testCase !== undefined && result.hidden !== false
+        ? { testCase: result.testCase, hidden: true, passed: result.passed }
+        : result
+    ))
+  };
+}
+
+// Built-in graders
+[codeGrader, jsonGrader, quizGrader, textRubricGrader, urlGrader].forEach(registerGrader);
+
+module.exports = {
+  registerGrader,
+  getGrader,
+  listGraders,
+  resolveGrader,
+  validateGraderConfig,
+  gradeSubmission,
+  redactGradingResults
+};
@@ -0,0 +1,124 @@
+const {
+  registerGrader,
+  getGrader,
+  resolveGrader,
+  validateGraderConfig,
+  gradeSubmission,
+  redactGradingResults
+} = require('./index');
+
+describe('grader registry', () => {
+  describe('resolveGrader', () => {
+    it('uses the explicit type from the grader config', () => {
+      const challenge = { submissionFormat: 'text', category: 'writing', content: { grader: { type: 'quiz' } } };
+
+      expect(resolveGrader(challenge).name).toBe('quiz');
+    });
+
+    it('prefers the grader matching both format and category', () => {
+      expect(resolveGrader({ submissionFormat: 'text', category: 'analysis' }).name).toBe('text-rubric');
+      expect(resolveGrader({ submissionFormat: 'json', category: 'analysis' }).name).toBe('json');
+    });
+
+    it('falls back to a grader matching the format alone', () => {
+      expect(resolveGrader({ submissionFormat: 'url', category: 'design' }).name).toBe('url');
+    });
+
+    it('returns null when nothing handles the format', () => {
+      expect(resolveGrader({ submissionFormat: 'file', category: 'design' })).toBeNull();
+    });
+  });
+
+  describe('validateGraderConfig', () => {
+    it('accepts a missing config', () => {
+      expect(validateGraderConfig(undefined)).toEqual([]);
+    });
+
+    it('rejects unknown grader types', () => {
+      expect(validateGraderConfig({ type: 'essay-ai' })).toEqual(["Unknown grader type 'essay-ai'"]);
+    });
+
+    it("runs the grader's own validation", () => {
+      expect(validateGraderConfig({ type: 'quiz', questions: [] })).toEqual(['Quiz grader needs at least one question']);
+    });
+  });
+
+  describe('registerGrader', () => {
+    it('requires a name and a grade function', () => {
+      expect(() => registerGrader({ name: 'broken' })).toThrow('A grader needs a name and a grade() function');
+    });
+
+    it('adds plugins that challenges can select by type', () => {
+      registerGrader({ name: 'test-constant', grade: async () => ({ score: 42 }) });
+
+      expect(getGrader('test-constant')).toMatchObject({ name: 'test-constant', formats: [], categories: [] });
+    });
+  });
+
+  describe('gradeSubmission', () => {
+    beforeAll(() => {
+      registerGrader({ name: 'test-overflow', grade: async () => ({ score: 140.6, note: 'extra' }) });
+      registerGrader({ name: 'test-manual', grade: async () => null });
+      registerGrader({
+        name: 'test-throws',
+        grade: async () => {
+          throw new Error('Grader exploded');
+        }
+      });
+    });
+
+    const challengeFor = type => ({ submissionFormat: 'text', category: 'writing', content: { grader: { type } } });
+
+    it('records the grader and clamps the score to 0-100', async () => {
+      const result = await gradeSubmission({ content: 'x' }, challengeFor('test-overflow'));
+
+      expect(result).toEqual({ grader: 'test-overflow', score: 100, note: 'extra' });
+    });
+
+    it('leaves the submission for manual grading when the grader has no result', async () => {
+      expect(await gradeSubmission({ content: 'x' }, challengeFor('test-manual'))).toBeNull();
+    });
+
+    it('leaves the submission for manual grading when the grader throws', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await gradeSubmission({ content: 'x' }, challengeFor('test-throws'))).toBeNull();
+      expect(consoleError).toHaveBeenCalledWith('Auto-grading error (test-throws):', expect.any(Error));
+
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('redactGradingResults', () => {
+    it('keeps only the outcome of hidden test cases', () => {
+      const results = {
+        grader: 'code',
+        score: 50,
+        results: [
+          { testCase: 1, hidden: false, passed: true, input: '2', expectedOutput: '4', actualOutput: '4' },
+          { testCase: 2, hidden: true, passed: false, input: '3', expectedOutput: '6', actualOutput: 'secret' }
+        ]
+      };
+
+      expect(redactGradingResults(results)).toEqual({
+        grader: 'code',
+        score: 50,
+        results: [results.results[0], { testCase: 2, hidden: true, passed: false }]
+      });
+    });
+
+    it('treats test results stored before the hidden flag as hidden', () => {
+      const { results } = redactGradingResults({ results: [{ testCase: 1, passed: true, input: 'x' }] });
+
+      expect(results).toEqual([{ testCase: 1, hidden: true, passed: true }]);
+    });
+
+    it('passes through results without test cases', () => {
+      const quiz = { results: [{ question: 1, correct: true }] };
+
+      expect(redactGradingResults(quiz)).toEqual(quiz);
+      expect(redactGradingResults({ score: 80 })).toEqual({ score: 80 });
+      expect(redactGradingResults(undefined)).toBeNull();
+    });
+  });
+});
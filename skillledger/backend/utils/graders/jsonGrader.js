@@ -0,0 +1,213 @@
+/**
+ * JSON Grader
+ * Validates JSON submissions against a schema and/or compares them to an answer key
+ *
+ * Config (content.grader):
+ * - schema: JSON Schema subset (type, properties, required, items, enum,
+ *   minimum, maximum, minLength, maxLength, pattern)
+ * - answerKey: expected values; score is the share of leaf values that match
+ * - tolerance: allowed absolute difference for numeric answers (default 0)
+ *
+ * A submission that fails the schema scores 0.
+ */
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {String} JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema
+ * @param {String} path - Path used in error messages
+ * @returns {Array} Error messages
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  if (!schema || typeof schema !== 'object') return errors;
+
+  if (schema.type) {
+    const actual = typeOf(value);
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = types.some(type => type === actual || (type === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push(`${path} should be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path} is too short`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} is too long`);
+    if (schema.pattern && !matchesPattern(value, schema.pattern)) errors.push(`${path} does not match ${schema.pattern}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Test a string against a schema pattern; an invalid pattern never matches
+ * @param {String} value - String to test
+ * @param {String} pattern - Regular expression source
+ * @returns {Boolean}
+ */
+function matchesPattern(value, pattern) {
+  try {
+    return new RegExp(pattern).test(value);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a schema and every schema nested in it
+ * @param {Object} schema - Schema
+ * @param {String} path - Path used in error messages
+ * @returns {Array} Error messages
+ */
+function checkSchema(schema, path = 'schema') {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      errors.push(`${path}.pattern is not a valid regular expression`);
+    }
+  }
+  if (schema.properties !== undefined) {
+    if (schema.properties === null || typeof schema.properties !== 'object') {
+      errors.push(`${path}.properties must be an object`);
+    } else {
+      for (const [key, propertySchema] of Object.entries(schema.properties)) {
+        errors.push(...checkSchema(propertySchema, `${path}.properties.${key}`));
+      }
+    }
+  }
+  if (schema.items !== undefined) {
+    errors.push(...checkSchema(schema.items, `${path}.items`));
+  }
+  return errors;
+}
+
+/**
+ * Compare a value to the answer key, leaf by leaf
+ * @param {*} actual - Submitted value
+ * @param {*} expected - Answer key value
+ * @param {Number} tolerance - Allowed numeric difference
+ * @param {String} path - Path of the current value
+ * @returns {Array} One { path, passed } entry per leaf in the answer key
+ */
+function compareToKey(actual, expected, tolerance, path = '$') {
+  if (expected !== null && typeof expected === 'object') {
+    return Object.keys(expected).flatMap(key => compareToKey(
+      actual !== null && typeof actual === 'object' ? actual[key] : undefined,
+      expected[key],
+      tolerance,
+      Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`
+    ));
+  }
+
+  const passed = typeof expected === 'number' && typeof actual === 'number'
+    ? Math.abs(actual - expected) <= tolerance
+    : actual === expected;
+
+  return [{ path, passed }];
+}
+
+/**
+ * Parse submission content as JSON
+ * @param {*} content - Submission content
+ * @returns {Object} { value } or { error }
+ */
+function parseContent(content) {
+  if (typeof content !== 'string') return { value: content };
+  try {
+    return { value: JSON.parse(content) };
+  } catch (error) {
+    return { error: `Invalid JSON: ${error.message}` };
+  }
+}
+
+module.exports = {
+  name: 'json',
+  formats: ['json'],
+  categories: ['analysis'],
+
+  validateConfig(config) {
+    const errors = [];
+    if (config.schema !== undefined) {
+      errors.push(...checkSchema(config.schema).map(error => `JSON grader ${error}`));
+    }
+    if (config.schema === undefined && config.answerKey === undefined) {
+      errors.push('JSON grader needs a schema or an answerKey');
+    }
+    return errors;
+  },
+
+  async grade(submission, challenge, config) {
+    if (!config.schema && config.answerKey === undefined) return null;
+
+    const { value, error } = parseContent(submission.content);
+    if (error) {
+      return { score: 0, schemaErrors: [error], results: [] };
+    }
+
+    const schemaErrors = validateSchema(value, config.schema);
+    if (schemaErrors.length > 0) {
+      return { score: 0, schemaErrors, results: [] };
+    }
+
+    if (config.answerKey === undefined) {
+      return { score: 100, schemaErrors: [], results: [] };
+    }
+
+    const results = compareToKey(value, config.answerKey, Number(config.tolerance) || 0);
+    const passedCount = results.filter(result => result.passed).length;
+
+    return {
+      score: results.length > 0 ? (passedCount / results.length) * 100 : 100,
+      schemaErrors: [],
+      totalChecks: results.length,
+      passedChecks: passedCount,
+      results
+    };
+  }
+};
@@ -0,0 +1,69 @@
+const jsonGrader = require('./jsonGrader');
+
+describe('jsonGrader', () => {
+  describe('validateConfig', () => {
+    it('needs a schema or an answer key', () => {
+      expect(jsonGrader.validateConfig({})).toEqual(['JSON grader needs a schema or an answerKey']);
+    });
+
+    it('rejects invalid patterns nested anywhere in the schema', () => {
+      const errors = jsonGrader.validateConfig({
+        schema: {
+          type: 'object',
+          properties: {
+            tags: { type: 'array', items: { type: 'string', pattern: '([a-z' } }
+          }
+        }
+      });
+
+      expect(errors).toEqual(['JSON grader schema.properties.tags.items.pattern is not a valid regular expression']);
+    });
+
+    it('rejects nested schemas that are not objects', () => {
+      expect(jsonGrader.validateConfig({ schema: { properties: { name: 'string' } } }))
+        .toEqual(['JSON grader schema.properties.name must be an object']);
+    });
+  });
+
+  describe('grade', () => {
+    const schema = {
+      type: 'object',
+      required: ['total', 'label'],
+      properties: {
+        total: { type: 'number', minimum: 0 },
+        label: { type: 'string', pattern: '^[A-Z]' }
+      }
+    };
+
+    it('scores 0 for unparseable JSON', async () => {
+      const result = await jsonGrader.grade({ content: '{"total":' }, {}, { schema });
+
+      expect(result.score).toBe(0);
+      expect(result.schemaErrors[0]).toMatch(/^Invalid JSON/);
+    });
+
+    it('scores 0 and lists errors when the schema fails', async () => {
+      const result = await jsonGrader.grade({ content: { total: -1, label: 'lower' } }, {}, { schema });
+
+      expect(result).toMatchObject({ score: 0, schemaErrors: ['$.total should be >= 0', '$.label does not match ^[A-Z]'] });
+    });
+
+    it('scores 100 for a valid submission without an answer key', async () => {
+      const result = await jsonGrader.grade({ content: '{"total": 3, "label": "Q1"}' }, {}, { schema });
+
+      expect(result.score).toBe(100);
+    });
+
+    it('scores the share of answer key leaves that match, within the tolerance', async () => {
+      const result = await jsonGrader.grade(
+        { content: { total: 10.04, breakdown: [4, 7] } },
+        {},
+        { answerKey: { total: 10, breakdown: [4, 6] }, tolerance: 0.05 }
+      );
+
+      expect(result).toMatchObject({ totalChecks: 3, passedChecks: 2 });
+      expect(result.score).toBeCloseTo(66.67, 1);
+      expect(result.results).toContainEqual({ path: '$.breakdown[1]', passed: false });
+    });
+  });
+});
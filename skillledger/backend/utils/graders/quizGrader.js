@@ -0,0 +1,78 @@
+/**
+ * Quiz Grader
+ * Scores multiple-choice quizzes against the correct options
+ *
+ * Config (content.grader):
+ * - questions: [{ id, answer, points }] where answer is an option id, or an
+ *   array of option ids when several must be selected (all-or-nothing)
+ *
+ * Submission content: { answers: { [questionId]: optionId | [optionIds] } }
+ *
+ * Only used when a challenge sets content.grader.type = 'quiz'.
+ */
+
+/**
+ * Normalize an answer to a sorted list of option ids
+ * @param {*} answer - Single option or array of options
+ * @returns {Array} Sorted option ids
+ */
+function toOptionList(answer) {
+  const list = Array.isArray(answer) ? answer : [answer];
+  return list
+    .filter(option => option !== undefined && option !== null)
+    .map(option => String(option))
+    .sort();
+}
+
+module.exports = {
+  name: 'quiz',
+
+  validateConfig(config) {
+    if (!Array.isArray(config.questions) || config.questions.length === 0) {
+      return ['Quiz grader needs at least one question'];
+    }
+    const errors = [];
+    config.questions.forEach((question, index) => {
+      if (question.id === undefined) errors.push(`Question ${index + 1} needs an id`);
+      if (question.answer === undefined) errors.push(`Question ${index + 1} needs an answer`);
+    });
+    return errors;
+  },
+
+  async grade(submission, challenge, config) {
+    if (!Array.isArray(config.questions) || config.questions.length === 0) return null;
+
+    let content = submission.content;
+    if (typeof content === 'string') {
+      try {
+        content = JSON.parse(content);
+      } catch (error) {
+        content = {};
+      }
+    }
+    const answers = (content && content.answers) || {};
+
+    let earnedPoints = 0;
+    let totalPoints = 0;
+
+    const results = config.questions.map(question => {
+      const points = Number(question.points) || 1;
+      const expected = toOptionList(question.answer);
+      const given = toOptionList(answers[question.id]);
+      const passed = given.length === expected.length &&
+        given.every((option, index) => option === expected[index]);
+
+      totalPoints += points;
+      if (passed) earnedPoints += points;
+
+      return { question: question.id, passed, points: passed ? points : 0 };
+    });
+
+    return {
+      score: totalPoints > 0 ? (earnedPoints / totalPoints) * 100 : 0,
+      earnedPoints,
+      totalPoints,
+      results
+    };
+  }
+};
@@ -0,0 +1,35 @@
+const quizGrader = require('./quizGrader');
+
+describe('quizGrader', () => {
+  const config = {
+    questions: [
+      { id: 'q1', answer: 'b' },
+      { id: 'q2', answer: ['a', 'c'], points: 2 },
+      { id: 'q3', answer: 'd', points: 1 }
+    ]
+  };
+
+  it('requires questions with ids and answers', () => {
+    expect(quizGrader.validateConfig({ questions: [{ id: 'q1' }, { answer: 'a' }] }))
+      .toEqual(['Question 1 needs an answer', 'Question 2 needs an id']);
+  });
+
+  it('weights questions by points and grades multi-select all-or-nothing', async () => {
+    const result = await quizGrader.grade({ content: { answers: { q1: 'b', q2: ['c', 'a'], q3: 'a' } } }, {}, config);
+
+    expect(result).toMatchObject({ earnedPoints: 3, totalPoints: 4, score: 75 });
+    expect(result.results.map(r => r.passed)).toEqual([true, true, false]);
+  });
+
+  it('gives no credit for a partial multi-select answer', async () => {
+    const result = await quizGrader.grade({ content: JSON.stringify({ answers: { q2: ['a'] } }) }, {}, config);
+
+    expect(result.earnedPoints).toBe(0);
+  });
+
+  it('treats unparseable content as unanswered', async () => {
+    const result = await quizGrader.grade({ content: 'not json' }, {}, config);
+
+    expect(result.score).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Text Rubric Grader
+ * Scores free-text submissions with regex and keyword rules
+ *
+ * Config (content.grader):
+ * - rules: [{ name, pattern, flags, keywords, minMatches, weight, required }]
+ *   A rule passes when `pattern` matches, or when at least `minMatches`
+ *   (default: all) of `keywords` appear. A failed `required` rule scores 0.
+ * - minWords / maxWords: optional length bounds (failing them scores 0)
+ */
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {String} text - Literal text
+ * @returns {String} Escaped pattern
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Evaluate a single rubric rule
+ * @param {Object} rule - Rubric rule
+ * @param {String} text - Submission text
+ * @returns {Boolean} Whether the rule passed
+ */
+function evaluateRule(rule, text) {
+  if (rule.pattern) {
+    return new RegExp(rule.pattern, rule.flags || 'i').test(text);
+  }
+
+  const keywords = rule.keywords || [];
+  const found = keywords.filter(keyword =>
+    new RegExp(`\\b${escapeRegex(String(keyword))}\\b`, 'i').test(text)
+  ).length;
+  const minMatches = rule.minMatches !== undefined ? rule.minMatches : keywords.length;
+
+  return keywords.length > 0 && found >= minMatches;
+}
+
+module.exports = {
+  name: 'text-rubric',
+  formats: ['text'],
+  categories: ['writing', 'analysis'],
+
+  validateConfig(config) {
+    if (!Array.isArray(config.rules) || config.rules.length === 0) {
+      return ['Text rubric grader needs at least one rule'];
+    }
+    const errors = [];
+    config.rules.forEach((rule, index) => {
+      if (!rule.pattern && !(Array.isArray(rule.keywords) && rule.keywords.length > 0)) {
+        errors.push(`Rule ${index + 1} needs a pattern or keywords`);
+      }
+      if (rule.pattern) {
+        try {
+          new RegExp(rule.pattern, rule.flags || 'i');
+        } catch (error) {
+          errors.push(`Rule ${index + 1} has an invalid pattern`);
+        }
+      }
+    });
+    return errors;
+  },
+
+  async grade(submission, challenge, config) {
+    if (!Array.isArray(config.rules) || config.rules.length === 0) return null;
+
+    const { content } = submission;
+    const text = typeof content === 'string' ? content : String(content.text || '');
+    const wordCount = text.split(/\s+/).filter(Boolean).length;
+
+    if ((config.minWords && wordCount < config.minWords) ||
+        (config.maxWords && wordCount > config.maxWords)) {
+      return {
+        score: 0,
+        wordCount,
+        lengthError: `Submission must be ${config.minWords || 0}-${config.maxWords || '∞'} words`,
+        results: []
+      };
+    }
+
+    let earnedWeight = 0;
+    let totalWeight = 0;
+    let missingRequired = false;
+
+    const results = config.rules.map((rule, index) => {
+      const weight = rule.weight !== undefined ? Number(rule.weight) : 1;
+      const passed = evaluateRule(rule, text);
+
+      totalWeight += weight;
+      if (passed) earnedWeight += weight;
+      if (!passed && rule.required) missingRequired = true;
+
+      return { rule: rule.name || `Rule ${index + 1}`, passed, weight };
+    });
+
+    return {
+      score: missingRequired || totalWeight === 0 ? 0 : (earnedWeight / totalWeight) * 100,
+      wordCount,
+      missingRequired,
+      results
+    };
+  }
+};
@@ -0,0 +1,47 @@
+const textRubricGrader = require('./textRubricGrader');
+
+describe('textRubricGrader', () => {
+  it('rejects rules without a pattern or keywords, and invalid patterns', () => {
+    expect(textRubricGrader.validateConfig({ rules: [{ name: 'empty' }, { pattern: '(' }] }))
+      .toEqual(['Rule 1 needs a pattern or keywords', 'Rule 2 has an invalid pattern']);
+  });
+
+  it('scores the weighted share of passing rules', async () => {
+    const config = {
+      rules: [
+        { name: 'Mentions indexes', keywords: ['index', 'query plan'], minMatches: 1, weight: 3 },
+        { name: 'Cites numbers', pattern: '\\d+ ?ms' },
+        { name: 'Covers caching', keywords: ['cache'] }
+      ]
+    };
+
+    const result = await textRubricGrader.grade({ content: 'Adding an INDEX cut latency to 40 ms.' }, {}, config);
+
+    expect(result.results.map(r => r.passed)).toEqual([true, true, false]);
+    expect(result.score).toBe(80);
+  });
+
+  it('matches keywords as whole words only', async () => {
+    const config = { rules: [{ keywords: ['cache'] }] };
+
+    const result = await textRubricGrader.grade({ content: { text: 'Cached pages' } }, {}, config);
+
+    expect(result.score).toBe(0);
+  });
+
+  it('scores 0 when a required rule fails', async () => {
+    const config = { rules: [{ keywords: ['risk'], required: true }, { keywords: ['plan'] }] };
+
+    const result = await textRubricGrader.grade({ content: 'A plan.' }, {}, config);
+
+    expect(result).toMatchObject({ score: 0, missingRequired: true });
+  });
+
+  it('scores 0 outside the word limits', async () => {
+    const config = { rules: [{ keywords: ['plan'] }], minWords: 5 };
+
+    const result = await textRubricGrader.grade({ content: 'A short plan.' }, {}, config);
+
+    expect(result).toMatchObject({ score: 0, wordCount: 3, lengthError: 'Submission must be 5-∞ words' });
+  });
+});
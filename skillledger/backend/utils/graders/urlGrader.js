@@ -0,0 +1,202 @@
+/**
+ * URL Grader
+ * Checks that a submitted URL is reachable and serves the expected content
+ *
+ * Config (content.grader):
+ * - expectedStatus: exact status code to require (default: any 2xx/3xx)
+ * - contentIncludes: strings the response body must contain; results refer
+ *   to them by position only, so candidates never see the expected text
+ * - allowedHosts: restrict submissions to these hostnames (and subdomains)
+ * - timeoutMs: request timeout (default 5000)
+ *
+ * Private and loopback addresses are refused unless
+ * GRADER_URL_ALLOW_PRIVATE=true, which is meant for grading against a
+ * local stub server in development and tests. The request connects to the
+ * address that was checked, so a second DNS answer can't redirect it.
+ */
+
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const MAX_BODY_BYTES = 512 * 1024;
+
+/**
+ * Check whether an IP address is private, loopback or link-local
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 10 || a === 127 || a === 0 ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      (a === 100 && b >= 64 && b <= 127);
+  }
+
+  const normalized = address.toLowerCase();
+  if (normalized.startsWith('::ffff:')) {
+    return isPrivateAddress(normalized.slice(7));
+  }
+  return normalized === '::1' || normalized === '::' ||
+    normalized.startsWith('fc') || normalized.startsWith('fd') ||
+    normalized.startsWith('fe80');
+}
+
+/**
+ * Check a hostname against the allow list
+ * @param {String} hostname - URL hostname
+ * @param {Array} allowedHosts - Allowed hostnames
+ * @returns {Boolean}
+ */
+function isAllowedHost(hostname, allowedHosts) {
+  if (!allowedHosts || allowedHosts.length === 0) return true;
+  return allowedHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * GET a URL from an already resolved address
+ * Redirects are not followed, and the body is read up to a byte limit
+ * @param {URL} url - URL to request
+ * @param {Object} resolved - { address, family } from dns.lookup
+ * @param {Object} options - { timeoutMs, readBody }
+ * @returns {Promise<Object>} { status, body }; rejects on network errors and timeouts
+ */
+function requestPinned(url, resolved, { timeoutMs, readBody }) {
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      // Connect to the checked address; TLS still verifies the hostname
+      lookup: (hostname, options, callback) => {
+        if (options && options.all) {
+          callback(null, [{ address: resolved.address, family: resolved.family }]);
+        } else {
+          callback(null, resolved.address, resolved.family);
+        }
+      },
+      timeout: timeoutMs
+    }, (response) => {
+      if (!readBody) {
+        response.destroy();
+        resolve({ status: response.statusCode, body: '' });
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= MAX_BODY_BYTES) response.destroy();
+      });
+      response.on('close', () => resolve({
+        status: response.statusCode,
+        body: Buffer.concat(chunks).toString('utf8').slice(0, MAX_BODY_BYTES)
+      }));
+      response.on('error', () => {}); // close still fires with what was read
+    });
+
+    const timer = setTimeout(() => request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })), timeoutMs);
+    request.on('timeout', () => request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })));
+    request.on('error', reject);
+    request.on('close', () => clearTimeout(timer));
+  });
+}
+
+module.exports = {
+  name: 'url',
+  formats: ['url'],
+  categories: [],
+
+  validateConfig(config) {
+    const errors = [];
+    if (config.contentIncludes !== undefined && !Array.isArray(config.contentIncludes)) {
+      errors.push('contentIncludes must be an array of strings');
+    }
+    if (config.allowedHosts !== undefined && !Array.isArray(config.allowedHosts)) {
+      errors.push('allowedHosts must be an array of hostnames');
+    }
+    return errors;
+  },
+
+  async grade(submission, challenge, config) {
+    const { content } = submission;
+    const rawUrl = submission.submissionUrl ||
+      (typeof content === 'string' ? content : content.url);
+
+    const fail = (reason, details = {}) => ({ score: 0, url: rawUrl, reachable: false, reason, ...details });
+
+    let url;
+    try {
+      url = new URL(String(rawUrl).trim());
+    } catch (error) {
+      return fail('Invalid URL');
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return fail('Only http and https URLs are accepted');
+    }
+    if (!isAllowedHost(url.hostname, config.allowedHosts)) {
+      return fail(`Host '${url.hostname}' is not allowed for this challenge`);
+    }
+
+    let addresses;
+    try {
+      const hostname = url.hostname.replace(/^\[|\]$/g, '');
+      addresses = await dns.lookup(hostname, { all: true });
+    } catch (error) {
+      return fail('Host could not be resolved');
+    }
+    if (addresses.length === 0) {
+      return fail('Host could not be resolved');
+    }
+    if (process.env.GRADER_URL_ALLOW_PRIVATE !== 'true' &&
+      addresses.some(({ address }) => isPrivateAddress(address))) {
+      return fail('URL resolves to a private network address');
+    }
+
+    const startedAt = Date.now();
+    let response;
+    try {
+      // Redirects are not followed so they can't bypass the address check
+      response = await requestPinned(url, addresses[0], {
+        timeoutMs: Number(config.timeoutMs) || DEFAULT_TIMEOUT_MS,
+        readBody: Boolean(config.contentIncludes && config.contentIncludes.length > 0)
+      });
+    } catch (error) {
+      return fail(error.name === 'TimeoutError' ? 'Request timed out' : 'Request failed', {
+        durationMs: Date.now() - startedAt
+      });
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const statusOk = config.expectedStatus
+      ? response.status === Number(config.expectedStatus)
+      : response.status >= 200 && response.status < 400;
+
+    const { body } = response;
+    const results = (config.contentIncludes || []).map((text, index) => ({
+      check: index + 1,
+      passed: body.includes(text)
+    }));
+
+    const checks = [statusOk, ...results.map(result => result.passed)];
+    const passedCount = checks.filter(Boolean).length;
+
+    return {
+      score: statusOk ? (passedCount / checks.length) * 100 : 0,
+      url: url.toString(),
+      reachable: true,
+      status: response.status,
+      durationMs,
+      totalChecks: results.length,
+      passedChecks: results.filter(result => result.passed).length,
+      results
+    };
+  }
+};
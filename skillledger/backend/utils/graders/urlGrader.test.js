@@ -0,0 +1,101 @@
+const http = require('http');
+const urlGrader = require('./urlGrader');
+
+describe('urlGrader', () => {
+  const originalAllowPrivate = process.env.GRADER_URL_ALLOW_PRIVATE;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/hang') return; // never answers
+      if (req.url === '/missing') {
+        res.writeHead(404);
+        res.end('Not found');
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end('<h1>Portfolio</h1><p>Contact form</p>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  afterEach(() => {
+    if (originalAllowPrivate === undefined) {
+      delete process.env.GRADER_URL_ALLOW_PRIVATE;
+    } else {
+      process.env.GRADER_URL_ALLOW_PRIVATE = originalAllowPrivate;
+    }
+  });
+
+  const grade = (url, config = {}) => urlGrader.grade({ content: url }, {}, config);
+
+  describe('validateConfig', () => {
+    it('requires arrays for contentIncludes and allowedHosts', () => {
+      expect(urlGrader.validateConfig({ contentIncludes: 'Portfolio', allowedHosts: 'example.com' })).toEqual([
+        'contentIncludes must be an array of strings',
+        'allowedHosts must be an array of hostnames'
+      ]);
+    });
+  });
+
+  describe('grade', () => {
+    it('rejects invalid URLs and non-http protocols', async () => {
+      expect(await grade('not a url')).toMatchObject({ score: 0, reason: 'Invalid URL' });
+      expect(await grade('ftp://example.com/file')).toMatchObject({ reason: 'Only http and https URLs are accepted' });
+    });
+
+    it('rejects hosts outside the allow list', async () => {
+      const result = await grade('https://evil.example.org/', { allowedHosts: ['example.com'] });
+
+      expect(result.reason).toBe("Host 'evil.example.org' is not allowed for this challenge");
+    });
+
+    it('refuses private and loopback addresses', async () => {
+      delete process.env.GRADER_URL_ALLOW_PRIVATE;
+
+      expect(await grade(`${baseUrl}/`)).toMatchObject({ score: 0, reason: 'URL resolves to a private network address' });
+      expect(await grade('http://[::1]/')).toMatchObject({ reason: 'URL resolves to a private network address' });
+    });
+
+    it('scores the status check and each expected string', async () => {
+      process.env.GRADER_URL_ALLOW_PRIVATE = 'true';
+
+      const result = await grade(`${baseUrl}/`, { contentIncludes: ['Portfolio', 'Pricing'] });
+
+      expect(result).toMatchObject({ reachable: true, status: 200, totalChecks: 2, passedChecks: 1 });
+      expect(result.score).toBeCloseTo(66.67, 1);
+    });
+
+    it('reports content checks by position without the expected text', async () => {
+      process.env.GRADER_URL_ALLOW_PRIVATE = 'true';
+
+      const result = await grade(`${baseUrl}/`, { contentIncludes: ['Portfolio', 'Pricing'] });
+
+      expect(result.results).toEqual([{ check: 1, passed: true }, { check: 2, passed: false }]);
+      expect(JSON.stringify(result)).not.toContain('Pricing');
+    });
+
+    it('scores 0 when the status is not the expected one', async () => {
+      process.env.GRADER_URL_ALLOW_PRIVATE = 'true';
+
+      const result = await grade(`${baseUrl}/missing`);
+
+      expect(result).toMatchObject({ score: 0, reachable: true, status: 404 });
+    });
+
+    it('gives up on servers that never answer', async () => {
+      process.env.GRADER_URL_ALLOW_PRIVATE = 'true';
+
+      const result = await grade(`${baseUrl}/hang`, { timeoutMs: 200 });
+
+      expect(result).toMatchObject({ score: 0, reachable: false, reason: 'Request timed out' });
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Attempt Integrity
+ * Scores attempt telemetry from integrity-mode challenges
+ *
+ * The frontend reports three kinds of events during an attempt:
+ * - blur: the tab lost focus (durationMs away)
+ * - paste: text was pasted (size in characters)
+ * - typing: a sample of keystrokes (keystrokes, meanIntervalMs)
+ *
+ * Each signal deducts from a score of 100. None of them proves misconduct
+ * on its own; a low score only routes the submission to a human reviewer.
+ * An attempt that reported nothing is always reviewed, whatever the
+ * challenge's threshold, since withholding telemetry would otherwise be
+ * the easy way past integrity mode.
+ */
+
+// Events accepted per attempt; older events are dropped beyond this
+const MAX_EVENTS_PER_ATTEMPT = 2000;
+
+const INTEGRITY_PENALTIES = {
+  focusLoss: 40,     // max, reached at half the attempt spent away
+  blurCount: 10,     // max, 1 point per tab switch
+  paste: 40,         // max, scaled by the share of the answer that was pasted
+  fastTyping: 20,    // typing faster than a person plausibly can
+  untypedContent: 15, // max, answer far longer than what was typed or pasted
+  noTelemetry: 25    // integrity mode on but nothing was reported
+};
+
+// Mean keystroke gap below this (ms) is implausible for a person
+const MIN_HUMAN_KEY_INTERVAL_MS = 35;
+
+/**
+ * Length of the text a candidate produced
+ * @param {*} content - Submission content
+ * @returns {Number} Characters
+ */
+function contentLength(content) {
+  if (typeof content === 'string') return content.length;
+  if (content && typeof content.code === 'string') return content.code.length;
+  if (content && typeof content.text === 'string') return content.text.length;
+  return content ? JSON.stringify(content).length : 0;
+}
+
+/**
+ * Compute an integrity score from attempt telemetry
+ * @param {Array} events - Integrity events reported during the attempt
+ * @param {Object} context - { content, startedAt, finishedAt }
+ * @returns {Object} { score (0-100), signals: [{ signal, value, penalty, detail }] }
+ */
+function computeIntegrityScore(events, { content, startedAt, finishedAt }) {
+  const signals = [];
+  const add = (signal, value, penalty, detail) => {
+    if (penalty > 0) {
+      signals.push({ signal, value: Math.round(value * 100) / 100, penalty: Math.round(penalty), detail });
+    }
+  };
+
+  if (!events || events.length === 0) {
+    add('no-telemetry', 0, INTEGRITY_PENALTIES.noTelemetry, 'No integrity events were reported');
+    return { score: 100 - INTEGRITY_PENALTIES.noTelemetry, signals };
+  }
+
+  const attemptMs = Math.max(1, new Date(finishedAt) - new Date(startedAt));
+  const answerLength = Math.max(1, contentLength(content));
+
+  // Time away from the challenge
+  const blurs = events.filter(event => event.type === 'blur');
+  const awayMs = blurs.reduce((total, event) => total + (event.durationMs || 0), 0);
+  const awayShare = Math.min(1, awayMs / attemptMs);
+  add('focus-loss', awayShare, Math.min(INTEGRITY_PENALTIES.focusLoss, awayShare * INTEGRITY_PENALTIES.focusLoss * 2),
+    `Away from the challenge for ${Math.round(awayMs / 1000)}s (${Math.round(awayShare * 100)}% of the attempt)`);
+  add('tab-switches', blurs.length, Math.min(blurs.length, INTEGRITY_PENALTIES.blurCount),
+    `Left the challenge ${blurs.length} time${blurs.length === 1 ? '' : 's'}`);
+
+  // Pasted content
+  const pastedChars = events
+    .filter(event => event.type === 'paste')
+    .reduce((total, event) => total + (event.size || 0), 0);
+  const pasteShare = Math.min(1, pastedChars / answerLength);
+  if (pasteShare > 0.25) {
+    add('paste', pasteShare, pasteShare * INTEGRITY_PENALTIES.paste,
+      `Pasted ${pastedChars} characters (${Math.round(pasteShare * 100)}% of the answer)`);
+  }
+
+  // Typing cadence
+  const samples = events.filter(event => event.type === 'typing' && event.keystrokes > 0);
+  const keystrokes = samples.reduce((total, event) => total + event.keystrokes, 0);
+  if (keystrokes > 0) {
+    const meanInterval = samples.reduce(
+      (total, event) => total + (event.meanIntervalMs || 0) * event.keystrokes,
+      0
+    ) / keystrokes;
+
+    if (meanInterval < MIN_HUMAN_KEY_INTERVAL_MS) {
+      add('fast-typing', meanInterval, INTEGRITY_PENALTIES.fastTyping,
+        `Mean keystroke interval of ${Math.round(meanInterval)}ms`);
+    }
+  }
+
+  // Answer that neither typing nor pasting accounts for
+  const producedShare = Math.min(1, (keystrokes + pastedChars) / answerLength);
+  if (producedShare < 0.5) {
+    add('untyped-content', producedShare, Math.min(INTEGRITY_PENALTIES.untypedContent, (1 - producedShare) * INTEGRITY_PENALTIES.untypedContent * 2),
+      `Only ${Math.round(producedShare * 100)}% of the answer was typed or pasted`);
+  }
+
+  const totalPenalty = signals.reduce((total, signal) => total + signal.penalty, 0);
+  return {
+    score: Math.max(0, 100 - totalPenalty),
+    signals
+  };
+}
+
+/**
+ * Score a submission's attempt and record the result on the submission
+ * Does nothing for challenges without integrity mode; the caller saves
+ * @param {Object} submission - Submission document
+ * @param {Object} attempt - The attempt it came from
+ * @param {Object} challenge - Its challenge
+ * @returns {Object|null} { score, signals, flagged }, or null when integrity mode is off
+ */
+function assessSubmissionIntegrity(submission, attempt, challenge) {
+  if (!challenge.integrity || !challenge.integrity.enabled) return null;
+
+  const events = (attempt.integrityEvents || []).map(event =>
+    typeof event.toObject === 'function' ? event.toObject() : event
+  );
+  const { score, signals } = computeIntegrityScore(events, {
+    content: submission.content,
+    startedAt: attempt.startedAt,
+    finishedAt: attempt.finishedAt || submission.submittedAt
+  });
+  const flagged = score < challenge.integrity.reviewThreshold ||
+    signals.some(signal => signal.signal === 'no-telemetry');
+
+  submission.integrity = {
+    events,
+    score,
+    signals,
+    flagged,
+    computedAt: Date.now()
+  };
+
+  return { score, signals, flagged };
+}
+
+module.exports = {
+  assessSubmissionIntegrity,
+  computeIntegrityScore,
+  INTEGRITY_PENALTIES,
+  MAX_EVENTS_PER_ATTEMPT
+};
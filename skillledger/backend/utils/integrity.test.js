@@ -0,0 +1,113 @@
+const {
+  assessSubmissionIntegrity,
+  computeIntegrityScore,
+  INTEGRITY_PENALTIES
+} = require('./integrity');
+
+const MINUTE = 60 * 1000;
+
+describe('integrity', () => {
+  const startedAt = new Date('2026-01-01T10:00:00Z');
+  const finishedAt = new Date(startedAt.getTime() + 10 * MINUTE);
+  const content = { code: 'x'.repeat(200) };
+
+  const signalsOf = result => result.signals.map(signal => signal.signal);
+
+  describe('computeIntegrityScore', () => {
+    it('scores a typed answer with no warning signs at 100', () => {
+      const result = computeIntegrityScore([{ type: 'typing', keystrokes: 220, meanIntervalMs: 180 }], { content, startedAt, finishedAt });
+
+      expect(result).toEqual({ score: 100, signals: [] });
+    });
+
+    it('deducts for time away and each tab switch', () => {
+      const result = computeIntegrityScore([
+        { type: 'typing', keystrokes: 220, meanIntervalMs: 180 },
+        { type: 'blur', durationMs: 2 * MINUTE },
+        { type: 'blur', durationMs: 3 * MINUTE }
+      ], { content, startedAt, finishedAt });
+
+      expect(result.signals).toEqual([
+        expect.objectContaining({ signal: 'focus-loss', value: 0.5, penalty: INTEGRITY_PENALTIES.focusLoss }),
+        expect.objectContaining({ signal: 'tab-switches', value: 2, penalty: 2 })
+      ]);
+      expect(result.score).toBe(100 - INTEGRITY_PENALTIES.focusLoss - 2);
+    });
+
+    it('deducts for pasting most of the answer', () => {
+      const result = computeIntegrityScore([
+        { type: 'typing', keystrokes: 20, meanIntervalMs: 180 },
+        { type: 'paste', size: 180 }
+      ], { content, startedAt, finishedAt });
+
+      expect(result.signals).toEqual([expect.objectContaining({ signal: 'paste', value: 0.9, penalty: 36 })]);
+      expect(result.score).toBe(64);
+    });
+
+    it('ignores small pastes', () => {
+      const result = computeIntegrityScore([
+        { type: 'typing', keystrokes: 180, meanIntervalMs: 180 },
+        { type: 'paste', size: 20 }
+      ], { content, startedAt, finishedAt });
+
+      expect(result.signals).toEqual([]);
+    });
+
+    it('flags typing faster than a person and answers nobody typed', () => {
+      const result = computeIntegrityScore([
+        { type: 'typing', keystrokes: 40, meanIntervalMs: 10 },
+        { type: 'typing', keystrokes: 10, meanIntervalMs: 50 }
+      ], { content, startedAt, finishedAt });
+
+      expect(signalsOf(result)).toEqual(['fast-typing', 'untyped-content']);
+      expect(result.signals[0].value).toBe(18);
+      expect(result.signals[1]).toMatchObject({ value: 0.25, penalty: INTEGRITY_PENALTIES.untypedContent });
+    });
+
+    it('deducts when no telemetry was reported', () => {
+      expect(computeIntegrityScore([], { content, startedAt, finishedAt })).toEqual({
+        score: 100 - INTEGRITY_PENALTIES.noTelemetry,
+        signals: [expect.objectContaining({ signal: 'no-telemetry', penalty: INTEGRITY_PENALTIES.noTelemetry })]
+      });
+    });
+
+    it('never goes below 0', () => {
+      const result = computeIntegrityScore([
+        ...Array.from({ length: 12 }, () => ({ type: 'blur', durationMs: MINUTE })),
+        { type: 'paste', size: 200 },
+        { type: 'typing', keystrokes: 5, meanIntervalMs: 5 }
+      ], { content, startedAt, finishedAt });
+
+      expect(result.score).toBe(0);
+    });
+  });
+
+  describe('assessSubmissionIntegrity', () => {
+    const challenge = reviewThreshold => ({ integrity: { enabled: true, reviewThreshold } });
+    const attempt = integrityEvents => ({ startedAt, finishedAt, integrityEvents });
+
+    it('does nothing when integrity mode is off', () => {
+      const submission = { content };
+
+      expect(assessSubmissionIntegrity(submission, attempt([]), { integrity: { enabled: false } })).toBeNull();
+      expect(submission.integrity).toBeUndefined();
+    });
+
+    it('records the score and flags it below the threshold', () => {
+      const submission = { content };
+      const events = [{ type: 'typing', keystrokes: 20, meanIntervalMs: 180 }, { type: 'paste', size: 180 }];
+
+      const result = assessSubmissionIntegrity(submission, attempt(events), challenge(70));
+
+      expect(result).toMatchObject({ score: 64, flagged: true });
+      expect(submission.integrity).toMatchObject({ events, score: 64, flagged: true, computedAt: expect.any(Number) });
+      expect(assessSubmissionIntegrity({ content }, attempt(events), challenge(60)).flagged).toBe(false);
+    });
+
+    it('always flags attempts that reported no telemetry', () => {
+      const result = assessSubmissionIntegrity({ content }, attempt([]), challenge(50));
+
+      expect(result).toMatchObject({ score: 100 - INTEGRITY_PENALTIES.noTelemetry, flagged: true });
+    });
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * IRT Calibration
+ * Offline job that fits item-response-theory parameters per challenge
+ *
+ * Uses a two-parameter logistic (2PL) model:
+ *   P(pass | θ) = 1 / (1 + e^(-a(θ - b)))
+ * where θ is candidate ability, b is challenge difficulty and a is
+ * discrimination. Parameters are fitted by marginal maximum likelihood
+ * from each candidate's first graded attempt at each challenge, with
+ * abilities on a standard-normal scale.
+ *
+ * Runs as the calibrate-challenges job (utils/challengeJobs), which
+ * admins queue through /api/jobs.
+ */
+
+const Challenge = require('../models/Challenge');
+const Submission = require('../models/Submission');
+
+const CALIBRATION_DEFAULTS = {
+  minResponses: 20,   // Challenges with fewer first attempts stay uncalibrated
+  minItemsPerUser: 2, // Candidates need several challenges to place their ability
+  iterations: 100,
+  tolerance: 1e-4
+};
+
+// Parameter bounds keep perfect/zero pass rates from diverging
+const THETA_BOUND = 4;
+const DIFFICULTY_BOUND = 4;
+const DISCRIMINATION_RANGE = [0.2, 3];
+
+// Ridge penalties (weak priors b ~ 0, a ~ 1) for numerical stability
+const DIFFICULTY_PRIOR = 0.05;
+const DISCRIMINATION_PRIOR = 0.5;
+
+// EM settings
+const QUADRATURE_POINTS = 41;
+const M_STEP_ITERATIONS = 5;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * 2PL probability of passing
+ * @param {Number} theta - Ability
+ * @param {Number} a - Discrimination
+ * @param {Number} b - Difficulty
+ * @returns {Number} Probability (0-1)
+ */
+function probability(theta, a, b) {
+  return 1 / (1 + Math.exp(-a * (theta - b)));
+}
+
+/**
+ * Load first graded attempts as (user, challenge, passed) responses
+ * @returns {Promise<Array>} Responses
+ */
+async function loadResponses() {
+  return Submission.aggregate([
+    {
+      $match: {
+        $or: [
+          { requiresReview: { $ne: true } },
+          { reviewStatus: { $in: ['approved', 'rejected'] } }
+        ]
+      }
+    },
+    { $sort: { attemptNumber: 1, submittedAt: 1 } },
+    {
+      $group: {
+        _id: { user: '$user', challenge: '$challenge' },
+        passed: { $first: '$isPassed' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        user: { $toString: '$_id.user' },
+        challenge: { $toString: '$_id.challenge' },
+        passed: { $cond: ['$passed', 1, 0] }
+      }
+    }
+  ]);
+}
+
+/**
+ * Fit 2PL parameters from responses
+ * Marginal maximum likelihood via EM (Bock-Aitkin): abilities are integrated
+ * out over a standard-normal quadrature grid, so candidates with perfect or
+ * empty records don't distort the scale.
+ * @param {Array} responses - [{ user, challenge, passed (0/1) }]
+ * @param {Object} options - Overrides for CALIBRATION_DEFAULTS
+ * @returns {Object} { items: Map(challenge -> params), abilities: Map(user -> θ), iterations }
+ */
+function fitTwoParameterModel(responses, options = {}) {
+  const { minResponses, minItemsPerUser, iterations, tolerance } = {
+    ...CALIBRATION_DEFAULTS,
+    ...options
+  };
+
+  // Keep items and users with enough data; drop responses that lose either
+  let data = responses;
+  for (let pass = 0; pass < 3; pass++) {
+    const itemCounts = new Map();
+    const userCounts = new Map();
+    for (const response of data) {
+      itemCounts.set(response.challenge, (itemCounts.get(response.challenge) || 0) + 1);
+      userCounts.set(response.user, (userCounts.get(response.user) || 0) + 1);
+    }
+    data = data.filter(response =>
+      itemCounts.get(response.challenge) >= minResponses &&
+      userCounts.get(response.user) >= minItemsPerUser
+    );
+  }
+
+  const byItem = new Map();
+  const byUser = new Map();
+  for (const response of data) {
+    if (!byItem.has(response.challenge)) byItem.set(response.challenge, []);
+    if (!byUser.has(response.user)) byUser.set(response.user, []);
+    byItem.get(response.challenge).push(response);
+    byUser.get(response.user).push(response);
+  }
+
+  // Start from pass rates: b = -logit(p)
+  const items = new Map();
+  for (const [challenge, itemResponses] of byItem) {
+    const rate = clamp(
+      itemResponses.reduce((sum, response) => sum + response.passed, 0) / itemResponses.length,
+      0.02,
+      0.98
+    );
+    items.set(challenge, { a: 1, b: -Math.log(rate / (1 - rate)) });
+  }
+
+  // Quadrature grid over a standard-normal ability distribution
+  const nodes = [];
+  for (let q = 0; q < QUADRATURE_POINTS; q++) {
+    nodes.push(-THETA_BOUND + (2 * THETA_BOUND * q) / (QUADRATURE_POINTS - 1));
+  }
+  const priorWeights = nodes.map(theta => Math.exp(-theta * theta / 2));
+  const priorTotal = priorWeights.reduce((sum, weight) => sum + weight, 0);
+  const prior = priorWeights.map(weight => weight / priorTotal);
+
+  let posteriors = new Map();
+  let iteration = 0;
+
+  for (; iteration < iterations; iteration++) {
+    // E-step: posterior over the grid for each candidate
+    posteriors = new Map();
+    for (const [user, userResponses] of byUser) {
+      const logLikelihood = nodes.map((theta, q) => {
+        let total = Math.log(prior[q]);
+        for (const response of userResponses) {
+          const { a, b } = items.get(response.challenge);
+          const p = clamp(probability(theta, a, b), 1e-9, 1 - 1e-9);
+          total += response.passed ? Math.log(p) : Math.log(1 - p);
+        }
+        return total;
+      });
+      const max = Math.max(...logLikelihood);
+      const weights = logLikelihood.map(value => Math.exp(value - max));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      posteriors.set(user, weights.map(weight => weight / total));
+    }
+
+    // M-step: Newton steps on (a, b) against expected counts per grid node
+    let maxChange = 0;
+    for (const [challenge, itemResponses] of byItem) {
+      const expected = nodes.map(() => 0); // n_q
+      const passes = nodes.map(() => 0);   // r_q
+      for (const response of itemResponses) {
+        const posterior = posteriors.get(response.user);
+        for (let q = 0; q < nodes.length; q++) {
+          expected[q] += posterior[q];
+          if (response.passed) passes[q] += posterior[q];
+        }
+      }
+
+      let { a, b } = items.get(challenge);
+      const start = { a, b };
+
+      for (let step = 0; step < M_STEP_ITERATIONS; step++) {
+        let gradA = -DISCRIMINATION_PRIOR * (a - 1);
+        let gradB = -DIFFICULTY_PRIOR * b;
+        let infoAA = DISCRIMINATION_PRIOR;
+        let infoBB = DIFFICULTY_PRIOR;
+        let infoAB = 0;
+
+        for (let q = 0; q < nodes.length; q++) {
+          if (expected[q] === 0) continue;
+          const p = probability(nodes[q], a, b);
+          const residual = passes[q] - expected[q] * p;
+          const weight = expected[q] * p * (1 - p);
+          const distance = nodes[q] - b;
+
+          gradA += residual * distance;
+          gradB += -a * residual;
+          infoAA += weight * distance * distance;
+          infoBB += weight * a * a;
+          infoAB += -weight * a * distance;
+        }
+
+        // Solve the 2x2 system; fall back to separate steps if near-singular
+        const determinant = infoAA * infoBB - infoAB * infoAB;
+        const stepA = determinant > 1e-8 ? (infoBB * gradA - infoAB * gradB) / determinant : gradA / infoAA;
+        const stepB = determinant > 1e-8 ? (infoAA * gradB - infoAB * gradA) / determinant : gradB / infoBB;
+
+        a = clamp(a + clamp(stepA, -0.5, 0.5), ...DISCRIMINATION_RANGE);
+        b = clamp(b + clamp(stepB, -1, 1), -DIFFICULTY_BOUND, DIFFICULTY_BOUND);
+      }
+
+      maxChange = Math.max(maxChange, Math.abs(a - start.a), Math.abs(b - start.b));
+      items.set(challenge, { a, b });
+    }
+
+    if (maxChange < tolerance) {
+      iteration++;
+      break;
+    }
+  }
+
+  // Expected-a-posteriori abilities
+  const abilities = new Map();
+  for (const [user, posterior] of posteriors) {
+    abilities.set(user, posterior.reduce((sum, weight, q) => sum + weight * nodes[q], 0));
+  }
+
+  // Standard error of difficulty from the Fisher information at the fitted abilities
+  for (const [challenge, itemResponses] of byItem) {
+    const params = items.get(challenge);
+    let information = 0;
+    for (const response of itemResponses) {
+      const p = probability(abilities.get(response.user), params.a, params.b);
+      information += params.a * params.a * p * (1 - p);
+    }
+    items.set(challenge, {
+      ...params,
+      standardError: information > 0 ? 1 / Math.sqrt(information) : null,
+      sampleSize: itemResponses.length
+    });
+  }
+
+  return { items, abilities, iterations: iteration };
+}
+
+/**
+ * Calibrate all challenges with enough history and store the results
+ * @param {Object} options - Overrides for CALIBRATION_DEFAULTS
+ * @returns {Promise<Object>} { calibrated, responses, iterations }
+ */
+async function calibrateChallenges(options = {}) {
+  const responses = await loadResponses();
+  const { items, iterations } = fitTwoParameterModel(responses, options);
+  const calibratedAt = new Date();
+
+  for (const [challengeId, params] of items) {
+    await Challenge.updateOne({ _id: challengeId }, {
+      calibration: {
+        difficulty: Math.round(params.b * 1000) / 1000,
+        discrimination: Math.round(params.a * 1000) / 1000,
+        standardError: params.standardError === null ? null : Math.round(params.standardError * 1000) / 1000,
+        sampleSize: params.sampleSize,
+        calibratedAt
+      }
+    });
+  }
+
+  return {
+    calibrated: items.size,
+    responses: responses.length,
+    iterations
+  };
+}
+
+module.exports = {
+  calibrateChallenges,
+  fitTwoParameterModel,
+  probability,
+  CALIBRATION_DEFAULTS
+};
@@ -0,0 +1,97 @@
+const { fitTwoParameterModel, probability } = require('./irtCalibration');
+
+/**
+ * Deterministic pseudo-random numbers (mulberry32), so the fit is reproducible
+ * @param {Number} seed - Seed
+ * @returns {Function} () => Number in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Simulate first attempts of candidates with standard-normal abilities
+ * @param {Object} items - challenge -> { a, b }
+ * @param {Number} users - Number of candidates
+ * @returns {Object} { responses, abilities }
+ */
+function simulateResponses(items, users) {
+  const random = seededRandom(7);
+  const responses = [];
+  const abilities = new Map();
+
+  for (let u = 0; u < users; u++) {
+    // Box-Muller
+    const theta = Math.sqrt(-2 * Math.log(random() || 1e-12)) * Math.cos(2 * Math.PI * random());
+    abilities.set(`user-${u}`, theta);
+    for (const [challenge, { a, b }] of Object.entries(items)) {
+      responses.push({ user: `user-${u}`, challenge, passed: random() < probability(theta, a, b) ? 1 : 0 });
+    }
+  }
+  return { responses, abilities };
+}
+
+describe('irtCalibration', () => {
+  describe('probability', () => {
+    it('is one half when ability equals difficulty', () => {
+      expect(probability(1.2, 1.5, 1.2)).toBeCloseTo(0.5);
+    });
+
+    it('rises with ability, faster for more discriminating items', () => {
+      expect(probability(1, 1, 0)).toBeGreaterThan(probability(0, 1, 0));
+      expect(probability(1, 2, 0)).toBeGreaterThan(probability(1, 1, 0));
+    });
+  });
+
+  describe('fitTwoParameterModel', () => {
+    const trueItems = {
+      easy: { a: 1.2, b: -1 },
+      medium: { a: 1.2, b: 0 },
+      hard: { a: 1.2, b: 1.2 },
+      expert: { a: 1.2, b: 2 }
+    };
+    const { responses, abilities: trueAbilities } = simulateResponses(trueItems, 400);
+    const fit = fitTwoParameterModel(responses);
+
+    it('recovers the difficulty of each challenge', () => {
+      for (const [challenge, { b }] of Object.entries(trueItems)) {
+        expect(Math.abs(fit.items.get(challenge).b - b)).toBeLessThan(0.4);
+      }
+    });
+
+    it('orders challenges from easiest to hardest', () => {
+      const fitted = ['easy', 'medium', 'hard', 'expert'].map(challenge => fit.items.get(challenge).b);
+
+      expect([...fitted].sort((x, y) => x - y)).toEqual(fitted);
+    });
+
+    it('reports a standard error and sample size per challenge', () => {
+      expect(fit.items.get('medium')).toMatchObject({ sampleSize: 400, standardError: expect.any(Number) });
+    });
+
+    it('places stronger candidates higher', () => {
+      const ranked = Array.from(trueAbilities.entries()).sort(([, x], [, y]) => x - y);
+      const weakest = ranked.slice(0, 50).map(([user]) => fit.abilities.get(user));
+      const strongest = ranked.slice(-50).map(([user]) => fit.abilities.get(user));
+      const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+      expect(mean(strongest)).toBeGreaterThan(mean(weakest) + 1);
+    });
+
+    it('leaves challenges with too few responses uncalibrated', () => {
+      const sparse = [
+        ...responses,
+        { user: 'user-0', challenge: 'new', passed: 1 },
+        { user: 'user-1', challenge: 'new', passed: 0 }
+      ];
+
+      expect(fitTwoParameterModel(sparse).items.has('new')).toBe(false);
+    });
+  });
+});
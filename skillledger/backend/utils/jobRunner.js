@@ -0,0 +1,293 @@
+/**
+ * Job Runner
+ * In-process scheduler for persistent background jobs (models/Job)
+ *
+ * A handler is an async function (job, context) registered per job type.
+ * It should save progress through context.reportProgress as it goes:
+ * that renews the runner's lease, records a cursor to resume from, and
+ * throws once an admin has asked for the job to be cancelled.
+ *
+ * Jobs are claimed atomically, so several API processes can run the
+ * scheduler side by side. A job whose lease expires (its process died)
+ * is claimed again and resumes from its cursor.
+ */
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const JOB_RUNNER_DEFAULTS = {
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 15000,
+  leaseMs: 5 * 60 * 1000,
+  retryDelayMs: 60 * 1000
+};
+
+const RUNNER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+let timer = null;
+let ticking = false;
+
+/**
+ * Thrown by reportProgress when a job was cancelled
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Thrown by reportProgress when another runner has taken over the job
+ */
+class JobLeaseLostError extends Error {
+  constructor() {
+    super('Job lease was lost');
+    this.name = 'JobLeaseLostError';
+  }
+}
+
+/**
+ * Register the handler for a job type
+ * @param {String} type - Job type
+ * @param {Function} handler - async (job, { reportProgress }) => result
+ */
+function registerJobHandler(type, handler) {
+  if (typeof handler !== 'function') {
+    throw new Error(`Job handler for '${type}' must be a function`);
+  }
+  handlers.set(type, handler);
+}
+
+/**
+ * List registered job types
+ * @returns {Array} Job types
+ */
+function listJobTypes() {
+  return Array.from(handlers.keys());
+}
+
+/**
+ * Queue a job
+ * @param {String} type - Job type
+ * @param {Object} params - Handler parameters
+ * @param {Object} options - { runAt, repeatEveryMs, createdBy }
+ * @returns {Promise<Object>} Job document
+ */
+async function enqueueJob(type, params = {}, options = {}) {
+  return Job.create({
+    type,
+    params,
+    runAt: options.runAt || Date.now(),
+    repeatEveryMs: options.repeatEveryMs || null,
+    createdBy: options.createdBy || null
+  });
+}
+
+/**
+ * Queue a one-off job unless one of its type is already queued or running
+ * For idempotent jobs queued at startup, such as data migrations
+ * @param {String} type - Job type
+ * @param {Object} params - Handler parameters
+ * @returns {Promise<Object>} The pending or newly queued job
+ */
+async function enqueueJobOnce(type, params = {}) {
+  const pending = await Job.findOne({ type, status: { $in: ['queued', 'running'] } });
+  return pending || enqueueJob(type, params);
+}
+
+/**
+ * Make sure a recurring job is scheduled
+ * Upserts, and the unique index on pending recurring jobs (models/Job)
+ * turns a concurrent insert into a duplicate-key error, so processes
+ * starting side by side never queue the job twice
+ * @param {String} type - Job type
+ * @param {Number} repeatEveryMs - Interval between runs
+ * @param {Object} params - Handler parameters
+ * @param {Object} options - { runAt } for a newly queued job
+ * @returns {Promise<Object>} The pending or running job
+ */
+async function ensureRecurringJob(type, repeatEveryMs, params = {}, options = {}) {
+  const pending = {
+    type,
+    repeatEveryMs: { $gt: 0 },
+    status: { $in: ['queued', 'running'] }
+  };
+
+  try {
+    return await Job.findOneAndUpdate(
+      pending,
+      {
+        $setOnInsert: {
+          params,
+          status: 'queued',
+          runAt: options.runAt || new Date(),
+          repeatEveryMs
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another process queued it first
+    if (error.code === 11000) return Job.findOne(pending);
+    throw error;
+  }
+}
+
+/**
+ * Claim the next due job, or an abandoned one whose lease expired
+ * @returns {Promise<Object|null>} Claimed job
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: listJobTypes() },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: RUNNER_ID,
+        lockedUntil: new Date(now.getTime() + JOB_RUNNER_DEFAULTS.leaseMs)
+      },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
+
+/**
+ * Run a claimed job to completion, failure or cancellation
+ * @param {Object} job - Claimed job
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const owned = { _id: job._id, lockedBy: RUNNER_ID };
+
+  if (!job.startedAt) {
+    await Job.updateOne(owned, { $set: { startedAt: Date.now() } });
+  }
+
+  const context = {
+    /**
+     * Save progress and renew the lease
+     * @param {Object} update - { total, processed, failed, cursor } (any subset)
+     */
+    async reportProgress(update = {}) {
+      const $set = { lockedUntil: new Date(Date.now() + JOB_RUNNER_DEFAULTS.leaseMs) };
+      for (const field of ['total', 'processed', 'failed']) {
+        if (update[field] !== undefined) $set[`progress.${field}`] = update[field];
+      }
+      if (update.cursor !== undefined) $set.cursor = update.cursor;
+
+      const current = await Job.findOneAndUpdate(owned, { $set }, { new: true }).select('cancelRequested');
+      if (!current) throw new JobLeaseLostError();
+      if (current.cancelRequested) throw new JobCancelledError();
+    }
+  };
+
+  let finished;
+  try {
+    // Renews the lease, and stops a job cancelled while it waited
+    await context.reportProgress();
+
+    const result = await handler(job, context);
+    finished = { status: 'completed', result: result === undefined ? null : result, lastError: null };
+  } catch (error) {
+    if (error instanceof JobLeaseLostError) return;
+
+    if (error instanceof JobCancelledError) {
+      finished = { status: 'cancelled' };
+    } else if (job.attempts < job.maxAttempts) {
+      // Retry later from the saved cursor
+      console.error(`Job ${job.type} (${job._id}) error:`, error);
+      await Job.updateOne(owned, {
+        $set: {
+          status: 'queued',
+          runAt: new Date(Date.now() + JOB_RUNNER_DEFAULTS.retryDelayMs * job.attempts),
+          lockedBy: null,
+          lockedUntil: null,
+          lastError: error.message
+        }
+      });
+      return;
+    } else {
+      console.error(`Job ${job.type} (${job._id}) failed:`, error);
+      finished = { status: 'failed', lastError: error.message };
+    }
+  }
+
+  await Job.updateOne(owned, {
+    $set: {
+      ...finished,
+      finishedAt: Date.now(),
+      lockedBy: null,
+      lockedUntil: null
+    }
+  });
+
+  // Recurring jobs queue their next run unless an admin cancelled them
+  if (job.repeatEveryMs && finished.status !== 'cancelled') {
+    await ensureRecurringJob(job.type, job.repeatEveryMs, job.params, {
+      runAt: new Date(Date.now() + job.repeatEveryMs)
+    });
+  }
+}
+
+/**
+ * Run every due job, one at a time
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    let job;
+    while ((job = await claimNextJob())) {
+      await runJob(job);
+    }
+  } catch (error) {
+    console.error('Job runner error:', error);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start polling for jobs
+ * @param {Object} options - { pollIntervalMs }
+ */
+function startJobRunner(options = {}) {
+  if (timer) return;
+
+  const pollIntervalMs = options.pollIntervalMs || JOB_RUNNER_DEFAULTS.pollIntervalMs;
+  timer = setInterval(tick, pollIntervalMs);
+  timer.unref();
+  tick();
+}
+
+/**
+ * Stop polling (jobs already claimed run to the end)
+ */
+function stopJobRunner() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  listJobTypes,
+  enqueueJob,
+  enqueueJobOnce,
+  ensureRecurringJob,
+  startJobRunner,
+  stopJobRunner,
+  JobCancelledError,
+  JOB_RUNNER_DEFAULTS
+};
@@ -0,0 +1,182 @@
+const Job = require('../models/Job');
+const {
+  registerJobHandler,
+  listJobTypes,
+  enqueueJobOnce,
+  ensureRecurringJob,
+  startJobRunner,
+  stopJobRunner
+} = require('./jobRunner');
+
+// Lets the runner's pending promise chain finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('jobRunner', () => {
+  afterEach(() => {
+    stopJobRunner();
+    jest.restoreAllMocks();
+  });
+
+  describe('registerJobHandler', () => {
+    it('requires a function', () => {
+      expect(() => registerJobHandler('test-invalid', null)).toThrow("Job handler for 'test-invalid' must be a function");
+    });
+
+    it('lists registered job types', () => {
+      registerJobHandler('test-listed', async () => {});
+
+      expect(listJobTypes()).toContain('test-listed');
+    });
+  });
+
+  describe('enqueueJobOnce', () => {
+    it('queues the job when none is pending', async () => {
+      jest.spyOn(Job, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Job, 'create').mockImplementation(async fields => fields);
+
+      await expect(enqueueJobOnce('migrate', { dryRun: false })).resolves.toMatchObject({ type: 'migrate', params: { dryRun: false } });
+      expect(Job.findOne).toHaveBeenCalledWith({ type: 'migrate', status: { $in: ['queued', 'running'] } });
+      expect(create).toHaveBeenCalled();
+    });
+
+    it('returns the pending job instead of queuing another', async () => {
+      const pending = { _id: 'pending' };
+      jest.spyOn(Job, 'findOne').mockResolvedValue(pending);
+      const create = jest.spyOn(Job, 'create');
+
+      await expect(enqueueJobOnce('migrate')).resolves.toBe(pending);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ensureRecurringJob', () => {
+    const pending = { type: 'recalculate', repeatEveryMs: { $gt: 0 }, status: { $in: ['queued', 'running'] } };
+
+    it('queues the job unless one is already pending', async () => {
+      const job = { _id: 'job' };
+      const findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+      const runAt = new Date('2026-01-01T00:00:00Z');
+
+      await expect(ensureRecurringJob('recalculate', 60000, { batch: 10 }, { runAt })).resolves.toBe(job);
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        pending,
+        { $setOnInsert: { params: { batch: 10 }, status: 'queued', runAt, repeatEveryMs: 60000 } },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+    });
+
+    it('returns the job another process queued first', async () => {
+      const existing = { _id: 'existing' };
+      jest.spyOn(Job, 'findOneAndUpdate').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+      const findOne = jest.spyOn(Job, 'findOne').mockResolvedValue(existing);
+
+      await expect(ensureRecurringJob('recalculate', 60000)).resolves.toBe(existing);
+      expect(findOne).toHaveBeenCalledWith(pending);
+    });
+
+    it('rethrows other errors', async () => {
+      jest.spyOn(Job, 'findOneAndUpdate').mockRejectedValue(new Error('Connection lost'));
+
+      await expect(ensureRecurringJob('recalculate', 60000)).rejects.toThrow('Connection lost');
+    });
+  });
+
+  describe('running jobs', () => {
+    const job = overrides => ({
+      _id: 'job',
+      type: 'test-run',
+      params: { batch: 5 },
+      attempts: 1,
+      maxAttempts: 3,
+      repeatEveryMs: null,
+      startedAt: new Date(),
+      ...overrides
+    });
+
+    // Claims `claimed` once, then answers progress reports and re-scheduling
+    const mockJobQueries = (claimed, { cancelRequested = false } = {}) => {
+      let claims = 0;
+      const findOneAndUpdate = jest.spyOn(Job, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        if (update.$inc) return Promise.resolve(claims++ === 0 ? claimed : null);
+        if (update.$setOnInsert) return Promise.resolve({ _id: 'next' });
+        // A progress report
+        return { select: async () => ({ cancelRequested }) };
+      });
+      const updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({});
+      return { findOneAndUpdate, updateOne };
+    };
+
+    it('completes a job with its result and queues the next run of a recurring job', async () => {
+      const handler = jest.fn(async (claimed, { reportProgress }) => {
+        await reportProgress({ total: 2, processed: 2, cursor: 'last' });
+        return { updated: 2 };
+      });
+      registerJobHandler('test-run', handler);
+      const { findOneAndUpdate, updateOne } = mockJobQueries(job({ repeatEveryMs: 60000 }));
+
+      startJobRunner();
+      await settle();
+
+      expect(handler).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job' }), expect.any(Object));
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'job', lockedBy: expect.any(String) },
+        { $set: expect.objectContaining({ 'progress.total': 2, 'progress.processed': 2, cursor: 'last' }) },
+        { new: true }
+      );
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: 'job', lockedBy: expect.any(String) },
+        { $set: expect.objectContaining({ status: 'completed', result: { updated: 2 }, lockedBy: null }) }
+      );
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'test-run' }),
+        { $setOnInsert: expect.objectContaining({ params: { batch: 5 }, repeatEveryMs: 60000, runAt: expect.any(Date) }) },
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    it('queues a failed job for a retry while attempts remain', async () => {
+      registerJobHandler('test-run', async () => {
+        throw new Error('Temporary failure');
+      });
+      const { updateOne } = mockJobQueries(job());
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      startJobRunner();
+      await settle();
+
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ status: 'queued', lastError: 'Temporary failure', runAt: expect.any(Date) }) }
+      );
+    });
+
+    it('fails a job on its last attempt', async () => {
+      registerJobHandler('test-run', async () => {
+        throw new Error('Permanent failure');
+      });
+      const { updateOne } = mockJobQueries(job({ attempts: 3 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      startJobRunner();
+      await settle();
+
+      expect(updateOne).toHaveBeenCalledWith(
+        expect.any(Object),
+        { $set: expect.objectContaining({ status: 'failed', lastError: 'Permanent failure' }) }
+      );
+    });
+
+    it('stops a cancelled job without queuing its next run', async () => {
+      const handler = jest.fn();
+      registerJobHandler('test-run', handler);
+      const { findOneAndUpdate, updateOne } = mockJobQueries(job({ repeatEveryMs: 60000 }), { cancelRequested: true });
+
+      startJobRunner();
+      await settle();
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(updateOne).toHaveBeenCalledWith(expect.any(Object), { $set: expect.objectContaining({ status: 'cancelled' }) });
+      expect(findOneAndUpdate).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ $setOnInsert: expect.anything() }), expect.anything());
+    });
+  });
+});
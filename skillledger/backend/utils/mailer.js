@@ -0,0 +1,73 @@
+/**
+ * Mailer
+ * Sends transactional email through a configurable transport
+ *
+ * - webhook: POSTs { from, to, subject, text } as JSON to MAIL_WEBHOOK_URL,
+ *   for a mail relay or provider API
+ * - log: writes the message to the server log, for development
+ *
+ * The transport is MAIL_TRANSPORT, else webhook when MAIL_WEBHOOK_URL is
+ * set, else log in development. Logged mail includes invite tokens, so
+ * anywhere else sending fails until a transport is configured.
+ */
+
+const MAIL_DEFAULTS = {
+  transport: process.env.MAIL_TRANSPORT || defaultTransport(),
+  webhookUrl: process.env.MAIL_WEBHOOK_URL || null,
+  from: process.env.MAIL_FROM || 'SkillLedger <no-reply@skillledger.local>',
+  timeoutMs: 10000
+};
+
+/**
+ * Transport to use when MAIL_TRANSPORT is not set
+ * @returns {String|null} Transport name, or null when none is configured
+ */
+function defaultTransport() {
+  if (process.env.MAIL_WEBHOOK_URL) return 'webhook';
+  return process.env.NODE_ENV === 'development' ? 'log' : null;
+}
+
+const transports = {
+  async webhook(message) {
+    if (!MAIL_DEFAULTS.webhookUrl) {
+      throw new Error('MAIL_WEBHOOK_URL is not set');
+    }
+
+    const response = await fetch(MAIL_DEFAULTS.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(MAIL_DEFAULTS.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Mail webhook responded with ${response.status}`);
+    }
+  },
+
+  async log(message) {
+    console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+/**
+ * Send an email
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>} Rejects when the transport fails
+ */
+async function sendMail({ to, subject, text }) {
+  if (!MAIL_DEFAULTS.transport) {
+    throw new Error('No mail transport is configured; set MAIL_WEBHOOK_URL or MAIL_TRANSPORT');
+  }
+
+  const transport = transports[MAIL_DEFAULTS.transport];
+  if (!transport) {
+    throw new Error(`Unknown mail transport '${MAIL_DEFAULTS.transport}'`);
+  }
+
+  await transport({ from: MAIL_DEFAULTS.from, to, subject, text });
+}
+
+module.exports = {
+  sendMail,
+  MAIL_DEFAULTS
+};
@@ -0,0 +1,119 @@
+const http = require('http');
+const { sendMail, MAIL_DEFAULTS } = require('./mailer');
+
+describe('mailer', () => {
+  const original = { ...MAIL_DEFAULTS };
+  const message = { to: 'sam@example.com', subject: 'Endorsement request', text: 'Please endorse me' };
+
+  afterEach(() => {
+    Object.assign(MAIL_DEFAULTS, original);
+    jest.restoreAllMocks();
+  });
+
+  describe('log transport', () => {
+    it('writes the message to the server log', async () => {
+      MAIL_DEFAULTS.transport = 'log';
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await sendMail(message);
+
+      expect(log).toHaveBeenCalledWith('Mail to sam@example.com: Endorsement request\nPlease endorse me');
+    });
+  });
+
+  describe('webhook transport', () => {
+    let server;
+    let baseUrl;
+    let received;
+    let status;
+
+    beforeAll(done => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received = { method: req.method, contentType: req.headers['content-type'], body: JSON.parse(body) };
+          res.writeHead(status);
+          res.end();
+        });
+      });
+      server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+
+    afterAll(done => {
+      server.close(done);
+    });
+
+    beforeEach(() => {
+      received = null;
+      status = 202;
+      MAIL_DEFAULTS.transport = 'webhook';
+      MAIL_DEFAULTS.webhookUrl = `${baseUrl}/send`;
+    });
+
+    it('posts the message with the sender as JSON', async () => {
+      await sendMail(message);
+
+      expect(received).toEqual({
+        method: 'POST',
+        contentType: 'application/json',
+        body: { from: MAIL_DEFAULTS.from, ...message }
+      });
+    });
+
+    it('rejects when the relay does not accept the message', async () => {
+      status = 503;
+
+      await expect(sendMail(message)).rejects.toThrow('Mail webhook responded with 503');
+    });
+
+    it('rejects without a webhook URL', async () => {
+      MAIL_DEFAULTS.webhookUrl = null;
+
+      await expect(sendMail(message)).rejects.toThrow('MAIL_WEBHOOK_URL is not set');
+    });
+  });
+
+  it('rejects unknown transports', async () => {
+    MAIL_DEFAULTS.transport = 'pigeon';
+
+    await expect(sendMail(message)).rejects.toThrow("Unknown mail transport 'pigeon'");
+  });
+
+  it('rejects when no transport is configured', async () => {
+    MAIL_DEFAULTS.transport = null;
+
+    await expect(sendMail(message)).rejects.toThrow('No mail transport is configured');
+  });
+
+  describe('default transport', () => {
+    const env = { ...process.env };
+    const defaultsWith = variables => {
+      delete process.env.MAIL_TRANSPORT;
+      delete process.env.MAIL_WEBHOOK_URL;
+      Object.assign(process.env, variables);
+      let defaults;
+      jest.isolateModules(() => {
+        defaults = require('./mailer').MAIL_DEFAULTS;
+      });
+      return defaults;
+    };
+
+    afterEach(() => {
+      process.env = { ...env };
+    });
+
+    it('uses the webhook when a URL is set', () => {
+      expect(defaultsWith({ MAIL_WEBHOOK_URL: 'https://relay.example.com' }).transport).toBe('webhook');
+    });
+
+    it('only logs mail in development', () => {
+      expect(defaultsWith({ NODE_ENV: 'development' }).transport).toBe('log');
+      expect(defaultsWith({ NODE_ENV: 'production' }).transport).toBeNull();
+      expect(defaultsWith({ NODE_ENV: 'production', MAIL_TRANSPORT: 'log' }).transport).toBe('log');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Rubric Scoring
+ * Scores a submission against a challenge's verification criteria
+ *
+ * Criteria with autoVerify take the auto-grading score unless the reviewer
+ * overrides them; every other criterion needs a reviewer score. Challenges
+ * without criteria are scored on a single "Overall" criterion.
+ */
+
+const OVERALL_CRITERION = 'Overall';
+
+/**
+ * Get the criteria a submission is scored against
+ * @param {Object} challenge - Challenge document
+ * @returns {Array} Criteria with criterion, weight and autoVerify
+ */
+function getCriteria(challenge) {
+  if (!challenge.verificationCriteria || challenge.verificationCriteria.length === 0) {
+    return [{ criterion: OVERALL_CRITERION, weight: 1, autoVerify: false }];
+  }
+  return challenge.verificationCriteria.map(({ criterion, weight, autoVerify }) => ({
+    criterion,
+    weight: weight === undefined ? 1 : weight,
+    autoVerify
+  }));
+}
+
+/**
+ * Score a submission against the challenge rubric
+ * @param {Object} challenge - Challenge document
+ * @param {Object} submission - Submission document
+ * @param {Array} rubric - Reviewer scores: [{ criterion, score, comment }]
+ * @returns {Object} { score, rubricScores, missing }
+ */
+function scoreRubric(challenge, submission, rubric = []) {
+  const autoScore = submission.autoGradingResults ? submission.autoGradingResults.score : null;
+  const rubricScores = [];
+  const missing = [];
+
+  for (const { criterion, weight, autoVerify } of getCriteria(challenge)) {
+    const given = rubric.find(entry => entry.criterion === criterion);
+
+    if (given) {
+      rubricScores.push({
+        criterion,
+        weight,
+        score: Math.max(0, Math.min(100, Number(given.score))),
+        source: 'reviewer',
+        comment: given.comment || ''
+      });
+    } else if (autoVerify && autoScore !== null) {
+      rubricScores.push({ criterion, weight, score: autoScore, source: 'auto', comment: '' });
+    } else {
+      missing.push(criterion);
+    }
+  }
+
+  // Fall back to equal weights if every criterion is weighted 0
+  const totalWeight = rubricScores.reduce((sum, entry) => sum + entry.weight, 0);
+  const score = rubricScores.length === 0
+    ? 0
+    : totalWeight > 0
+      ? rubricScores.reduce((sum, entry) => sum + entry.score * entry.weight, 0) / totalWeight
+      : rubricScores.reduce((sum, entry) => sum + entry.score, 0) / rubricScores.length;
+
+  return {
+    score: Math.round(score),
+    rubricScores,
+    missing
+  };
+}
+
+module.exports = {
+  scoreRubric,
+  getCriteria,
+  OVERALL_CRITERION
+};
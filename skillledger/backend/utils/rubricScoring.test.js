@@ -0,0 +1,66 @@
+const { scoreRubric, getCriteria, OVERALL_CRITERION } = require('./rubricScoring');
+
+describe('rubricScoring', () => {
+  const challenge = {
+    verificationCriteria: [
+      { criterion: 'Correctness', weight: 3, autoVerify: true },
+      { criterion: 'Readability', weight: 1, autoVerify: false }
+    ]
+  };
+
+  describe('getCriteria', () => {
+    it('scores challenges without criteria on a single overall criterion', () => {
+      expect(getCriteria({ verificationCriteria: [] })).toEqual([
+        { criterion: OVERALL_CRITERION, weight: 1, autoVerify: false }
+      ]);
+    });
+
+    it('defaults missing weights to 1', () => {
+      expect(getCriteria({ verificationCriteria: [{ criterion: 'Design' }] })[0].weight).toBe(1);
+    });
+  });
+
+  describe('scoreRubric', () => {
+    it('weights reviewer scores by criterion', () => {
+      const result = scoreRubric(challenge, {}, [
+        { criterion: 'Correctness', score: 80 },
+        { criterion: 'Readability', score: 40, comment: 'Long functions' }
+      ]);
+
+      expect(result.score).toBe(70);
+      expect(result.missing).toEqual([]);
+      expect(result.rubricScores[1]).toMatchObject({ source: 'reviewer', comment: 'Long functions' });
+    });
+
+    it('takes the auto-grading score for autoVerify criteria the reviewer skipped', () => {
+      const result = scoreRubric(challenge, { autoGradingResults: { score: 100 } }, [
+        { criterion: 'Readability', score: 60 }
+      ]);
+
+      expect(result.rubricScores[0]).toMatchObject({ criterion: 'Correctness', score: 100, source: 'auto' });
+      expect(result.score).toBe(90);
+    });
+
+    it('reports criteria that still need a reviewer score', () => {
+      const result = scoreRubric(challenge, {}, [{ criterion: 'Readability', score: 60 }]);
+
+      expect(result.missing).toEqual(['Correctness']);
+    });
+
+    it('clamps reviewer scores to 0-100', () => {
+      const result = scoreRubric({}, {}, [{ criterion: OVERALL_CRITERION, score: 150 }]);
+
+      expect(result.score).toBe(100);
+    });
+
+    it('falls back to equal weights when every criterion weighs 0', () => {
+      const zeroWeights = {
+        verificationCriteria: [{ criterion: 'A', weight: 0 }, { criterion: 'B', weight: 0 }]
+      };
+
+      const result = scoreRubric(zeroWeights, {}, [{ criterion: 'A', score: 50 }, { criterion: 'B', score: 100 }]);
+
+      expect(result.score).toBe(75);
+    });
+  });
+});
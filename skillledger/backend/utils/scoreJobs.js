@@ -0,0 +1,90 @@
+/**
+ * Score Jobs
+ * Background jobs that recalculate credibility scores
+ *
+ * - recompute-scores: recalculates every user with skills, in _id order,
+ *   so time decay applies to dormant profiles too. Runs on a schedule
+ *   (DECAY_JOB_INTERVAL_HOURS, default 24) and can be queued by admins.
+ *   Each batch is scored with one set of queries (see recalculateScores);
+ *   if that fails the batch is retried user by user so one bad profile
+ *   can't fail the rest.
+ */
+
+const User = require('../models/User');
+const { registerJobHandler, ensureRecurringJob } = require('./jobRunner');
+const { recalculateScores, updateAllSkillScores } = require('./skillScoring');
+
+const RECOMPUTE_JOB = 'recompute-scores';
+
+const SCORE_JOB_DEFAULTS = {
+  intervalHours: parseFloat(process.env.DECAY_JOB_INTERVAL_HOURS) || 24,
+  batchSize: 100
+};
+
+/**
+ * Recalculate all users' scores, resuming after job.cursor
+ * @param {Object} job - Job document ({ params: { trigger } })
+ * @param {Object} context - { reportProgress }
+ * @returns {Promise<Object>} { processed, failed }
+ */
+async function recomputeAllScores(job, { reportProgress }) {
+  const query = { 'skills.0': { $exists: true } };
+  const trigger = (job.params && job.params.trigger) || 'decay-job';
+
+  let { processed, failed, total } = job.progress;
+  let cursor = job.cursor;
+
+  if (total === null || total === undefined) {
+    total = await User.countDocuments(query);
+    await reportProgress({ total });
+  }
+
+  for (;;) {
+    const users = await User.find(cursor ? { ...query, _id: { $gt: cursor } } : query)
+      .select('_id')
+      .sort({ _id: 1 })
+      .limit(SCORE_JOB_DEFAULTS.batchSize)
+      .lean();
+    if (users.length === 0) break;
+
+    try {
+      await recalculateScores(users.map(user => user._id), trigger);
+      processed += users.length;
+    } catch (batchError) {
+      console.error('Recompute scores batch error, retrying per user:', batchError);
+      for (const user of users) {
+        try {
+          await updateAllSkillScores(user._id, trigger);
+          processed += 1;
+        } catch (error) {
+          console.error(`Recompute scores error for user ${user._id}:`, error);
+          failed += 1;
+        }
+      }
+    }
+
+    cursor = users[users.length - 1]._id;
+    await reportProgress({ processed, failed, cursor });
+  }
+
+  return { processed, failed };
+}
+
+/**
+ * Register score job handlers and schedule the recurring decay run
+ */
+async function setupScoreJobs() {
+  registerJobHandler(RECOMPUTE_JOB, recomputeAllScores);
+  await ensureRecurringJob(
+    RECOMPUTE_JOB,
+    SCORE_JOB_DEFAULTS.intervalHours * 60 * 60 * 1000,
+    { trigger: 'decay-job' }
+  );
+}
+
+module.exports = {
+  setupScoreJobs,
+  recomputeAllScores,
+  RECOMPUTE_JOB,
+  SCORE_JOB_DEFAULTS
+};
@@ -0,0 +1,265 @@
+/**
+ * Scoring Simulation
+ * Recomputes credibility scores under a candidate scoring policy without
+ * saving anything, and reports how they would move
+ *
+ * Current and simulated scores are both computed from the same evidence
+ * at the same moment, so the differences come from the policy alone and
+ * not from decay since the stored scores were last recalculated.
+ */
+
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const { loadScoringEvidence, scoreSkillCredibility } = require('./skillScoring');
+
+const SIMULATION_DEFAULTS = {
+  sampleSize: 500,
+  maxSampleSize: 5000,
+  batchSize: 100,
+  mostAffected: 10
+};
+
+// Histogram buckets: 0-9, 10-19, ..., 90-100
+const BUCKET_SIZE = 10;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Simulate a scoring policy over a sample of users, or all of them
+ * @param {Object} policy - { weights, blend, decay, difficultyMultipliers }
+ * @param {Object} options - { categories, all, sampleSize, limit }; without
+ *   categories the policy applies to every skill, otherwise only to skills
+ *   in those categories
+ * @returns {Promise<Object>} { users, skills, distribution, verification, ranks, mostAffected }
+ */
+async function simulateScoringPolicy(policy, options = {}) {
+  const {
+    categories = null,
+    all = false,
+    sampleSize = SIMULATION_DEFAULTS.sampleSize,
+    limit = SIMULATION_DEFAULTS.mostAffected
+  } = options;
+
+  const userIds = await selectUsers(all, Math.min(sampleSize, SIMULATION_DEFAULTS.maxSampleSize));
+  const now = Date.now();
+  const outcomes = [];
+
+  for (let i = 0; i < userIds.length; i += SIMULATION_DEFAULTS.batchSize) {
+    const evidence = await loadScoringEvidence(userIds.slice(i, i + SIMULATION_DEFAULTS.batchSize));
+    for (const entry of evidence.values()) {
+      outcomes.push(simulateUser(entry, policy, categories, now));
+    }
+  }
+
+  const skillOutcomes = outcomes.flatMap(outcome => outcome.skills);
+  const currentRanks = rankScores(outcomes.map(outcome => outcome.current));
+  const simulatedRanks = rankScores(outcomes.map(outcome => outcome.simulated));
+  outcomes.forEach((outcome, index) => {
+    outcome.currentRank = currentRanks[index];
+    outcome.simulatedRank = simulatedRanks[index];
+    outcome.rankShift = currentRanks[index] - simulatedRanks[index];
+  });
+
+  const rankShifts = outcomes.map(outcome => Math.abs(outcome.rankShift));
+
+  return {
+    users: outcomes.length,
+    skills: skillOutcomes.length,
+    sampled: !all,
+    distribution: {
+      overall: compareDistributions(outcomes),
+      skills: compareDistributions(skillOutcomes)
+    },
+    verification: {
+      gained: skillOutcomes.filter(skill => !skill.currentVerified && skill.simulatedVerified).length,
+      lost: skillOutcomes.filter(skill => skill.currentVerified && !skill.simulatedVerified).length
+    },
+    ranks: {
+      moved: rankShifts.filter(shift => shift > 0).length,
+      up: outcomes.filter(outcome => outcome.rankShift > 0).length,
+      down: outcomes.filter(outcome => outcome.rankShift < 0).length,
+      meanAbsoluteShift: rankShifts.length > 0 ? round(rankShifts.reduce((sum, shift) => sum + shift, 0) / rankShifts.length) : 0,
+      maxShift: rankShifts.length > 0 ? Math.max(...rankShifts) : 0
+    },
+    mostAffected: await describeMostAffected(outcomes, limit)
+  };
+}
+
+/**
+ * Pick the users to simulate, all with at least one skill
+ * @param {Boolean} all - Every user instead of a random sample
+ * @param {Number} sampleSize - Sample size
+ * @returns {Promise<Array>} User IDs
+ */
+async function selectUsers(all, sampleSize) {
+  const query = { 'skills.0': { $exists: true } };
+
+  const users = all
+    ? await User.find(query).select('_id').sort({ _id: 1 }).lean()
+    : await User.aggregate([
+      { $match: query },
+      { $sample: { size: sampleSize } },
+      { $project: { _id: 1 } }
+    ]);
+
+  return users.map(user => user._id);
+}
+
+/**
+ * Score one user's skills under the current and the candidate policy
+ * @param {Object} evidence - One user's evidence from loadScoringEvidence
+ * @param {Object} policy - Candidate policy
+ * @param {Array|null} categories - Categories the candidate applies to
+ * @param {Number} now - Reference time
+ * @returns {Object} { user, current, simulated, delta, skills: [...] }
+ */
+function simulateUser(evidence, policy, categories, now) {
+  const skills = [];
+  const scores = new Map();
+
+  for (const [skillId, userSkill] of evidence.skills) {
+    const category = evidence.categories.get(skillId);
+    const current = scoreSkillCredibility(evidence, skillId, null, now);
+    const simulated = !categories || categories.includes(category)
+      ? scoreSkillCredibility(evidence, skillId, policy, now)
+      : current;
+
+    scores.set(skillId, { current: current.totalScore, simulated: simulated.totalScore });
+    skills.push({
+      skill: userSkill.skill,
+      category,
+      current: current.totalScore,
+      simulated: simulated.totalScore,
+      delta: simulated.totalScore - current.totalScore,
+      currentVerified: current.isVerified,
+      simulatedVerified: simulated.isVerified
+    });
+  }
+
+  // Overall score as User.computeCredibilityScore would store it
+  const overall = side => User.computeCredibilityScore(evidence.user.skills.map(userSkill => ({
+    proficiencyLevel: userSkill.proficiencyLevel,
+    yearsOfExperience: userSkill.yearsOfExperience,
+    credibilityScore: scores.get(userSkill.skill.toString())[side]
+  })));
+  const current = overall('current');
+  const simulated = overall('simulated');
+
+  return {
+    user: evidence.user._id,
+    current,
+    simulated,
+    delta: simulated - current,
+    skills
+  };
+}
+
+/**
+ * Rank scores highest first; ties share a rank (1, 2, 2, 4)
+ * @param {Array} scores - Scores
+ * @returns {Array} Rank for each score, in the same order
+ */
+function rankScores(scores) {
+  const sorted = [...scores].sort((a, b) => b - a);
+  const firstRank = new Map();
+  sorted.forEach((score, index) => {
+    if (!firstRank.has(score)) firstRank.set(score, index + 1);
+  });
+  return scores.map(score => firstRank.get(score));
+}
+
+/**
+ * Summarise current and simulated scores side by side
+ * @param {Array} items - [{ current, simulated, delta }]
+ * @returns {Object} { current, simulated, meanShift, increased, decreased, unchanged }
+ */
+function compareDistributions(items) {
+  return {
+    current: summarize(items.map(item => item.current)),
+    simulated: summarize(items.map(item => item.simulated)),
+    meanShift: items.length > 0 ? round(items.reduce((sum, item) => sum + item.delta, 0) / items.length) : 0,
+    increased: items.filter(item => item.delta > 0).length,
+    decreased: items.filter(item => item.delta < 0).length,
+    unchanged: items.filter(item => item.delta === 0).length
+  };
+}
+
+/**
+ * Distribution summary of 0-100 scores
+ * @param {Array} values - Scores
+ * @returns {Object} { mean, median, p10, p90, min, max, histogram: [{ range, count }] }
+ */
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted.length > 0
+    ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+    : null;
+
+  const histogram = [];
+  for (let low = 0; low < 100; low += BUCKET_SIZE) {
+    const high = low + BUCKET_SIZE >= 100 ? 100 : low + BUCKET_SIZE - 1;
+    histogram.push({
+      range: `${low}-${high}`,
+      count: sorted.filter(value => value >= low && value <= high).length
+    });
+  }
+
+  return {
+    mean: sorted.length > 0 ? round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+    median: percentile(0.5),
+    p10: percentile(0.1),
+    p90: percentile(0.9),
+    min: sorted.length > 0 ? sorted[0] : null,
+    max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+    histogram
+  };
+}
+
+/**
+ * The users whose overall score moves most, with their skill changes
+ * @param {Array} outcomes - Simulated users
+ * @param {Number} limit - Users to return
+ * @returns {Promise<Array>} Most affected users, largest move first
+ */
+async function describeMostAffected(outcomes, limit) {
+  const affected = outcomes
+    .filter(outcome => outcome.delta !== 0 || outcome.rankShift !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || Math.abs(b.rankShift) - Math.abs(a.rankShift))
+    .slice(0, limit);
+  if (affected.length === 0) return [];
+
+  const skillIds = [...new Set(affected.flatMap(outcome => outcome.skills.map(skill => skill.skill.toString())))];
+  const users = await User.find({ _id: { $in: affected.map(outcome => outcome.user) } })
+    .select('email profile.firstName profile.lastName')
+    .lean();
+  const skills = await Skill.find({ _id: { $in: skillIds } }).select('name').lean();
+
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+  const skillNames = new Map(skills.map(skill => [skill._id.toString(), skill.name]));
+
+  return affected.map(outcome => {
+    const user = usersById.get(outcome.user.toString());
+    return {
+      user: {
+        _id: outcome.user,
+        name: user ? `${user.profile.firstName} ${user.profile.lastName}` : null,
+        email: user ? user.email : null
+      },
+      current: outcome.current,
+      simulated: outcome.simulated,
+      delta: outcome.delta,
+      currentRank: outcome.currentRank,
+      simulatedRank: outcome.simulatedRank,
+      rankShift: outcome.rankShift,
+      skills: outcome.skills
+        .filter(skill => skill.delta !== 0 || skill.currentVerified !== skill.simulatedVerified)
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+        .map(skill => ({ ...skill, name: skillNames.get(skill.skill.toString()) || null }))
+    };
+  });
+}
+
+module.exports = {
+  simulateScoringPolicy,
+  SIMULATION_DEFAULTS
+};
@@ -0,0 +1,130 @@
+jest.mock('./skillScoring', () => ({
+  loadScoringEvidence: jest.fn(),
+  scoreSkillCredibility: jest.fn()
+}));
+
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const { loadScoringEvidence, scoreSkillCredibility } = require('./skillScoring');
+const { simulateScoringPolicy, SIMULATION_DEFAULTS } = require('./scoringSimulation');
+
+describe('scoringSimulation', () => {
+  const policy = { name: 'simulation' };
+
+  // Skill scores per 'user:skill' under the current and the candidate policy
+  const CURRENT = { 'ada:js': 80, 'ben:js': 40, 'cy:writing': 50 };
+  const SIMULATED = { 'ada:js': 60, 'ben:js': 70, 'cy:writing': 90 };
+  const CATEGORIES = { js: 'technical', writing: 'creative' };
+
+  const evidenceFor = (user, skill) => ({
+    user: { _id: user, skills: [{ skill, proficiencyLevel: 5, yearsOfExperience: 0 }] },
+    skills: new Map([[skill, { skill }]]),
+    categories: new Map([[skill, CATEGORIES[skill]]])
+  });
+
+  const simulate = options => simulateScoringPolicy(policy, options);
+
+  beforeEach(() => {
+    loadScoringEvidence.mockResolvedValue(new Map([
+      ['ada', evidenceFor('ada', 'js')],
+      ['ben', evidenceFor('ben', 'js')],
+      ['cy', evidenceFor('cy', 'writing')]
+    ]));
+    scoreSkillCredibility.mockImplementation((evidence, skillId, profile) => {
+      const totalScore = (profile ? SIMULATED : CURRENT)[`${evidence.user._id}:${skillId}`];
+      return { totalScore, isVerified: totalScore >= 50 };
+    });
+    jest.spyOn(User, 'aggregate').mockResolvedValue([{ _id: 'ada' }, { _id: 'ben' }, { _id: 'cy' }]);
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: () => ({
+        lean: async () => [
+          { _id: 'ada', email: 'ada@example.com', profile: { firstName: 'Ada', lastName: 'Park' } },
+          { _id: 'ben', email: 'ben@example.com', profile: { firstName: 'Ben', lastName: 'Ito' } }
+        ]
+      })
+    });
+    jest.spyOn(Skill, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: 'js', name: 'JavaScript' }, { _id: 'writing', name: 'Writing' }] })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it('compares current and simulated scores from the same evidence', async () => {
+    const simulation = await simulate({ categories: ['technical'] });
+
+    expect(simulation).toMatchObject({ users: 3, skills: 3, sampled: true });
+    expect(simulation.distribution.overall).toMatchObject({
+      current: { mean: 56.67, median: 50, min: 40, max: 80 },
+      simulated: { mean: 60, min: 50, max: 70 },
+      meanShift: 3.33,
+      increased: 1,
+      decreased: 1,
+      unchanged: 1
+    });
+    expect(simulation.distribution.overall.current.histogram.find(bucket => bucket.range === '80-89').count).toBe(1);
+    expect(simulation.verification).toEqual({ gained: 1, lost: 0 });
+  });
+
+  it('only applies the candidate policy to the given categories', async () => {
+    await simulate({ categories: ['technical'] });
+
+    const simulatedSkills = scoreSkillCredibility.mock.calls
+      .filter(([, , profile]) => profile === policy)
+      .map(([, skillId]) => skillId);
+    expect(simulatedSkills).toEqual(['js', 'js']);
+  });
+
+  it('applies the policy to every skill without categories', async () => {
+    const simulation = await simulate();
+
+    expect(simulation.distribution.skills.simulated.max).toBe(90);
+  });
+
+  it('reports rank changes, with ties sharing a rank', async () => {
+    const simulation = await simulate({ categories: ['technical'] });
+
+    expect(simulation.ranks).toEqual({ moved: 3, up: 1, down: 2, meanAbsoluteShift: 1.33, maxShift: 2 });
+  });
+
+  it('lists the most affected users, largest move first', async () => {
+    const simulation = await simulate({ categories: ['technical'], limit: 2 });
+
+    expect(simulation.mostAffected).toEqual([
+      expect.objectContaining({
+        user: { _id: 'ben', name: 'Ben Ito', email: 'ben@example.com' },
+        current: 40,
+        simulated: 70,
+        currentRank: 3,
+        simulatedRank: 1,
+        rankShift: 2,
+        skills: [expect.objectContaining({ name: 'JavaScript', delta: 30, simulatedVerified: true })]
+      }),
+      expect.objectContaining({ user: expect.objectContaining({ name: 'Ada Park' }), delta: -20 })
+    ]);
+  });
+
+  it('samples users up to the maximum sample size', async () => {
+    await simulate({ sampleSize: SIMULATION_DEFAULTS.maxSampleSize + 1 });
+
+    expect(User.aggregate).toHaveBeenCalledWith(expect.arrayContaining([
+      { $sample: { size: SIMULATION_DEFAULTS.maxSampleSize } }
+    ]));
+  });
+
+  it('loads evidence in batches when simulating every user', async () => {
+    const ids = Array.from({ length: SIMULATION_DEFAULTS.batchSize * 2 + 1 }, (value, index) => `user${index}`);
+    User.find.mockReturnValue({ select: () => ({ sort: () => ({ lean: async () => ids.map(_id => ({ _id })) }) }) });
+    loadScoringEvidence.mockResolvedValue(new Map());
+
+    const simulation = await simulate({ all: true });
+
+    expect(simulation).toMatchObject({ users: 0, sampled: false, mostAffected: [] });
+    expect(loadScoringEvidence).toHaveBeenCalledTimes(3);
+    expect(loadScoringEvidence.mock.calls[2][0]).toEqual([ids[ids.length - 1]]);
+    expect(User.aggregate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * Submission Similarity
+ * Detects shared answers by comparing a submission to earlier ones for the same challenge
+ *
+ * Code is tokenized with the submission language's comments stripped, and
+ * fingerprinted by winnowing k-grams of tokens (Schleimer et al., 2003).
+ * Within each k-gram identifiers are numbered by first appearance, so
+ * renaming variables or reformatting doesn't hide a copy, while literals and
+ * the pattern of which names repeat still tell independent solutions apart.
+ * Text is compared by word shingles. Similarity is the share of the smaller
+ * submission's fingerprints found in the other one.
+ */
+
+const Submission = require('../models/Submission');
+
+const SIMILARITY_DEFAULTS = {
+  threshold: parseFloat(process.env.SIMILARITY_THRESHOLD) || 0.8,
+  codeKgram: 5,        // Tokens per k-gram
+  codeWindow: 4,       // Winnowing window (guarantees matches of k + w - 1 tokens are found)
+  textShingle: 5,      // Words per shingle
+  minFingerprints: 8,  // Shorter submissions are too small to compare meaningfully
+  maxCandidates: 300,  // Earlier submissions compared per check
+  maxMatches: 5        // Matches stored per submission
+};
+
+// Keywords kept verbatim; other identifiers are numbered within each k-gram
+const CODE_KEYWORDS = new Set([
+  // JavaScript
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default',
+  'delete', 'do', 'else', 'export', 'extends', 'finally', 'for', 'function', 'if',
+  'import', 'in', 'instanceof', 'let', 'new', 'of', 'return', 'static', 'super', 'switch',
+  'this', 'throw', 'try', 'typeof', 'var', 'void', 'while', 'yield', 'null', 'undefined',
+  'true', 'false',
+  // Python
+  'and', 'as', 'assert', 'def', 'del', 'elif', 'except', 'from', 'global', 'is',
+  'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'with', 'None', 'True', 'False'
+]);
+
+const STRING_PATTERNS = {
+  double: '"(?:\\\\.|[^"\\\\\\n])*"',
+  single: "'(?:\\\\.|[^'\\\\\\n])*'",
+  template: '`(?:\\\\.|[^`\\\\])*`',
+  tripleDouble: '"""[\\s\\S]*?"""',
+  tripleSingle: "'''[\\s\\S]*?'''"
+};
+
+// Comment and string syntax per language; unknown languages use JavaScript's
+const CODE_SYNTAX = {
+  javascript: {
+    comments: ['\\/\\/[^\\n]*', '\\/\\*[\\s\\S]*?\\*\\/'],
+    strings: [STRING_PATTERNS.double, STRING_PATTERNS.single, STRING_PATTERNS.template]
+  },
+  python: {
+    comments: ['#[^\\n]*'],
+    strings: [STRING_PATTERNS.tripleDouble, STRING_PATTERNS.tripleSingle, STRING_PATTERNS.double, STRING_PATTERNS.single]
+  }
+};
+
+const CODE_TOKEN_PATTERNS = Object.fromEntries(Object.entries(CODE_SYNTAX).map(([language, syntax]) => [
+  language,
+  new RegExp([
+    `(?<comment>${syntax.comments.join('|')})`,
+    `(?<string>${syntax.strings.join('|')})`,
+    '(?<number>\\d+(?:\\.\\d+)?)',
+    '(?<word>[A-Za-z_$][\\w$]*)',  // identifier or keyword
+    '\\S'                          // operator or punctuation
+  ].join('|'), 'g')
+]));
+
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}']*/gu;
+
+/**
+ * 32-bit FNV-1a hash of a token sequence
+ * @param {Array} values - Token values
+ * @returns {Number} Unsigned 32-bit hash
+ */
+function hashTokens(values) {
+  let hash = 0x811c9dc5;
+  const text = values.join('\u0001');
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Split code into tokens with their source offsets
+ * Comments are dropped; identifiers are marked so k-grams can number them
+ * @param {String} code - Source code
+ * @param {String} language - Submission language (see utils/codeRunner)
+ * @returns {Array} [{ value, identifier, start, end }]
+ */
+function tokenizeCode(code, language) {
+  const pattern = CODE_TOKEN_PATTERNS[language] || CODE_TOKEN_PATTERNS.javascript;
+  const tokens = [];
+  for (const match of code.matchAll(pattern)) {
+    const raw = match[0];
+    const { comment, string, word } = match.groups;
+    if (comment !== undefined) continue;
+
+    let value = raw;
+    let identifier = false;
+    if (string !== undefined) {
+      // Quote style doesn't matter, the text does
+      const quote = /^('''|""")/.test(raw) ? 3 : 1;
+      value = `STR:${raw.slice(quote, raw.length - quote)}`;
+    } else if (word !== undefined && !CODE_KEYWORDS.has(raw)) {
+      identifier = true;
+    }
+
+    tokens.push({ value, identifier, start: match.index, end: match.index + raw.length });
+  }
+  return tokens;
+}
+
+/**
+ * Split text into lowercase words with their source offsets
+ * @param {String} text - Prose
+ * @returns {Array} [{ value, start, end }]
+ */
+function tokenizeText(text) {
+  return Array.from(text.matchAll(WORD_PATTERN), match => ({
+    value: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Values of a k-gram's tokens, with identifiers numbered by first appearance
+ * ("a = a + b" and "x = x + y" match; "a = b + c" does not)
+ * @param {Array} window - Tokens
+ * @returns {Array} Token values
+ */
+function canonicalValues(window) {
+  const names = new Map();
+  return window.map(token => {
+    if (!token.identifier) return token.value;
+    if (!names.has(token.value)) names.set(token.value, `ID${names.size}`);
+    return names.get(token.value);
+  });
+}
+
+/**
+ * Hash every k-gram of tokens
+ * @param {Array} tokens - Tokens from tokenizeCode/tokenizeText
+ * @param {Number} k - Tokens per k-gram
+ * @returns {Array} [{ hash, start, end }] with source offsets
+ */
+function hashKgrams(tokens, k) {
+  if (tokens.length === 0) return [];
+  const size = Math.min(k, tokens.length);
+
+  const kgrams = [];
+  for (let i = 0; i + size <= tokens.length; i++) {
+    const window = tokens.slice(i, i + size);
+    kgrams.push({
+      hash: hashTokens(canonicalValues(window)),
+      start: window[0].start,
+      end: window[window.length - 1].end
+    });
+  }
+  return kgrams;
+}
+
+/**
+ * Select fingerprints by winnowing: the minimum hash of every window
+ * (rightmost on ties), each position recorded once
+ * @param {Array} kgrams - Hashed k-grams
+ * @param {Number} windowSize - Winnowing window
+ * @returns {Array} Selected k-grams
+ */
+function winnow(kgrams, windowSize) {
+  if (kgrams.length <= windowSize) {
+    return kgrams.length > 0
+      ? [kgrams.reduce((min, kgram) => (kgram.hash <= min.hash ? kgram : min))]
+      : [];
+  }
+
+  const fingerprints = [];
+  let lastIndex = -1;
+
+  for (let start = 0; start + windowSize <= kgrams.length; start++) {
+    let minIndex = start;
+    for (let i = start + 1; i < start + windowSize; i++) {
+      if (kgrams[i].hash <= kgrams[minIndex].hash) minIndex = i;
+    }
+    if (minIndex !== lastIndex) {
+      fingerprints.push(kgrams[minIndex]);
+      lastIndex = minIndex;
+    }
+  }
+  return fingerprints;
+}
+
+/**
+ * Fingerprint source code
+ * @param {String} code - Source code
+ * @param {String} language - Submission language
+ * @returns {Array} [{ hash, start, end }]
+ */
+function fingerprintCode(code, language) {
+  return winnow(
+    hashKgrams(tokenizeCode(code, language), SIMILARITY_DEFAULTS.codeKgram),
+    SIMILARITY_DEFAULTS.codeWindow
+  );
+}
+
+/**
+ * Fingerprint prose by word shingles
+ * @param {String} text - Prose
+ * @returns {Array} [{ hash, start, end }]
+ */
+function fingerprintText(text) {
+  return hashKgrams(tokenizeText(text), SIMILARITY_DEFAULTS.textShingle);
+}
+
+/**
+ * Get the comparable text of a submission and how to fingerprint it
+ * @param {*} content - Submission content
+ * @param {String} submissionFormat - Challenge submission format
+ * @returns {Object|null} { mode: 'code'|'text', text }, or null if not comparable
+ */
+function getComparableContent(content, submissionFormat) {
+  if (content === null || content === undefined) return null;
+
+  if (submissionFormat === 'code') {
+    const code = typeof content === 'string' ? content : content.code;
+    return typeof code === 'string' ? { mode: 'code', text: code } : null;
+  }
+
+  if (submissionFormat === 'text' || submissionFormat === 'json') {
+    const text = typeof content === 'string'
+      ? content
+      : typeof content.text === 'string' ? content.text : JSON.stringify(content);
+    return { mode: 'text', text };
+  }
+
+  // URLs and files are checked by reviewers, not by content
+  return null;
+}
+
+/**
+ * Fingerprint a submission for its challenge, ignoring the challenge's starter code
+ * @param {Object} submission - { content, language }
+ * @param {Object} challenge - Challenge document
+ * @returns {Array|null} Fingerprints, or null if the content isn't comparable
+ */
+function fingerprintContent(submission, challenge) {
+  const comparable = getComparableContent(submission.content, challenge.submissionFormat);
+  if (!comparable) return null;
+
+  const fingerprint = comparable.mode === 'code'
+    ? text => fingerprintCode(text, submission.language)
+    : fingerprintText;
+  const fingerprints = fingerprint(comparable.text);
+
+  // Everyone starts from the starter code; it isn't evidence of copying
+  const starterCode = challenge.content && challenge.content.starterCode;
+  if (typeof starterCode === 'string' && starterCode.trim()) {
+    const boilerplate = new Set(fingerprint(starterCode).map(item => item.hash));
+    return fingerprints.filter(item => !boilerplate.has(item.hash));
+  }
+  return fingerprints;
+}
+
+/**
+ * Compare two fingerprint hash lists
+ * @param {Array} a - Hashes
+ * @param {Array} b - Hashes
+ * @returns {Number} Share of the smaller set found in the other (0-1)
+ */
+function compareFingerprints(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const hash of setA) {
+    if (setB.has(hash)) shared++;
+  }
+  return shared / Math.min(setA.size, setB.size);
+}
+
+/**
+ * Merge the source ranges of fingerprints into highlighted regions
+ * @param {String} text - Source the fingerprints came from
+ * @param {Array} fingerprints - [{ start, end }]
+ * @returns {Array} [{ start, end, startLine, endLine }] (end exclusive, lines 1-based)
+ */
+function toRegions(text, fingerprints) {
+  const ranges = fingerprints
+    .map(({ start, end }) => ({ start, end }))
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+  }
+
+  const lineAt = offset => text.slice(0, offset).split('\n').length;
+  return merged.map(range => ({
+    ...range,
+    startLine: lineAt(range.start),
+    endLine: lineAt(range.end)
+  }));
+}
+
+/**
+ * Find the regions two submissions have in common
+ * @param {Object} submissionA - First submission ({ content, language })
+ * @param {Object} submissionB - Second submission ({ content, language })
+ * @param {Object} challenge - Their challenge
+ * @returns {Object|null} { mode, score, regionsA, regionsB }, or null if not comparable
+ */
+function findMatchedRegions(submissionA, submissionB, challenge) {
+  const a = getComparableContent(submissionA.content, challenge.submissionFormat);
+  const b = getComparableContent(submissionB.content, challenge.submissionFormat);
+  if (!a || !b) return null;
+
+  const fingerprintsA = fingerprintContent(submissionA, challenge);
+  const fingerprintsB = fingerprintContent(submissionB, challenge);
+  const hashesA = new Set(fingerprintsA.map(item => item.hash));
+  const hashesB = new Set(fingerprintsB.map(item => item.hash));
+
+  return {
+    mode: a.mode,
+    score: compareFingerprints(Array.from(hashesA), Array.from(hashesB)),
+    regionsA: toRegions(a.text, fingerprintsA.filter(item => hashesB.has(item.hash))),
+    regionsB: toRegions(b.text, fingerprintsB.filter(item => hashesA.has(item.hash)))
+  };
+}
+
+/**
+ * Compare a new submission to other candidates' submissions for the same challenge
+ * Sets submission.similarity (the caller saves); flagged submissions need review
+ * @param {Object} submission - New submission document
+ * @param {Object} challenge - Challenge the submission was graded against
+ * @returns {Promise<Object>} { flagged, maxScore, matches }
+ */
+async function checkSubmissionSimilarity(submission, challenge) {
+  const fingerprints = fingerprintContent(submission, challenge);
+  if (!fingerprints || fingerprints.length < SIMILARITY_DEFAULTS.minFingerprints) {
+    return { flagged: false, maxScore: 0, matches: [] };
+  }
+
+  const hashes = Array.from(new Set(fingerprints.map(item => item.hash)));
+
+  const candidates = await Submission.find({
+    challenge: submission.challenge,
+    user: { $ne: submission.user },
+    _id: { $ne: submission._id }
+  })
+    .select('user content language +similarity.fingerprints')
+    .sort({ submittedAt: -1 })
+    .limit(SIMILARITY_DEFAULTS.maxCandidates);
+
+  const matches = [];
+  for (const candidate of candidates) {
+    let candidateHashes = candidate.similarity && candidate.similarity.fingerprints;
+    if (!candidateHashes || candidateHashes.length === 0) {
+      const computed = fingerprintContent(candidate, challenge);
+      candidateHashes = computed ? computed.map(item => item.hash) : [];
+    }
+    if (candidateHashes.length < SIMILARITY_DEFAULTS.minFingerprints) continue;
+
+    const score = compareFingerprints(hashes, candidateHashes);
+    if (score >= SIMILARITY_DEFAULTS.threshold) {
+      matches.push({
+        submission: candidate._id,
+        user: candidate.user,
+        score: Math.round(score * 1000) / 1000
+      });
+    }
+  }
+
+  matches.sort((a, b) => b.score - a.score);
+
+  const result = {
+    flagged: matches.length > 0,
+    maxScore: matches.length > 0 ? matches[0].score : 0,
+    matches: matches.slice(0, SIMILARITY_DEFAULTS.maxMatches)
+  };
+
+  submission.similarity = {
+    ...result,
+    fingerprints: hashes,
+    checkedAt: Date.now()
+  };
+
+  return result;
+}
+
+module.exports = {
+  checkSubmissionSimilarity,
+  findMatchedRegions,
+  fingerprintCode,
+  fingerprintText,
+  compareFingerprints,
+  SIMILARITY_DEFAULTS
+};
@@ -0,0 +1,177 @@
+const Submission = require('../models/Submission');
+const {
+  checkSubmissionSimilarity,
+  findMatchedRegions,
+  fingerprintCode,
+  fingerprintText,
+  compareFingerprints,
+  SIMILARITY_DEFAULTS
+} = require('./similarity');
+
+const ORIGINAL = `function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+}`;
+
+// Same program with names changed, comments added and the layout squashed
+const RENAMED = `// my own solution
+function combine(ranges) { const ordered = [...ranges].sort((x, y) => x[0] - y[0]);
+  const out = []; /* walk the ranges */
+  for (const range of ordered) { const prev = out[out.length - 1];
+    if (prev && range[0] <= prev[1]) { prev[1] = Math.max(prev[1], range[1]); } else { out.push([...range]); } }
+  return out; }`;
+
+// The same problem solved another way
+const INDEPENDENT = `function mergeIntervals(list) {
+  if (list.length === 0) return [];
+  list.sort(function (p, q) { return p[0] === q[0] ? p[1] - q[1] : p[0] - q[0]; });
+  let start = list[0][0];
+  let end = list[0][1];
+  const result = [];
+  for (let i = 1; i < list.length; i++) {
+    if (list[i][0] > end) {
+      result.push([start, end]);
+      start = list[i][0];
+    }
+    end = Math.max(end, list[i][1]);
+  }
+  result.push([start, end]);
+  return result;
+}`;
+
+const hashesOf = fingerprints => fingerprints.map(item => item.hash);
+const codeScore = (a, b, language = 'javascript') =>
+  compareFingerprints(hashesOf(fingerprintCode(a, language)), hashesOf(fingerprintCode(b, language)));
+
+describe('similarity', () => {
+  describe('compareFingerprints', () => {
+    it('is the share of the smaller set found in the other', () => {
+      expect(compareFingerprints([1, 2], [1, 2, 3, 4])).toBe(1);
+      expect(compareFingerprints([1, 2, 3, 4], [3, 4, 5, 6])).toBe(0.5);
+      expect(compareFingerprints([], [1])).toBe(0);
+    });
+  });
+
+  describe('fingerprintCode', () => {
+    it('matches a copy with renamed identifiers, comments and new formatting', () => {
+      expect(codeScore(ORIGINAL, RENAMED)).toBe(1);
+    });
+
+    it('keeps independent solutions to the same problem apart', () => {
+      expect(codeScore(ORIGINAL, INDEPENDENT)).toBeLessThan(0.3);
+    });
+
+    it('keeps the pattern of repeated names', () => {
+      const reused = 'total = total + price * count; total = total + price * count;';
+      const distinct = 'total = sum + price * count; total = sum + price * count;';
+
+      expect(codeScore(reused, distinct)).toBeLessThan(1);
+    });
+
+    it('treats # as a private field in JavaScript, not a comment', () => {
+      const counter = 'class Counter { #count = 0; increment() { this.#count += 1; return this.#count * 2; } }';
+      const other = 'class Counter { #count = 0; increment() { this.#count -= 7; return this.#count / 3; } }';
+
+      expect(fingerprintCode(counter, 'javascript').length).toBeGreaterThan(0);
+      expect(codeScore(counter, other)).toBeLessThan(1);
+    });
+
+    it("strips Python comments and keeps Python's // operator", () => {
+      const code = 'def half(values):\n    return [value // 2 for value in values if value > 0]\n';
+      const commented = `# halves the positives\n${code.replace('> 0]', '> 0]  # skip the rest')}`;
+      const changed = code.replace('value // 2', 'value // 3');
+
+      expect(codeScore(code, commented, 'python')).toBe(1);
+      expect(codeScore(code, changed, 'python')).toBeLessThan(1);
+    });
+  });
+
+  describe('fingerprintText', () => {
+    it('matches copied prose regardless of case and punctuation', () => {
+      const essay = 'Caching reduces latency because repeated requests are answered from memory instead of the database.';
+      const copy = essay.toUpperCase().replace(/ /g, ',  ');
+
+      expect(compareFingerprints(hashesOf(fingerprintText(essay)), hashesOf(fingerprintText(copy)))).toBe(1);
+    });
+  });
+
+  describe('findMatchedRegions', () => {
+    const challenge = { submissionFormat: 'code', content: {} };
+
+    it('highlights the shared lines in each submission', () => {
+      const copy = `const LIMIT = 10;\n\n${ORIGINAL}`;
+
+      const match = findMatchedRegions(
+        { content: { code: ORIGINAL }, language: 'javascript' },
+        { content: { code: copy }, language: 'javascript' },
+        challenge
+      );
+
+      expect(match.mode).toBe('code');
+      expect(match.score).toBe(1);
+      expect(match.regionsA.length).toBeGreaterThan(0);
+      // The copy's extra first line isn't part of any match
+      expect(match.regionsB.every(region => region.startLine >= 3)).toBe(true);
+    });
+
+    it('skips content that is not compared', () => {
+      expect(findMatchedRegions({ content: 'https://a' }, { content: 'https://b' }, { submissionFormat: 'url' })).toBeNull();
+    });
+  });
+
+  describe('checkSubmissionSimilarity', () => {
+    const challenge = { submissionFormat: 'code', content: {} };
+    const submission = () => ({ _id: 'new', user: 'alice', challenge: 'challenge', content: { code: ORIGINAL }, language: 'javascript' });
+
+    const mockCandidates = candidates => {
+      const find = jest.spyOn(Submission, 'find').mockReturnValue({
+        select: () => ({ sort: () => ({ limit: async () => candidates }) })
+      });
+      return find;
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("flags copies of other candidates' submissions and stores the fingerprints", async () => {
+      const find = mockCandidates([
+        { _id: 'independent', user: 'bob', content: { code: INDEPENDENT }, language: 'javascript' },
+        { _id: 'copy', user: 'carol', content: { code: RENAMED }, language: 'javascript' }
+      ]);
+      const checked = submission();
+
+      const result = await checkSubmissionSimilarity(checked, challenge);
+
+      expect(find).toHaveBeenCalledWith({ challenge: 'challenge', user: { $ne: 'alice' }, _id: { $ne: 'new' } });
+      expect(result).toEqual({ flagged: true, maxScore: 1, matches: [{ submission: 'copy', user: 'carol', score: 1 }] });
+      expect(checked.similarity.fingerprints.length).toBeGreaterThanOrEqual(SIMILARITY_DEFAULTS.minFingerprints);
+    });
+
+    it("doesn't count the challenge's starter code as copying", async () => {
+      mockCandidates([{ _id: 'other', user: 'bob', content: { code: ORIGINAL }, language: 'javascript' }]);
+
+      const result = await checkSubmissionSimilarity(submission(), { ...challenge, content: { starterCode: ORIGINAL } });
+
+      expect(result.flagged).toBe(false);
+    });
+
+    it('skips submissions too short to compare', async () => {
+      const find = mockCandidates([]);
+
+      const result = await checkSubmissionSimilarity({ ...submission(), content: { code: 'return 1;' } }, challenge);
+
+      expect(result).toEqual({ flagged: false, maxScore: 0, matches: [] });
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -7,11 +7,25 @@
  * - Peer endorsement scores
  * - Skill proficiency levels
  * - Time-based decay factors
+ *
+ * The weights, blend and decay below are the built-in policy. Admins can
+ * override them per skill category with scoring profiles (models/ScoringProfile).
+ *
+ * Scoring runs in two steps: loadScoringEvidence fetches everything a set
+ * of users' scores depend on in a fixed number of queries, then the
+ * score* functions compute from that evidence without touching the
+ * database. The async calculate* helpers wrap both for one user.
  */
 
+const mongoose = require('mongoose');
 const Submission = require('../models/Submission');
 const Endorsement = require('../models/Endorsement');
 const User = require('../models/User');
+const Skill = require('../models/Skill');
+const Challenge = require('../models/Challenge');
+const ScoringProfile = require('../models/ScoringProfile');
+const { recordCredibilitySnapshots } = require('./credibilityHistory');
+const { getEffectiveWeight } = require('./endorsementWeighting');
 
 /**
  * Configuration weights for scoring components
@@ -25,7 +39,7 @@ const SCORING_WEIGHTS = {
   },
   endorsement: {
     level: 50,     // Weight for endorsement level
-    weight: 30,    // Weight for endorser's credibility
+    weight: 30,    // Weight for endorsement weights (see utils/endorsementWeighting)
     count: 20      // Weight for number of endorsements
   },
   proficiency: {
@@ -35,6 +49,47 @@ const SCORING_WEIGHTS = {
   }
 };
 
+/**
+ * Challenge-score multiplier per difficulty level
+ */
+const DIFFICULTY_MULTIPLIERS = {
+  easy: 1,
+  medium: 1.5,
+  hard: 2,
+  expert: 3
+};
+
+/**
+ * Built-in scoring policy, used when no stored profile applies
+ */
+const DEFAULT_SCORING_PROFILE = {
+  id: null,
+  name: 'built-in',
+  version: 0,
+  weights: SCORING_WEIGHTS,
+  // Share of each component in the total
+  blend: {
+    challenge: 0.4,
+    endorsement: 0.35,
+    proficiency: 0.25
+  },
+  // Decay starts after 90 days, max decay to 0.5 after 2 years
+  decay: {
+    startDays: 90,
+    periodDays: 365 * 2,
+    floor: 0.5
+  },
+  difficultyMultipliers: DIFFICULTY_MULTIPLIERS
+};
+
+/**
+ * A skill is verified once either component reaches its threshold
+ */
+const VERIFICATION_THRESHOLDS = {
+  challengeScore: 30,
+  endorsementScore: 40
+};
+
 /**
  * Level numeric values for calculations
  */
@@ -45,216 +100,713 @@ const LEVEL_VALUES = {
   expert: 4
 };
 
-const DIFFICULTY_MULTIPLIERS = {
-  easy: 1,
-  medium: 1.5,
-  hard: 2,
-  expert: 3
-};
+/**
+ * Calibrated IRT difficulty (b) mapped onto the same multiplier range
+ * Pairs of [difficulty, level]: at that difficulty the level's multiplier
+ * applies; values in between are interpolated
+ */
+const CALIBRATED_DIFFICULTY_ANCHORS = [
+  [-1, 'easy'],
+  [0, 'medium'],
+  [1, 'hard'],
+  [2, 'expert']
+];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Convert a stored scoring profile into the policy shape used here
+ * Profiles saved before difficulty multipliers were stored use the built-in ones
+ * @param {Object} profile - ScoringProfile document or lean object
+ * @returns {Object} { id, name, version, weights, blend, decay, difficultyMultipliers }
+ */
+function toScoringPolicy(profile) {
+  const { _id, name, version, weights, blend, decay, difficultyMultipliers } =
+    typeof profile.toObject === 'function' ? profile.toObject() : profile;
+  return {
+    id: _id,
+    name,
+    version,
+    weights,
+    blend,
+    decay,
+    difficultyMultipliers: { ...DIFFICULTY_MULTIPLIERS, ...difficultyMultipliers }
+  };
+}
+
+/**
+ * Pick the policy for a skill category from the stored profiles
+ * Mirrors ScoringProfile.findForCategory without a query per skill
+ * @param {Array} profiles - All scoring profiles
+ * @param {String} category - Skill category
+ * @returns {Object} Scoring policy
+ */
+function pickScoringProfile(profiles, category) {
+  const profile = profiles.find(p => category && (p.categories || []).includes(category)) ||
+    profiles.find(p => p.isDefault);
+  return profile ? toScoringPolicy(profile) : DEFAULT_SCORING_PROFILE;
+}
+
+/**
+ * Resolve the scoring profile for a skill
+ * @param {ObjectId} skillId - The skill's ID
+ * @returns {Object} { id, name, version, weights, blend, decay, difficultyMultipliers }
+ */
+async function resolveScoringProfile(skillId) {
+  const skill = await Skill.findById(skillId).select('category');
+  const profile = await ScoringProfile.findForCategory(skill && skill.category);
+  return profile ? toScoringPolicy(profile) : DEFAULT_SCORING_PROFILE;
+}
+
+/**
+ * Load the scoring evidence for a set of users
+ * Always five queries - users, verified passes, endorsements, skill
+ * categories and scoring profiles - however many users or skills
+ * @param {Array} userIds - User IDs
+ * @returns {Promise<Map>} User ID string -> { user, skills, passes, endorsements, categories, profiles },
+ *   each but user a Map keyed by skill ID string
+ */
+async function loadScoringEvidence(userIds) {
+  const ids = userIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+  const users = await User.find({ _id: { $in: ids } })
+    .select('skills credibilityScore')
+    .lean();
+
+  // Verified passes with the challenge fields scoring needs
+  const passes = await Submission.aggregate([
+    { $match: { user: { $in: ids }, isVerified: true, isPassed: true } },
+    {
+      $lookup: {
+        from: Challenge.collection.name,
+        localField: 'challenge',
+        foreignField: '_id',
+        as: 'challenge'
+      }
+    },
+    { $unwind: '$challenge' },
+    {
+      $project: {
+        user: 1,
+        skill: '$challenge.skill',
+        score: 1,
+        submittedAt: 1,
+        hintsUsed: { $size: { $ifNull: ['$hintsUsed', []] } },
+        // Review scores without the reviewers, who stay anonymous
+        consensus: {
+          aggregation: '$consensus.aggregation',
+          finalScore: '$consensus.finalScore',
+          reviewScores: '$consensus.reviews.score',
+          adjudicatedAt: '$consensus.adjudicatedAt'
+        },
+        challenge: {
+          _id: '$challenge._id',
+          title: '$challenge.title',
+          difficulty: '$challenge.difficulty',
+          calibration: '$challenge.calibration'
+        }
+      }
+    }
+  ]);
+
+  // Valid, unexpired endorsements with their endorser
+  const endorsements = await Endorsement.aggregate([
+    { $match: { recipient: { $in: ids }, isValid: true, ...Endorsement.unexpiredFilter() } },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: 'endorser',
+        foreignField: '_id',
+        as: 'endorser'
+      }
+    },
+    { $unwind: '$endorser' },
+    {
+      $project: {
+        recipient: 1,
+        skill: 1,
+        level: 1,
+        weight: 1,
+        isVerified: 1,
+        weighting: 1,
+        expiresAt: 1,
+        renewedAt: 1,
+        createdAt: 1,
+        endorser: {
+          _id: '$endorser._id',
+          name: { $concat: ['$endorser.profile.firstName', ' ', '$endorser.profile.lastName'] }
+        }
+      }
+    }
+  ]);
+
+  const skillIds = [...new Set(users.flatMap(user => user.skills.map(s => s.skill.toString())))];
+  const skills = await Skill.find({ _id: { $in: skillIds } }).select('category').lean();
+  const storedProfiles = await ScoringProfile.find().select('-history').lean();
+
+  // Shared by every user in the batch
+  const categories = new Map(skills.map(skill => [skill._id.toString(), skill.category]));
+  const profiles = new Map(skillIds.map(id => [id, pickScoringProfile(storedProfiles, categories.get(id))]));
+  const evidence = new Map();
+
+  for (const user of users) {
+    evidence.set(user._id.toString(), {
+      user,
+      skills: new Map(user.skills.map(userSkill => [userSkill.skill.toString(), userSkill])),
+      passes: new Map(),
+      endorsements: new Map(),
+      categories,
+      profiles
+    });
+  }
+
+  const addTo = (map, key, item) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  };
+  for (const pass of passes) {
+    const entry = evidence.get(pass.user.toString());
+    if (entry && pass.skill) addTo(entry.passes, pass.skill.toString(), pass);
+  }
+  for (const endorsement of endorsements) {
+    const entry = evidence.get(endorsement.recipient.toString());
+    if (entry) addTo(entry.endorsements, endorsement.skill.toString(), endorsement);
+  }
+
+  return evidence;
+}
+
+/**
+ * Load one user's scoring evidence
+ * @param {ObjectId} userId - The user's ID
+ * @returns {Promise<Object|null>} Evidence, or null if the user doesn't exist
+ */
+async function loadUserEvidence(userId) {
+  const evidence = await loadScoringEvidence([userId]);
+  return evidence.get(userId.toString()) || null;
+}
+
+/**
+ * Score a skill from loaded evidence
+ * @param {Object} evidence - One user's evidence from loadScoringEvidence
+ * @param {ObjectId} skillId - The skill's ID
+ * @param {Object} profile - Scoring profile (defaults to the one for the skill's category)
+ * @param {Number} now - Reference time
+ * @returns {Object} Score breakdown, total score and the profile that produced them
+ */
+function scoreSkillCredibility(evidence, skillId, profile, now = Date.now()) {
+  const key = skillId.toString();
+  profile = profile || evidence.profiles.get(key) || DEFAULT_SCORING_PROFILE;
+  const { weights, blend } = profile;
+
+  const userSkill = evidence.skills.get(key);
+  const passes = evidence.passes.get(key) || [];
+  const endorsements = evidence.endorsements.get(key) || [];
+
+  // Get all components
+  const challengeScore = scoreChallengeSubmissions(passes, weights, now, profile.difficultyMultipliers).score;
+  const endorsementScore = scoreEndorsements(endorsements, weights, now).score;
+  const proficiencyScore = scoreProficiency(userSkill, weights).score;
+  const assessment = getAssessmentFromSkill(userSkill);
+  const hintAssistedPasses = passes.filter(pass => pass.hintsUsed > 0).length;
+
+  // An adaptive assessment shares the challenge weight with completions
+  const challengeComponent = assessment
+    ? Math.round((challengeScore + assessment.score) / 2)
+    : challengeScore;
+
+  // Apply time decay, measured from the latest evidence for the skill
+  const lastEvidenceAt = getLastEvidenceFrom(userSkill, passes, endorsements);
+  const decayFactor = getDecayFactor(lastEvidenceAt, profile.decay, now);
+
+  // Calculate weighted total
+  const totalScore = Math.round(
+    (challengeComponent * blend.challenge +
+      endorsementScore * blend.endorsement +
+      proficiencyScore * blend.proficiency) * decayFactor
+  );
+
+  return {
+    totalScore: Math.min(totalScore, 100),
+    breakdown: {
+      challengeScore,
+      assessmentScore: assessment ? assessment.score : null,
+      assessmentAbility: assessment ? assessment.ability : null,
+      assessmentStandardError: assessment ? assessment.standardError : null,
+      challengeComponent,
+      hintAssistedPasses,
+      endorsementScore,
+      proficiencyScore,
+      decayFactor
+    },
+    isVerified: challengeScore >= VERIFICATION_THRESHOLDS.challengeScore ||
+      endorsementScore >= VERIFICATION_THRESHOLDS.endorsementScore,
+    profile: { id: profile.id, name: profile.name, version: profile.version },
+    lastEvidenceAt
+  };
+}
 
 /**
  * Calculate skill credibility score for a user
  * @param {ObjectId} userId - The user's ID
  * @param {ObjectId} skillId - The skill's ID
- * @returns {Object} Score breakdown and total score
+ * @param {Object} profile - Scoring profile (resolved from the skill's category if omitted)
+ * @returns {Object} Score breakdown, total score and the profile that produced them
  */
-async function calculateSkillCredibility(userId, skillId) {
+async function calculateSkillCredibility(userId, skillId, profile) {
   try {
-    // Get all components
-    const challengeScore = await calculateChallengeScore(userId, skillId);
-    const endorsementScore = await calculateEndorsementScore(userId, skillId);
-    const proficiencyScore = await calculateProficiencyScore(userId, skillId);
-    
-    // Apply time decay
-    const decayFactor = await calculateTimeDecay(userId, skillId);
+    const evidence = await loadUserEvidence(userId);
+    if (!evidence) throw new Error('User not found');
     
-    // Calculate weighted total
-    const totalScore = Math.round(
-      (challengeScore * 0.4 + endorsementScore * 0.35 + proficiencyScore * 0.25) * decayFactor
-    );
-    
-    return {
-      totalScore: Math.min(totalScore, 100),
-      breakdown: {
-        challengeScore,
-        endorsementScore,
-        proficiencyScore,
-        decayFactor
-      },
-      isVerified: challengeScore >= 30 || endorsementScore >= 40
-    };
+    // Evidence only carries profiles for skills on the user's profile
+    profile = profile || evidence.profiles.get(skillId.toString()) || await resolveScoringProfile(skillId);
+    return scoreSkillCredibility(evidence, skillId, profile);
   } catch (error) {
     console.error('Error calculating skill credibility:', error);
     return {
       totalScore: 0,
       breakdown: {
         challengeScore: 0,
+        assessmentScore: null,
+        assessmentAbility: null,
+        assessmentStandardError: null,
+        challengeComponent: 0,
+        hintAssistedPasses: 0,
         endorsementScore: 0,
         proficiencyScore: 0,
         decayFactor: 1
       },
       isVerified: false,
+      profile: profile ? { id: profile.id, name: profile.name, version: profile.version } : null,
       error: error.message
     };
   }
 }
 
 /**
- * Calculate score from challenge completions
- * @param {ObjectId} userId - The user's ID
- * @param {ObjectId} skillId - The skill's ID
- * @returns {Number} Challenge score (0-100)
+ * Summarize the consensus review behind a pass
+ * @param {Object} consensus - Projected consensus (from loadScoringEvidence)
+ * @returns {Object|null} { aggregation, reviewerScores, finalScore, adjudicated }, or null when not peer reviewed
  */
-async function calculateChallengeScore(userId, skillId) {
-  const submissions = await Submission.find({
-    user: userId,
-    isVerified: true,
-    isPassed: true
-  }).populate('challenge');
-  
-  if (submissions.length === 0) return 0;
+function summarizeConsensus(consensus) {
+  if (!consensus || !Array.isArray(consensus.reviewScores) || consensus.reviewScores.length === 0) return null;
+
+  return {
+    aggregation: consensus.aggregation || null,
+    reviewerScores: consensus.reviewScores,
+    finalScore: consensus.finalScore === undefined ? null : consensus.finalScore,
+    adjudicated: Boolean(consensus.adjudicatedAt)
+  };
+}
+
+/**
+ * Score challenge completions, with each submission's share of the score
+ * @param {Array} passes - Verified passes for one skill (from loadScoringEvidence)
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @param {Number} now - Reference time
+ * @param {Object} multipliers - Difficulty multipliers (defaults to DIFFICULTY_MULTIPLIERS)
+ * @returns {Object} { score, contributions: [{ submission, challenge, review, points, maxPoints, contribution, ... }] }
+ */
+function scoreChallengeSubmissions(passes, weights = SCORING_WEIGHTS, now = Date.now(), multipliers = DIFFICULTY_MULTIPLIERS) {
+  if (passes.length === 0) return { score: 0, contributions: [] };
   
   let totalScore = 0;
   let maxPossibleScore = 0;
+  const contributions = [];
   
-  for (const submission of submissions) {
-    // Check if submission is for this skill
-    if (submission.challenge.skill.toString() !== skillId.toString()) continue;
-    
-    const difficulty = submission.challenge.difficulty;
-    const difficultyMultiplier = DIFFICULTY_MULTIPLIERS[difficulty] || 1;
+  for (const submission of passes) {
+    const difficultyMultiplier = getDifficultyMultiplier(submission.challenge, multipliers);
     
     // Base score from challenge pass
-    let score = SCORING_WEIGHTS.challenge.passed;
+    let score = weights.challenge.passed;
     
     // Add score based on achieved score
-    score += (submission.score / 100) * SCORING_WEIGHTS.challenge.score;
+    score += (submission.score / 100) * weights.challenge.score;
     
     // Add difficulty bonus
     score *= difficultyMultiplier;
     
     // Calculate recency factor (more recent = higher)
-    const daysSinceSubmission = (Date.now() - submission.submittedAt) / (1000 * 60 * 60 * 24);
+    const daysSinceSubmission = (now - submission.submittedAt) / MS_PER_DAY;
     const recencyFactor = Math.max(0, 1 - (daysSinceSubmission / 365)); // Decay over 1 year
-    score += recencyFactor * SCORING_WEIGHTS.challenge.recency;
+    score += recencyFactor * weights.challenge.recency;
     
     totalScore += score;
     maxPossibleScore += 100 * difficultyMultiplier;
+    
+    contributions.push({
+      submission: submission._id,
+      challenge: {
+        _id: submission.challenge._id,
+        title: submission.challenge.title,
+        difficulty: submission.challenge.difficulty
+      },
+      submissionScore: submission.score,
+      hintsUsed: submission.hintsUsed,
+      submittedAt: submission.submittedAt,
+      review: summarizeConsensus(submission.consensus),
+      difficultyMultiplier,
+      recencyFactor,
+      points: score,
+      maxPoints: 100 * difficultyMultiplier
+    });
   }
   
-  return maxPossibleScore > 0 ? Math.min((totalScore / maxPossibleScore) * 100, 100) : 0;
+  // Each submission's points over the combined maximum, so contributions add up to the score
+  for (const item of contributions) {
+    item.contribution = (item.points / maxPossibleScore) * 100;
+  }
+  
+  return {
+    score: Math.min((totalScore / maxPossibleScore) * 100, 100),
+    contributions
+  };
 }
 
 /**
- * Calculate score from endorsements
+ * Calculate score from challenge completions
  * @param {ObjectId} userId - The user's ID
  * @param {ObjectId} skillId - The skill's ID
- * @returns {Number} Endorsement score (0-100)
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @returns {Number} Challenge score (0-100)
+ */
+async function calculateChallengeScore(userId, skillId, weights = SCORING_WEIGHTS) {
+  const evidence = await loadUserEvidence(userId);
+  if (!evidence) return 0;
+  
+  return scoreChallengeSubmissions(evidence.passes.get(skillId.toString()) || [], weights).score;
+}
+
+/**
+ * Count verified passes for a skill that used hints
+ * Their scores already carry the hint penalty; this makes it visible
+ * @param {ObjectId} userId - The user's ID
+ * @param {ObjectId} skillId - The skill's ID
+ * @returns {Number} Passes with at least one hint unlocked
  */
-async function calculateEndorsementScore(userId, skillId) {
-  const endorsements = await Endorsement.find({
-    recipient: userId,
-    skill: skillId,
-    isValid: true
-  }).populate('endorser');
+async function countHintAssistedPasses(userId, skillId) {
+  const evidence = await loadUserEvidence(userId);
+  if (!evidence) return 0;
   
-  if (endorsements.length === 0) return 0;
+  return (evidence.passes.get(skillId.toString()) || []).filter(pass => pass.hintsUsed > 0).length;
+}
+
+/**
+ * Get the difficulty multiplier for a challenge
+ * Uses the calibrated IRT difficulty when available, otherwise the difficulty enum
+ * @param {Object} challenge - Challenge document
+ * @param {Object} multipliers - Difficulty multipliers (defaults to DIFFICULTY_MULTIPLIERS)
+ * @returns {Number} Difficulty multiplier
+ */
+function getDifficultyMultiplier(challenge, multipliers = DIFFICULTY_MULTIPLIERS) {
+  const calibrated = challenge.calibration && challenge.calibration.difficulty;
+  if (typeof calibrated !== 'number') {
+    return multipliers[challenge.difficulty] || 1;
+  }
+
+  const anchors = CALIBRATED_DIFFICULTY_ANCHORS.map(([difficulty, level]) => [difficulty, multipliers[level]]);
+  if (calibrated <= anchors[0][0]) return anchors[0][1];
+  if (calibrated >= anchors[anchors.length - 1][0]) return anchors[anchors.length - 1][1];
+
+  const upper = anchors.findIndex(([difficulty]) => difficulty >= calibrated);
+  const [x0, y0] = anchors[upper - 1];
+  const [x1, y1] = anchors[upper];
+  return y0 + ((calibrated - x0) / (x1 - x0)) * (y1 - y0);
+}
+
+/**
+ * Score endorsements, with each endorsement's share of the score
+ * @param {Array} endorsements - Valid endorsements for one skill (from loadScoringEvidence)
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @param {Number|Date} now - Reference time for endorsement age (defaults to now)
+ * @returns {Object} { score, countBonus, contributions: [{ endorsement, endorser, levelPoints, weightPoints, contribution, ... }] }
+ * Each endorsement counts with its effective weight from the weighting policy
+ */
+function scoreEndorsements(endorsements, weights = SCORING_WEIGHTS, now = Date.now()) {
+  if (endorsements.length === 0) return { score: 0, countBonus: 0, contributions: [] };
   
   let totalLevelScore = 0;
   let totalWeightScore = 0;
   
+  // Normalize
+  const maxLevelScore = endorsements.length * 4; // Max is expert (4)
+  const maxWeightScore = endorsements.length;
+  const contributions = [];
+  
   for (const endorsement of endorsements) {
     // Level score
     const levelValue = LEVEL_VALUES[endorsement.level] || 1;
     totalLevelScore += levelValue;
     
-    // Weight score based on endorser's credibility
-    const endorserCredibility = endorsement.endorser.credibilityScore || 0;
-    totalWeightScore += endorserCredibility * endorsement.weight;
+    // Weight score (see utils/endorsementWeighting)
+    const { weight: effectiveWeight, factors } = getEffectiveWeight(endorsement, now);
+    totalWeightScore += effectiveWeight;
+    
+    const levelPoints = (levelValue / maxLevelScore) * weights.endorsement.level;
+    const weightPoints = (effectiveWeight / maxWeightScore) * weights.endorsement.weight;
+    contributions.push({
+      endorsement: endorsement._id,
+      endorser: {
+        _id: endorsement.endorser._id,
+        name: endorsement.endorser.name
+      },
+      level: endorsement.level,
+      weight: endorsement.weight,
+      effectiveWeight,
+      weighting: {
+        ...endorsement.weighting,
+        factors: { ...(endorsement.weighting && endorsement.weighting.factors), ...factors }
+      },
+      ageFactor: factors.age,
+      isVerified: Boolean(endorsement.isVerified),
+      levelPoints,
+      weightPoints,
+      contribution: levelPoints + weightPoints
+    });
   }
   
-  // Normalize
-  const maxLevelScore = endorsements.length * 4; // Max is expert (4)
-  const maxWeightScore = endorsements.length * 100;
-  
-  const normalizedLevel = (totalLevelScore / maxLevelScore) * SCORING_WEIGHTS.endorsement.level;
-  const normalizedWeight = (totalWeightScore / maxWeightScore) * SCORING_WEIGHTS.endorsement.weight;
+  const normalizedLevel = (totalLevelScore / maxLevelScore) * weights.endorsement.level;
+  const normalizedWeight = (totalWeightScore / maxWeightScore) * weights.endorsement.weight;
   
   // Count bonus (more endorsements = slightly higher score)
-  const countBonus = Math.min(endorsements.length * 2, SCORING_WEIGHTS.endorsement.count);
+  const countBonus = Math.min(endorsements.length * 2, weights.endorsement.count);
   
-  return Math.min(normalizedLevel + normalizedWeight + countBonus, 100);
+  return {
+    score: Math.min(normalizedLevel + normalizedWeight + countBonus, 100),
+    countBonus,
+    contributions
+  };
 }
 
 /**
- * Calculate score from proficiency level
+ * Calculate score from endorsements
  * @param {ObjectId} userId - The user's ID
  * @param {ObjectId} skillId - The skill's ID
- * @returns {Number} Proficiency score (0-100)
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @returns {Number} Endorsement score (0-100)
  */
-async function calculateProficiencyScore(userId, skillId) {
-  const user = await User.findById(userId);
-  if (!user) return 0;
+async function calculateEndorsementScore(userId, skillId, weights = SCORING_WEIGHTS) {
+  const evidence = await loadUserEvidence(userId);
+  if (!evidence) return 0;
   
-  const userSkill = user.skills.find(s => s.skill.toString() === skillId.toString());
-  if (!userSkill) return 0;
+  return scoreEndorsements(evidence.endorsements.get(skillId.toString()) || [], weights).score;
+}
+
+/**
+ * Read the latest adaptive assessment result from a profile skill
+ * @param {Object} userSkill - Entry of user.skills
+ * @returns {Object|null} { ability, standardError, score } or null if not assessed
+ */
+function getAssessmentFromSkill(userSkill) {
+  if (!userSkill || !userSkill.assessment || typeof userSkill.assessment.score !== 'number') {
+    return null;
+  }
+  
+  return {
+    ability: userSkill.assessment.ability,
+    standardError: userSkill.assessment.standardError,
+    score: userSkill.assessment.score
+  };
+}
+
+/**
+ * Get the user's latest adaptive assessment result for a skill
+ * @param {ObjectId} userId - The user's ID
+ * @param {ObjectId} skillId - The skill's ID
+ * @returns {Object|null} { ability, standardError, score } or null if not assessed
+ */
+async function getAssessmentResult(userId, skillId) {
+  const user = await User.findById(userId).select('skills');
+  if (!user) return null;
+  
+  return getAssessmentFromSkill(user.skills.find(s => s.skill.toString() === skillId.toString()));
+}
+
+/**
+ * Score proficiency, with its parts
+ * @param {Object} userSkill - Entry of user.skills
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @returns {Object} { score, base, level, experience, proficiencyLevel, yearsOfExperience }
+ */
+function scoreProficiency(userSkill, weights = SCORING_WEIGHTS) {
+  if (!userSkill) return { score: 0, base: 0, level: 0, experience: 0 };
   
   // Base score for having the skill
-  let score = SCORING_WEIGHTS.proficiency.base;
+  const base = weights.proficiency.base;
   
   // Level score (1-10 scale to 0-50)
-  score += (userSkill.proficiencyLevel / 10) * SCORING_WEIGHTS.proficiency.level;
+  const level = (userSkill.proficiencyLevel / 10) * weights.proficiency.level;
   
   // Experience bonus (max 10 years = 25 points)
-  const experienceBonus = Math.min(userSkill.yearsOfExperience, 10) / 10 * SCORING_WEIGHTS.proficiency.experience;
-  score += experienceBonus;
+  const experience = Math.min(userSkill.yearsOfExperience, 10) / 10 * weights.proficiency.experience;
   
-  return Math.min(score, 100);
+  return {
+    score: Math.min(base + level + experience, 100),
+    base,
+    level,
+    experience,
+    proficiencyLevel: userSkill.proficiencyLevel,
+    yearsOfExperience: userSkill.yearsOfExperience
+  };
 }
 
 /**
- * Calculate time decay factor
- * Skills that haven't been updated recently get a lower score
+ * Calculate score from proficiency level
  * @param {ObjectId} userId - The user's ID
  * @param {ObjectId} skillId - The skill's ID
- * @returns {Number} Decay factor (0.5-1)
+ * @param {Object} weights - Component weights (defaults to SCORING_WEIGHTS)
+ * @returns {Number} Proficiency score (0-100)
  */
-async function calculateTimeDecay(userId, skillId) {
-  const user = await User.findById(userId);
-  if (!user) return 1;
+async function calculateProficiencyScore(userId, skillId, weights = SCORING_WEIGHTS) {
+  const user = await User.findById(userId).select('skills');
+  if (!user) return 0;
   
-  const userSkill = user.skills.find(s => s.skill.toString() === skillId.toString());
-  if (!userSkill) return 1;
+  return scoreProficiency(user.skills.find(s => s.skill.toString() === skillId.toString()), weights).score;
+}
+
+/**
+ * Get the date of the latest real evidence for a skill
+ * Evidence is a verified pass, a valid endorsement or a completed
+ * assessment; a skill with none dates from when it was added. Profile
+ * edits and recalculations don't count, so they can't reset decay.
+ * @param {Object} userSkill - Entry of user.skills
+ * @param {Array} passes - Verified passes for the skill
+ * @param {Array} endorsements - Valid endorsements for the skill
+ * @returns {Date|null} Latest evidence date, or null without a profile skill
+ */
+function getLastEvidenceFrom(userSkill, passes, endorsements) {
+  if (!userSkill) return null;
   
-  const daysSinceUpdate = (Date.now() - userSkill.lastUpdated) / (1000 * 60 * 60 * 24);
+  const dates = [
+    ...passes.map(pass => pass.submittedAt),
+    ...endorsements.map(endorsement => endorsement.renewedAt || endorsement.createdAt),
+    userSkill.assessment && userSkill.assessment.assessedAt
+  ].filter(Boolean);
   
-  // Decay starts after 90 days, max decay to 0.5 after 2 years
-  if (daysSinceUpdate < 90) return 1;
+  return dates.length > 0
+    ? new Date(Math.max(...dates.map(date => new Date(date).getTime())))
+    : userSkill.addedAt;
+}
+
+/**
+ * Get the date of the latest real evidence for a skill
+ * @param {ObjectId} userId - The user's ID
+ * @param {ObjectId} skillId - The skill's ID
+ * @returns {Date|null} Latest evidence date, or null if the skill is not on the profile
+ */
+async function getLastEvidenceDate(userId, skillId) {
+  const evidence = await loadUserEvidence(userId);
+  if (!evidence) return null;
   
-  const decay = 1 - ((daysSinceUpdate - 90) / (365 * 2));
-  return Math.max(0.5, Math.min(decay, 1));
+  const key = skillId.toString();
+  return getLastEvidenceFrom(
+    evidence.skills.get(key),
+    evidence.passes.get(key) || [],
+    evidence.endorsements.get(key) || []
+  );
 }
 
 /**
- * Update all skill scores for a user
+ * Decay factor for evidence of a given age
+ * @param {Date} lastEvidenceAt - Latest evidence date
+ * @param {Object} decay - { startDays, periodDays, floor } (defaults to the built-in policy)
+ * @param {Number} now - Reference time
+ * @returns {Number} Decay factor (floor-1)
+ */
+function getDecayFactor(lastEvidenceAt, decay = DEFAULT_SCORING_PROFILE.decay, now = Date.now()) {
+  if (!lastEvidenceAt) return 1;
+  
+  const daysSinceEvidence = (now - new Date(lastEvidenceAt)) / MS_PER_DAY;
+  if (daysSinceEvidence < decay.startDays) return 1;
+  
+  const factor = 1 - ((daysSinceEvidence - decay.startDays) / decay.periodDays);
+  return Math.max(decay.floor, Math.min(factor, 1));
+}
+
+/**
+ * Calculate time decay factor
+ * Skills without recent evidence get a lower score
  * @param {ObjectId} userId - The user's ID
+ * @param {ObjectId} skillId - The skill's ID
+ * @param {Object} decay - { startDays, periodDays, floor } (defaults to the built-in policy)
+ * @returns {Number} Decay factor (floor-1)
  */
-async function updateAllSkillScores(userId) {
-  const user = await User.findById(userId);
-  if (!user) return;
+async function calculateTimeDecay(userId, skillId, decay = DEFAULT_SCORING_PROFILE.decay) {
+  return getDecayFactor(await getLastEvidenceDate(userId, skillId), decay);
+}
+
+/**
+ * Recalculate and store all skill scores for a batch of users
+ * Uses the five evidence queries, one bulk write and one snapshot insert
+ * for the whole batch; each recalculated skill is appended to the
+ * credibility history
+ * @param {Array} userIds - User IDs
+ * @param {String} trigger - What caused the recalculation (see CredibilitySnapshot)
+ * @returns {Promise<Number>} Users updated
+ */
+async function recalculateScores(userIds, trigger = 'manual') {
+  if (userIds.length === 0) return 0;
   
-  for (const userSkill of user.skills) {
-    const result = await calculateSkillCredibility(userId, userSkill.skill);
+  const evidenceByUser = await loadScoringEvidence(userIds);
+  const now = Date.now();
+  const operations = [];
+  const recalculations = [];
+  
+  for (const evidence of evidenceByUser.values()) {
+    const $set = {};
+    const arrayFilters = [];
+    const results = [];
+    
+    // One update per distinct skill; duplicate entries share a filter
+    Array.from(evidence.skills.keys()).forEach((skillId, index) => {
+      const result = scoreSkillCredibility(evidence, skillId, null, now);
+      const path = `skills.$[s${index}]`;
+      results.push({ skill: evidence.skills.get(skillId).skill, result });
+      
+      $set[`${path}.credibilityScore`] = result.totalScore;
+      $set[`${path}.isVerified`] = result.isVerified;
+      $set[`${path}.scoringProfile`] = {
+        profile: result.profile.id,
+        name: result.profile.name,
+        version: result.profile.version
+      };
+      $set[`${path}.lastEvidenceAt`] = result.lastEvidenceAt;
+      arrayFilters.push({ [`s${index}.skill`]: evidence.skills.get(skillId).skill });
+    });
+    
+    // Recalculate overall credibility score
+    const scores = new Map(results.map(({ skill, result }) => [skill.toString(), result.totalScore]));
+    $set.credibilityScore = User.computeCredibilityScore(evidence.user.skills.map(userSkill => ({
+      ...userSkill,
+      credibilityScore: scores.get(userSkill.skill.toString())
+    })));
     
-    // Update user's skill
-    userSkill.credibilityScore = result.totalScore;
-    userSkill.isVerified = result.isVerified;
-    userSkill.lastUpdated = Date.now();
+    operations.push({
+      updateOne: {
+        filter: { _id: evidence.user._id },
+        update: { $set },
+        ...(arrayFilters.length > 0 ? { arrayFilters } : {})
+      }
+    });
+    recalculations.push({ userId: evidence.user._id, overallScore: $set.credibilityScore, results });
   }
   
-  // Recalculate overall credibility score
-  await user.updateCredibilityScore();
-  await user.save();
+  if (operations.length > 0) {
+    await User.bulkWrite(operations, { ordered: false });
+  }
+  await recordCredibilitySnapshots(recalculations, trigger);
+  
+  return operations.length;
+}
+
+/**
+ * Update all skill scores for a user
+ * Each recalculated skill is also appended to the credibility history
+ * @param {ObjectId} userId - The user's ID
+ * @param {String} trigger - What caused the recalculation (see CredibilitySnapshot)
+ */
+async function updateAllSkillScores(userId, trigger = 'manual') {
+  await recalculateScores([userId], trigger);
 }
 
 /**
@@ -281,13 +833,29 @@ async function calculateOverallCredibility(userId) {
 
 module.exports = {
   calculateSkillCredibility,
+  scoreSkillCredibility,
+  loadScoringEvidence,
+  resolveScoringProfile,
+  toScoringPolicy,
   calculateChallengeScore,
+  scoreChallengeSubmissions,
+  countHintAssistedPasses,
+  getDifficultyMultiplier,
   calculateEndorsementScore,
+  scoreEndorsements,
   calculateProficiencyScore,
+  scoreProficiency,
+  getAssessmentResult,
+  getLastEvidenceDate,
+  getDecayFactor,
   calculateTimeDecay,
+  recalculateScores,
   updateAllSkillScores,
   calculateOverallCredibility,
   SCORING_WEIGHTS,
+  DEFAULT_SCORING_PROFILE,
+  VERIFICATION_THRESHOLDS,
   LEVEL_VALUES,
-  DIFFICULTY_MULTIPLIERS
+  DIFFICULTY_MULTIPLIERS,
+  CALIBRATED_DIFFICULTY_ANCHORS
 };
@@ -0,0 +1,288 @@
+jest.mock('./credibilityHistory', () => ({ recordCredibilitySnapshots: jest.fn() }));
+
+const mongoose = require('mongoose');
+const Submission = require('../models/Submission');
+const Endorsement = require('../models/Endorsement');
+const User = require('../models/User');
+const Skill = require('../models/Skill');
+const ScoringProfile = require('../models/ScoringProfile');
+const { recordCredibilitySnapshots } = require('./credibilityHistory');
+const {
+  loadScoringEvidence,
+  scoreSkillCredibility,
+  recalculateScores,
+  scoreEndorsements,
+  toScoringPolicy,
+  resolveScoringProfile,
+  countHintAssistedPasses,
+  getDifficultyMultiplier,
+  DEFAULT_SCORING_PROFILE,
+  DIFFICULTY_MULTIPLIERS
+} = require('./skillScoring');
+
+const lean = result => ({ select: () => ({ lean: async () => result }) });
+
+// Answers the queries loadScoringEvidence makes
+const mockScoringQueries = ({ users = [], passes = [], endorsements = [], skills = [], profiles = [] }) => [
+  jest.spyOn(User, 'find').mockReturnValue(lean(users)),
+  jest.spyOn(Submission, 'aggregate').mockResolvedValue(passes),
+  jest.spyOn(Endorsement, 'aggregate').mockResolvedValue(endorsements),
+  jest.spyOn(Skill, 'find').mockReturnValue(lean(skills)),
+  jest.spyOn(ScoringProfile, 'find').mockReturnValue(lean(profiles))
+];
+
+describe('skillScoring', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const skillId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getDifficultyMultiplier', () => {
+    it('uses the difficulty label for uncalibrated challenges', () => {
+      expect(getDifficultyMultiplier({ difficulty: 'hard' })).toBe(DIFFICULTY_MULTIPLIERS.hard);
+      expect(getDifficultyMultiplier({ difficulty: 'unknown' })).toBe(1);
+    });
+
+    it('interpolates calibrated difficulty between the anchors', () => {
+      expect(getDifficultyMultiplier({ difficulty: 'easy', calibration: { difficulty: 0 } })).toBe(DIFFICULTY_MULTIPLIERS.medium);
+      expect(getDifficultyMultiplier({ calibration: { difficulty: 0.5 } })).toBeCloseTo(1.75);
+    });
+
+    it('clamps calibrated difficulty beyond the outer anchors', () => {
+      expect(getDifficultyMultiplier({ calibration: { difficulty: -3 } })).toBe(DIFFICULTY_MULTIPLIERS.easy);
+      expect(getDifficultyMultiplier({ calibration: { difficulty: 3.5 } })).toBe(DIFFICULTY_MULTIPLIERS.expert);
+    });
+  });
+
+  describe('countHintAssistedPasses', () => {
+    it("counts the skill's verified passes that unlocked hints", async () => {
+      const pass = (skill, hintsUsed) => ({ user: userId, skill, score: 90, submittedAt: new Date(), hintsUsed, challenge: {} });
+      mockScoringQueries({
+        users: [{ _id: userId, skills: [{ skill: skillId }] }],
+        passes: [pass(skillId, 2), pass(skillId, 0), pass(skillId, 1), pass(new mongoose.Types.ObjectId(), 3)]
+      });
+
+      await expect(countHintAssistedPasses(userId, skillId)).resolves.toBe(2);
+    });
+
+    it('is 0 for unknown users', async () => {
+      mockScoringQueries({});
+
+      await expect(countHintAssistedPasses(userId, skillId)).resolves.toBe(0);
+    });
+  });
+
+  describe('toScoringPolicy', () => {
+    const stored = {
+      _id: 'profile',
+      name: 'Technical',
+      version: 3,
+      weights: DEFAULT_SCORING_PROFILE.weights,
+      blend: DEFAULT_SCORING_PROFILE.blend,
+      decay: DEFAULT_SCORING_PROFILE.decay,
+      history: [{ version: 1 }]
+    };
+
+    it('keeps the policy fields of a stored profile', () => {
+      const policy = toScoringPolicy({ ...stored, difficultyMultipliers: { easy: 0.5, medium: 1, hard: 2, expert: 4 } });
+
+      expect(policy).toEqual({
+        id: 'profile',
+        name: 'Technical',
+        version: 3,
+        weights: stored.weights,
+        blend: stored.blend,
+        decay: stored.decay,
+        difficultyMultipliers: { easy: 0.5, medium: 1, hard: 2, expert: 4 }
+      });
+    });
+
+    it('uses the built-in multipliers for profiles saved without them', () => {
+      expect(toScoringPolicy(stored).difficultyMultipliers).toEqual(DIFFICULTY_MULTIPLIERS);
+      expect(toScoringPolicy({ ...stored, difficultyMultipliers: { expert: 5 } }).difficultyMultipliers)
+        .toEqual({ ...DIFFICULTY_MULTIPLIERS, expert: 5 });
+    });
+  });
+
+  describe('resolveScoringProfile', () => {
+    it("uses the profile for the skill's category", async () => {
+      jest.spyOn(Skill, 'findById').mockReturnValue({ select: async () => ({ category: 'technical' }) });
+      const findForCategory = jest.spyOn(ScoringProfile, 'findForCategory').mockResolvedValue({ _id: 'technical', name: 'Technical', version: 2 });
+
+      await expect(resolveScoringProfile(skillId)).resolves.toMatchObject({ id: 'technical', version: 2 });
+      expect(findForCategory).toHaveBeenCalledWith('technical');
+    });
+
+    it('falls back to the built-in policy without stored profiles', async () => {
+      jest.spyOn(Skill, 'findById').mockReturnValue({ select: async () => null });
+      jest.spyOn(ScoringProfile, 'findForCategory').mockResolvedValue(null);
+
+      await expect(resolveScoringProfile(skillId)).resolves.toBe(DEFAULT_SCORING_PROFILE);
+    });
+  });
+
+  describe('scoring from evidence', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = new Date('2026-06-01T00:00:00Z').getTime();
+    const otherUserId = new mongoose.Types.ObjectId();
+    const otherSkillId = new mongoose.Types.ObjectId();
+
+    const userSkill = (skill, overrides = {}) => ({
+      skill,
+      proficiencyLevel: 5,
+      yearsOfExperience: 2,
+      credibilityScore: 0,
+      addedAt: new Date(now - 30 * DAY),
+      ...overrides
+    });
+    const pass = (user, skill, overrides = {}) => ({
+      _id: new mongoose.Types.ObjectId(),
+      user,
+      skill,
+      score: 80,
+      hintsUsed: 0,
+      submittedAt: new Date(now - 10 * DAY),
+      challenge: { _id: new mongoose.Types.ObjectId(), title: 'Challenge', difficulty: 'medium' },
+      ...overrides
+    });
+    const endorsement = (recipient, skill) => ({
+      _id: new mongoose.Types.ObjectId(),
+      recipient,
+      skill,
+      level: 'advanced',
+      weight: 1,
+      isVerified: true,
+      createdAt: new Date(now - 5 * DAY),
+      endorser: { _id: new mongoose.Types.ObjectId(), name: 'Sam Lee' }
+    });
+    const technicalProfile = {
+      _id: 'technical',
+      name: 'Technical',
+      version: 4,
+      categories: ['technical'],
+      weights: DEFAULT_SCORING_PROFILE.weights,
+      blend: { challenge: 1, endorsement: 0, proficiency: 0 },
+      decay: DEFAULT_SCORING_PROFILE.decay
+    };
+
+    const evidenceFixture = () => ({
+      users: [
+        { _id: userId, skills: [userSkill(skillId), userSkill(otherSkillId)] },
+        { _id: otherUserId, skills: [userSkill(skillId)] }
+      ],
+      passes: [pass(userId, skillId), pass(userId, skillId, { score: 100 }), pass(otherUserId, skillId)],
+      endorsements: [endorsement(userId, otherSkillId)],
+      skills: [{ _id: skillId, category: 'technical' }, { _id: otherSkillId, category: 'creative' }],
+      profiles: [technicalProfile]
+    });
+
+    describe('loadScoringEvidence', () => {
+      it('loads every user in five queries, grouped by user and skill', async () => {
+        const queries = mockScoringQueries(evidenceFixture());
+
+        const evidence = await loadScoringEvidence([userId, otherUserId]);
+
+        queries.forEach(query => expect(query).toHaveBeenCalledTimes(1));
+        const mine = evidence.get(userId.toString());
+        expect(mine.passes.get(skillId.toString())).toHaveLength(2);
+        expect(mine.endorsements.get(otherSkillId.toString())).toHaveLength(1);
+        expect(evidence.get(otherUserId.toString()).passes.get(skillId.toString())).toHaveLength(1);
+      });
+
+      it("picks each skill's scoring profile by category", async () => {
+        mockScoringQueries(evidenceFixture());
+
+        const { profiles } = (await loadScoringEvidence([userId])).get(userId.toString());
+
+        expect(profiles.get(skillId.toString())).toMatchObject({ id: 'technical', version: 4 });
+        expect(profiles.get(otherSkillId.toString())).toBe(DEFAULT_SCORING_PROFILE);
+      });
+    });
+
+    describe('scoreSkillCredibility', () => {
+      it('blends the components with the profile for the skill', async () => {
+        mockScoringQueries(evidenceFixture());
+        const evidence = (await loadScoringEvidence([userId])).get(userId.toString());
+
+        const result = scoreSkillCredibility(evidence, skillId, null, now);
+
+        expect(result.profile).toEqual({ id: 'technical', name: 'Technical', version: 4 });
+        expect(result.totalScore).toBe(Math.round(result.breakdown.challengeScore));
+        expect(result.breakdown).toMatchObject({ endorsementScore: 0, decayFactor: 1, hintAssistedPasses: 0 });
+        expect(result.isVerified).toBe(true);
+      });
+
+      it('decays scores once the latest evidence is old', async () => {
+        mockScoringQueries(evidenceFixture());
+        const evidence = (await loadScoringEvidence([userId])).get(userId.toString());
+        const later = now + (DEFAULT_SCORING_PROFILE.decay.startDays + 100) * DAY;
+
+        const fresh = scoreSkillCredibility(evidence, skillId, null, now);
+        const stale = scoreSkillCredibility(evidence, skillId, null, later);
+
+        expect(stale.breakdown.decayFactor).toBeLessThan(1);
+        expect(stale.lastEvidenceAt).toEqual(fresh.lastEvidenceAt);
+        expect(stale.totalScore).toBeLessThan(fresh.totalScore);
+      });
+    });
+
+    describe('recalculateScores', () => {
+      it('writes every user in one bulk write and records snapshots', async () => {
+        const queries = mockScoringQueries(evidenceFixture());
+        const bulkWrite = jest.spyOn(User, 'bulkWrite').mockResolvedValue({});
+
+        await expect(recalculateScores([userId, otherUserId], 'scheduled')).resolves.toBe(2);
+
+        queries.forEach(query => expect(query).toHaveBeenCalledTimes(1));
+        expect(bulkWrite).toHaveBeenCalledTimes(1);
+        const [operations] = bulkWrite.mock.calls[0];
+        expect(operations[0].updateOne).toMatchObject({
+          filter: { _id: userId },
+          update: { $set: expect.objectContaining({ 'skills.$[s0].scoringProfile': { profile: 'technical', name: 'Technical', version: 4 } }) },
+          arrayFilters: [{ 's0.skill': skillId }, { 's1.skill': otherSkillId }]
+        });
+        expect(recordCredibilitySnapshots).toHaveBeenCalledWith(
+          [expect.objectContaining({ userId, results: expect.any(Array) }), expect.objectContaining({ userId: otherUserId })],
+          'scheduled'
+        );
+      });
+
+      it('does nothing without users', async () => {
+        const queries = mockScoringQueries({});
+
+        await expect(recalculateScores([])).resolves.toBe(0);
+        expect(queries[0]).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('scoreEndorsements', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const createdAt = new Date('2026-01-01T00:00:00Z');
+    const expiresAt = new Date(createdAt.getTime() + 100 * DAY);
+    const at = days => createdAt.getTime() + days * DAY;
+
+    const endorsement = { _id: 'e1', level: 'expert', weight: 1, isVerified: false, createdAt, expiresAt, endorser: { _id: 'u1', name: 'Sam Lee' } };
+
+    it('counts older endorsements for less', () => {
+      const fresh = scoreEndorsements([endorsement], DEFAULT_SCORING_PROFILE.weights, at(10));
+      const aging = scoreEndorsements([endorsement], DEFAULT_SCORING_PROFILE.weights, at(90));
+
+      expect(fresh.contributions[0].ageFactor).toBe(1);
+      expect(aging.contributions[0].ageFactor).toBeCloseTo(0.6);
+      expect(aging.score).toBeLessThan(fresh.score);
+      expect(aging.contributions[0].levelPoints).toBe(fresh.contributions[0].levelPoints);
+    });
+
+    it('caps verified endorsements at full weight and reports the scoring factors', () => {
+      const verified = { ...endorsement, weight: 0.8, isVerified: true, weighting: { factors: { context: 1 } } };
+
+      const { contributions } = scoreEndorsements([verified], DEFAULT_SCORING_PROFILE.weights, at(10));
+
+      expect(contributions[0].effectiveWeight).toBe(1);
+      expect(contributions[0].weighting.factors).toEqual({ context: 1, evidence: 1.5, age: 1 });
+    });
+  });
+});
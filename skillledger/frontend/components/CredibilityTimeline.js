@@ -0,0 +1,125 @@
+import { useEffect, useState } from 'react';
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend
+} from 'recharts';
+
+const TRIGGER_LABELS = {
+  submission: 'Challenge submission',
+  review: 'Reviewed submission',
+  assessment: 'Adaptive assessment',
+  endorsement: 'Endorsement',
+  'profile-edit': 'Profile edit',
+  'decay-job': 'Time decay',
+  collusion: 'Endorsement screening',
+  manual: 'Recalculation'
+};
+
+/**
+ * Credibility score over time for one skill at a time
+ * Shows the signed-in user's history, or a candidate's when userId is given (recruiters)
+ */
+const CredibilityTimeline = ({ userId }) => {
+  const [timeline, setTimeline] = useState([]);
+  const [skillId, setSkillId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const token = localStorage.getItem('token');
+    const url = userId
+      ? `/api/recruiters/users/${userId}/credibility/history`
+      : '/api/users/credibility/history';
+
+    fetch(url, {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setTimeline(data.timeline);
+          setSkillId(data.timeline.length > 0 ? data.timeline[0].skill._id : null);
+        } else {
+          setError(data.message || 'Could not load score history');
+        }
+      })
+      .catch(() => setError('Could not load score history'));
+  }, [userId]);
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  if (timeline.length === 0) {
+    return <p className="text-sm text-gray-500">No score history yet.</p>;
+  }
+
+  const series = timeline.find(entry => entry.skill._id === skillId) || timeline[0];
+  const data = series.points.map(point => ({
+    date: new Date(point.recordedAt).toLocaleDateString(),
+    score: point.score,
+    challenges: Math.round(point.breakdown?.challengeComponent || 0),
+    endorsements: Math.round(point.breakdown?.endorsementScore || 0),
+    proficiency: Math.round(point.breakdown?.proficiencyScore || 0),
+    decayFactor: point.decayFactor,
+    trigger: TRIGGER_LABELS[point.trigger] || point.trigger
+  }));
+
+  return (
+    <div className="credibility-timeline">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Credibility over time</h3>
+        <select
+          value={series.skill._id}
+          onChange={e => setSkillId(e.target.value)}
+          className="border border-gray-300 rounded-md text-sm px-2 py-1"
+        >
+          {timeline.map(entry => (
+            <option key={entry.skill._id} value={entry.skill._id}>
+              {entry.skill.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={data} margin={{ top: 5, right: 20, bottom: 5, left: 0 }}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+          <XAxis dataKey="date" fontSize={10} />
+          <YAxis domain={[0, 100]} fontSize={10} />
+          <Tooltip content={<TimelineTooltip />} />
+          <Legend />
+          <Line type="monotone" dataKey="score" name="Credibility" stroke="#3b82f6" strokeWidth={2} dot={false} />
+          <Line type="monotone" dataKey="challenges" name="Challenges" stroke="#10b981" dot={false} />
+          <Line type="monotone" dataKey="endorsements" name="Endorsements" stroke="#f59e0b" dot={false} />
+          <Line type="monotone" dataKey="proficiency" name="Proficiency" stroke="#94a3b8" dot={false} />
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+const TimelineTooltip = ({ active, payload }) => {
+  if (!active || !payload || payload.length === 0) return null;
+
+  const point = payload[0].payload;
+  return (
+    <div className="bg-white border border-gray-200 rounded-md shadow px-3 py-2 text-xs">
+      <p className="font-medium text-gray-900">{point.date} - {point.trigger}</p>
+      <p className="text-gray-700">Credibility: {point.score}</p>
+      <p className="text-gray-500">
+        Challenges {point.challenges} · Endorsements {point.endorsements} · Proficiency {point.proficiency}
+      </p>
+      {point.decayFactor < 1 && (
+        <p className="text-gray-500">Decay factor: {point.decayFactor.toFixed(2)}</p>
+      )}
+    </div>
+  );
+};
+
+export default CredibilityTimeline;
@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  declined: 'bg-red-100 text-red-800',
+  expired: 'bg-gray-100 text-gray-600',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+/**
+ * Endorsement requests the signed-in student has sent, with their status
+ * Pending requests can be withdrawn
+ */
+const EndorsementRequests = () => {
+  const [requests, setRequests] = useState([]);
+  const [error, setError] = useState(null);
+
+  const loadRequests = () => {
+    const token = localStorage.getItem('token');
+
+    fetch('/api/endorsement-requests/sent', {
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setRequests(data.requests);
+        } else {
+          setError(data.message || 'Could not load endorsement requests');
+        }
+      })
+      .catch(() => setError('Could not load endorsement requests'));
+  };
+
+  useEffect(loadRequests, []);
+
+  const cancelRequest = (id) => {
+    const token = localStorage.getItem('token');
+
+    fetch(`/api/endorsement-requests/${id}/cancel`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` }
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          loadRequests();
+        } else {
+          setError(data.message || 'Could not cancel the request');
+        }
+      })
+      .catch(() => setError('Could not cancel the request'));
+  };
+
+  if (error) {
+    return <p className="text-sm text-red-600">{error}</p>;
+  }
+
+  return (
+    <div className="endorsement-requests">
+      <h3 className="text-lg font-medium text-gray-900 mb-4">Endorsement requests</h3>
+
+      {requests.length === 0 ? (
+        <p className="text-sm text-gray-500">You haven't requested any endorsements yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {requests.map(request => (
+            <li key={request._id} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">{request.skill?.name}</p>
+                <p className="text-xs text-gray-500">
+                  {request.endorser
+                    ? `${request.endorser.profile.firstName} ${request.endorser.profile.lastName}`
+                    : request.inviteEmail}
+                  {request.status === 'pending' && ` · expires ${new Date(request.expiresAt).toLocaleDateString()}`}
+                  {request.status === 'accepted' && request.endorsement && ` · ${request.endorsement.level}`}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <span className={`text-xs font-medium px-2 py-1 rounded ${STATUS_STYLES[request.status]}`}>
+                  {request.status}
+                </span>
+                {request.status === 'pending' && (
+                  <button
+                    onClick={() => cancelRequest(request._id)}
+                    className="text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EndorsementRequests;
@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Link from 'next/link';
+import CredibilityTimeline from '../components/CredibilityTimeline';
+import EndorsementRequests from '../components/EndorsementRequests';
 
 export default function Home() {
   const [user, setUser] = useState(null);
@@ -154,6 +156,17 @@ export default function Home() {
               </Link>
             )}
           </div>
+
+          {user.role === 'student' && (
+            <>
+              <div className="mt-6 bg-white shadow rounded-lg p-5">
+                <CredibilityTimeline />
+              </div>
+              <div className="mt-6 bg-white shadow rounded-lg p-5">
+                <EndorsementRequests />
+              </div>
+            </>
+          )}
         </div>
       </main>
     </div>